@@ -12,10 +12,38 @@ const API_BASE_URL = 'https://new-stockapp-melchisedech.onrender.com/api'; // UR
 
 // Sélecteurs DOM
 const views = {
+    login: document.getElementById('login-view'),
     list: document.getElementById('product-list-view'),
     productForm: document.getElementById('product-form-view'),
+    productHistory: document.getElementById('product-history-view'),
+    productImport: document.getElementById('product-import-view'),
     saleForm: document.getElementById('sale-form-view'),
+    purchaseForm: document.getElementById('purchase-form-view'),
     saleReport: document.getElementById('sale-report-view'),
+    purchaseReport: document.getElementById('purchase-report-view'),
+    profitReport: document.getElementById('profit-report-view'),
+    reorder: document.getElementById('reorder-view'),
+    saleReturn: document.getElementById('sale-return-view'),
+    users: document.getElementById('users-view'),
+    suppliers: document.getElementById('suppliers-view'),
+    purchaseOrders: document.getElementById('purchase-orders-view'),
+    purchaseOrderForm: document.getElementById('purchase-order-form-view'),
+    purchaseOrderReceive: document.getElementById('purchase-order-receive-view'),
+    locations: document.getElementById('locations-view'),
+    offlineQueue: document.getElementById('offline-queue-view'),
+    labels: document.getElementById('labels-view'),
+    categories: document.getElementById('categories-view'),
+    vatReport: document.getElementById('vat-report-view'),
+    settings: document.getElementById('settings-view'),
+    stockCounts: document.getElementById('stock-counts-view'),
+    dashboard: document.getElementById('dashboard-view'),
+    stockCount: document.getElementById('stock-count-view'),
+    lots: document.getElementById('lots-view'),
+    customers: document.getElementById('customers-view'),
+    customerStatement: document.getElementById('customer-statement-view'),
+    receivables: document.getElementById('receivables-view'),
+    cashRegister: document.getElementById('cash-register-view'),
+    backups: document.getElementById('backups-view'),
     about: document.getElementById('about-view')
 };
 const productTbody = document.getElementById('product-tbody');
@@ -30,13 +58,158 @@ const saleQuantityInput = document.getElementById('sale-quantity');
 const saleErrorDiv = document.getElementById('sale-error');
 const saleUnitPriceInput = document.getElementById('sale-unit-price');
 const saleTotalPriceInput = document.getElementById('sale-total-price');
+const cartTbody = document.getElementById('cart-tbody');
+const cartTfoot = document.getElementById('cart-tfoot');
+const emptyCartMessage = document.getElementById('empty-cart-message');
 const saleReportTbody = document.getElementById('sale-report-tbody');
 const saleReportTfoot = document.getElementById('sale-report-tfoot');
 const emptySalesMessage = document.getElementById('empty-sales-message');
+const purchaseForm = document.getElementById('purchase-form');
+const purchaseProductSelect = document.getElementById('purchase-product-id');
+const purchaseQuantityInput = document.getElementById('purchase-quantity');
+const purchaseErrorDiv = document.getElementById('purchase-error');
+const purchaseUnitPriceInput = document.getElementById('purchase-unit-price');
+const purchaseTotalPriceInput = document.getElementById('purchase-total-price');
+const purchaseReportTbody = document.getElementById('purchase-report-tbody');
+const purchaseReportTfoot = document.getElementById('purchase-report-tfoot');
+const emptyPurchasesMessage = document.getElementById('empty-purchases-message');
 const mainModal = document.getElementById('main-modal');
 const modalMessage = document.getElementById('modal-message');
 const modalConfirmBtn = document.getElementById('modal-confirm-btn');
 const modalCancelBtn = document.getElementById('modal-cancel-btn');
+const modalInput = document.getElementById('modal-input');
+const mainNav = document.getElementById('main-nav');
+const userInfo = document.getElementById('user-info');
+const loginForm = document.getElementById('login-form');
+const loginErrorDiv = document.getElementById('login-error');
+const usersTbody = document.getElementById('users-tbody');
+const userForm = document.getElementById('user-form');
+const inventoryLocationSelect = document.getElementById('inventory-location');
+const productTfoot = document.getElementById('product-tfoot');
+const saleLocationSelect = document.getElementById('sale-location');
+const purchaseLocationSelect = document.getElementById('purchase-location');
+const productStockLocationSelect = document.getElementById('product-stock-location');
+const inventorySearchInput = document.getElementById('inventory-search');
+const inventoryCategorySelect = document.getElementById('inventory-category');
+const inventoryStockSelect = document.getElementById('inventory-stock');
+const productCategorySelect = document.getElementById('product-category');
+
+// Session de connexion : le jeton est conservé dans le navigateur entre deux visites
+const TOKEN_STORAGE_KEY = 'stocktrack-token';
+// Dernier utilisateur connu, pour rouvrir la session sans réseau
+const USER_STORAGE_KEY = 'stocktrack-user';
+let authToken = localStorage.getItem(TOKEN_STORAGE_KEY);
+let currentUser = null;
+
+// Réglages du magasin (devise, langue, TVA par défaut), gardés pour afficher les montants sans réseau
+const SETTINGS_STORAGE_KEY = 'stocktrack-settings';
+const DEFAULT_SETTINGS = { shopName: '', address: [], currency: 'EUR', locale: 'fr-FR', currencyDigits: 2, defaultVatRate: 0 };
+let shopSettings = { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}') };
+
+// Copie locale hors ligne (IndexedDB) : produits, emplacements et file des ventes à envoyer
+const OFFLINE_DB_NAME = 'stocktrack-offline';
+const OFFLINE_DB_VERSION = 2;
+
+// Réponses signifiant que le serveur est injoignable (instance endormie, passerelle en erreur)
+const SERVER_UNAVAILABLE_STATUSES = [502, 503, 504];
+
+// Évite deux synchronisations simultanées de la file hors ligne
+let syncInProgress = false;
+
+// Libellés des rôles affichés dans l'interface
+const ROLE_LABELS = { admin: 'Administrateur', cashier: 'Caissier', viewer: 'Lecteur' };
+
+// Libellés des types de mouvements de stock
+const MOVEMENT_LABELS = {
+    sale: 'Vente',
+    purchase: 'Achat',
+    adjustment: 'Ajustement manuel',
+    return: 'Retour',
+    inventory: 'Inventaire',
+    void: 'Annulation de vente',
+    transfer: 'Transfert'
+};
+
+// Libellés des types d'emplacement
+const LOCATION_TYPE_LABELS = { shop: 'Magasin', warehouse: 'Entrepôt / Réserve', shelf: 'Rayon / Étagère' };
+
+// Emplacements connus (rechargés à l'ouverture des vues qui les utilisent), le défaut en premier
+let locations = [];
+
+// Produit en cours de modification (pour afficher sa quantité à l'emplacement choisi)
+let productBeingEdited = null;
+
+// Produit parent de la variante en cours de modification, avec ses variantes (grille d'ajout de variantes)
+let variantParent = null;
+
+// Catégories de produits connues (rechargées à l'ouverture des vues qui les utilisent)
+let categories = [];
+
+// Tri et page courante de l'inventaire (les filtres sont lus dans leurs champs)
+const inventoryState = { sort: 'name', order: 'asc', page: 1 };
+
+// Derniers produits chargés : recherche instantanée des codes scannés, même hors ligne
+let knownProducts = [];
+
+// Vrai dès le premier article scanné en réception de commande (les quantités repartent de zéro)
+let receiveScanStarted = false;
+
+// Page courante de l'historique des transferts
+let transfersPage = 1;
+
+// Libellés des statuts de commande fournisseur
+const PURCHASE_ORDER_STATUS_LABELS = {
+    draft: 'Brouillon',
+    sent: 'Envoyée',
+    partially_received: 'Partiellement reçue',
+    received: 'Reçue',
+    cancelled: 'Annulée'
+};
+
+// Catalogue du fournisseur en cours d'édition : [{ productId, unitCost }]
+let supplierCatalog = [];
+
+// Lignes de la commande fournisseur en cours de saisie : [{ productId, productName, quantityOrdered, unitPrice }]
+let purchaseOrderLines = [];
+
+// Commande affichée dans la vue réception, et page courante de la liste des commandes
+let orderBeingReceived = null;
+let purchaseOrdersPage = 1;
+
+// Libellés des statuts d'inventaire physique
+const STOCK_COUNT_STATUS_LABELS = { open: 'En cours', posted: 'Validé', cancelled: 'Abandonné' };
+
+// Inventaire affiché dans la vue de comptage, et page courante de la liste des inventaires
+let stockCountBeingEdited = null;
+let stockCountsPage = 1;
+
+// Vente en cours de retour (vue retour client)
+let saleBeingReturned = null;
+
+// Client dont le relevé de compte est affiché
+let customerBeingViewed = null;
+
+// Libellés des moyens de paiement et des opérations d'un relevé de compte client
+const PAYMENT_METHOD_LABELS = {
+    cash: 'Espèces', card: 'Carte bancaire', mobile_money: 'Mobile money', cheque: 'Chèque', transfer: 'Virement', other: 'Autre',
+    split: 'Paiement fractionné'
+};
+// Moyens proposés à l'encaissement ('split' désigne seulement un ticket réglé par plusieurs d'entre eux)
+const PAYMENT_METHODS = Object.keys(PAYMENT_METHOD_LABELS).filter(method => method !== 'split');
+const STATEMENT_ENTRY_LABELS = { sale: 'Vente', return: 'Retour', payment: 'Règlement', refund: 'Remboursement' };
+
+// Session de caisse ouverte sur ce poste { _id, register, locationId, locationName }, gardée entre deux connexions
+const CASH_SESSION_STORAGE_KEY = 'stocktrack-cash-session';
+let terminalCashSession = JSON.parse(localStorage.getItem(CASH_SESSION_STORAGE_KEY) || 'null');
+
+// Produit et page affichés dans la vue historique
+const historyState = { productId: null, productName: '', page: 1 };
+
+// Panier du ticket en cours : [{ productId, productName, unitPrice, quantitySold }]
+let cart = [];
+
+// Page courante de chaque rapport paginé (clé : préfixe des ids HTML du rapport)
+const reportPages = { 'sale-report': 1, 'purchase-report': 1 };
 
 
 // -----------------------------------------------------------------
@@ -64,10 +237,339 @@ const handleFetchError = (error, operation) => {
     return null;
 };
 
+/** Convertit un montant décimal (ex: 12.5) en unités mineures de la devise du magasin (1250) */
+const toMinorUnits = (amount) => Math.round(amount * 10 ** shopSettings.currencyDigits);
+
+/** Convertit un montant en unités mineures en montant décimal */
+const toMajorUnits = (amount) => amount / 10 ** shopSettings.currencyDigits;
+
+/** Montant en unités mineures affiché dans la devise et la langue du magasin (« 1 234,50 € ») */
+const formatMoney = (amount) =>
+    new Intl.NumberFormat(shopSettings.locale, { style: 'currency', currency: shopSettings.currency }).format(toMajorUnits(amount));
+
+/** Lit un champ de saisie de montant (virgule ou point décimal) en unités mineures ; NaN si invalide */
+const parseMoneyInput = (value) => toMinorUnits(parseFloat(String(value).replace(',', '.')));
+
+/** Valeur d'un champ de saisie de montant (ex: "12.50") */
+const formatMoneyInput = (amount) => toMajorUnits(amount).toFixed(shopSettings.currencyDigits);
+
+/** Taux de TVA affiché (« 5,5 % ») */
+const formatVatRate = (rate) => `${rate.toLocaleString(shopSettings.locale)} %`;
+
+/** Symbole de la devise dans les libellés et pas des champs de montant selon ses décimales */
+const applyCurrencySettings = () => {
+    const symbol = new Intl.NumberFormat(shopSettings.locale, { style: 'currency', currency: shopSettings.currency })
+        .formatToParts(0).find(part => part.type === 'currency').value;
+    document.querySelectorAll('.currency-symbol').forEach(element => element.textContent = symbol);
+    const step = String(1 / 10 ** shopSettings.currencyDigits);
+    document.querySelectorAll('.money-input').forEach(input => {
+        input.step = step;
+        if (input.min !== '0') input.min = step;
+    });
+};
+
+/** Numéro court d'un ticket, dérivé de son identifiant MongoDB */
+const formatTicketNumber = (sale) => `#${sale._id.slice(-6).toUpperCase()}`;
+
+/** Numéro de facture (F000042) ou d'avoir (A000007) attribué par le serveur */
+const formatInvoiceNumber = (sale) => `${sale.type === 'return' ? 'A' : 'F'}${String(sale.invoiceNumber).padStart(6, '0')}`;
+
+// --- Codes-barres EAN-13 (étiquettes) ---
+
+// Motifs des chiffres : jeu L (gauche, impair), G (gauche, pair) = R inversé, R (droite) = L complémenté
+const EAN_L_PATTERNS = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN_R_PATTERNS = EAN_L_PATTERNS.map(pattern => [...pattern].map(bit => (bit === '1' ? '0' : '1')).join(''));
+const EAN_G_PATTERNS = EAN_R_PATTERNS.map(pattern => [...pattern].reverse().join(''));
+// Le premier chiffre n'est pas dessiné : il fixe l'alternance L/G des six chiffres de gauche
+const EAN_PARITIES = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+/** Vrai si le code est un EAN-13 valide (13 chiffres, chiffre de contrôle correct) */
+const isValidEan13 = (code) => {
+    if (!/^\d{13}$/.test(code)) return false;
+    const sum = [...code.slice(0, 12)].reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+    return (10 - sum % 10) % 10 === Number(code[12]);
+};
+
+/** Dessine un EAN-13 en SVG (95 modules, marges blanches de 9 modules, chiffres sous les barres) */
+const buildEan13Svg = (code) => {
+    const parity = EAN_PARITIES[Number(code[0])];
+    const left = [...code.slice(1, 7)].map((digit, index) =>
+        (parity[index] === 'L' ? EAN_L_PATTERNS : EAN_G_PATTERNS)[Number(digit)]).join('');
+    const right = [...code.slice(7)].map(digit => EAN_R_PATTERNS[Number(digit)]).join('');
+    const modules = `101${left}01010${right}101`;
+
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(svgNS, 'svg');
+    svg.setAttribute('viewBox', '0 0 113 60');
+    svg.setAttribute('shape-rendering', 'crispEdges');
+    [...modules].forEach((bit, index) => {
+        if (bit !== '1') return;
+        // Les barres de garde (début, milieu, fin) descendent plus bas que les autres
+        const isGuard = index < 3 || (index >= 45 && index < 50) || index >= 92;
+        const bar = document.createElementNS(svgNS, 'rect');
+        bar.setAttribute('x', 9 + index);
+        bar.setAttribute('y', 0);
+        bar.setAttribute('width', 1);
+        bar.setAttribute('height', isGuard ? 52 : 47);
+        svg.appendChild(bar);
+    });
+    [[code[0], 4], [code.slice(1, 7), 33], [code.slice(7), 79]].forEach(([digits, x]) => {
+        const text = document.createElementNS(svgNS, 'text');
+        text.setAttribute('x', x);
+        text.setAttribute('y', 58);
+        text.setAttribute('font-size', 9);
+        text.setAttribute('font-family', 'monospace');
+        text.setAttribute('text-anchor', 'middle');
+        text.textContent = digits;
+        svg.appendChild(text);
+    });
+    return svg;
+};
+
+/** Quantité d'un produit à un emplacement (0 s'il n'y en a jamais eu) */
+const getLocationQuantity = (product, locationId) => {
+    const entry = (product.stocks || []).find(stock => stock.locationId === locationId);
+    return entry ? entry.quantity : 0;
+};
+
+/** Remplit un select d'emplacements (le défaut en premier), avec une option « tous » facultative */
+const fillLocationSelect = (select, allLabel = null) => {
+    const selected = select.value;
+    select.innerHTML = allLabel ? `<option value="">${allLabel}</option>` : '';
+    locations.forEach(location => {
+        const option = document.createElement('option');
+        option.value = location._id;
+        option.textContent = location.name + (location.isDefault ? ' (par défaut)' : '');
+        select.appendChild(option);
+    });
+    if (Array.from(select.options).some(option => option.value === selected)) select.value = selected;
+};
+
+/** Remplit un select de catégories après une première option (valeur vide) ; `withNone` ajoute « sans catégorie » */
+const fillCategorySelect = (select, firstLabel, withNone = false) => {
+    const selected = select.value;
+    select.innerHTML = `<option value="">${firstLabel}</option>`;
+    if (withNone) select.innerHTML += '<option value="none">Sans catégorie</option>';
+    categories.forEach(category => {
+        const option = document.createElement('option');
+        option.value = category._id;
+        option.textContent = category.name;
+        select.appendChild(option);
+    });
+    if (Array.from(select.options).some(option => option.value === selected)) select.value = selected;
+};
+
+/** Date locale au format des champs <input type="date"> (AAAA-MM-JJ) */
+const toDateInputValue = (date) => {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Construit la chaîne de requête d'un rapport à partir de ses filtres (préfixe des ids HTML).
+ * Les bornes sont envoyées en heure locale : début du premier jour, fin du dernier jour inclus.
+ */
+const buildReportQuery = (prefix, extra = {}) => {
+    const params = new URLSearchParams();
+    const from = document.getElementById(`${prefix}-from`).value;
+    const to = document.getElementById(`${prefix}-to`).value;
+    // Certains rapports (TVA) n'ont pas de filtre par produit
+    const productSelect = document.getElementById(`${prefix}-product`);
+    const productId = productSelect ? productSelect.value : '';
+    // Cumul des variantes sous leur produit parent (rapports qui le proposent)
+    const rollup = document.getElementById(`${prefix}-rollup`);
+
+    if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+    if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+    // Une option "parent:<id>" du filtre produit désigne toutes les variantes d'un produit parent
+    if (productId.startsWith('parent:')) params.set('parentId', productId.slice('parent:'.length));
+    else if (productId) params.set('productId', productId);
+    if (rollup && rollup.checked) params.set('rollup', 'parent');
+    Object.entries(extra).forEach(([key, value]) => params.set(key, value));
+    return params.toString();
+};
+
+/** Remplit les champs de date d'un rapport selon un raccourci de période */
+const applyReportPreset = (prefix, preset) => {
+    const fromInput = document.getElementById(`${prefix}-from`);
+    const toInput = document.getElementById(`${prefix}-to`);
+    const today = new Date();
+
+    if (preset === 'all') {
+        fromInput.value = '';
+        toInput.value = '';
+        return;
+    }
+
+    const start = new Date(today);
+    if (preset === 'week') {
+        // La semaine commence le lundi
+        start.setDate(today.getDate() - ((today.getDay() + 6) % 7));
+    } else if (preset === 'month') {
+        start.setDate(1);
+    }
+    fromInput.value = toDateInputValue(start);
+    toInput.value = toDateInputValue(today);
+};
+
+/** Affiche les boutons de pagination d'un rapport */
+const renderPagination = (prefix, result) => {
+    document.getElementById(`${prefix}-pagination`).style.display = result.total > 0 ? 'flex' : 'none';
+    document.getElementById(`${prefix}-page-info`).textContent = `Page ${result.page} / ${result.pages} (${result.total} résultat(s))`;
+    document.getElementById(`${prefix}-prev`).disabled = result.page <= 1;
+    document.getElementById(`${prefix}-next`).disabled = result.page >= result.pages;
+};
+
+// --- Copie locale hors ligne (IndexedDB) ---
+
+let offlineDBPromise = null;
+
+/** Ouvre (et crée au premier lancement) la base locale ; la connexion est partagée */
+const getOfflineDB = () => {
+    if (!offlineDBPromise) {
+        offlineDBPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (event.oldVersion < 1) {
+                    db.createObjectStore('products', { keyPath: '_id' });
+                    db.createObjectStore('locations', { keyPath: '_id' });
+                    // Les ventes en attente sont identifiées par leur clé d'idempotence
+                    db.createObjectStore('saleQueue', { keyPath: 'idempotencyKey' });
+                }
+                if (event.oldVersion === 1) {
+                    // Version 2 : montants en unités mineures. Les produits en cache seront rechargés,
+                    // les prix des ventes en attente (saisis en décimales) sont convertis
+                    const transaction = request.transaction;
+                    transaction.objectStore('products').clear();
+                    transaction.objectStore('saleQueue').openCursor().onsuccess = (cursorEvent) => {
+                        const cursor = cursorEvent.target.result;
+                        if (!cursor) return;
+                        const sale = cursor.value;
+                        cursor.update({ ...sale, items: sale.items.map(item => ({ ...item, unitPrice: toMinorUnits(item.unitPrice) })) });
+                        cursor.continue();
+                    };
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return offlineDBPromise;
+};
+
+/** Exécute une opération sur un magasin IndexedDB et attend la fin de sa transaction */
+const withStore = async (storeName, mode, operation) => {
+    const db = await getOfflineDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+    });
+};
+
+const readStore = (storeName) => withStore(storeName, 'readonly', store => store.getAll());
+const putInStore = (storeName, record) => withStore(storeName, 'readwrite', store => store.put(record));
+const deleteFromStore = (storeName, key) => withStore(storeName, 'readwrite', store => store.delete(key));
+
+/** Remplace tout le contenu d'un magasin (copie locale des produits ou des emplacements) */
+const replaceStore = (storeName, records) => withStore(storeName, 'readwrite', store => {
+    store.clear();
+    records.forEach(record => store.put(record));
+});
+
+/** File des ventes hors ligne, de la plus ancienne à la plus récente */
+const getQueuedSales = async () => {
+    try {
+        const queue = await readStore('saleQueue');
+        return queue.sort((a, b) => a.offlineCreatedAt.localeCompare(b.offlineCreatedAt));
+    } catch (error) {
+        console.error('Erreur lecture de la file hors ligne:', error);
+        return [];
+    }
+};
+
+/**
+ * Retire du stock affiché les ventes encore dans la file (en attente ou en conflit) :
+ * la marchandise est déjà sortie du magasin même si le serveur ne le sait pas encore.
+ */
+const applyQueuedSales = (products, queue) => {
+    const soldByLocation = new Map();
+    const soldByProduct = new Map();
+    queue.forEach(sale => sale.items.forEach(item => {
+        const key = `${item.productId}:${sale.locationId}`;
+        soldByLocation.set(key, (soldByLocation.get(key) || 0) + item.quantitySold);
+        soldByProduct.set(item.productId, (soldByProduct.get(item.productId) || 0) + item.quantitySold);
+    }));
+
+    return products.map(product => !soldByProduct.has(product._id) ? product : {
+        ...product,
+        quantity: product.quantity - soldByProduct.get(product._id),
+        stocks: (product.stocks || []).map(stock => ({
+            ...stock,
+            quantity: stock.quantity - (soldByLocation.get(`${product._id}:${stock.locationId}`) || 0)
+        }))
+    });
+};
+
+/** Met à jour le bandeau hors ligne : état du réseau et nombre de ventes à envoyer */
+const updateOfflineStatus = async () => {
+    const queue = await getQueuedSales();
+    const conflicts = queue.filter(sale => sale.status === 'conflict').length;
+    const parts = [];
+    if (!navigator.onLine) parts.push('Hors ligne');
+    if (queue.length > 0) parts.push(`${queue.length} vente(s) en attente d'envoi`);
+    if (conflicts > 0) parts.push(`dont ${conflicts} en conflit`);
+
+    document.getElementById('offline-status-label').textContent = parts.join(' — ');
+    document.getElementById('offline-status').style.display = currentUser && parts.length > 0 ? 'flex' : 'none';
+    document.getElementById('show-offline-queue-btn').style.display = queue.length > 0 && hasRole('admin', 'cashier') ? '' : 'none';
+};
+
+/** Vrai si l'utilisateur connecté a l'un des rôles donnés */
+const hasRole = (...roles) => currentUser !== null && roles.includes(currentUser.role);
+
+/** Masque les éléments marqués data-roles="..." que le rôle connecté ne peut pas utiliser */
+const applyRolePermissions = () => {
+    document.querySelectorAll('[data-roles]').forEach(element => {
+        element.style.display = hasRole(...element.dataset.roles.split(',')) ? '' : 'none';
+    });
+};
+
+/** Efface la session locale et masque la navigation */
+const clearSession = () => {
+    authToken = null;
+    currentUser = null;
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+    localStorage.removeItem(USER_STORAGE_KEY);
+    mainNav.style.display = 'none';
+    userInfo.style.display = 'none';
+    document.getElementById('offline-status').style.display = 'none';
+    disconnectLiveUpdates();
+};
+
+/** Affiche l'application pour l'utilisateur connecté, sur la vue adaptée à son rôle */
+const startSession = (user) => {
+    currentUser = user;
+    localStorage.setItem(USER_STORAGE_KEY, JSON.stringify(user));
+    document.getElementById('current-user-label').textContent = `${user.username} (${ROLE_LABELS[user.role]})`;
+    mainNav.style.display = '';
+    userInfo.style.display = 'flex';
+    applyRolePermissions();
+    // Devise et format des montants à jour avant le premier affichage ; les gestionnaires arrivent sur le tableau de bord
+    getSettings().then(() => showView(hasRole('cashier') ? 'saleForm' : 'dashboard'));
+    // Envoie les ventes restées sur l'appareil lors d'une session précédente
+    syncQueuedSales();
+    // Stock, ventes et achats des autres terminaux arrivent sans recharger la page
+    connectLiveUpdates();
+};
+
 /** Affiche une modale de confirmation (remplace confirm()) */
 const showConfirmationModal = (message) => {
     return new Promise(resolve => {
         modalMessage.textContent = message;
+        modalInput.style.display = 'none';
         modalConfirmBtn.onclick = () => {
             mainModal.style.display = 'none';
             resolve(true);
@@ -80,357 +582,5046 @@ const showConfirmationModal = (message) => {
     });
 };
 
+/** Modale de confirmation avec saisie obligatoire ; renvoie le texte saisi, ou null si annulée */
+const showPromptModal = (message, placeholder = '') => {
+    return new Promise(resolve => {
+        modalMessage.textContent = message;
+        modalInput.value = '';
+        modalInput.placeholder = placeholder;
+        modalInput.style.display = 'block';
+        modalConfirmBtn.onclick = () => {
+            const value = modalInput.value.trim();
+            if (!value) {
+                modalInput.focus();
+                return;
+            }
+            mainModal.style.display = 'none';
+            resolve(value);
+        };
+        modalCancelBtn.onclick = () => {
+            mainModal.style.display = 'none';
+            resolve(null);
+        };
+        mainModal.style.display = 'flex';
+        modalInput.focus();
+    });
+};
 
 // -----------------------------------------------------------------
 // 3. Fonctions de Communication avec l'API
 // -----------------------------------------------------------------
 
-const getProducts = async () => {
+/** fetch() authentifié : ajoute le jeton de session et renvoie à la connexion si la session a expiré */
+const apiFetch = async (url, options = {}) => {
+    const headers = { ...(options.headers || {}) };
+    if (authToken) headers.Authorization = `Bearer ${authToken}`;
+
+    const response = await fetch(url, { ...options, headers });
+    if (response.status === 401 && authToken) {
+        clearSession();
+        showView('login');
+    }
+    return response;
+};
+
+// --- Mises à jour en temps réel (flux /events) ---
+
+// Connexion au flux en cours (AbortController) et délai avant la prochaine reconnexion (ms)
+let liveController = null;
+let liveRetryDelay = 0;
+const LIVE_RETRY_MIN_MS = 2000;
+const LIVE_RETRY_MAX_MS = 60000;
+// Rafraîchissements de vue en attente, regroupés quand plusieurs événements arrivent à la suite
+const liveRefreshTimers = {};
+
+/** Vrai si la vue donnée est affichée */
+const isViewVisible = (viewName) => views[viewName].style.display === 'block';
+
+/** Relance `render` une seule fois pour une rafale d'événements touchant la même vue */
+const scheduleLiveRefresh = (viewName, render) => {
+    clearTimeout(liveRefreshTimers[viewName]);
+    liveRefreshTimers[viewName] = setTimeout(() => {
+        if (isViewVisible(viewName)) render();
+    }, 500);
+};
+
+/** Met à jour les options du formulaire de vente sans toucher à la sélection ni au panier */
+const refreshSaleProductOptions = (products, removed) => {
+    const options = new Map(Array.from(saleProductSelect.options).map(option => [option.value, option]));
+    removed.forEach(id => {
+        if (options.has(id) && saleProductSelect.value !== id) options.get(id).remove();
+    });
+    products.forEach(product => {
+        if (options.has(product._id)) return fillSaleProductOption(options.get(product._id), product);
+        const option = document.createElement('option');
+        fillSaleProductOption(option, product);
+        saleProductSelect.appendChild(option);
+    });
+};
+
+// Traitement de chaque type d'événement reçu du serveur
+const liveHandlers = {
+    products: async ({ products, removed, lowStockCount }) => {
+        // Les ventes encore en attente sur l'appareil restent déduites du stock affiché
+        const updated = applyQueuedSales(products, await getQueuedSales());
+        const byId = new Map(updated.map(product => [product._id, product]));
+        knownProducts = knownProducts
+            .filter(product => !removed.includes(product._id) && !byId.has(product._id))
+            .concat(updated)
+            .sort((a, b) => a.name.localeCompare(b.name));
+        products.forEach(product => putInStore('products', product).catch(() => {}));
+        removed.forEach(id => deleteFromStore('products', id).catch(() => {}));
+
+        if (isViewVisible('list')) {
+            renderLowStockBanner(lowStockCount);
+            scheduleLiveRefresh('list', renderProductList);
+        }
+        if (isViewVisible('saleForm')) refreshSaleProductOptions(updated, removed);
+        if (isViewVisible('dashboard')) scheduleLiveRefresh('dashboard', renderDashboard);
+    },
+    sale: () => {
+        if (isViewVisible('dashboard')) scheduleLiveRefresh('dashboard', renderDashboard);
+    },
+    purchase: () => {
+        if (isViewVisible('dashboard')) scheduleLiveRefresh('dashboard', renderDashboard);
+    }
+};
+
+/** Décode un message du flux (lignes "event:" et "data:", les commentaires ":" sont ignorés) */
+const handleLiveMessage = (raw) => {
+    let event = 'message';
+    const data = [];
+    raw.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+    });
+    if (data.length === 0 || !liveHandlers[event]) return;
+    Promise.resolve(liveHandlers[event](JSON.parse(data.join('\n'))))
+        .catch(error => console.error(`Erreur de mise à jour en temps réel (${event}):`, error));
+};
+
+/**
+ * Ouvre le flux des changements faits depuis les autres terminaux. fetch plutôt qu'EventSource,
+ * qui ne sait pas envoyer le jeton ; en cas de coupure, reconnexion avec un délai croissant.
+ */
+const connectLiveUpdates = async () => {
+    if (liveController || !authToken) return;
+    const controller = new AbortController();
+    liveController = controller;
     try {
-        const response = await fetch(`${API_BASE_URL}/products`);
+        const response = await apiFetch(`${API_BASE_URL}/events`, { signal: controller.signal });
         if (!response.ok) throw new Error(`Status ${response.status}`);
-        return await response.json(); 
+        liveRetryDelay = 0;
+
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += value.replace(/\r\n/g, '\n');
+            const messages = buffer.split('\n\n');
+            buffer = messages.pop();
+            messages.forEach(handleLiveMessage);
+        }
     } catch (error) {
-        // En cas d'échec du backend, on retourne un tableau vide et on notifie l'utilisateur
-        return handleFetchError(error, 'Récupération des produits') || [];
+        if (controller.signal.aborted) return;
+        console.error('Flux temps réel interrompu:', error.message);
+    }
+    if (liveController !== controller) return;
+    liveController = null;
+    if (!authToken) return;
+    liveRetryDelay = Math.min(Math.max(liveRetryDelay * 2, LIVE_RETRY_MIN_MS), LIVE_RETRY_MAX_MS);
+    setTimeout(connectLiveUpdates, liveRetryDelay);
+};
+
+/** Ferme le flux en cours (déconnexion) */
+const disconnectLiveUpdates = () => {
+    if (!liveController) return;
+    liveController.abort();
+    liveController = null;
+};
+
+const login = async (username, password) => {
+    const response = await fetch(`${API_BASE_URL}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.message || `Status ${response.status}`);
     }
+    authToken = data.token;
+    localStorage.setItem(TOKEN_STORAGE_KEY, authToken);
+    return data.user;
 };
 
-const getSales = async () => {
+const getCurrentUser = async () => {
+    let response;
     try {
-        const response = await fetch(`${API_BASE_URL}/sales`);
-        if (!response.ok) throw new Error(`Status ${response.status}`);
-        return await response.json();
+        response = await apiFetch(`${API_BASE_URL}/auth/me`);
     } catch (error) {
-        return handleFetchError(error, 'Récupération des ventes') || [];
+        response = null;
+    }
+    // Serveur injoignable : la session enregistrée reste valable jusqu'au retour du réseau
+    if (!response || SERVER_UNAVAILABLE_STATUSES.includes(response.status)) {
+        return JSON.parse(localStorage.getItem(USER_STORAGE_KEY) || 'null');
     }
+    return response.ok ? response.json() : null;
 };
 
-const saveProductToDB = async (productData) => {
-    const isEditing = productData.id;
-    const url = isEditing ? `${API_BASE_URL}/products/${productData.id}` : `${API_BASE_URL}/products`;
-    const method = isEditing ? 'PUT' : 'POST';
+const logout = async () => {
+    try {
+        await apiFetch(`${API_BASE_URL}/auth/logout`, { method: 'POST' });
+    } catch (error) {
+        // La session locale est effacée même si le serveur est injoignable
+    }
+    clearSession();
+};
 
+/** Télécharge un fichier (requête authentifiée, puis enregistrement via un lien temporaire) */
+const downloadFile = async (path, filename, operation = 'Export CSV') => {
     try {
-        const response = await fetch(url, {
-            method: method,
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(productData)
-        });
-        
-        const data = await response.json();
+        const response = await apiFetch(`${API_BASE_URL}${path}`);
         if (!response.ok) {
+            const data = await response.json();
             throw new Error(data.message || `Status ${response.status}`);
         }
-        showNotification(`Produit ${isEditing ? 'mis à jour' : 'ajouté'} avec succès!`, 'success', 3000);
-        return data; 
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
     } catch (error) {
-        return handleFetchError(error, 'Sauvegarde/Mise à jour du produit');
+        handleFetchError(error, operation);
     }
 };
 
-const deleteProductFromDB = async (id, name) => {
-    // Utilisation de la modale de confirmation
-    const confirmed = await showConfirmationModal(`Êtes-vous sûr de vouloir supprimer le produit "${name}" ? Cette action est irréversible.`);
-    if (!confirmed) return false;
-    
+/** Sauvegardes automatiques : réglages du serveur et archives enregistrées ; null si indisponible */
+const getBackups = async () => {
     try {
-        const response = await fetch(`${API_BASE_URL}/products/${id}`, { method: 'DELETE' });
-        
-        if (response.status === 204) {
-            showNotification(`Produit "${name}" supprimé.`, 'success', 3000);
-            return true;
+        const response = await apiFetch(`${API_BASE_URL}/backups`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
         }
-        
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Sauvegardes');
+    }
+};
+
+/** Enregistre tout de suite une sauvegarde dans le dossier de sauvegarde du serveur */
+const runServerBackup = async () => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/backups`, { method: 'POST' });
         const data = await response.json();
-        throw new Error(data.message || `Status ${response.status}`);
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        showNotification(`Sauvegarde ${data.name} enregistrée.`, 'success', 3000);
+        return data;
     } catch (error) {
-        return handleFetchError(error, 'Suppression du produit') || false;
+        return handleFetchError(error, 'Sauvegarde');
     }
 };
 
-const saveSaleToDB = async (saleData) => {
+/**
+ * Envoie une archive à restaurer (mode 'merge' ou 'replace') ; en dryRun, le serveur la vérifie seulement.
+ * Une archive refusée renvoie aussi son compte rendu, pour afficher les erreurs trouvées.
+ */
+const restoreBackupArchive = async (file, mode, dryRun) => {
     try {
-        const response = await fetch(`${API_BASE_URL}/sales`, {
+        const response = await apiFetch(`${API_BASE_URL}/backups/restore?mode=${mode}&dryRun=${dryRun ? 1 : 0}`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(saleData)
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: file
         });
+        const data = await response.json();
+        if (!response.ok && !data.collections) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        return { ...data, ok: response.ok };
+    } catch (error) {
+        return handleFetchError(error, 'Restauration');
+    }
+};
+
+/** Ouvre le ticket ou la facture PDF d'une vente (téléchargé si le navigateur bloque l'ouverture) */
+const openInvoicePdf = async (saleId, format) => {
+    try {
+        const timezone = encodeURIComponent(Intl.DateTimeFormat().resolvedOptions().timeZone);
+        const response = await apiFetch(`${API_BASE_URL}/sales/${saleId}/invoice.pdf?format=${format}&tz=${timezone}`);
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        const url = URL.createObjectURL(await response.blob());
+        if (!window.open(url, '_blank')) {
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${format === 'a4' ? 'facture' : 'ticket'}-${saleId.slice(-6).toUpperCase()}.pdf`;
+            link.click();
+        }
+        // L'onglet ouvert charge le document après coup : l'URL n'est libérée qu'ensuite
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+        handleFetchError(error, 'Génération du document PDF');
+    }
+};
 
+/** Envoie un CSV de produits ; en dryRun, le serveur renvoie seulement l'aperçu ligne par ligne */
+const importProductsCsv = async (csvText, dryRun) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/import/products?dryRun=${dryRun ? 1 : 0}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/csv' },
+            body: csvText
+        });
         const data = await response.json();
         if (!response.ok) {
             throw new Error(data.message || `Status ${response.status}`);
         }
-        showNotification(`Vente de ${saleData.quantitySold} unités enregistrée !`, 'success', 3000);
         return data;
     } catch (error) {
-        // Le backend renvoie souvent ici une erreur de stock insuffisant
-        return handleFetchError(error, 'Enregistrement de la vente');
+        return handleFetchError(error, 'Import CSV');
     }
 };
 
-
-// -----------------------------------------------------------------
-// 4. Fonctions de Rendu (Asynchrones)
-// -----------------------------------------------------------------
-
-const showView = async (viewName) => {
-    Object.values(views).forEach(view => view.style.display = 'none');
-    views[viewName].style.display = 'block';
-    
-    // Réinitialisation des messages d'alerte et des formulaires
-    alertContainer.innerHTML = '';
-    saleErrorDiv.style.display = 'none';
-
-    if (viewName === 'saleForm') {
-        await populateSaleProductSelect();
-    } else if (viewName === 'saleReport') {
-        await renderSaleReport();
-    } else if (viewName === 'list') {
-        await renderProductList();
+const voidSale = async (saleId, reason) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/sales/${saleId}/void`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reason })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        showNotification(`Vente ${formatTicketNumber(data)} annulée, stock restitué.`, 'success', 3000);
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Annulation de la vente');
     }
 };
 
-const renderProductList = async () => {
-    const products = await getProducts();
-    productTbody.innerHTML = ''; 
-    let lowStockCount = 0;
-
-    if (products.length === 0) {
-        emptyStockMessage.style.display = 'block';
-        return;
-    }
+const saveSaleReturnToDB = async (saleId, returnData) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/sales/${saleId}/returns`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(returnData)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        showNotification(`Retour enregistré : ${formatMoney(Math.abs(data.totalPrice))} à rembourser.`, 'success', 5000);
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Enregistrement du retour');
+    }
+};
+
+/** Récupère les suggestions de réapprovisionnement (fenêtre de ventes et couverture en jours) */
+const getReorderSuggestions = async (days, coverDays) => {
+    try {
+        const params = new URLSearchParams({ days, coverDays });
+        const response = await apiFetch(`${API_BASE_URL}/products/reorder-suggestions?${params}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        return data;
+    } catch (error) {
+        handleFetchError(error, 'Calcul des suggestions de réapprovisionnement');
+        return { data: [] };
+    }
+};
+
+const sendLowStockAlert = async () => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/products/low-stock/notify`, { method: 'POST' });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        const message = data.count > 0
+            ? `Alerte envoyée (${data.notifier}) pour ${data.count} produit(s) en stock faible.`
+            : 'Aucun produit en stock faible : aucune alerte envoyée.';
+        showNotification(message, 'success', 4000);
+    } catch (error) {
+        handleFetchError(error, "Envoi de l'alerte de stock faible");
+    }
+};
+
+/** Récupère une page de l'historique des mouvements d'un produit */
+const getProductMovements = async (productId, page = 1) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/products/${productId}/movements?page=${page}`);
+        if (!response.ok) throw new Error(`Status ${response.status}`);
+        return await response.json();
+    } catch (error) {
+        return handleFetchError(error, "Récupération de l'historique") || EMPTY_PAGE;
+    }
+};
+
+const getUsers = async () => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/users`);
+        if (!response.ok) throw new Error(`Status ${response.status}`);
+        return await response.json();
+    } catch (error) {
+        return handleFetchError(error, 'Récupération des utilisateurs') || [];
+    }
+};
+
+/** Crée (sans id) ou modifie (avec id) un utilisateur */
+const saveUserToDB = async (userData, id = null) => {
+    try {
+        const response = await apiFetch(id ? `${API_BASE_URL}/users/${id}` : `${API_BASE_URL}/users`, {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(userData)
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        showNotification(`Utilisateur "${data.username}" ${id ? 'mis à jour' : 'créé'}.`, 'success', 3000);
+        return data;
+    } catch (error) {
+        return handleFetchError(error, "Sauvegarde de l'utilisateur");
+    }
+};
+
+const deleteUserFromDB = async (id, username) => {
+    const confirmed = await showConfirmationModal(`Êtes-vous sûr de vouloir supprimer l'utilisateur "${username}" ?`);
+    if (!confirmed) return false;
+
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/users/${id}`, { method: 'DELETE' });
+        if (response.status === 204) {
+            showNotification(`Utilisateur "${username}" supprimé.`, 'success', 3000);
+            return true;
+        }
+        const data = await response.json();
+        throw new Error(data.message || `Status ${response.status}`);
+    } catch (error) {
+        return handleFetchError(error, "Suppression de l'utilisateur") || false;
+    }
+};
+
+const getLocations = async () => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/locations`);
+        if (!response.ok) throw new Error(`Status ${response.status}`);
+        locations = await response.json();
+        replaceStore('locations', locations).catch(error => console.error('Erreur copie locale des emplacements:', error));
+    } catch (error) {
+        const cached = await readStore('locations').catch(() => []);
+        if (cached.length === 0) {
+            handleFetchError(error, 'Récupération des emplacements');
+        } else {
+            // Même ordre que le serveur : l'emplacement par défaut en premier
+            locations = cached.sort((a, b) => (b.isDefault - a.isDefault) || a.name.localeCompare(b.name));
+        }
+    }
+    return locations;
+};
+
+/** Crée (sans id) ou modifie (avec id) un emplacement */
+const saveLocationToDB = async (locationData, id = null) => {
+    try {
+        const response = await apiFetch(id ? `${API_BASE_URL}/locations/${id}` : `${API_BASE_URL}/locations`, {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(locationData)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        showNotification(`Emplacement "${data.name}" ${id ? 'mis à jour' : 'créé'}.`, 'success', 3000);
+        return data;
+    } catch (error) {
+        return handleFetchError(error, "Sauvegarde de l'emplacement");
+    }
+};
+
+const deleteLocationFromDB = async (id, name) => {
+    const confirmed = await showConfirmationModal(`Êtes-vous sûr de vouloir supprimer l'emplacement "${name}" ?`);
+    if (!confirmed) return false;
+
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/locations/${id}`, { method: 'DELETE' });
+        if (response.status === 204) {
+            showNotification(`Emplacement "${name}" supprimé.`, 'success', 3000);
+            return true;
+        }
+        const data = await response.json();
+        throw new Error(data.message || `Status ${response.status}`);
+    } catch (error) {
+        return handleFetchError(error, "Suppression de l'emplacement") || false;
+    }
+};
+
+const getTransfers = async (page) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/transfers?page=${page}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Récupération des transferts') || EMPTY_PAGE;
+    }
+};
+
+const saveTransferToDB = async (transferData) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/transfers`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(transferData)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        showNotification(`${data.quantity} × ${data.productName} transféré(s) de ${data.fromLocationName} vers ${data.toLocationName}.`, 'success', 4000);
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Transfert de stock');
+    }
+};
+
+const getSuppliers = async () => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/suppliers`);
+        if (!response.ok) throw new Error(`Status ${response.status}`);
+        return await response.json();
+    } catch (error) {
+        return handleFetchError(error, 'Récupération des fournisseurs') || [];
+    }
+};
+
+/** Crée (sans id) ou modifie (avec id) un fournisseur */
+const saveSupplierToDB = async (supplierData, id = null) => {
+    try {
+        const response = await apiFetch(id ? `${API_BASE_URL}/suppliers/${id}` : `${API_BASE_URL}/suppliers`, {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(supplierData)
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        showNotification(`Fournisseur "${data.name}" ${id ? 'mis à jour' : 'créé'}.`, 'success', 3000);
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Sauvegarde du fournisseur');
+    }
+};
+
+const deleteSupplierFromDB = async (id, name) => {
+    const confirmed = await showConfirmationModal(`Êtes-vous sûr de vouloir supprimer le fournisseur "${name}" ?`);
+    if (!confirmed) return false;
+
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/suppliers/${id}`, { method: 'DELETE' });
+        if (response.status === 204) {
+            showNotification(`Fournisseur "${name}" supprimé.`, 'success', 3000);
+            return true;
+        }
+        const data = await response.json();
+        throw new Error(data.message || `Status ${response.status}`);
+    } catch (error) {
+        return handleFetchError(error, 'Suppression du fournisseur') || false;
+    }
+};
+
+/** Récupère une page de commandes fournisseurs (query : status, supplierId, page) */
+const getPurchaseOrders = async (query) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/purchase-orders?${query}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Récupération des commandes') || EMPTY_PAGE;
+    }
+};
+
+const savePurchaseOrderToDB = async (orderData) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/purchase-orders`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(orderData)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        showNotification(`Commande ${formatTicketNumber(data)} enregistrée en brouillon.`, 'success', 3000);
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Enregistrement de la commande');
+    }
+};
+
+/** Envoie (action 'send') ou annule (action 'cancel') une commande fournisseur */
+const changePurchaseOrderStatus = async (id, action) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/purchase-orders/${id}/${action}`, { method: 'POST' });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        showNotification(`Commande ${formatTicketNumber(data)} : ${PURCHASE_ORDER_STATUS_LABELS[data.status].toLowerCase()}.`, 'success', 3000);
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Mise à jour de la commande');
+    }
+};
+
+const receivePurchaseOrder = async (id, receiptData) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/purchase-orders/${id}/receive`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(receiptData)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        const units = data.purchases.reduce((sum, purchase) => sum + purchase.quantityPurchased, 0);
+        showNotification(`Réception de ${units} unités enregistrée (commande ${PURCHASE_ORDER_STATUS_LABELS[data.order.status].toLowerCase()}).`, 'success', 4000);
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Réception de la commande');
+    }
+};
+
+/** Indicateurs du tableau de bord (query : tz, days) ; null si indisponibles */
+const getDashboard = async (query) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/dashboard?${query}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Tableau de bord');
+    }
+};
+
+/** Récupère une page d'inventaires physiques (query : status, page) */
+const getStockCounts = async (query) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/stock-counts?${query}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Récupération des inventaires') || EMPTY_PAGE;
+    }
+};
+
+/** Récupère un inventaire avec son rapport d'écarts */
+const getStockCount = async (id) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/stock-counts/${id}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        return data;
+    } catch (error) {
+        return handleFetchError(error, "Récupération de l'inventaire");
+    }
+};
+
+const startStockCount = async (countData) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/stock-counts`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(countData)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        showNotification(`Inventaire ${formatTicketNumber(data)} commencé : ${data.summary.itemCount} produit(s) à compter.`, 'success', 3000);
+        return data;
+    } catch (error) {
+        return handleFetchError(error, "Démarrage de l'inventaire");
+    }
+};
+
+/** Enregistre des quantités comptées `[{ productId, countedQuantity }]` (null efface une saisie) */
+const saveStockCountLines = async (id, counts) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/stock-counts/${id}/counts`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ counts })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        showNotification(`${counts.length} comptage(s) enregistré(s).`, 'success', 2000);
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Enregistrement des comptages');
+    }
+};
+
+/** Valide (action 'post') ou abandonne (action 'cancel') un inventaire */
+const changeStockCountStatus = async (id, action) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/stock-counts/${id}/${action}`, { method: 'POST' });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        showNotification(`Inventaire ${formatTicketNumber(data)} : ${STOCK_COUNT_STATUS_LABELS[data.status].toLowerCase()}.`, 'success', 3000);
+        return data;
+    } catch (error) {
+        return handleFetchError(error, "Mise à jour de l'inventaire");
+    }
+};
+
+/** Clients par nom, avec leur encours (search : nom ou téléphone) */
+const getCustomers = async (search = '') => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/customers?${new URLSearchParams({ search })}`);
+        if (!response.ok) throw new Error(`Status ${response.status}`);
+        return await response.json();
+    } catch (error) {
+        return handleFetchError(error, 'Récupération des clients') || [];
+    }
+};
+
+/** Crée (sans id) ou modifie (avec id) un client */
+const saveCustomerToDB = async (customerData, id = null) => {
+    try {
+        const response = await apiFetch(id ? `${API_BASE_URL}/customers/${id}` : `${API_BASE_URL}/customers`, {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(customerData)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        showNotification(`Client "${data.name}" ${id ? 'mis à jour' : 'créé'}.`, 'success', 3000);
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Sauvegarde du client');
+    }
+};
+
+const deleteCustomerFromDB = async (id, name) => {
+    const confirmed = await showConfirmationModal(`Êtes-vous sûr de vouloir supprimer le client "${name}" ? Ses ventes garderont son nom.`);
+    if (!confirmed) return false;
+
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/customers/${id}`, { method: 'DELETE' });
+        if (response.status === 204) {
+            showNotification(`Client "${name}" supprimé.`, 'success', 3000);
+            return true;
+        }
+        const data = await response.json();
+        throw new Error(data.message || `Status ${response.status}`);
+    } catch (error) {
+        return handleFetchError(error, 'Suppression du client') || false;
+    }
+};
+
+/** Relevé de compte d'un client (query : from, to) ; null si indisponible */
+const getCustomerStatement = async (id, query) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/customers/${id}/statement?${query}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Relevé de compte');
+    }
+};
+
+/** Balance âgée des créances clients ; null si indisponible */
+const getReceivables = async () => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/customers/receivables`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Balance âgée');
+    }
+};
+
+/**
+ * Enregistre un règlement { amount, method } sur une vente (saleId) ou sur le compte d'un client (customerId),
+ * encaissé par la caisse ouverte sur ce poste
+ */
+const recordPayment = async ({ saleId, customerId }, paymentData) => {
+    try {
+        const url = saleId ? `${API_BASE_URL}/sales/${saleId}/payments` : `${API_BASE_URL}/customers/${customerId}/payments`;
+        const response = await apiFetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...paymentData, ...(terminalCashSession && { cashSessionId: terminalCashSession._id }) })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        showNotification(`Règlement de ${formatMoney(paymentData.amount)} enregistré.`, 'success', 3000);
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Enregistrement du règlement');
+    }
+};
+
+/** Sessions de caisse, les plus récentes d'abord (query : status, locationId, page, limit) ; null si indisponible */
+const getCashSessions = async (query) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/cash-sessions?${query}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Sessions de caisse');
+    }
+};
+
+/** Session de caisse et montants attendus par moyen de paiement ; null si indisponible */
+const getCashSession = async (id) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/cash-sessions/${id}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Session de caisse');
+    }
+};
+
+/** Ouvre une session de caisse { locationId, register, openingFloat } */
+const openCashSession = async (sessionData) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/cash-sessions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(sessionData)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        showNotification(`${data.register} ouverte avec un fond de ${formatMoney(data.openingFloat)}.`, 'success', 3000);
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Ouverture de la caisse');
+    }
+};
+
+/** Ferme une session de caisse { counted: { cash, card, ... }, notes } */
+const closeCashSession = async (id, closeData) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/cash-sessions/${id}/close`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(closeData)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        showNotification(`${data.register} fermée.`, 'success', 3000);
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Fermeture de la caisse');
+    }
+};
+
+/** Aperçu de la clôture (Z) d'une journée (query : date, tz, locationId) ; null si indisponible */
+const getDayClosingPreview = async (query) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/day-closings/preview?${query}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Aperçu de la clôture');
+    }
+};
+
+/** Clôtures journalières (Z), les plus récentes d'abord (query : locationId, page, limit) ; null si indisponible */
+const getDayClosings = async (query) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/day-closings?${query}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Clôtures journalières');
+    }
+};
+
+/** Clôture une journée (Z) { date, tz, locationId } : elle ne pourra plus être modifiée */
+const createDayClosing = async (closingData) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/day-closings`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(closingData)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        showNotification(`Journée du ${data.date} clôturée.`, 'success', 3000);
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Clôture de la journée');
+    }
+};
+
+/** Rapport des lots périmés ou qui périment bientôt (query : days, locationId) ; null si indisponible */
+const getExpiringLots = async (query) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/lots/expiring?${query}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Lots à péremption');
+    }
+};
+
+/** Met au rebut `quantity` unités d'un lot, ou (sans lotId) tous les lots périmés de `locationId` */
+const writeOffLots = async (lotId, body) => {
+    try {
+        const url = lotId ? `${API_BASE_URL}/lots/${lotId}/write-off` : `${API_BASE_URL}/lots/write-off-expired`;
+        const response = await apiFetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        showNotification(lotId ? `Lot ${data.lotNumber} mis au rebut.` : `${data.lotCount} lot(s) périmé(s) mis au rebut (${formatMoney(data.value)}).`, 'success', 3000);
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Mise au rebut');
+    }
+};
+
+const getProducts = async () => {
+    let products;
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/products`);
+        if (!response.ok) throw new Error(`Status ${response.status}`);
+        products = await response.json(); 
+        replaceStore('products', products).catch(error => console.error('Erreur copie locale des produits:', error));
+    } catch (error) {
+        // Backend injoignable : on travaille sur la dernière copie locale, à défaut un tableau vide
+        products = await readStore('products').catch(() => []);
+        if (products.length === 0) {
+            return handleFetchError(error, 'Récupération des produits') || [];
+        }
+        products.sort((a, b) => a.name.localeCompare(b.name));
+        showNotification('Serveur injoignable : affichage de la dernière copie locale du stock.', 'low-stock', 4000);
+    }
+    knownProducts = applyQueuedSales(products, await getQueuedSales());
+    return knownProducts;
+};
+
+/** Recherche serveur d'un produit par code-barres ou SKU ; null s'il n'existe pas */
+const lookupProductByCode = async (code) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/products/lookup/${encodeURIComponent(code)}`);
+        if (response.status === 404) return null;
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Recherche du code produit');
+    }
+};
+
+/**
+ * Produit correspondant à un code scanné : d'abord parmi les produits déjà chargés (instantané,
+ * fonctionne hors ligne), sinon auprès du serveur (produit créé depuis le dernier chargement).
+ */
+const findProductByCode = async (code) => {
+    const local = knownProducts.find(product => product.barcode === code || product.sku === code);
+    if (local) return local;
+    const product = await lookupProductByCode(code);
+    return product ? applyQueuedSales([product], await getQueuedSales())[0] : null;
+};
+
+/** Attribue un code-barres interne aux produits qui n'en ont pas */
+const generateBarcodes = async () => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/products/barcodes/generate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({})
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        showNotification(`${data.count} code(s)-barres interne(s) attribué(s).`, 'success', 4000);
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Génération des codes-barres');
+    }
+};
+
+// Résultats vides renvoyés en cas d'échec, pour que les rapports restent affichables
+const EMPTY_PAGE = { data: [], page: 1, pages: 1, total: 0 };
+const EMPTY_SUMMARY = { totals: { amount: 0, quantity: 0, count: 0 }, byPeriod: [], byProduct: [] };
+const EMPTY_VAT_SUMMARY = { totals: { net: 0, tax: 0, gross: 0 }, byRate: [], byPeriod: [] };
+
+/** Récupère une page de ventes (query : chaîne de requête des filtres) */
+const getSales = async (query = '') => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/sales?${query}`);
+        if (!response.ok) throw new Error(`Status ${response.status}`);
+        return await response.json();
+    } catch (error) {
+        return handleFetchError(error, 'Récupération des ventes') || EMPTY_PAGE;
+    }
+};
+
+const getSalesSummary = async (query = '') => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/sales/summary?${query}`);
+        if (!response.ok) throw new Error(`Status ${response.status}`);
+        return await response.json();
+    } catch (error) {
+        return handleFetchError(error, 'Synthèse des ventes') || EMPTY_SUMMARY;
+    }
+};
+
+/** Récapitulatif de TVA collectée, par taux et par période (query : chaîne de requête des filtres) */
+const getVatSummary = async (query = '') => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/sales/vat-summary?${query}`);
+        if (!response.ok) throw new Error(`Status ${response.status}`);
+        return await response.json();
+    } catch (error) {
+        return handleFetchError(error, 'Récapitulatif de TVA') || EMPTY_VAT_SUMMARY;
+    }
+};
+
+/** Récupère une page d'achats (query : chaîne de requête des filtres) */
+const getPurchases = async (query = '') => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/purchases?${query}`);
+        if (!response.ok) throw new Error(`Status ${response.status}`);
+        return await response.json();
+    } catch (error) {
+        return handleFetchError(error, 'Récupération des achats') || EMPTY_PAGE;
+    }
+};
+
+const getPurchasesSummary = async (query = '') => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/purchases/summary?${query}`);
+        if (!response.ok) throw new Error(`Status ${response.status}`);
+        return await response.json();
+    } catch (error) {
+        return handleFetchError(error, 'Synthèse des achats') || EMPTY_SUMMARY;
+    }
+};
+
+const saveProductToDB = async (productData) => {
+    const isEditing = productData.id;
+    const url = isEditing ? `${API_BASE_URL}/products/${productData.id}` : `${API_BASE_URL}/products`;
+    const method = isEditing ? 'PUT' : 'POST';
+
+    try {
+        const response = await apiFetch(url, {
+            method: method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(productData)
+        });
+        
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        showNotification(`Produit ${isEditing ? 'mis à jour' : 'ajouté'} avec succès!`, 'success', 3000);
+        return data; 
+    } catch (error) {
+        return handleFetchError(error, 'Sauvegarde/Mise à jour du produit');
+    }
+};
+
+/**
+ * Page de l'inventaire (recherche, filtres, tri, valorisation) calculée par le serveur ;
+ * hors ligne, la même sélection est faite sur la copie locale des produits.
+ */
+const getInventoryPage = async (params) => {
+    const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value !== '' && value !== undefined));
+    let response;
+    try {
+        response = await apiFetch(`${API_BASE_URL}/products?${query}`);
+    } catch (error) {
+        response = null;
+    }
+    if (!response || SERVER_UNAVAILABLE_STATUSES.includes(response.status)) {
+        return searchInventoryLocally(params, await getProducts());
+    }
+
+    try {
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        return data;
+    } catch (error) {
+        return handleFetchError(error, "Récupération de l'inventaire") || { ...EMPTY_PAGE, valuation: null, lowStockCount: 0 };
+    }
+};
+
+/** Même sélection que GET /products?page=..., sur une liste de produits déjà chargée */
+const searchInventoryLocally = (params, products) => {
+    const search = (params.search || '').toLowerCase();
+    const categoryNames = new Map(categories.map(category => [category._id, category.name]));
+    const rows = products
+        .map(product => {
+            const stockQuantity = params.locationId ? getLocationQuantity(product, params.locationId) : product.quantity;
+            return {
+                ...product,
+                stockQuantity,
+                stockValue: stockQuantity * (product.averageCost ?? product.price),
+                categoryName: product.categoryId ? categoryNames.get(product.categoryId) || '?' : null
+            };
+        })
+        .filter(product =>
+            (!search || [product.name, product.sku, product.barcode].some(value => value && value.toLowerCase().includes(search)))
+            && (!params.categoryId || (params.categoryId === 'none' ? !product.categoryId : product.categoryId === params.categoryId))
+            && (params.stock !== 'low' || product.quantity <= product.minStockLevel)
+            && (params.stock !== 'out' || product.quantity <= 0)
+            && (!params.locationId || product.stockQuantity > 0));
+
+    const sortKey = { name: 'name', quantity: 'stockQuantity', value: 'stockValue', price: 'price' }[params.sort];
+    const direction = params.order === 'desc' ? -1 : 1;
+    rows.sort((a, b) => direction * (sortKey === 'name' ? a.name.localeCompare(b.name) : a[sortKey] - b[sortKey])
+        || a.name.localeCompare(b.name));
+
+    const groups = new Map();
+    rows.forEach(product => {
+        const group = groups.get(product.categoryName) || { categoryId: product.categoryId || null, categoryName: product.categoryName, count: 0, units: 0, value: 0 };
+        group.count++;
+        group.units += product.stockQuantity;
+        group.value += product.stockValue;
+        groups.set(product.categoryName, group);
+    });
+    const byCategory = [...groups.values()].sort((a, b) =>
+        (a.categoryName === null) - (b.categoryName === null) || (a.categoryName || '').localeCompare(b.categoryName || ''));
+
+    const limit = 50;
+    const pages = Math.max(Math.ceil(rows.length / limit), 1);
+    const page = Math.min(params.page, pages);
+    return {
+        data: rows.slice((page - 1) * limit, page * limit),
+        page,
+        limit,
+        total: rows.length,
+        pages,
+        valuation: {
+            units: byCategory.reduce((sum, group) => sum + group.units, 0),
+            value: byCategory.reduce((sum, group) => sum + group.value, 0),
+            byCategory
+        },
+        lowStockCount: products.filter(product => product.quantity <= product.minStockLevel).length
+    };
+};
+
+const getCategories = async () => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/categories`);
+        if (!response.ok) throw new Error(`Status ${response.status}`);
+        categories = await response.json();
+    } catch (error) {
+        // Hors ligne, on garde la dernière liste connue
+        console.error('Erreur Récupération des catégories:', error);
+    }
+    return categories;
+};
+
+/** Crée (sans id) ou renomme (avec id) une catégorie */
+const saveCategoryToDB = async (categoryData, id = null) => {
+    try {
+        const response = await apiFetch(id ? `${API_BASE_URL}/categories/${id}` : `${API_BASE_URL}/categories`, {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(categoryData)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        showNotification(`Catégorie "${data.name}" ${id ? 'mise à jour' : 'créée'}.`, 'success', 3000);
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Sauvegarde de la catégorie');
+    }
+};
+
+/** Produits parents (produits à variantes) avec leur nombre de variantes ; liste vide hors ligne */
+const getParentProducts = async () => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/parent-products`);
+        if (!response.ok) throw new Error(`Status ${response.status}`);
+        return await response.json();
+    } catch (error) {
+        console.error('Erreur Récupération des produits parents:', error);
+        return [];
+    }
+};
+
+/** Produit parent et ses variantes */
+const getParentProduct = async (id) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/parent-products/${id}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Récupération du produit parent');
+    }
+};
+
+/** Crée un produit parent et sa grille de variantes (sans id) ou ajoute des variantes au parent `id` */
+const saveVariantsToDB = async (data, id = null) => {
+    try {
+        const response = await apiFetch(id ? `${API_BASE_URL}/parent-products/${id}/variants` : `${API_BASE_URL}/parent-products`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.message || `Status ${response.status}`);
+        }
+        const count = id ? result.length : result.variants.length;
+        showNotification(`${count} variante(s) créée(s).`, 'success', 3000);
+        return result;
+    } catch (error) {
+        return handleFetchError(error, 'Création des variantes');
+    }
+};
+
+/** Recharge les réglages du magasin (hors ligne, les derniers connus restent en vigueur) */
+const getSettings = async () => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/settings`);
+        if (!response.ok) throw new Error(`Status ${response.status}`);
+        shopSettings = await response.json();
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(shopSettings));
+    } catch (error) {
+        console.error('Erreur Récupération des réglages:', error);
+    }
+    applyCurrencySettings();
+    return shopSettings;
+};
+
+const saveSettingsToDB = async (settingsData) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/settings`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(settingsData)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        shopSettings = data;
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(shopSettings));
+        applyCurrencySettings();
+        showNotification('Réglages enregistrés.', 'success', 3000);
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Sauvegarde des réglages');
+    }
+};
+
+const deleteCategoryFromDB = async (id, name) => {
+    const confirmed = await showConfirmationModal(`Êtes-vous sûr de vouloir supprimer la catégorie "${name}" ?`);
+    if (!confirmed) return false;
+
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/categories/${id}`, { method: 'DELETE' });
+        if (response.status === 204) {
+            showNotification(`Catégorie "${name}" supprimée.`, 'success', 3000);
+            return true;
+        }
+        const data = await response.json();
+        throw new Error(data.message || `Status ${response.status}`);
+    } catch (error) {
+        return handleFetchError(error, 'Suppression de la catégorie') || false;
+    }
+};
+
+const deleteProductFromDB = async (id, name) => {
+    // Utilisation de la modale de confirmation
+    const confirmed = await showConfirmationModal(`Êtes-vous sûr de vouloir supprimer le produit "${name}" ? Cette action est irréversible.`);
+    if (!confirmed) return false;
+    
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/products/${id}`, { method: 'DELETE' });
+        
+        if (response.status === 204) {
+            showNotification(`Produit "${name}" supprimé.`, 'success', 3000);
+            return true;
+        }
+        
+        const data = await response.json();
+        throw new Error(data.message || `Status ${response.status}`);
+    } catch (error) {
+        return handleFetchError(error, 'Suppression du produit') || false;
+    }
+};
+
+/** Envoie une vente avec sa clé d'idempotence : un renvoi de la même clé ne l'enregistre jamais deux fois */
+const postSale = (sale) => apiFetch(`${API_BASE_URL}/sales`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': sale.idempotencyKey },
+    body: JSON.stringify(sale)
+});
+
+const saveSaleToDB = async (saleData) => {
+    const sale = { ...saleData, idempotencyKey: crypto.randomUUID() };
+
+    let response;
+    try {
+        response = await postSale(sale);
+    } catch (error) {
+        response = null;
+    }
+
+    // Réseau coupé ou serveur endormi : la vente est gardée sur l'appareil et sera rejouée
+    if (!response || SERVER_UNAVAILABLE_STATUSES.includes(response.status)) {
+        try {
+            // La date de saisie est transmise au serveur, qui la garde comme date de vente
+            await putInStore('saleQueue', {
+                ...sale,
+                offlineCreatedAt: new Date().toISOString(),
+                status: 'pending',
+                createdByName: currentUser.username
+            });
+        } catch (error) {
+            return handleFetchError(error, 'Enregistrement local de la vente');
+        }
+        await updateOfflineStatus();
+        showNotification('Serveur injoignable : vente conservée sur cet appareil, elle sera envoyée au retour de la connexion.', 'low-stock', 6000);
+        return sale;
+    }
+
+    try {
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        const unitCount = saleData.items.reduce((sum, item) => sum + item.quantitySold, 0);
+        showNotification(`Vente de ${unitCount} unités (${saleData.items.length} ligne(s)) enregistrée !`, 'success', 3000);
+        return data;
+    } catch (error) {
+        // Le backend renvoie souvent ici une erreur de stock insuffisant
+        return handleFetchError(error, 'Enregistrement de la vente');
+    }
+};
+
+/**
+ * Rejoue la file des ventes hors ligne dans l'ordre de saisie. S'arrête dès que le serveur est
+ * de nouveau injoignable ; une vente refusée (stock insuffisant, produit supprimé...) passe en conflit.
+ */
+const syncQueuedSales = async () => {
+    if (syncInProgress || !authToken) return;
+    syncInProgress = true;
+    let synced = 0;
+    let conflicts = 0;
+
+    try {
+        const pending = (await getQueuedSales()).filter(sale => sale.status === 'pending');
+        for (const sale of pending) {
+            let response;
+            try {
+                response = await postSale(sale);
+            } catch (error) {
+                break;
+            }
+            if (SERVER_UNAVAILABLE_STATUSES.includes(response.status) || response.status === 401) break;
+
+            if (response.ok) {
+                await deleteFromStore('saleQueue', sale.idempotencyKey);
+                synced++;
+            } else {
+                const data = await response.json().catch(() => ({}));
+                await putInStore('saleQueue', { ...sale, status: 'conflict', error: data.message || `Status ${response.status}` });
+                conflicts++;
+            }
+        }
+    } catch (error) {
+        console.error('Erreur synchronisation des ventes hors ligne:', error);
+    } finally {
+        syncInProgress = false;
+    }
+
+    if (synced > 0) {
+        showNotification(`${synced} vente(s) hors ligne envoyée(s) au serveur.`, 'success', 4000);
+    }
+    if (conflicts > 0) {
+        showNotification(`${conflicts} vente(s) hors ligne refusée(s) par le serveur : voir "Ventes en attente".`, 'error', 10000);
+    }
+    await updateOfflineStatus();
+    if (views.offlineQueue.style.display !== 'none') await renderOfflineQueue();
+};
+
+const savePurchaseToDB = async (purchaseData) => {
+    try {
+        const response = await apiFetch(`${API_BASE_URL}/purchases`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(purchaseData)
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || `Status ${response.status}`);
+        }
+        showNotification(`Réception de ${purchaseData.quantityPurchased} unités enregistrée !`, 'success', 3000);
+        return data;
+    } catch (error) {
+        return handleFetchError(error, 'Enregistrement de la réception');
+    }
+};
+
+
+// -----------------------------------------------------------------
+// 4. Fonctions de Rendu (Asynchrones)
+// -----------------------------------------------------------------
+
+const showView = async (viewName) => {
+    Object.values(views).forEach(view => view.style.display = 'none');
+    views[viewName].style.display = 'block';
+    
+    // Réinitialisation des messages d'alerte et des formulaires
+    alertContainer.innerHTML = '';
+    saleErrorDiv.style.display = 'none';
+    purchaseErrorDiv.style.display = 'none';
+    loginErrorDiv.style.display = 'none';
+
+    if (viewName === 'saleForm') {
+        await populateSaleProductSelect();
+        document.getElementById('sale-scan').focus();
+    } else if (viewName === 'purchaseForm') {
+        await populatePurchaseProductSelect();
+        document.getElementById('purchase-scan').focus();
+    } else if (viewName === 'saleReport') {
+        await populateReportProductSelect('sale-report');
+        await renderSaleReport();
+    } else if (viewName === 'purchaseReport') {
+        await populateReportProductSelect('purchase-report');
+        await renderPurchaseReport();
+    } else if (viewName === 'profitReport') {
+        await populateReportProductSelect('profit-report');
+        await renderProfitReport();
+    } else if (viewName === 'dashboard') {
+        await renderDashboard();
+    } else if (viewName === 'stockCounts') {
+        await renderStockCounts();
+    } else if (viewName === 'stockCount') {
+        await renderStockCount();
+    } else if (viewName === 'lots') {
+        await renderLots();
+    } else if (viewName === 'customers') {
+        await renderCustomerList();
+    } else if (viewName === 'customerStatement') {
+        await renderCustomerStatement();
+    } else if (viewName === 'receivables') {
+        await renderReceivables();
+    } else if (viewName === 'cashRegister') {
+        await renderCashRegister();
+    } else if (viewName === 'backups') {
+        document.getElementById('restore-form').reset();
+        document.getElementById('restore-result').style.display = 'none';
+        document.getElementById('confirm-restore-btn').disabled = true;
+        await renderBackups();
+    } else if (viewName === 'vatReport') {
+        await renderVatReport();
+    } else if (viewName === 'settings') {
+        await renderSettingsForm();
+    } else if (viewName === 'reorder') {
+        await renderReorderSuggestions();
+    } else if (viewName === 'locations') {
+        await renderLocations();
+    } else if (viewName === 'categories') {
+        await renderCategories();
+    } else if (viewName === 'labels') {
+        await renderLabels();
+    } else if (viewName === 'offlineQueue') {
+        await getLocations();
+        await renderOfflineQueue();
+    } else if (viewName === 'suppliers') {
+        await renderSupplierList();
+    } else if (viewName === 'purchaseOrders') {
+        await renderPurchaseOrders();
+    } else if (viewName === 'purchaseOrderForm') {
+        await renderPurchaseOrderForm();
+    } else if (viewName === 'purchaseOrderReceive') {
+        await renderPurchaseOrderReceiveForm();
+    } else if (viewName === 'users') {
+        await renderUserList();
+    } else if (viewName === 'saleReturn') {
+        renderSaleReturnForm();
+    } else if (viewName === 'productHistory') {
+        await renderProductHistory();
+    } else if (viewName === 'list') {
+        await renderProductList();
+    }
+};
+
+const renderProductList = async () => {
+    await Promise.all([getLocations(), getCategories()]);
+    fillLocationSelect(inventoryLocationSelect, 'Tous les emplacements');
+    fillCategorySelect(inventoryCategorySelect, 'Toutes les catégories', true);
+
+    // Avec un filtre d'emplacement, seuls les produits présents y sont listés, avec leur quantité sur place
+    const locationId = inventoryLocationSelect.value;
+    const result = await getInventoryPage({
+        page: inventoryState.page,
+        search: inventorySearchInput.value.trim(),
+        categoryId: inventoryCategorySelect.value,
+        stock: inventoryStockSelect.value,
+        locationId,
+        sort: inventoryState.sort,
+        order: inventoryState.order
+    });
+    productTbody.innerHTML = ''; 
+    productTfoot.innerHTML = '';
+    renderPagination('products', result);
+
+    document.querySelectorAll('#product-sort-headers th[data-sort]').forEach(th => {
+        th.classList.toggle('sort-asc', th.dataset.sort === inventoryState.sort && inventoryState.order === 'asc');
+        th.classList.toggle('sort-desc', th.dataset.sort === inventoryState.sort && inventoryState.order === 'desc');
+    });
+
+    // Le message « stock vide » n'est affiché que sans filtre ; sinon la pagination indique 0 résultat
+    const filtered = Boolean(inventorySearchInput.value.trim() || inventoryCategorySelect.value || inventoryStockSelect.value || locationId);
+    emptyStockMessage.style.display = result.total === 0 && !filtered ? 'block' : 'none';
+
+    const locationNames = new Map(locations.map(location => [location._id, location.name]));
+
+    result.data.forEach(product => {
+        // Correction de la vérification de stock : price n'est pas utilisé pour la quantité
+        const isLowStock = product.quantity <= product.minStockLevel;
+
+        const row = productTbody.insertRow();
+        row.className = isLowStock ? 'low-stock' : '';
+
+        const nameCell = row.insertCell();
+        nameCell.textContent = product.name;
+        const details = [product.brand, product.sku, product.barcode].filter(Boolean).join(' · ');
+        if (details) {
+            const detailsSpan = document.createElement('span');
+            detailsSpan.className = 'product-codes';
+            detailsSpan.textContent = details;
+            nameCell.appendChild(detailsSpan);
+        }
+        row.insertCell().textContent = product.categoryName || '—';
+        row.insertCell().textContent = product.unit ? `${product.stockQuantity} ${product.unit}` : product.stockQuantity;
+        row.insertCell().textContent = formatMoney(product.price); // Prix d'achat
+        row.insertCell().textContent = formatMoney(product.stockValue);
+        row.insertCell().textContent = product.minStockLevel;
+
+        // Répartition par emplacement, suivie du repère de rangement s'il est renseigné
+        const breakdown = (product.stocks || [])
+            .filter(stock => stock.quantity > 0)
+            .map(stock => `${locationNames.get(stock.locationId) || '?'} : ${stock.quantity}`)
+            .join(' · ');
+        row.insertCell().textContent = [breakdown, product.location].filter(Boolean).join(' — ') || '—';
+
+        const actionCell = row.insertCell();
+
+        if (hasRole('admin', 'viewer')) {
+            const historyBtn = document.createElement('button');
+            historyBtn.className = 'btn btn-info btn-small';
+            historyBtn.textContent = 'Historique';
+            historyBtn.onclick = () => showProductHistory(product._id, product.name);
+            actionCell.appendChild(historyBtn);
+            actionCell.appendChild(document.createTextNode(' '));
+        }
+
+        // Seuls les administrateurs gèrent les produits et les prix
+        if (!hasRole('admin')) return;
+        
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn btn-warning btn-small';
+        editBtn.textContent = 'Modifier';
+        editBtn.onclick = () => editProduct(product._id); 
+        actionCell.appendChild(editBtn);
+        
+        actionCell.appendChild(document.createTextNode(' ')); 
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-danger btn-small';
+        deleteBtn.textContent = 'Supprimer';
+        deleteBtn.onclick = async () => { 
+            const success = await deleteProductFromDB(product._id, product.name);
+            if(success) await renderProductList();
+        };
+        actionCell.appendChild(deleteBtn);
+    });
+    
+    // Pied de tableau : valorisation de toute la sélection, par catégorie puis au total
+    if (result.valuation) {
+        const addValuationRow = (label, group) => {
+            const row = productTfoot.insertRow();
+            const header = document.createElement('th');
+            header.colSpan = 2;
+            header.textContent = label;
+            row.appendChild(header);
+            const unitsCell = document.createElement('th');
+            unitsCell.textContent = `${group.units} unités`;
+            row.appendChild(unitsCell);
+            row.appendChild(document.createElement('th'));
+            const valueCell = document.createElement('th');
+            valueCell.textContent = formatMoney(group.value);
+            row.appendChild(valueCell);
+            const filler = document.createElement('th');
+            filler.colSpan = 3;
+            row.appendChild(filler);
+        };
+        if (result.valuation.byCategory.length > 1) {
+            result.valuation.byCategory.forEach(group =>
+                addValuationRow(`${group.categoryName || 'Sans catégorie'} (${group.count} produit(s)) :`, group));
+        }
+        addValuationRow(locationId ? `Total ${locationNames.get(locationId)} :` : 'Total :', result.valuation);
+    }
+
+    renderLowStockBanner(result.lowStockCount);
+};
+
+/** Affiche, met à jour ou retire le bandeau de stock faible sans effacer les autres notifications */
+const renderLowStockBanner = (lowStockCount) => {
+    let banner = document.getElementById('low-stock-banner');
+    if (lowStockCount <= 0) {
+        if (banner) banner.remove();
+        return;
+    }
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.id = 'low-stock-banner';
+        banner.className = 'alert alert-low-stock';
+        alertContainer.prepend(banner);
+    }
+    banner.textContent = `⚠️ **ATTENTION !** ${lowStockCount} produit(s) sont en **stock faible** (sous le seuil minimum).`;
+};
+
+/** Remplit le filtre produit d'un rapport en conservant la sélection courante */
+const populateReportProductSelect = async (prefix) => {
+    const select = document.getElementById(`${prefix}-product`);
+    const selected = select.value;
+    const [products, parents] = await Promise.all([getProducts(), getParentProducts()]);
+
+    select.innerHTML = '<option value="">Tous les produits</option>';
+    products.forEach(product => {
+        const option = document.createElement('option');
+        option.value = product._id;
+        option.textContent = product.name;
+        select.appendChild(option);
+    });
+    // Produits à variantes : toutes leurs variantes d'un coup
+    if (parents.length > 0) {
+        const group = document.createElement('optgroup');
+        group.label = 'Toutes les variantes de';
+        parents.forEach(parent => {
+            const option = document.createElement('option');
+            option.value = `parent:${parent._id}`;
+            option.textContent = `${parent.name} (${parent.variantCount} variante(s))`;
+            group.appendChild(option);
+        });
+        select.appendChild(group);
+    }
+    select.value = selected;
+};
+
+const renderSaleReport = async () => {
+    const groupBy = document.getElementById('sale-report-group').value;
+    const [result, summary] = await Promise.all([
+        getSales(buildReportQuery('sale-report', { page: reportPages['sale-report'] })),
+        getSalesSummary(buildReportQuery('sale-report', { groupBy, tz: Intl.DateTimeFormat().resolvedOptions().timeZone }))
+    ]);
+    const sales = result.data;
+    saleReportTbody.innerHTML = '';
+    saleReportTfoot.innerHTML = '';
+    
+    const reportActions = views.saleReport.querySelector('.report-actions'); 
+    const summaryContainer = document.getElementById('sale-summary');
+    renderPagination('sale-report', result);
+
+    if (sales.length === 0) {
+        emptySalesMessage.style.display = 'block';
+        if (reportActions) reportActions.style.display = 'none';
+        summaryContainer.style.display = 'none';
+        return;
+    }
+    emptySalesMessage.style.display = 'none';
+    if (reportActions) reportActions.style.display = 'block';
+    summaryContainer.style.display = 'block';
+
+    sales.forEach(sale => {
+        const date = new Date(sale.saleDate);
+        const formattedDate = `${date.toLocaleDateString()} ${date.toLocaleTimeString()}`;
+
+        // Une ligne de tableau par ligne de ticket ; date, numéro et total du ticket sont fusionnés
+        sale.items.forEach((item, index) => {
+            const row = saleReportTbody.insertRow();
+
+            if (index === 0) {
+                const dateCell = row.insertCell();
+                dateCell.rowSpan = sale.items.length;
+                dateCell.textContent = formattedDate;
+
+                const ticketCell = row.insertCell();
+                ticketCell.rowSpan = sale.items.length;
+                ticketCell.textContent = describeTicket(sale);
+
+                const sellerCell = row.insertCell();
+                sellerCell.rowSpan = sale.items.length;
+                sellerCell.textContent = sale.createdByName || '—';
+            }
+
+            row.insertCell().textContent = item.productName;
+            row.insertCell().textContent = formatMoney(item.unitPrice);
+            row.insertCell().textContent = item.quantitySold;
+            row.insertCell().textContent = formatMoney(item.totalPrice);
+
+            if (index === 0) {
+                const ticketTotalCell = row.insertCell();
+                ticketTotalCell.rowSpan = sale.items.length;
+                ticketTotalCell.textContent = formatMoney(sale.totalPrice);
+
+                const actionCell = row.insertCell();
+                actionCell.rowSpan = sale.items.length;
+                renderSaleActions(actionCell, sale);
+            }
+
+            if (sale.status === 'voided') row.className = 'sale-voided';
+            else if (sale.type === 'return') row.className = 'sale-return';
+        });
+    });
+
+    // Le total couvre toute la période filtrée, pas seulement la page affichée
+    const totalRow = saleReportTfoot.insertRow();
+    const totalHeader = document.createElement('th');
+    totalHeader.colSpan = 7;
+    totalHeader.textContent = 'Revenu Total Généré :';
+    totalRow.appendChild(totalHeader);
+    
+    const revenueCell = document.createElement('th');
+    revenueCell.textContent = formatMoney(summary.totals.amount);
+    totalRow.appendChild(revenueCell);
+    totalRow.appendChild(document.createElement('th'));
+
+    renderSummaryRows(document.getElementById('sale-summary-period-tbody'), summary.byPeriod, 'period');
+    renderSummaryRows(document.getElementById('sale-summary-product-tbody'), summary.byProduct, 'productName');
+};
+
+/** Libellé d'un ticket dans le rapport : numéro, annulation ou vente d'origine d'un retour */
+const describeTicket = (sale) => {
+    const number = sale.invoiceNumber ? `${formatTicketNumber(sale)} (${formatInvoiceNumber(sale)})` : formatTicketNumber(sale);
+    if (sale.type === 'return') {
+        return `Retour ${number} (vente #${sale.originalSaleId.slice(-6).toUpperCase()}) : ${sale.reason}`;
+    }
+    if (sale.status === 'voided') {
+        return `${number} ANNULÉE : ${sale.voidReason}`;
+    }
+    const amountDue = sale.totalPrice - (sale.amountPaid ?? sale.totalPrice);
+    return [
+        number,
+        sale.customerName ? `Client : ${sale.customerName}` : '',
+        sale.paymentMethod ? PAYMENT_METHOD_LABELS[sale.paymentMethod] : '',
+        sale.changeGiven > 0 ? `Rendu : ${formatMoney(sale.changeGiven)}` : '',
+        amountDue > 0 ? `Reste dû : ${formatMoney(amountDue)}` : ''
+    ].filter(Boolean).join(' — ');
+};
+
+/**
+ * Boutons d'une vente : ticket et facture PDF pour tous, annulation et retour pour les
+ * administrateurs (ventes non annulées uniquement)
+ */
+const renderSaleActions = (cell, sale) => {
+    [['receipt', 'Ticket'], ['a4', sale.type === 'return' ? 'Avoir A4' : 'Facture A4']].forEach(([format, label]) => {
+        const pdfBtn = document.createElement('button');
+        pdfBtn.className = 'btn btn-secondary btn-small';
+        pdfBtn.innerHTML = `<i class="fas fa-file-pdf"></i> ${label}`;
+        pdfBtn.onclick = () => openInvoicePdf(sale._id, format);
+        cell.appendChild(pdfBtn);
+        cell.appendChild(document.createTextNode(' '));
+    });
+
+    if (!hasRole('admin') || sale.type === 'return' || sale.status === 'voided') return;
+
+    // Vente à crédit non soldée : règlement depuis le relevé de compte du client
+    if (sale.customerId && sale.paymentStatus && sale.paymentStatus !== 'paid') {
+        const payBtn = document.createElement('button');
+        payBtn.className = 'btn btn-success btn-small';
+        payBtn.textContent = 'Encaisser';
+        payBtn.onclick = () => {
+            customerBeingViewed = { _id: sale.customerId, name: sale.customerName };
+            showView('customerStatement');
+        };
+        cell.appendChild(payBtn);
+        cell.appendChild(document.createTextNode(' '));
+    }
+
+    const hasReturns = sale.items.some(item => item.quantityReturned > 0);
+    const fullyReturned = sale.items.every(item => item.quantityReturned >= item.quantitySold);
+
+    if (!hasReturns) {
+        const voidBtn = document.createElement('button');
+        voidBtn.className = 'btn btn-danger btn-small';
+        voidBtn.textContent = 'Annuler';
+        voidBtn.onclick = async () => {
+            const reason = await showPromptModal(`Annuler la vente ${formatTicketNumber(sale)} ? Le stock sera restitué. Motif :`, 'Ex: Erreur de saisie');
+            if (reason && await voidSale(sale._id, reason)) await renderSaleReport();
+        };
+        cell.appendChild(voidBtn);
+        cell.appendChild(document.createTextNode(' '));
+    }
+
+    if (!fullyReturned) {
+        const returnBtn = document.createElement('button');
+        returnBtn.className = 'btn btn-warning btn-small';
+        returnBtn.textContent = 'Retour';
+        returnBtn.onclick = () => {
+            saleBeingReturned = sale;
+            showView('saleReturn');
+        };
+        cell.appendChild(returnBtn);
+    }
+};
+
+/** Remplit un tableau de synthèse (libellé, nombre, quantité, montant) */
+const renderSummaryRows = (tbody, rows, labelField) => {
+    tbody.innerHTML = '';
+    rows.forEach(summaryRow => {
+        const row = tbody.insertRow();
+        row.insertCell().textContent = summaryRow[labelField];
+        row.insertCell().textContent = summaryRow.count;
+        row.insertCell().textContent = summaryRow.quantity;
+        row.insertCell().textContent = formatMoney(summaryRow.amount);
+    });
+};
+
+const renderPurchaseReport = async () => {
+    const [result, summary] = await Promise.all([
+        getPurchases(buildReportQuery('purchase-report', { page: reportPages['purchase-report'] })),
+        getPurchasesSummary(buildReportQuery('purchase-report'))
+    ]);
+    const purchases = result.data;
+    purchaseReportTbody.innerHTML = '';
+    purchaseReportTfoot.innerHTML = '';
+
+    const reportActions = views.purchaseReport.querySelector('.report-actions');
+    renderPagination('purchase-report', result);
+
+    if (purchases.length === 0) {
+        emptyPurchasesMessage.style.display = 'block';
+        if (reportActions) reportActions.style.display = 'none';
+        return;
+    }
+    emptyPurchasesMessage.style.display = 'none';
+    if (reportActions) reportActions.style.display = 'block';
+
+    purchases.forEach(purchase => {
+        const row = purchaseReportTbody.insertRow();
+        const date = new Date(purchase.purchaseDate);
+        const formattedDate = `${date.toLocaleDateString()} ${date.toLocaleTimeString()}`;
+
+        // L'ordre des colonnes suit l'en-tête du tableau dans index.html
+        row.insertCell().textContent = formattedDate;
+        row.insertCell().textContent = purchase.productName;
+        row.insertCell().textContent = purchase.quantityPurchased;
+        row.insertCell().textContent = formatMoney(purchase.unitPrice);
+        row.insertCell().textContent = formatMoney(purchase.totalPrice);
+        row.insertCell().textContent = purchase.createdByName || '—';
+        row.insertCell().textContent = purchase.supplierName || '—';
+    });
+
+    // Les totaux couvrent toute la période filtrée, pas seulement la page affichée
+    const totalRow = purchaseReportTfoot.insertRow();
+    const totalHeader = document.createElement('th');
+    totalHeader.colSpan = 2;
+    totalHeader.textContent = 'Dépense Totale :';
+    totalRow.appendChild(totalHeader);
+
+    const unitsCell = document.createElement('th');
+    unitsCell.textContent = summary.totals.quantity;
+    totalRow.appendChild(unitsCell);
+
+    totalRow.appendChild(document.createElement('th'));
+
+    const spentCell = document.createElement('th');
+    spentCell.textContent = formatMoney(summary.totals.amount);
+    totalRow.appendChild(spentCell);
+    totalRow.appendChild(document.createElement('th'));
+    totalRow.appendChild(document.createElement('th'));
+};
+
+const renderProfitReport = async () => {
+    const groupBy = document.getElementById('profit-report-group').value;
+    const summary = await getSalesSummary(buildReportQuery('profit-report', { groupBy, tz: Intl.DateTimeFormat().resolvedOptions().timeZone }));
+    const content = document.getElementById('profit-report-content');
+    const reportActions = views.profitReport.querySelector('.report-actions');
+
+    if (summary.byProduct.length === 0) {
+        document.getElementById('empty-profit-message').style.display = 'block';
+        content.style.display = 'none';
+        if (reportActions) reportActions.style.display = 'none';
+        return;
+    }
+    document.getElementById('empty-profit-message').style.display = 'none';
+    content.style.display = 'block';
+    if (reportActions) reportActions.style.display = 'block';
+
+    renderProfitRows('profit-product', summary.byProduct, 'productName', summary.totals);
+    renderProfitRows('profit-period', summary.byPeriod, 'period', summary.totals);
+};
+
+/** Remplit un tableau de marges (préfixe des ids tbody/tfoot) et sa ligne de total */
+const renderProfitRows = (prefix, rows, labelField, totals) => {
+    const tbody = document.getElementById(`${prefix}-tbody`);
+    const tfoot = document.getElementById(`${prefix}-tfoot`);
+    tbody.innerHTML = '';
+    tfoot.innerHTML = '';
+
+    const fillCells = (row, values) => {
+        row.insertCell().textContent = values.quantity;
+        row.insertCell().textContent = formatMoney(values.amount);
+        row.insertCell().textContent = formatMoney(values.cost);
+        row.insertCell().textContent = formatMoney(values.margin);
+        row.insertCell().textContent = values.marginRate.toFixed(1) + ' %';
+    };
+
+    rows.forEach(values => {
+        const row = tbody.insertRow();
+        row.insertCell().textContent = values[labelField];
+        fillCells(row, values);
+        if (values.margin < 0) row.className = 'low-stock';
+    });
+
+    const totalRow = tfoot.insertRow();
+    totalRow.insertCell().textContent = 'Total';
+    fillCells(totalRow, totals);
+    Array.from(totalRow.cells).forEach(cell => cell.style.fontWeight = '700');
+};
+
+const renderVatReport = async () => {
+    const groupBy = document.getElementById('vat-report-group').value;
+    const summary = await getVatSummary(buildReportQuery('vat-report', { groupBy, tz: Intl.DateTimeFormat().resolvedOptions().timeZone }));
+    const content = document.getElementById('vat-report-content');
+    const reportActions = views.vatReport.querySelector('.report-actions');
+
+    if (summary.byRate.length === 0) {
+        document.getElementById('empty-vat-message').style.display = 'block';
+        content.style.display = 'none';
+        if (reportActions) reportActions.style.display = 'none';
+        return;
+    }
+    document.getElementById('empty-vat-message').style.display = 'none';
+    content.style.display = 'block';
+    if (reportActions) reportActions.style.display = 'block';
+
+    const fillCells = (row, values) => {
+        row.insertCell().textContent = formatMoney(values.net);
+        row.insertCell().textContent = formatMoney(values.tax);
+        row.insertCell().textContent = formatMoney(values.gross);
+    };
+
+    const rateTbody = document.getElementById('vat-rate-tbody');
+    const rateTfoot = document.getElementById('vat-rate-tfoot');
+    rateTbody.innerHTML = '';
+    rateTfoot.innerHTML = '';
+    summary.byRate.forEach(values => {
+        const row = rateTbody.insertRow();
+        row.insertCell().textContent = formatVatRate(values.vatRate);
+        fillCells(row, values);
+    });
+    const totalRow = rateTfoot.insertRow();
+    totalRow.insertCell().textContent = 'Total';
+    fillCells(totalRow, summary.totals);
+    Array.from(totalRow.cells).forEach(cell => cell.style.fontWeight = '700');
+
+    const periodTbody = document.getElementById('vat-period-tbody');
+    periodTbody.innerHTML = '';
+    summary.byPeriod.forEach(values => {
+        const row = periodTbody.insertRow();
+        row.insertCell().textContent = values.period;
+        row.insertCell().textContent = formatVatRate(values.vatRate);
+        fillCells(row, values);
+    });
+};
+
+// Libellés des périodes comparées du tableau de bord
+const DASHBOARD_PERIOD_LABELS = {
+    day: ["Aujourd'hui", 'hier'],
+    week: ['Cette semaine', 'la semaine dernière'],
+    month: ['Ce mois', 'le mois dernier']
+};
+
+/** Jour 'AAAA-MM-JJ' affiché court (« 18/10 ») */
+const formatShortDay = (day) => new Date(`${day}T00:00:00`).toLocaleDateString(shopSettings.locale, { day: '2-digit', month: '2-digit' });
+
+const renderDashboard = async () => {
+    const params = new URLSearchParams({
+        days: document.getElementById('dashboard-days').value,
+        tz: Intl.DateTimeFormat().resolvedOptions().timeZone
+    });
+    const dashboard = await getDashboard(params.toString());
+    if (!dashboard) return;
+
+    // Cartes d'indicateurs : chiffre d'affaires comparé à la période précédente, puis stock
+    const kpis = document.getElementById('dashboard-kpis');
+    kpis.innerHTML = '';
+    const addCard = (label, value, trend = null) => {
+        const card = document.createElement('div');
+        card.className = 'kpi-card';
+        const labelDiv = document.createElement('div');
+        labelDiv.className = 'kpi-label';
+        labelDiv.textContent = label;
+        const valueDiv = document.createElement('div');
+        valueDiv.className = 'kpi-value';
+        valueDiv.textContent = value;
+        card.append(labelDiv, valueDiv);
+        if (trend) {
+            const trendDiv = document.createElement('div');
+            trendDiv.className = `kpi-trend ${trend.direction}`;
+            trendDiv.textContent = trend.text;
+            card.appendChild(trendDiv);
+        }
+        kpis.appendChild(card);
+    };
+
+    Object.entries(DASHBOARD_PERIOD_LABELS).forEach(([name, [label, previousLabel]]) => {
+        const period = dashboard.periods[name];
+        const difference = period.revenue - period.previousRevenue;
+        const change = period.previousRevenue !== 0 ? Math.round(difference / Math.abs(period.previousRevenue) * 100) : null;
+        addCard(`${label} (${period.tickets} ticket(s))`, formatMoney(period.revenue), {
+            direction: difference > 0 ? 'up' : difference < 0 ? 'down' : '',
+            text: `${change === null ? '—' : (change > 0 ? '+' : '') + change + ' %'} vs ${previousLabel} (${formatMoney(period.previousRevenue)})`
+        });
+    });
+    addCard('Valeur du stock', formatMoney(dashboard.stock.value),
+        { direction: '', text: `${dashboard.stock.units} unités, ${dashboard.stock.productCount} produit(s)` });
+    addCard('Produits en rupture', dashboard.stock.outOfStockCount,
+        { direction: dashboard.stock.outOfStockCount > 0 ? 'down' : '', text: `${dashboard.stock.lowStockCount} au seuil minimum ou en dessous` });
+
+    renderRevenueChart(document.getElementById('dashboard-revenue-chart'), dashboard.revenueByDay);
+    renderProductChart(document.getElementById('dashboard-product-chart'), dashboard.topProducts);
+
+    const topTbody = document.getElementById('dashboard-top-tbody');
+    topTbody.innerHTML = '';
+    dashboard.topProducts.forEach(product => {
+        const row = topTbody.insertRow();
+        row.insertCell().textContent = product.productName;
+        row.insertCell().textContent = product.quantity;
+        row.insertCell().textContent = formatMoney(product.revenue);
+    });
+
+    const slowTbody = document.getElementById('dashboard-slow-tbody');
+    slowTbody.innerHTML = '';
+    dashboard.slowMovers.forEach(product => {
+        const row = slowTbody.insertRow();
+        row.insertCell().textContent = product.productName;
+        row.insertCell().textContent = product.soldQuantity;
+        row.insertCell().textContent = product.quantity;
+        row.insertCell().textContent = formatMoney(product.stockValue);
+        if (product.soldQuantity === 0) row.className = 'low-stock';
+    });
+};
+
+/** Histogramme SVG du chiffre d'affaires jour par jour (un jour sur n étiqueté selon la fenêtre) */
+const renderRevenueChart = (container, days) => {
+    const width = 800;
+    const height = 220;
+    const top = 20;
+    const bottom = 20;
+    const max = Math.max(...days.map(day => day.revenue), 1);
+    const slot = width / days.length;
+    const labelEvery = Math.ceil(days.length / 15);
+
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(svgNS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    const addText = (x, y, content, anchor = 'middle') => {
+        const text = document.createElementNS(svgNS, 'text');
+        text.setAttribute('x', x);
+        text.setAttribute('y', y);
+        text.setAttribute('text-anchor', anchor);
+        text.textContent = content;
+        svg.appendChild(text);
+    };
+
+    days.forEach((day, index) => {
+        // Les jours de retours nets (montant négatif) restent à zéro sur le graphique
+        const barHeight = Math.max(day.revenue, 0) / max * (height - top - bottom);
+        const bar = document.createElementNS(svgNS, 'rect');
+        bar.setAttribute('x', index * slot + slot * 0.15);
+        bar.setAttribute('y', height - bottom - barHeight);
+        bar.setAttribute('width', slot * 0.7);
+        bar.setAttribute('height', barHeight);
+        const title = document.createElementNS(svgNS, 'title');
+        title.textContent = `${formatShortDay(day.day)} : ${formatMoney(day.revenue)} (${day.tickets} ticket(s))`;
+        bar.appendChild(title);
+        svg.appendChild(bar);
+        if (index % labelEvery === 0) addText(index * slot + slot / 2, height - 5, formatShortDay(day.day));
+    });
+    addText(0, 12, `max ${formatMoney(max)}`, 'start');
+
+    container.innerHTML = '';
+    container.appendChild(svg);
+};
+
+/** Barres horizontales du chiffre d'affaires des meilleures ventes */
+const renderProductChart = (container, products) => {
+    container.innerHTML = '';
+    if (products.length === 0) {
+        container.innerHTML = '<p class="small-text">Aucune vente sur la période.</p>';
+        return;
+    }
+    const max = Math.max(...products.map(product => product.revenue), 1);
+    products.forEach(product => {
+        const row = document.createElement('div');
+        row.className = 'bar-row';
+        const name = document.createElement('span');
+        name.textContent = product.productName;
+        const track = document.createElement('div');
+        const bar = document.createElement('div');
+        bar.className = 'bar';
+        bar.style.width = `${Math.max(product.revenue, 0) / max * 100}%`;
+        track.appendChild(bar);
+        const value = document.createElement('span');
+        value.textContent = formatMoney(product.revenue);
+        row.append(name, track, value);
+        container.appendChild(row);
+    });
+};
+
+const renderReorderSuggestions = async () => {
+    const days = parseInt(document.getElementById('reorder-days').value) || 30;
+    const coverDays = parseInt(document.getElementById('reorder-cover-days').value) || 0;
+    const result = await getReorderSuggestions(days, coverDays);
+    const tbody = document.getElementById('reorder-tbody');
+    tbody.innerHTML = '';
+    document.getElementById('empty-reorder-message').style.display = result.data.length === 0 ? 'block' : 'none';
+
+    result.data.forEach(suggestion => {
+        const row = tbody.insertRow();
+        row.className = suggestion.needsReorder ? 'low-stock' : '';
+
+        row.insertCell().textContent = suggestion.name;
+        row.insertCell().textContent = suggestion.quantity;
+        row.insertCell().textContent = suggestion.minStockLevel;
+        row.insertCell().textContent = suggestion.averageDailySales.toFixed(2);
+        row.insertCell().textContent = suggestion.daysOfStock === null ? '—' : Math.floor(suggestion.daysOfStock);
+        row.insertCell().textContent = suggestion.leadTimeDays;
+        row.insertCell().textContent = suggestion.reorderPoint;
+        row.insertCell().textContent = suggestion.suggestedQuantity > 0 ? suggestion.suggestedQuantity : '—';
+    });
+};
+
+/** Ouvre l'historique des mouvements d'un produit, à partir de la première page */
+const showProductHistory = (productId, productName) => {
+    historyState.productId = productId;
+    historyState.productName = productName;
+    historyState.page = 1;
+    showView('productHistory');
+};
+
+const renderProductHistory = async () => {
+    const result = await getProductMovements(historyState.productId, historyState.page);
+    const tbody = document.getElementById('history-tbody');
+    document.getElementById('history-title').textContent = `Historique des Mouvements : ${historyState.productName}`;
+    tbody.innerHTML = '';
+    renderPagination('history', result);
+    document.getElementById('empty-history-message').style.display = result.data.length === 0 ? 'block' : 'none';
+
+    result.data.forEach(movement => {
+        const row = tbody.insertRow();
+        const date = new Date(movement.movementDate);
+
+        row.insertCell().textContent = `${date.toLocaleDateString()} ${date.toLocaleTimeString()}`;
+        row.insertCell().textContent = MOVEMENT_LABELS[movement.type] || movement.type;
+        row.insertCell().textContent = movement.delta > 0 ? `+${movement.delta}` : movement.delta;
+        row.insertCell().textContent = movement.resultingQuantity;
+        row.insertCell().textContent = movement.reason || '—';
+        row.insertCell().textContent = movement.userName || '—';
+    });
+};
+
+// Libellés des actions de l'aperçu d'import
+const IMPORT_ACTION_LABELS = { create: 'Création', update: 'Mise à jour', reject: 'Rejetée' };
+
+const renderImportResult = (result) => {
+    const tbody = document.getElementById('import-tbody');
+    tbody.innerHTML = '';
+    document.getElementById('import-result').style.display = 'block';
+    document.getElementById('import-summary').textContent = result.dryRun
+        ? `Aperçu : ${result.created} création(s), ${result.updated} mise(s) à jour, ${result.rejected} ligne(s) rejetée(s).`
+        : `Import terminé : ${result.created} création(s), ${result.updated} mise(s) à jour, ${result.rejected} ligne(s) rejetée(s).`;
+
+    result.rows.forEach(importRow => {
+        const row = tbody.insertRow();
+        row.className = importRow.action === 'reject' ? 'import-reject' : '';
+        row.insertCell().textContent = importRow.line;
+        row.insertCell().textContent = importRow.name || '—';
+        row.insertCell().textContent = IMPORT_ACTION_LABELS[importRow.action];
+        row.insertCell().textContent = importRow.errors.join(' ') || '—';
+    });
+};
+
+/** Vue sauvegardes : réglages et archives des sauvegardes automatiques */
+const renderBackups = async () => {
+    const backups = await getBackups();
+    if (!backups) return;
+    document.getElementById('backups-status').textContent = backups.enabled
+        ? `Sauvegarde automatique toutes les ${backups.intervalHours} h ; les ${backups.retention} plus récentes sont conservées sur le serveur.`
+        : "Sauvegardes automatiques désactivées : définissez la variable d'environnement BACKUP_DIR du serveur pour les activer.";
+    document.getElementById('run-backup-btn').disabled = !backups.enabled;
+    document.getElementById('empty-backups-message').style.display = backups.files.length === 0 ? 'block' : 'none';
+
+    const tbody = document.getElementById('backups-tbody');
+    tbody.innerHTML = '';
+    backups.files.forEach(file => {
+        const row = tbody.insertRow();
+        row.insertCell().textContent = file.name;
+        row.insertCell().textContent = new Date(file.createdAt).toLocaleString();
+        row.insertCell().textContent = `${(file.size / 1024 / 1024).toLocaleString(shopSettings.locale, { maximumFractionDigits: 1 })} Mo`;
+        const downloadBtn = document.createElement('button');
+        downloadBtn.className = 'btn btn-secondary btn-small';
+        downloadBtn.innerHTML = '<i class="fas fa-download"></i> Télécharger';
+        downloadBtn.onclick = () => downloadFile(`/backups/files/${encodeURIComponent(file.name)}`, file.name, 'Téléchargement de la sauvegarde');
+        row.insertCell().appendChild(downloadBtn);
+    });
+};
+
+/** Compte rendu d'une restauration : effet par collection, erreurs bloquantes et avertissements */
+const renderRestoreResult = (result, dryRun) => {
+    document.getElementById('restore-result').style.display = 'block';
+    const archiveInfo = result.createdAt ? `archive du ${new Date(result.createdAt).toLocaleString()}${result.createdByName ? ` (${result.createdByName})` : ''}` : 'archive';
+    document.getElementById('restore-summary').textContent = !result.ok
+        ? `Restauration impossible : ${result.message}`
+        : dryRun
+            ? `Aperçu de la restauration (${archiveInfo}) : rien n'a encore été modifié.`
+            : `Restauration terminée (${archiveInfo}).${result.snapshotFile ? ` Copie des données précédentes : ${result.snapshotFile}.` : ''}`;
+
+    const tbody = document.getElementById('restore-tbody');
+    tbody.innerHTML = '';
+    result.collections.forEach(collection => {
+        const row = tbody.insertRow();
+        row.insertCell().textContent = collection.label;
+        [collection.archived, collection.existing, collection.inserted, collection.updated, collection.deleted]
+            .forEach(count => { row.insertCell().textContent = count; });
+    });
+
+    const messages = document.getElementById('restore-messages');
+    messages.innerHTML = '';
+    [...result.errors.map(text => ({ text, error: true })), ...result.warnings.map(text => ({ text, error: false }))].forEach(({ text, error }) => {
+        const item = document.createElement('li');
+        item.className = error ? 'import-reject' : '';
+        item.textContent = text;
+        messages.appendChild(item);
+    });
+};
+
+const renderSaleReturnForm = () => {
+    const tbody = document.getElementById('sale-return-tbody');
+    tbody.innerHTML = '';
+    document.getElementById('sale-return-form').reset();
+    document.getElementById('sale-return-error').style.display = 'none';
+    document.getElementById('sale-return-title').textContent = `Retour Client sur la Vente ${formatTicketNumber(saleBeingReturned)}`;
+
+    saleBeingReturned.items.forEach((item, index) => {
+        const remaining = item.quantitySold - (item.quantityReturned || 0);
+        const row = tbody.insertRow();
+        row.insertCell().textContent = item.productName;
+        row.insertCell().textContent = formatMoney(item.unitPrice);
+        row.insertCell().textContent = item.quantitySold;
+        row.insertCell().textContent = item.quantityReturned || 0;
+
+        const quantityInput = document.createElement('input');
+        quantityInput.type = 'number';
+        quantityInput.min = 0;
+        quantityInput.max = remaining;
+        quantityInput.value = 0;
+        quantityInput.disabled = remaining === 0;
+        quantityInput.dataset.lineIndex = index;
+        row.insertCell().appendChild(quantityInput);
+    });
+};
+
+const renderUserList = async () => {
+    const users = await getUsers();
+    usersTbody.innerHTML = '';
+
+    users.forEach(user => {
+        const row = usersTbody.insertRow();
+        const isSelf = user._id === currentUser._id;
+        row.insertCell().textContent = user.username + (isSelf ? ' (vous)' : '');
+
+        const roleSelect = document.createElement('select');
+        Object.entries(ROLE_LABELS).forEach(([role, label]) => {
+            const option = document.createElement('option');
+            option.value = role;
+            option.textContent = label;
+            roleSelect.appendChild(option);
+        });
+        roleSelect.value = user.role;
+        roleSelect.disabled = isSelf;
+        roleSelect.onchange = async () => {
+            if (!await saveUserToDB({ role: roleSelect.value }, user._id)) roleSelect.value = user.role;
+        };
+        row.insertCell().appendChild(roleSelect);
+
+        const activeCheckbox = document.createElement('input');
+        activeCheckbox.type = 'checkbox';
+        activeCheckbox.checked = user.active;
+        activeCheckbox.disabled = isSelf;
+        activeCheckbox.onchange = async () => {
+            if (!await saveUserToDB({ active: activeCheckbox.checked }, user._id)) activeCheckbox.checked = user.active;
+        };
+        row.insertCell().appendChild(activeCheckbox);
+
+        const passwordInput = document.createElement('input');
+        passwordInput.type = 'password';
+        passwordInput.placeholder = '8 caractères min.';
+        passwordInput.autocomplete = 'new-password';
+        row.insertCell().appendChild(passwordInput);
+
+        const actionCell = row.insertCell();
+        const passwordBtn = document.createElement('button');
+        passwordBtn.className = 'btn btn-warning btn-small';
+        passwordBtn.textContent = 'Changer le mot de passe';
+        passwordBtn.onclick = async () => {
+            if (await saveUserToDB({ password: passwordInput.value }, user._id)) passwordInput.value = '';
+        };
+        actionCell.appendChild(passwordBtn);
+
+        if (!isSelf) {
+            actionCell.appendChild(document.createTextNode(' '));
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn btn-danger btn-small';
+            deleteBtn.textContent = 'Supprimer';
+            deleteBtn.onclick = async () => {
+                if (await deleteUserFromDB(user._id, user.username)) await renderUserList();
+            };
+            actionCell.appendChild(deleteBtn);
+        }
+    });
+};
+
+/** Remplit un select de produits (valeur : id) en conservant l'option vide */
+const fillProductSelect = (select, products) => {
+    select.innerHTML = '<option value="">-- Sélectionner un produit --</option>';
+    products.forEach(product => {
+        const option = document.createElement('option');
+        option.value = product._id;
+        option.textContent = product.name;
+        select.appendChild(option);
+    });
+};
+
+const renderSupplierList = async () => {
+    const [suppliers, products] = await Promise.all([getSuppliers(), getProducts()]);
+    const productNames = new Map(products.map(product => [product._id, product.name]));
+    const tbody = document.getElementById('suppliers-tbody');
+    tbody.innerHTML = '';
+    document.getElementById('empty-suppliers-message').style.display = suppliers.length === 0 ? 'block' : 'none';
+
+    suppliers.forEach(supplier => {
+        const row = tbody.insertRow();
+        row.insertCell().textContent = supplier.name;
+        row.insertCell().textContent = supplier.contactName || '—';
+        row.insertCell().textContent = supplier.email || '—';
+        row.insertCell().textContent = supplier.phone || '—';
+        row.insertCell().textContent = supplier.leadTimeDays ?? '—';
+        row.insertCell().textContent = supplier.products
+            .map(p => `${productNames.get(p.productId) || '(produit supprimé)'} : ${formatMoney(p.unitCost)}`)
+            .join(', ') || '—';
+
+        if (!hasRole('admin')) return;
+
+        const actionCell = row.insertCell();
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn btn-warning btn-small';
+        editBtn.textContent = 'Modifier';
+        editBtn.onclick = () => editSupplier(supplier);
+        actionCell.appendChild(editBtn);
+        actionCell.appendChild(document.createTextNode(' '));
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-danger btn-small';
+        deleteBtn.textContent = 'Supprimer';
+        deleteBtn.onclick = async () => {
+            if (await deleteSupplierFromDB(supplier._id, supplier.name)) await renderSupplierList();
+        };
+        actionCell.appendChild(deleteBtn);
+    });
+
+    fillProductSelect(document.getElementById('supplier-catalog-product'), products);
+    resetSupplierForm();
+};
+
+/** Vide le formulaire fournisseur (mode création) */
+const resetSupplierForm = () => {
+    document.getElementById('supplier-form').reset();
+    document.getElementById('supplier-id').value = '';
+    document.getElementById('supplier-form-title').textContent = 'Ajouter un Fournisseur';
+    document.getElementById('supplier-error').style.display = 'none';
+    supplierCatalog = [];
+    renderSupplierCatalog();
+};
+
+/** Charge un fournisseur dans le formulaire (mode modification) */
+const editSupplier = (supplier) => {
+    resetSupplierForm();
+    document.getElementById('supplier-id').value = supplier._id;
+    document.getElementById('supplier-form-title').textContent = `Modifier le Fournisseur : ${supplier.name}`;
+    document.getElementById('supplier-name').value = supplier.name;
+    document.getElementById('supplier-contact').value = supplier.contactName || '';
+    document.getElementById('supplier-email').value = supplier.email || '';
+    document.getElementById('supplier-phone').value = supplier.phone || '';
+    document.getElementById('supplier-lead-time').value = supplier.leadTimeDays ?? '';
+    supplierCatalog = supplier.products.map(({ productId, unitCost }) => ({ productId, unitCost }));
+    renderSupplierCatalog();
+    document.getElementById('supplier-form').scrollIntoView({ behavior: 'smooth' });
+};
+
+const renderSupplierCatalog = () => {
+    const tbody = document.getElementById('supplier-catalog-tbody');
+    const select = document.getElementById('supplier-catalog-product');
+    tbody.innerHTML = '';
+
+    supplierCatalog.forEach((entry, index) => {
+        const option = Array.from(select.options).find(o => o.value === entry.productId);
+        const row = tbody.insertRow();
+        row.insertCell().textContent = option ? option.textContent : '(produit supprimé)';
+        row.insertCell().textContent = formatMoney(entry.unitCost);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'btn btn-danger btn-small';
+        removeBtn.textContent = 'Retirer';
+        removeBtn.onclick = () => {
+            supplierCatalog.splice(index, 1);
+            renderSupplierCatalog();
+        };
+        row.insertCell().appendChild(removeBtn);
+    });
+};
+
+const renderPurchaseOrders = async () => {
+    const params = new URLSearchParams({ page: purchaseOrdersPage });
+    const status = document.getElementById('purchase-orders-status').value;
+    if (status) params.set('status', status);
+
+    const result = await getPurchaseOrders(params.toString());
+    const tbody = document.getElementById('purchase-orders-tbody');
+    tbody.innerHTML = '';
+    renderPagination('purchase-orders', result);
+    document.getElementById('empty-purchase-orders-message').style.display = result.data.length === 0 ? 'block' : 'none';
+
+    result.data.forEach(order => {
+        const row = tbody.insertRow();
+        row.insertCell().textContent = formatTicketNumber(order);
+        row.insertCell().textContent = new Date(order.createdAt).toLocaleDateString();
+        row.insertCell().textContent = order.supplierName;
+        row.insertCell().textContent = PURCHASE_ORDER_STATUS_LABELS[order.status];
+        row.insertCell().textContent = order.expectedDate ? new Date(order.expectedDate).toLocaleDateString() : '—';
+        row.insertCell().textContent = order.items
+            .map(item => `${item.productName} : ${item.quantityReceived} / ${item.quantityOrdered}`)
+            .join(', ');
+        const total = order.items.reduce((sum, item) => sum + item.unitPrice * item.quantityOrdered, 0);
+        row.insertCell().textContent = formatMoney(total);
+
+        if (!hasRole('admin')) return;
+
+        const actionCell = row.insertCell();
+        const addAction = (label, className, onclick) => {
+            const button = document.createElement('button');
+            button.className = `btn ${className} btn-small`;
+            button.textContent = label;
+            button.onclick = onclick;
+            actionCell.appendChild(button);
+            actionCell.appendChild(document.createTextNode(' '));
+        };
+
+        if (order.status === 'draft') {
+            addAction('Envoyer', 'btn-primary', async () => {
+                if (await changePurchaseOrderStatus(order._id, 'send')) await renderPurchaseOrders();
+            });
+        }
+        if (order.status === 'sent' || order.status === 'partially_received') {
+            addAction('Réceptionner', 'btn-warning', () => {
+                orderBeingReceived = order;
+                showView('purchaseOrderReceive');
+            });
+        }
+        if (['draft', 'sent', 'partially_received'].includes(order.status)) {
+            addAction('Annuler', 'btn-danger', async () => {
+                const confirmed = await showConfirmationModal(`Annuler la commande ${formatTicketNumber(order)} ? Les quantités déjà reçues restent en stock.`);
+                if (confirmed && await changePurchaseOrderStatus(order._id, 'cancel')) await renderPurchaseOrders();
+            });
+        }
+    });
+};
+
+const renderPurchaseOrderForm = async () => {
+    const [suppliers, products] = await Promise.all([getSuppliers(), getProducts()]);
+    document.getElementById('purchase-order-form').reset();
+    document.getElementById('purchase-order-error').style.display = 'none';
+
+    const supplierSelect = document.getElementById('purchase-order-supplier');
+    supplierSelect.innerHTML = '<option value="">-- Sélectionner un fournisseur --</option>';
+    suppliers.forEach(supplier => {
+        const option = document.createElement('option');
+        option.value = supplier._id;
+        option.textContent = supplier.name;
+        // Coûts du catalogue, proposés par défaut à l'ajout d'une ligne
+        option.dataset.costs = JSON.stringify(Object.fromEntries(supplier.products.map(p => [p.productId, p.unitCost])));
+        supplierSelect.appendChild(option);
+    });
+
+    const productSelect = document.getElementById('purchase-order-product');
+    fillProductSelect(productSelect, products);
+    Array.from(productSelect.options).forEach(option => {
+        const product = products.find(p => p._id === option.value);
+        if (product) option.dataset.price = Math.round(product.averageCost ?? product.price);
+    });
+
+    purchaseOrderLines = [];
+    renderPurchaseOrderLines();
+};
+
+/** Coût proposé pour le produit choisi : catalogue du fournisseur, sinon coût moyen du produit */
+const suggestPurchaseOrderPrice = () => {
+    const supplierOption = document.getElementById('purchase-order-supplier').selectedOptions[0];
+    const productOption = document.getElementById('purchase-order-product').selectedOptions[0];
+    if (!productOption || !productOption.value) return;
+
+    const catalogCosts = supplierOption && supplierOption.dataset.costs ? JSON.parse(supplierOption.dataset.costs) : {};
+    const price = catalogCosts[productOption.value] ?? parseInt(productOption.dataset.price);
+    document.getElementById('purchase-order-unit-price').value = price ? formatMoneyInput(price) : '';
+};
+
+const renderPurchaseOrderLines = () => {
+    const tbody = document.getElementById('purchase-order-lines-tbody');
+    const tfoot = document.getElementById('purchase-order-lines-tfoot');
+    tbody.innerHTML = '';
+    tfoot.innerHTML = '';
+
+    purchaseOrderLines.forEach((line, index) => {
+        const row = tbody.insertRow();
+        row.insertCell().textContent = line.productName;
+        row.insertCell().textContent = line.quantityOrdered;
+        row.insertCell().textContent = formatMoney(line.unitPrice);
+        row.insertCell().textContent = formatMoney(line.unitPrice * line.quantityOrdered);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'btn btn-danger btn-small';
+        removeBtn.textContent = 'Retirer';
+        removeBtn.onclick = () => {
+            purchaseOrderLines.splice(index, 1);
+            renderPurchaseOrderLines();
+        };
+        row.insertCell().appendChild(removeBtn);
+    });
+
+    if (purchaseOrderLines.length === 0) return;
+
+    const total = purchaseOrderLines.reduce((sum, line) => sum + line.unitPrice * line.quantityOrdered, 0);
+    const totalRow = tfoot.insertRow();
+    const totalHeader = document.createElement('th');
+    totalHeader.colSpan = 3;
+    totalHeader.textContent = 'Total de la Commande :';
+    totalRow.appendChild(totalHeader);
+    const totalCell = document.createElement('th');
+    totalCell.textContent = formatMoney(total);
+    totalRow.appendChild(totalCell);
+    totalRow.appendChild(document.createElement('th'));
+};
+
+const renderPurchaseOrderReceiveForm = async () => {
+    receiveScanStarted = false;
+    await getLocations();
+    fillLocationSelect(document.getElementById('purchase-order-receive-location'));
+    const tbody = document.getElementById('purchase-order-receive-tbody');
+    tbody.innerHTML = '';
+    document.getElementById('purchase-order-receive-error').style.display = 'none';
+    document.getElementById('purchase-order-receive-title').textContent =
+        `Réceptionner la Commande ${formatTicketNumber(orderBeingReceived)} (${orderBeingReceived.supplierName})`;
+
+    orderBeingReceived.items.forEach((item, index) => {
+        const remaining = item.quantityOrdered - item.quantityReceived;
+        const row = tbody.insertRow();
+        row.insertCell().textContent = item.productName;
+        row.insertCell().textContent = item.quantityOrdered;
+        row.insertCell().textContent = item.quantityReceived;
+
+        // Par défaut, tout le reste à livrer est considéré comme arrivé
+        const quantityInput = document.createElement('input');
+        quantityInput.type = 'number';
+        quantityInput.min = 0;
+        quantityInput.max = remaining;
+        quantityInput.value = remaining;
+        quantityInput.disabled = remaining === 0;
+        quantityInput.dataset.lineIndex = index;
+        quantityInput.className = 'receive-quantity';
+        row.insertCell().appendChild(quantityInput);
+
+        const priceInput = document.createElement('input');
+        priceInput.type = 'number';
+        priceInput.step = priceInput.min = String(1 / 10 ** shopSettings.currencyDigits);
+        priceInput.value = formatMoneyInput(item.unitPrice);
+        priceInput.disabled = remaining === 0;
+        priceInput.className = 'receive-unit-price';
+        row.insertCell().appendChild(priceInput);
+
+        // Lot livré : numéro du fournisseur (attribué par le serveur si vide) et péremption facultative
+        const lotInput = document.createElement('input');
+        lotInput.type = 'text';
+        lotInput.maxLength = 50;
+        lotInput.disabled = remaining === 0;
+        lotInput.className = 'receive-lot-number';
+        row.insertCell().appendChild(lotInput);
+
+        const expiryInput = document.createElement('input');
+        expiryInput.type = 'date';
+        expiryInput.disabled = remaining === 0;
+        expiryInput.className = 'receive-expiry-date';
+        row.insertCell().appendChild(expiryInput);
+    });
+};
+
+/**
+ * Article livré scanné : +1 sur la première ligne de la commande qui en attend encore.
+ * Au premier scan, les quantités proposées (tout le reste à livrer) repartent de zéro.
+ */
+const receiveScannedProduct = async (code) => {
+    const errorDiv = document.getElementById('purchase-order-receive-error');
+    errorDiv.style.display = 'none';
+    const product = await findProductByCode(code);
+    const inputs = Array.from(document.querySelectorAll('#purchase-order-receive-tbody .receive-quantity'));
+
+    if (!receiveScanStarted) {
+        receiveScanStarted = true;
+        inputs.forEach(input => { input.value = 0; });
+    }
+
+    const input = product && inputs.find(candidate =>
+        orderBeingReceived.items[candidate.dataset.lineIndex].productId === product._id
+        && (parseInt(candidate.value) || 0) < parseInt(candidate.max));
+    if (!input) {
+        errorDiv.textContent = product
+            ? `${product.name} ne figure pas sur cette commande, ou toutes les unités attendues sont déjà comptées.`
+            : `Aucun produit ne correspond au code "${code}".`;
+        errorDiv.style.display = 'block';
+        return;
+    }
+    input.value = (parseInt(input.value) || 0) + 1;
+};
+
+const renderStockCounts = async () => {
+    await Promise.all([getLocations(), getCategories()]);
+    fillLocationSelect(document.getElementById('stock-count-location'));
+    fillCategorySelect(document.getElementById('stock-count-category'), 'Tous les produits');
+
+    const params = new URLSearchParams({ page: stockCountsPage });
+    const status = document.getElementById('stock-counts-status').value;
+    if (status) params.set('status', status);
+
+    const result = await getStockCounts(params.toString());
+    const tbody = document.getElementById('stock-counts-tbody');
+    tbody.innerHTML = '';
+    renderPagination('stock-counts', result);
+    document.getElementById('empty-stock-counts-message').style.display = result.data.length === 0 ? 'block' : 'none';
+
+    result.data.forEach(count => {
+        const row = tbody.insertRow();
+        row.insertCell().textContent = formatTicketNumber(count);
+        row.insertCell().textContent = `${new Date(count.createdAt).toLocaleDateString()} (${count.createdByName})`;
+        row.insertCell().textContent = count.locationName;
+        row.insertCell().textContent = count.categoryName || 'Toutes';
+        row.insertCell().textContent = STOCK_COUNT_STATUS_LABELS[count.status];
+        row.insertCell().textContent = `${count.countedCount} / ${count.itemCount}`;
+
+        const openBtn = document.createElement('button');
+        openBtn.className = 'btn btn-info btn-small';
+        openBtn.textContent = count.status === 'open' && !hasRole('viewer') ? 'Compter' : 'Écarts';
+        openBtn.onclick = () => {
+            stockCountBeingEdited = count;
+            showView('stockCount');
+        };
+        row.insertCell().appendChild(openBtn);
+    });
+};
+
+/** Affiche les lots périmés et ceux qui périment dans le délai choisi, avec leur mise au rebut (administrateurs) */
+const renderLots = async () => {
+    await getLocations();
+    const locationSelect = document.getElementById('lots-location');
+    fillLocationSelect(locationSelect, 'Tous les emplacements');
+
+    const params = new URLSearchParams({ days: document.getElementById('lots-days').value });
+    if (locationSelect.value) params.set('locationId', locationSelect.value);
+    const report = await getExpiringLots(params.toString());
+    if (!report) return;
+
+    const summary = document.getElementById('lots-summary');
+    summary.innerHTML = '';
+    [
+        ['Stock périmé', formatMoney(report.totals.expiredValue), `${report.totals.expiredQuantity} unité(s), ${report.expired.length} lot(s)`],
+        [`Périme sous ${report.days} jours`, formatMoney(report.totals.expiringValue), `${report.totals.expiringQuantity} unité(s), ${report.expiring.length} lot(s)`]
+    ].forEach(([label, value, detail]) => {
+        const card = document.createElement('div');
+        card.className = 'kpi-card';
+        card.innerHTML = '<div class="kpi-label"></div><div class="kpi-value"></div><div class="kpi-trend"></div>';
+        card.querySelector('.kpi-label').textContent = label;
+        card.querySelector('.kpi-value').textContent = value;
+        card.querySelector('.kpi-trend').textContent = detail;
+        summary.appendChild(card);
+    });
+    document.getElementById('write-off-expired-btn').disabled = report.expired.length === 0;
+
+    const fillLots = (tbody, lots) => {
+        tbody.innerHTML = '';
+        lots.forEach(lot => {
+            const row = tbody.insertRow();
+            row.insertCell().textContent = lot.productName;
+            row.insertCell().textContent = lot.lotNumber;
+            row.insertCell().textContent = lot.locationName || '';
+            row.insertCell().textContent = `${new Date(lot.expiryDate).toLocaleDateString()} (${lot.daysLeft < 0 ? `depuis ${-lot.daysLeft} j` : `dans ${lot.daysLeft} j`})`;
+            row.insertCell().textContent = `${lot.quantity} / ${lot.quantityReceived}`;
+            row.insertCell().textContent = formatMoney(lot.value);
+
+            const actionsCell = row.insertCell();
+            if (hasRole('admin')) {
+                const writeOffBtn = document.createElement('button');
+                writeOffBtn.className = 'btn btn-danger btn-small';
+                writeOffBtn.innerHTML = '<i class="fas fa-trash-alt"></i> Rebut';
+                writeOffBtn.onclick = async () => {
+                    const answer = await showPromptModal(`Quantité du lot ${lot.lotNumber} (${lot.productName}) à mettre au rebut (${lot.quantity} en stock) :`, String(lot.quantity));
+                    if (answer === null) return;
+                    const quantity = parseInt(answer);
+                    if (!(quantity > 0) || quantity > lot.quantity) {
+                        showNotification(`Quantité invalide : entre 1 et ${lot.quantity}.`, 'error');
+                        return;
+                    }
+                    if (await writeOffLots(lot._id, { quantity })) {
+                        await renderLots();
+                    }
+                };
+                actionsCell.appendChild(writeOffBtn);
+            }
+        });
+        if (lots.length === 0) {
+            const cell = tbody.insertRow().insertCell();
+            cell.colSpan = 7;
+            cell.textContent = 'Aucun lot.';
+        }
+    };
+    fillLots(document.getElementById('expired-lots-tbody'), report.expired);
+    fillLots(document.getElementById('expiring-lots-tbody'), report.expiring);
+};
+
+const renderCustomerList = async () => {
+    const withBalance = document.getElementById('customers-with-balance').checked;
+    const customers = (await getCustomers(document.getElementById('customers-search').value.trim()))
+        .filter(customer => !withBalance || customer.balance > 0);
+    const tbody = document.getElementById('customers-tbody');
+    tbody.innerHTML = '';
+    document.getElementById('empty-customers-message').style.display = customers.length === 0 ? 'block' : 'none';
+
+    customers.forEach(customer => {
+        const row = tbody.insertRow();
+        row.insertCell().textContent = customer.name + (customer.notes ? ` (${customer.notes})` : '');
+        row.insertCell().textContent = customer.phone || '—';
+        row.insertCell().textContent = customer.email || '—';
+        row.insertCell().textContent = formatMoney(customer.balance);
+        row.insertCell().textContent = customer.unpaidCount > 0
+            ? `${customer.unpaidCount} (depuis le ${new Date(customer.oldestUnpaidDate).toLocaleDateString()})`
+            : '—';
+
+        const actionCell = row.insertCell();
+        const statementBtn = document.createElement('button');
+        statementBtn.className = 'btn btn-info btn-small';
+        statementBtn.textContent = 'Relevé';
+        statementBtn.onclick = () => {
+            customerBeingViewed = customer;
+            showView('customerStatement');
+        };
+        actionCell.appendChild(statementBtn);
+
+        if (!hasRole('admin')) return;
+
+        actionCell.appendChild(document.createTextNode(' '));
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn btn-warning btn-small';
+        editBtn.textContent = 'Modifier';
+        editBtn.onclick = () => editCustomer(customer);
+        actionCell.appendChild(editBtn);
+        actionCell.appendChild(document.createTextNode(' '));
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-danger btn-small';
+        deleteBtn.textContent = 'Supprimer';
+        deleteBtn.onclick = async () => {
+            if (await deleteCustomerFromDB(customer._id, customer.name)) await renderCustomerList();
+        };
+        actionCell.appendChild(deleteBtn);
+    });
+};
+
+/** Vide le formulaire client (mode création) */
+const resetCustomerForm = () => {
+    document.getElementById('customer-form').reset();
+    document.getElementById('customer-id').value = '';
+    document.getElementById('customer-form-title').textContent = 'Ajouter un Client';
+};
+
+/** Charge un client dans le formulaire (mode modification) */
+const editCustomer = (customer) => {
+    resetCustomerForm();
+    document.getElementById('customer-id').value = customer._id;
+    document.getElementById('customer-form-title').textContent = `Modifier le Client : ${customer.name}`;
+    document.getElementById('customer-name').value = customer.name;
+    document.getElementById('customer-phone').value = customer.phone || '';
+    document.getElementById('customer-email').value = customer.email || '';
+    document.getElementById('customer-address').value = customer.address || '';
+    document.getElementById('customer-notes').value = customer.notes || '';
+    document.getElementById('customer-form').scrollIntoView({ behavior: 'smooth' });
+};
+
+/** Relevé de compte du client affiché : soldes, opérations avec solde courant et ventes non soldées */
+const renderCustomerStatement = async () => {
+    const params = new URLSearchParams();
+    const from = document.getElementById('customer-statement-from').value;
+    const to = document.getElementById('customer-statement-to').value;
+    // Bornes en heure locale, journées entières
+    if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+    if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+    const statement = await getCustomerStatement(customerBeingViewed._id, params.toString());
+    if (!statement) return;
+    const { customer } = statement;
+    customerBeingViewed = customer;
+
+    document.getElementById('customer-statement-title').textContent = `Relevé de Compte : ${customer.name}`;
+    document.getElementById('customer-statement-info').textContent =
+        [customer.phone, customer.email, customer.address, customer.notes].filter(Boolean).join(' — ');
+
+    const summary = document.getElementById('customer-statement-summary');
+    summary.innerHTML = '';
+    [
+        ['Solde au début de la période', formatMoney(statement.openingBalance)],
+        ['Solde à la fin de la période', formatMoney(statement.closingBalance)],
+        ['Reste dû aujourd\'hui', formatMoney(statement.balance)]
+    ].forEach(([label, value]) => {
+        const card = document.createElement('div');
+        card.className = 'kpi-card';
+        card.innerHTML = '<div class="kpi-label"></div><div class="kpi-value"></div>';
+        card.querySelector('.kpi-label').textContent = label;
+        card.querySelector('.kpi-value').textContent = value;
+        summary.appendChild(card);
+    });
+    document.getElementById('customer-payment-form').reset();
+    document.getElementById('customer-payment-amount').value = statement.balance > 0 ? formatMoneyInput(statement.balance) : '';
+
+    const tbody = document.getElementById('customer-statement-tbody');
+    tbody.innerHTML = '';
+    statement.entries.forEach(entry => {
+        const row = tbody.insertRow();
+        row.insertCell().textContent = new Date(entry.date).toLocaleString();
+        row.insertCell().textContent = STATEMENT_ENTRY_LABELS[entry.kind] + (entry.method ? ` (${PAYMENT_METHOD_LABELS[entry.method]})` : '');
+        row.insertCell().textContent = entry.reference;
+        row.insertCell().textContent = entry.amount > 0 ? formatMoney(entry.amount) : '';
+        row.insertCell().textContent = entry.amount < 0 ? formatMoney(-entry.amount) : '';
+        row.insertCell().textContent = formatMoney(entry.balance);
+    });
+    if (statement.entries.length === 0) {
+        const cell = tbody.insertRow().insertCell();
+        cell.colSpan = 6;
+        cell.textContent = 'Aucune opération sur la période.';
+    }
+
+    const unpaidTbody = document.getElementById('customer-unpaid-tbody');
+    unpaidTbody.innerHTML = '';
+    statement.unpaidSales.forEach(sale => {
+        const row = unpaidTbody.insertRow();
+        row.insertCell().textContent = new Date(sale.saleDate).toLocaleDateString();
+        row.insertCell().textContent = sale.reference;
+        row.insertCell().textContent = formatMoney(sale.totalPrice);
+        row.insertCell().textContent = formatMoney(sale.amountPaid);
+        row.insertCell().textContent = formatMoney(sale.amountDue);
+        if (!hasRole('admin', 'cashier')) return;
+
+        // Règlement d'une vente précise, au moyen de paiement choisi dans le formulaire d'encaissement
+        const payBtn = document.createElement('button');
+        payBtn.className = 'btn btn-success btn-small';
+        payBtn.textContent = 'Encaisser';
+        payBtn.onclick = async () => {
+            const answer = await showPromptModal(`Montant réglé pour la vente ${sale.reference} (reste dû ${formatMoney(sale.amountDue)}) :`, formatMoneyInput(sale.amountDue));
+            if (answer === null) return;
+            const amount = parseMoneyInput(answer);
+            if (!(amount > 0) || amount > sale.amountDue) {
+                showNotification(`Montant invalide : entre ${formatMoney(1)} et ${formatMoney(sale.amountDue)}.`, 'error');
+                return;
+            }
+            const method = document.getElementById('customer-payment-method').value;
+            if (await recordPayment({ saleId: sale._id }, { amount, method })) await renderCustomerStatement();
+        };
+        row.insertCell().appendChild(payBtn);
+    });
+    if (statement.unpaidSales.length === 0) {
+        const cell = unpaidTbody.insertRow().insertCell();
+        cell.colSpan = 6;
+        cell.textContent = 'Aucune vente à régler.';
+    }
+};
+
+/** Balance âgée : une ligne par client débiteur, reste dû par tranche d'ancienneté, puis les totaux */
+const renderReceivables = async () => {
+    const report = await getReceivables();
+    if (!report) return;
+    const tbody = document.getElementById('receivables-tbody');
+    const tfoot = document.getElementById('receivables-tfoot');
+    tbody.innerHTML = '';
+    tfoot.innerHTML = '';
+    document.getElementById('empty-receivables-message').style.display = report.customers.length === 0 ? 'block' : 'none';
+
+    report.customers.forEach(customer => {
+        const row = tbody.insertRow();
+        const nameCell = row.insertCell();
+        if (customer.customerId) {
+            const link = document.createElement('a');
+            link.href = '#';
+            link.textContent = customer.customerName;
+            link.onclick = (e) => {
+                e.preventDefault();
+                customerBeingViewed = { _id: customer.customerId, name: customer.customerName };
+                showView('customerStatement');
+            };
+            nameCell.appendChild(link);
+        } else {
+            nameCell.textContent = customer.customerName || '—';
+        }
+        row.insertCell().textContent = customer.saleCount;
+        row.insertCell().textContent = new Date(customer.oldestSaleDate).toLocaleDateString();
+        customer.buckets.forEach(amount => { row.insertCell().textContent = amount ? formatMoney(amount) : '—'; });
+        row.insertCell().textContent = formatMoney(customer.total);
+    });
+
+    if (report.customers.length > 0) {
+        const totalRow = tfoot.insertRow();
+        const totalHeader = document.createElement('th');
+        totalHeader.colSpan = 3;
+        totalHeader.textContent = 'Total :';
+        totalRow.appendChild(totalHeader);
+        [...report.totals.buckets, report.totals.total].forEach(amount => {
+            const cell = document.createElement('th');
+            cell.textContent = formatMoney(amount);
+            totalRow.appendChild(cell);
+        });
+    }
+};
+
+/** Rattache ce poste à une session de caisse (null : aucune), conservée dans le navigateur comme la caisse physique */
+const setTerminalCashSession = (cashSession) => {
+    terminalCashSession = cashSession && {
+        _id: cashSession._id,
+        register: cashSession.register,
+        locationId: cashSession.locationId,
+        locationName: cashSession.locationName
+    };
+    if (terminalCashSession) {
+        localStorage.setItem(CASH_SESSION_STORAGE_KEY, JSON.stringify(terminalCashSession));
+    } else {
+        localStorage.removeItem(CASH_SESSION_STORAGE_KEY);
+    }
+};
+
+/** Numéro affiché d'une clôture journalière (Z000012) */
+const formatClosingNumber = (closing) => `Z${String(closing.number).padStart(6, '0')}`;
+
+/** Écart compté - attendu (« +2,00 € »), ou « — » si le moyen n'a pas été compté */
+const formatCashDifference = (difference) =>
+    difference === undefined || difference === null ? '—' : (difference > 0 ? '+' : '') + formatMoney(difference);
+
+/** Écart sur les espèces d'une session ou d'une clôture */
+const getCashDifference = (record) => formatCashDifference((record.counts || []).find(count => count.method === 'cash')?.difference);
+
+/** Date du jour au format des champs date (AAAA-MM-JJ), dans le fuseau du navigateur */
+const todayInputValue = () => {
+    const now = new Date();
+    return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
+
+/** Vue caisse : session de ce poste, sessions récentes, aperçu du Z de la journée et clôtures précédentes */
+const renderCashRegister = async () => {
+    await getLocations();
+    fillLocationSelect(document.getElementById('cash-session-location'));
+    fillLocationSelect(document.getElementById('day-closing-location'));
+    const dateInput = document.getElementById('day-closing-date');
+    if (!dateInput.value) dateInput.value = todayInputValue();
+    await renderTerminalCashSession();
+    await Promise.all([renderCashSessions(), renderDayClosing(), renderDayClosings()]);
+};
+
+/** Caisse de ce poste : formulaire d'ouverture, ou attendu par moyen de paiement et saisie du compté pour la fermer */
+const renderTerminalCashSession = async () => {
+    const openForm = document.getElementById('cash-session-open-form');
+    const closeForm = document.getElementById('cash-session-close-form');
+    let cashSession = terminalCashSession && await getCashSession(terminalCashSession._id);
+    // Caisse fermée depuis un autre poste : ce poste en est détaché
+    if (cashSession && cashSession.status !== 'open') {
+        setTerminalCashSession(null);
+        cashSession = null;
+    }
+    openForm.style.display = terminalCashSession ? 'none' : '';
+    closeForm.style.display = terminalCashSession ? '' : 'none';
+    if (!terminalCashSession) {
+        openForm.reset();
+        return;
+    }
+
+    const current = document.getElementById('cash-session-current');
+    const tbody = document.getElementById('cash-session-counts-tbody');
+    tbody.innerHTML = '';
+    if (!cashSession) {
+        current.textContent = `${terminalCashSession.register} (${terminalCashSession.locationName}) : état indisponible.`;
+        return;
+    }
+    current.textContent = `${cashSession.register} (${cashSession.locationName}) ouverte le ${new Date(cashSession.openedAt).toLocaleString()} par ${cashSession.openedByName}, fond de caisse ${formatMoney(cashSession.openingFloat)}, ${cashSession.salesCount} vente(s).`;
+    cashSession.counts.forEach(count => {
+        const row = tbody.insertRow();
+        row.insertCell().textContent = PAYMENT_METHOD_LABELS[count.method];
+        row.insertCell().textContent = formatMoney(count.expected);
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.className = 'money-input';
+        input.min = '0';
+        input.step = String(1 / 10 ** shopSettings.currencyDigits);
+        input.dataset.method = count.method;
+        input.dataset.expected = count.expected;
+        input.required = count.method === 'cash';
+        input.placeholder = count.method === 'cash' ? 'Espèces en caisse' : 'Non compté';
+        row.insertCell().appendChild(input);
+    });
+};
+
+/** Sessions de caisse récentes ; une session ouverte peut être reprise sur ce poste */
+const renderCashSessions = async () => {
+    const result = await getCashSessions(new URLSearchParams({ limit: 20 }));
+    if (!result) return;
+    const tbody = document.getElementById('cash-sessions-tbody');
+    tbody.innerHTML = '';
+    result.data.forEach(cashSession => {
+        const row = tbody.insertRow();
+        row.insertCell().textContent = cashSession.register;
+        row.insertCell().textContent = cashSession.locationName;
+        row.insertCell().textContent = `${new Date(cashSession.openedAt).toLocaleString()} (${cashSession.openedByName})`;
+        row.insertCell().textContent = cashSession.closedAt
+            ? `${new Date(cashSession.closedAt).toLocaleString()} (${cashSession.closedByName})`
+            : 'Ouverte';
+        row.insertCell().textContent = formatMoney(cashSession.openingFloat);
+        row.insertCell().textContent = cashSession.salesCount ?? '—';
+        row.insertCell().textContent = getCashDifference(cashSession);
+
+        const actionCell = row.insertCell();
+        if (cashSession.status === 'open' && cashSession._id !== terminalCashSession?._id && hasRole('admin', 'cashier')) {
+            const useBtn = document.createElement('button');
+            useBtn.className = 'btn btn-primary btn-small';
+            useBtn.textContent = 'Utiliser sur ce poste';
+            useBtn.onclick = async () => {
+                setTerminalCashSession(cashSession);
+                await renderCashRegister();
+            };
+            actionCell.appendChild(useBtn);
+        }
+    });
+};
+
+/** Aperçu du Z de la journée choisie, ou la clôture enregistrée si elle est déjà clôturée */
+const renderDayClosing = async () => {
+    const date = document.getElementById('day-closing-date').value;
+    const locationId = document.getElementById('day-closing-location').value;
+    const closeDayBtn = document.getElementById('close-day-btn');
+    closeDayBtn.disabled = true;
+    if (!date || !locationId) return;
+
+    const report = await getDayClosingPreview(new URLSearchParams({
+        date, locationId, tz: Intl.DateTimeFormat().resolvedOptions().timeZone
+    }));
+    if (!report) return;
+    const shown = report.closing || report;
+
+    const summary = document.getElementById('day-closing-summary');
+    summary.innerHTML = '';
+    [
+        ['Ventes', shown.salesCount],
+        ['Retours', shown.returnsCount],
+        ['Ventes annulées', shown.voidedCount],
+        ["Chiffre d'affaires", formatMoney(shown.revenue)],
+        ['Fonds de caisse', formatMoney(shown.openingFloat)],
+        ['Monnaie rendue', formatMoney(shown.changeGiven)]
+    ].forEach(([label, value]) => {
+        const card = document.createElement('div');
+        card.className = 'kpi-card';
+        card.innerHTML = '<div class="kpi-label"></div><div class="kpi-value"></div>';
+        card.querySelector('.kpi-label').textContent = label;
+        card.querySelector('.kpi-value').textContent = value;
+        summary.appendChild(card);
+    });
+
+    const tbody = document.getElementById('day-closing-tbody');
+    tbody.innerHTML = '';
+    shown.counts.forEach(count => {
+        const row = tbody.insertRow();
+        row.insertCell().textContent = PAYMENT_METHOD_LABELS[count.method];
+        row.insertCell().textContent = formatMoney(count.expected);
+        row.insertCell().textContent = count.counted !== undefined && count.counted !== null ? formatMoney(count.counted) : '—';
+        row.insertCell().textContent = formatCashDifference(count.difference);
+    });
+
+    const status = document.getElementById('day-closing-status');
+    if (report.closing) {
+        status.textContent = `Journée clôturée (${formatClosingNumber(report.closing)}) le ${new Date(report.closing.closedAt).toLocaleString()} par ${report.closing.closedByName} : elle ne peut plus être modifiée.`;
+    } else if (report.openSessionCount > 0) {
+        status.textContent = `${report.openSessionCount} caisse(s) encore ouverte(s) ce jour-là : fermez-les avant la clôture.`;
+    } else {
+        status.textContent = `${report.sessions.length} session(s) de caisse ce jour-là, toutes fermées : la journée peut être clôturée.`;
+    }
+    closeDayBtn.disabled = Boolean(report.closing) || report.openSessionCount > 0;
+};
+
+/** Clôtures journalières précédentes */
+const renderDayClosings = async () => {
+    const result = await getDayClosings(new URLSearchParams({ limit: 20 }));
+    if (!result) return;
+    const tbody = document.getElementById('day-closings-tbody');
+    tbody.innerHTML = '';
+    result.data.forEach(closing => {
+        const row = tbody.insertRow();
+        row.insertCell().textContent = formatClosingNumber(closing);
+        row.insertCell().textContent = new Date(`${closing.date}T00:00:00`).toLocaleDateString();
+        row.insertCell().textContent = closing.locationName;
+        row.insertCell().textContent = closing.salesCount;
+        row.insertCell().textContent = formatMoney(closing.revenue);
+        row.insertCell().textContent = getCashDifference(closing);
+        row.insertCell().textContent = `${closing.closedByName}, ${new Date(closing.closedAt).toLocaleString()}`;
+    });
+};
+
+/** Affiche un inventaire : une ligne par produit, quantité comptée modifiable tant qu'il est en cours */
+const renderStockCount = async () => {
+    const count = await getStockCount(stockCountBeingEdited._id);
+    if (!count) return;
+    stockCountBeingEdited = count;
+    const isOpen = count.status === 'open' && hasRole('admin', 'cashier');
+
+    document.getElementById('stock-count-title').textContent =
+        `Inventaire ${formatTicketNumber(count)} : ${count.locationName}${count.categoryName ? ` (${count.categoryName})` : ''}`;
+    document.getElementById('stock-count-info').textContent = [
+        `${STOCK_COUNT_STATUS_LABELS[count.status]}`,
+        `commencé le ${new Date(count.createdAt).toLocaleString()} par ${count.createdByName}`,
+        count.postedAt ? `validé le ${new Date(count.postedAt).toLocaleString()} par ${count.postedByName}` : '',
+        count.notes || ''
+    ].filter(Boolean).join(' — ');
+    document.getElementById('stock-count-entry').style.display = isOpen ? '' : 'none';
+    document.getElementById('stock-count-error').style.display = 'none';
+    ['save-stock-count-btn', 'post-stock-count-btn', 'cancel-stock-count-btn'].forEach(id => {
+        document.getElementById(id).disabled = !isOpen;
+    });
+
+    const filter = document.getElementById('stock-count-filter').value;
+    const tbody = document.getElementById('stock-count-tbody');
+    tbody.innerHTML = '';
+    count.items
+        .filter(item => filter === 'uncounted' ? item.countedQuantity === undefined
+            : filter === 'variance' ? item.variance !== undefined && item.variance !== 0 : true)
+        .forEach(item => {
+            const row = tbody.insertRow();
+            row.insertCell().textContent = item.productName;
+            row.insertCell().textContent = item.sku || '—';
+            row.insertCell().textContent = item.systemQuantity ?? '—';
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = 0;
+            input.inputMode = 'numeric';
+            input.value = item.countedQuantity ?? '';
+            input.disabled = !isOpen;
+            input.className = 'stock-count-quantity';
+            input.dataset.productId = item.productId;
+            input.dataset.saved = input.value;
+            row.insertCell().appendChild(input);
+
+            row.insertCell().textContent = item.variance === undefined ? '—' : (item.variance > 0 ? '+' : '') + item.variance;
+            row.insertCell().textContent = item.varianceValue === undefined ? '—' : formatMoney(item.varianceValue);
+            if (item.variance < 0) row.className = 'low-stock';
+        });
+
+    const { summary } = count;
+    const tfoot = document.getElementById('stock-count-tfoot');
+    tfoot.innerHTML = '';
+    [
+        [`Lignes comptées : ${summary.countedCount} / ${summary.itemCount}, dont ${summary.varianceCount} avec écart`, '', ''],
+        ['Excédents', `+${summary.surplusQuantity}`, formatMoney(summary.surplusValue)],
+        ['Manquants', `-${summary.shortageQuantity}`, formatMoney(-summary.shortageValue)],
+        ['Écart net', '', formatMoney(summary.netValue)]
+    ].forEach(([label, quantity, value]) => {
+        const row = tfoot.insertRow();
+        const labelCell = row.insertCell();
+        labelCell.colSpan = 4;
+        labelCell.textContent = label;
+        row.insertCell().textContent = quantity;
+        row.insertCell().textContent = value;
+        Array.from(row.cells).forEach(cell => cell.style.fontWeight = '700');
+    });
+};
+
+/** Comptages modifiés depuis le dernier enregistrement, au format de l'API */
+const getPendingStockCountLines = () => Array.from(document.querySelectorAll('#stock-count-tbody .stock-count-quantity'))
+    .filter(input => input.value !== input.dataset.saved)
+    .map(input => ({ productId: input.dataset.productId, countedQuantity: input.value === '' ? null : parseInt(input.value) }));
+
+/** Enregistre les comptages en attente ; vrai si tout est à jour */
+const saveStockCount = async () => {
+    const errorDiv = document.getElementById('stock-count-error');
+    errorDiv.style.display = 'none';
+    const counts = getPendingStockCountLines();
+    if (counts.length === 0) return true;
+    if (counts.some(line => line.countedQuantity !== null && !(line.countedQuantity >= 0))) {
+        errorDiv.textContent = 'Les quantités comptées doivent être des entiers positifs ou nuls.';
+        errorDiv.style.display = 'block';
+        return false;
+    }
+    if (!await saveStockCountLines(stockCountBeingEdited._id, counts)) return false;
+    await renderStockCount();
+    return true;
+};
+
+/**
+ * Article scanné pendant le comptage : +1 sur sa ligne. Un produit absent de la liste
+ * (créé depuis le début de l'inventaire) est compté directement auprès du serveur.
+ */
+const countScannedProduct = async (code) => {
+    const errorDiv = document.getElementById('stock-count-error');
+    errorDiv.style.display = 'none';
+    const product = await findProductByCode(code);
+    if (!product) {
+        errorDiv.textContent = `Aucun produit ne correspond au code "${code}".`;
+        errorDiv.style.display = 'block';
+        return;
+    }
+
+    const input = Array.from(document.querySelectorAll('#stock-count-tbody .stock-count-quantity'))
+        .find(candidate => candidate.dataset.productId === product._id);
+    if (input) {
+        input.value = (parseInt(input.value) || 0) + 1;
+        return;
+    }
+    if (stockCountBeingEdited.items.some(item => item.productId === product._id)) {
+        errorDiv.textContent = `${product.name} est masqué par le filtre d'affichage.`;
+        errorDiv.style.display = 'block';
+        return;
+    }
+    if (await saveStockCount() && await saveStockCountLines(stockCountBeingEdited._id, [{ productId: product._id, countedQuantity: 1 }])) {
+        await renderStockCount();
+    }
+};
+
+const renderCategories = async () => {
+    await getCategories();
+    const tbody = document.getElementById('categories-tbody');
+    tbody.innerHTML = '';
+
+    categories.forEach(category => {
+        const row = tbody.insertRow();
+        row.insertCell().textContent = category.name;
+        row.insertCell().textContent = category.vatRate !== undefined && category.vatRate !== null
+            ? formatVatRate(category.vatRate)
+            : `Par défaut (${formatVatRate(shopSettings.defaultVatRate)})`;
+        row.insertCell().textContent = category.productCount;
+
+        if (!hasRole('admin')) return;
+
+        const actionCell = row.insertCell();
+        const renameBtn = document.createElement('button');
+        renameBtn.className = 'btn btn-warning btn-small';
+        renameBtn.textContent = 'Renommer';
+        renameBtn.onclick = async () => {
+            const name = await showPromptModal(`Nouveau nom de la catégorie "${category.name}" :`, category.name);
+            if (name && await saveCategoryToDB({ name }, category._id)) await renderCategories();
+        };
+        actionCell.appendChild(renameBtn);
+        actionCell.appendChild(document.createTextNode(' '));
+
+        const vatBtn = document.createElement('button');
+        vatBtn.className = 'btn btn-info btn-small';
+        vatBtn.textContent = 'TVA';
+        vatBtn.onclick = async () => {
+            const answer = await showPromptModal(
+                `Taux de TVA en % de la catégorie "${category.name}" (« - » pour le taux par défaut du magasin) :`,
+                String(category.vatRate ?? '')
+            );
+            if (answer === null) return;
+            const vatRate = answer === '-' ? null : parseFloat(answer.replace(',', '.'));
+            if (vatRate !== null && isNaN(vatRate)) {
+                showNotification('Taux de TVA invalide.', 'error');
+                return;
+            }
+            if (await saveCategoryToDB({ vatRate }, category._id)) await renderCategories();
+        };
+        actionCell.appendChild(vatBtn);
+        actionCell.appendChild(document.createTextNode(' '));
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-danger btn-small';
+        deleteBtn.textContent = 'Supprimer';
+        deleteBtn.onclick = async () => {
+            if (await deleteCategoryFromDB(category._id, category.name)) await renderCategories();
+        };
+        actionCell.appendChild(deleteBtn);
+    });
+};
+
+const renderLabels = async () => {
+    const products = await getProducts();
+    const tbody = document.getElementById('labels-tbody');
+    tbody.innerHTML = '';
+    document.getElementById('labels-sheet').innerHTML = '';
+
+    products.forEach(product => {
+        const row = tbody.insertRow();
+        row.insertCell().textContent = product.name;
+        row.insertCell().textContent = product.sku || '—';
+        row.insertCell().textContent = product.barcode
+            ? product.barcode + (isValidEan13(product.barcode) ? '' : ' (non EAN-13 : imprimé en texte)')
+            : 'Aucun';
+
+        const copiesInput = document.createElement('input');
+        copiesInput.type = 'number';
+        copiesInput.min = 0;
+        copiesInput.value = 0;
+        copiesInput.className = 'label-copies';
+        copiesInput.dataset.productId = product._id;
+        row.insertCell().appendChild(copiesInput);
+    });
+};
+
+/** Construit la planche d'étiquettes demandée puis ouvre l'impression */
+const printLabels = () => {
+    const sheet = document.getElementById('labels-sheet');
+    sheet.innerHTML = '';
+
+    document.querySelectorAll('#labels-tbody .label-copies').forEach(input => {
+        const copies = parseInt(input.value) || 0;
+        const product = knownProducts.find(candidate => candidate._id === input.dataset.productId);
+        for (let i = 0; i < copies; i++) {
+            const label = document.createElement('div');
+            label.className = 'label';
+            const name = document.createElement('div');
+            name.className = 'label-name';
+            name.textContent = product.name;
+            label.appendChild(name);
+            if (product.barcode && isValidEan13(product.barcode)) {
+                label.appendChild(buildEan13Svg(product.barcode));
+            }
+            const code = document.createElement('div');
+            code.className = 'label-code';
+            code.textContent = [product.sku, product.barcode && !isValidEan13(product.barcode) ? product.barcode : '']
+                .filter(Boolean).join(' · ');
+            label.appendChild(code);
+            sheet.appendChild(label);
+        }
+    });
+
+    if (!sheet.hasChildNodes()) {
+        showNotification("Indiquez le nombre d'étiquettes à imprimer pour au moins un produit.", 'error');
+        return;
+    }
+    window.print();
+};
+
+const renderLocations = async () => {
+    const [products] = await Promise.all([getProducts(), getLocations()]);
+    const tbody = document.getElementById('locations-tbody');
+    tbody.innerHTML = '';
+
+    locations.forEach(location => {
+        const units = products.reduce((sum, product) => sum + getLocationQuantity(product, location._id), 0);
+        const row = tbody.insertRow();
+        row.insertCell().textContent = location.name;
+        row.insertCell().textContent = LOCATION_TYPE_LABELS[location.type] || location.type;
+        row.insertCell().textContent = location.isDefault ? 'Oui' : '';
+        row.insertCell().textContent = units;
+
+        if (!hasRole('admin')) return;
+
+        const actionCell = row.insertCell();
+        const renameBtn = document.createElement('button');
+        renameBtn.className = 'btn btn-warning btn-small';
+        renameBtn.textContent = 'Renommer';
+        renameBtn.onclick = async () => {
+            const name = await showPromptModal(`Nouveau nom de l'emplacement "${location.name}" :`, location.name);
+            if (name && await saveLocationToDB({ name }, location._id)) await renderLocations();
+        };
+        actionCell.appendChild(renameBtn);
+
+        if (location.isDefault) return;
+
+        actionCell.appendChild(document.createTextNode(' '));
+        const defaultBtn = document.createElement('button');
+        defaultBtn.className = 'btn btn-info btn-small';
+        defaultBtn.textContent = 'Par défaut';
+        defaultBtn.onclick = async () => {
+            if (await saveLocationToDB({ isDefault: true }, location._id)) await renderLocations();
+        };
+        actionCell.appendChild(defaultBtn);
+        actionCell.appendChild(document.createTextNode(' '));
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-danger btn-small';
+        deleteBtn.textContent = 'Supprimer';
+        deleteBtn.onclick = async () => {
+            if (await deleteLocationFromDB(location._id, location.name)) await renderLocations();
+        };
+        actionCell.appendChild(deleteBtn);
+    });
+
+    fillProductSelect(document.getElementById('transfer-product'), products);
+    fillLocationSelect(document.getElementById('transfer-from'));
+    fillLocationSelect(document.getElementById('transfer-to'));
+    // Par défaut, transfert du premier emplacement vers le suivant
+    const transferTo = document.getElementById('transfer-to');
+    if (transferTo.options.length > 1 && transferTo.value === document.getElementById('transfer-from').value) {
+        transferTo.selectedIndex = 1;
+    }
+    document.getElementById('transfer-error').style.display = 'none';
+
+    await renderTransfers();
+};
+
+const renderTransfers = async () => {
+    const result = await getTransfers(transfersPage);
+    const tbody = document.getElementById('transfers-tbody');
+    tbody.innerHTML = '';
+    renderPagination('transfers', result);
+
+    result.data.forEach(transfer => {
+        const row = tbody.insertRow();
+        const date = new Date(transfer.transferDate);
+        row.insertCell().textContent = `${date.toLocaleDateString()} ${date.toLocaleTimeString()}`;
+        row.insertCell().textContent = transfer.productName;
+        row.insertCell().textContent = transfer.fromLocationName;
+        row.insertCell().textContent = transfer.toLocationName;
+        row.insertCell().textContent = transfer.quantity;
+        row.insertCell().textContent = transfer.reason || '—';
+        row.insertCell().textContent = transfer.createdByName || '—';
+    });
+};
+
+const renderOfflineQueue = async () => {
+    const queue = await getQueuedSales();
+    const tbody = document.getElementById('offline-queue-tbody');
+    tbody.innerHTML = '';
+    document.getElementById('empty-offline-queue-message').style.display = queue.length === 0 ? 'block' : 'none';
+    const locationNames = new Map(locations.map(location => [location._id, location.name]));
+
+    queue.forEach(sale => {
+        const row = tbody.insertRow();
+        if (sale.status === 'conflict') row.classList.add('sale-conflict');
+
+        const date = new Date(sale.offlineCreatedAt);
+        row.insertCell().textContent = `${date.toLocaleDateString()} ${date.toLocaleTimeString()} (${sale.createdByName})`;
+        row.insertCell().textContent = locationNames.get(sale.locationId) || '—';
+        row.insertCell().textContent = sale.items.map(item => `${item.quantitySold} × ${item.productName}`).join(', ');
+        const total = sale.items.reduce((sum, item) => sum + item.unitPrice * item.quantitySold, 0);
+        row.insertCell().textContent = formatMoney(total);
+        row.insertCell().textContent = sale.status === 'conflict' ? `Conflit : ${sale.error}` : "En attente d'envoi";
+
+        const actionCell = row.insertCell();
+        if (sale.status !== 'conflict') return;
+
+        // Réessayer : après un réassort ou une correction de stock sur le serveur
+        const retryBtn = document.createElement('button');
+        retryBtn.className = 'btn btn-primary btn-small';
+        retryBtn.textContent = 'Réessayer';
+        retryBtn.onclick = async () => {
+            await putInStore('saleQueue', { ...sale, status: 'pending', error: undefined });
+            await syncQueuedSales();
+        };
+        actionCell.appendChild(retryBtn);
+        actionCell.appendChild(document.createTextNode(' '));
+
+        // Modifier : le ticket revient dans le panier pour être corrigé puis finalisé
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn btn-warning btn-small';
+        editBtn.textContent = 'Modifier';
+        editBtn.onclick = async () => {
+            await deleteFromStore('saleQueue', sale.idempotencyKey);
+            cart = sale.items.map(({ productId, productName, unitPrice, quantitySold }) => ({ productId, productName, unitPrice, quantitySold }));
+            await showView('saleForm');
+            saleLocationSelect.value = sale.locationId;
+            await populateSaleProductSelect();
+            await populateSaleCustomerSelect(sale.customerId || '');
+            resetSalePayments(sale.payments || []);
+            await updateOfflineStatus();
+            showNotification('Vente retirée de la file : corrigez le panier puis finalisez-la.', 'low-stock', 6000);
+        };
+        actionCell.appendChild(editBtn);
+        actionCell.appendChild(document.createTextNode(' '));
+
+        const discardBtn = document.createElement('button');
+        discardBtn.className = 'btn btn-danger btn-small';
+        discardBtn.textContent = 'Abandonner';
+        discardBtn.onclick = async () => {
+            const confirmed = await showConfirmationModal(`Abandonner définitivement cette vente de ${formatMoney(total)} ? Elle ne sera jamais enregistrée.`);
+            if (!confirmed) return;
+            await deleteFromStore('saleQueue', sale.idempotencyKey);
+            await updateOfflineStatus();
+            await renderOfflineQueue();
+        };
+        actionCell.appendChild(discardBtn);
+    });
+};
+
+// -----------------------------------------------------------------
+// 5. Gestion des Formulaires
+// -----------------------------------------------------------------
+
+/** Affiche la quantité du produit en cours de modification à l'emplacement choisi */
+const showProductLocationQuantity = () => {
+    if (!productBeingEdited) return;
+    const quantity = getLocationQuantity(productBeingEdited, productStockLocationSelect.value);
+    document.getElementById('quantity').value = quantity;
+    productForm.dataset.originalQuantity = quantity;
+};
+
+/** Clé d'une combinaison de valeurs d'attributs, insensible à la casse comme côté serveur */
+const variantKey = (values) => values.map(value => value.toLowerCase()).join('\u0000');
+
+/** Attributs saisis pour la grille de variantes : [{ name, values }] (lignes sans nom ignorées) */
+const readVariantAttributes = () => Array.from(document.querySelectorAll('#variants-section .variant-attribute'))
+    .filter(group => group.style.display !== 'none')
+    .map(group => ({
+        name: group.querySelector('.variant-attribute-name').value.trim(),
+        values: [...new Set(group.querySelector('.variant-attribute-values').value.split(',').map(value => value.trim()).filter(Boolean))]
+    }))
+    .filter(attribute => attribute.name);
+
+/** Prépare la section des variantes : case « plusieurs variantes » à la création, masquée en modification */
+const resetVariantSection = (isEditing) => {
+    variantParent = null;
+    document.getElementById('has-variants').checked = false;
+    document.getElementById('has-variants-group').style.display = isEditing ? 'none' : 'block';
+    document.getElementById('variants-section').style.display = 'none';
+    document.getElementById('variant-parent-info').style.display = 'none';
+    document.getElementById('add-variants-btn').style.display = 'none';
+    document.getElementById('barcode-group').style.display = 'block';
+    document.getElementById('variant-matrix-tbody').innerHTML = '';
+    document.querySelectorAll('#variants-section .variant-attribute').forEach(group => {
+        group.style.display = '';
+        group.querySelectorAll('input').forEach(input => {
+            input.value = '';
+            input.readOnly = false;
+        });
+    });
+};
+
+/** En modification d'une variante : grille de son parent, pour créer les combinaisons manquantes */
+const showVariantParent = (parent, product) => {
+    variantParent = parent;
+    const info = document.getElementById('variant-parent-info');
+    info.textContent = `Variante de « ${parent.name} » : ${product.variantAttributes.map(attribute => `${attribute.name} ${attribute.value}`).join(', ')}. `
+        + 'Ajoutez des valeurs puis générez la grille pour créer d\'autres variantes.';
+    info.style.display = 'block';
+
+    document.querySelectorAll('#variants-section .variant-attribute').forEach((group, index) => {
+        const attribute = parent.attributes[index];
+        group.style.display = attribute ? '' : 'none';
+        if (!attribute) return;
+        const nameInput = group.querySelector('.variant-attribute-name');
+        nameInput.value = attribute.name;
+        nameInput.readOnly = true; // Les variantes existantes portent déjà ces attributs
+        group.querySelector('.variant-attribute-values').value = attribute.values.join(', ');
+    });
+    document.getElementById('variants-section').style.display = 'block';
+    document.getElementById('add-variants-btn').style.display = '';
+    buildVariantMatrix();
+};
+
+/** Ajoute un champ de saisie à une ligne de la grille de variantes */
+const appendVariantInput = (row, className, type, value, disabled) => {
+    const input = document.createElement('input');
+    input.type = type;
+    input.className = className;
+    input.value = value;
+    input.disabled = disabled;
+    if (type === 'number') input.min = 0;
+    row.insertCell().appendChild(input);
+    return input;
+};
+
+/**
+ * Grille des variantes : une ligne par combinaison des valeurs d'attributs, préremplie avec la quantité,
+ * le prix d'achat et le seuil du formulaire. Les combinaisons qui existent déjà ne sont pas recréées.
+ */
+const buildVariantMatrix = () => {
+    const tbody = document.getElementById('variant-matrix-tbody');
+    tbody.innerHTML = '';
+    const attributes = readVariantAttributes();
+    if (attributes.length === 0 || attributes.some(attribute => attribute.values.length === 0)) return;
+
+    const combinations = attributes.reduce(
+        (combos, attribute) => combos.flatMap(combo => attribute.values.map(value => [...combo, value])), [[]]);
+    const existing = new Set((variantParent ? variantParent.variants : [])
+        .map(variant => variantKey(variant.variantAttributes.map(attribute => attribute.value))));
+    const skuPrefix = document.getElementById('sku').value.trim();
+    // Ajoutées à un parent existant, les variantes partent d'un stock nul
+    const quantity = variantParent ? '0' : document.getElementById('quantity').value || '0';
+    const price = document.getElementById('price').value;
+    const minStockLevel = document.getElementById('minStockLevel').value;
+
+    combinations.forEach(values => {
+        const exists = existing.has(variantKey(values));
+        const row = tbody.insertRow();
+        row.dataset.values = JSON.stringify(values);
+
+        const include = document.createElement('input');
+        include.type = 'checkbox';
+        include.className = 'variant-include';
+        include.checked = !exists;
+        include.disabled = exists;
+        row.insertCell().appendChild(include);
+        row.insertCell().textContent = values.join(' / ') + (exists ? ' (existe déjà)' : '');
+
+        const sku = skuPrefix && !exists ? `${skuPrefix}-${values.join('-')}`.toUpperCase().replace(/\s+/g, '') : '';
+        appendVariantInput(row, 'variant-sku', 'text', sku, exists);
+        appendVariantInput(row, 'variant-barcode', 'text', '', exists);
+        appendVariantInput(row, 'variant-quantity', 'number', quantity, exists);
+        const priceInput = appendVariantInput(row, 'variant-price money-input', 'number', price, exists);
+        priceInput.step = String(1 / 10 ** shopSettings.currencyDigits);
+        appendVariantInput(row, 'variant-min-stock', 'number', minStockLevel, exists);
+    });
+};
+
+/** Lignes cochées de la grille, au format attendu par le serveur */
+const readVariantRows = () => Array.from(document.querySelectorAll('#variant-matrix-tbody tr'))
+    .filter(row => row.querySelector('.variant-include').checked)
+    .map(row => ({
+        values: JSON.parse(row.dataset.values),
+        sku: row.querySelector('.variant-sku').value.trim(),
+        barcode: row.querySelector('.variant-barcode').value.trim(),
+        quantity: parseInt(row.querySelector('.variant-quantity').value),
+        price: parseMoneyInput(row.querySelector('.variant-price').value),
+        minStockLevel: parseInt(row.querySelector('.variant-min-stock').value)
+    }));
+
+const editProduct = async (id = null) => {
+    productForm.reset();
+    productIdInput.value = '';
+    productBeingEdited = null;
+    delete productForm.dataset.originalQuantity;
+    document.getElementById('adjustment-reason-group').style.display = id !== null ? 'block' : 'none';
+    resetVariantSection(id !== null);
+    await Promise.all([getLocations(), getCategories()]);
+    fillLocationSelect(productStockLocationSelect);
+    fillCategorySelect(productCategorySelect, '-- Sans catégorie --');
+    
+    if (id !== null) {
+        const products = await getProducts();
+        const product = products.find(p => p._id === id); 
+        if (product) {
+            productBeingEdited = product;
+            formTitle.textContent = `Modifier le Produit : ${product.name}`;
+            productIdInput.value = product._id;
+            document.getElementById('name').value = product.name;
+            showProductLocationQuantity();
+            document.getElementById('price').value = formatMoneyInput(product.price); // prix d'achat
+            document.getElementById('product-vat-rate').value = product.vatRate ?? '';
+            document.getElementById('minStockLevel').value = product.minStockLevel;
+            document.getElementById('location').value = product.location || '';
+            productCategorySelect.value = product.categoryId || '';
+            document.getElementById('brand').value = product.brand || '';
+            document.getElementById('unit').value = product.unit || '';
+            document.getElementById('sku').value = product.sku || '';
+            document.getElementById('barcode').value = product.barcode || '';
+            document.getElementById('leadTimeDays').value = product.leadTimeDays ?? '';
+            if (product.parentId) {
+                const parent = await getParentProduct(product.parentId);
+                if (parent) showVariantParent(parent, product);
+            }
+        }
+    } else {
+        formTitle.textContent = "Ajouter un Nouveau Produit";
+    }
+    
+    showView('productForm');
+};
+
+productForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    const id = productIdInput.value;
+    
+    const productData = {
+        // Utilise l'opérateur spread pour inclure l'id uniquement si on édite
+        ...(id && { id }), 
+        name: document.getElementById('name').value,
+        quantity: parseInt(document.getElementById('quantity').value),
+        price: parseMoneyInput(document.getElementById('price').value), // prix d'achat, en unités mineures
+        minStockLevel: parseInt(document.getElementById('minStockLevel').value),
+        location: document.getElementById('location').value.trim(),
+        categoryId: productCategorySelect.value,
+        brand: document.getElementById('brand').value.trim(),
+        unit: document.getElementById('unit').value.trim(),
+        // Codes et catégorie vides : le serveur les retire du produit
+        sku: document.getElementById('sku').value.trim(),
+        barcode: document.getElementById('barcode').value.trim(),
+        // La quantité saisie est celle de cet emplacement
+        locationId: productStockLocationSelect.value
+    };
+
+    // Taux de TVA facultatif : vide, le produit suit celui de sa catégorie ou le taux par défaut
+    const vatRate = document.getElementById('product-vat-rate').value;
+    productData.vatRate = vatRate === '' ? '' : parseFloat(vatRate.replace(',', '.'));
+
+    // Produit à variantes : le parent et toute la grille cochée sont créés ensemble
+    if (!id && document.getElementById('has-variants').checked) {
+        const variants = readVariantRows();
+        if (variants.length === 0) {
+            showNotification('Générez la grille des variantes et cochez au moins une combinaison.', 'error');
+            return;
+        }
+        const { name, categoryId, brand, unit, vatRate: parentVatRate, locationId } = productData;
+        const saved = await saveVariantsToDB({
+            name, categoryId, brand, unit, vatRate: parentVatRate, locationId,
+            attributes: readVariantAttributes(),
+            variants
+        });
+        if (saved) showView('list');
+        return;
+    }
+
+    // Délai facultatif : vide, le produit suit le délai par défaut du serveur
+    const leadTimeDays = document.getElementById('leadTimeDays').value;
+    productData.leadTimeDays = leadTimeDays === '' ? null : parseInt(leadTimeDays);
+
+    // Modifier la quantité d'un produit existant est un ajustement qui doit être motivé
+    const reason = document.getElementById('adjustment-reason').value.trim();
+    if (id && productData.quantity !== parseInt(productForm.dataset.originalQuantity)) {
+        if (!reason) {
+            showNotification("Indiquez le motif de l'ajustement de quantité.", 'error');
+            return;
+        }
+        productData.reason = reason;
+    }
+    
+    const savedProduct = await saveProductToDB(productData);
+
+    if (savedProduct) {
+        showView('list'); 
+    }
+});
+
+const calculateSalePrices = () => {
+    // parseMoneyInput accepte les virgules ou les points pour la saisie décimale
+    const unitPrice = parseMoneyInput(saleUnitPriceInput.value) || 0;
+    const quantity = parseFloat(saleQuantityInput.value) || 0;
+    saleTotalPriceInput.value = formatMoneyInput(Math.round(unitPrice * quantity));
+};
+
+/** Remplit le choix du client de la vente (hors ligne : vente sans client, payée comptant) */
+const populateSaleCustomerSelect = async (selectedId = null) => {
+    const select = document.getElementById('sale-customer');
+    const selected = selectedId ?? select.value;
+    const customers = navigator.onLine ? await getCustomers() : [];
+    select.innerHTML = '<option value="">-- Client de passage --</option>';
+    customers.forEach(customer => {
+        const option = document.createElement('option');
+        option.value = customer._id;
+        option.textContent = customer.name + (customer.balance > 0 ? ` (doit ${formatMoney(customer.balance)})` : '');
+        select.appendChild(option);
+    });
+    if (Array.from(select.options).some(option => option.value === selected)) select.value = selected;
+};
+
+const populateSaleProductSelect = async () => {
+    const [products] = await Promise.all([getProducts(), getLocations(), populateSaleCustomerSelect()]);
+    fillLocationSelect(saleLocationSelect);
+    saleProductSelect.innerHTML = '<option value="">-- Sélectionner un produit --</option>'; 
+    
+    products.forEach(product => {
+        const option = document.createElement('option');
+        fillSaleProductOption(option, product);
+        saleProductSelect.appendChild(option);
+    });
+    
+    resetSaleLineInputs();
+    renderCart();
+    renderSaleCashSessionInfo();
+};
+
+/** Renseigne l'option d'un produit à vendre : stock au point de vente choisi, épuisé ou non */
+const fillSaleProductOption = (option, product) => {
+    const quantity = getLocationQuantity(product, saleLocationSelect.value);
+    option.value = product._id;
+    option.textContent = `${product.name} (Stock: ${quantity})`;
+
+    // Stocker le prix d'achat (price) pour l'utiliser comme base pour la suggestion de prix de vente
+    option.dataset.price = product.price; 
+    option.dataset.quantity = quantity;
+    option.dataset.name = product.name;
+
+    option.disabled = quantity <= 0;
+    if (option.disabled) option.textContent += ' - Épuisé';
+};
+
+/** Vide les champs de saisie d'une ligne, sans toucher au panier */
+const resetSaleLineInputs = () => {
+    saleErrorDiv.style.display = 'none'; 
+    saleForm.reset(); 
+    saleUnitPriceInput.value = formatMoneyInput(0);
+    saleTotalPriceInput.value = formatMoneyInput(0);
+};
+
+const renderCart = () => {
+    cartTbody.innerHTML = '';
+    cartTfoot.innerHTML = '';
+
+    updateSalePaymentSummary();
+    if (cart.length === 0) {
+        emptyCartMessage.style.display = 'block';
+        return;
+    }
+    emptyCartMessage.style.display = 'none';
+
+    let ticketTotal = 0;
+    cart.forEach((item, index) => {
+        const lineTotal = item.unitPrice * item.quantitySold;
+        ticketTotal += lineTotal;
+
+        const row = cartTbody.insertRow();
+        row.insertCell().textContent = item.productName;
+        row.insertCell().textContent = formatMoney(item.unitPrice);
+        row.insertCell().textContent = item.quantitySold;
+        row.insertCell().textContent = formatMoney(lineTotal);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'btn btn-danger btn-small';
+        removeBtn.textContent = 'Retirer';
+        removeBtn.onclick = () => {
+            cart.splice(index, 1);
+            renderCart();
+        };
+        row.insertCell().appendChild(removeBtn);
+    });
+
+    const totalRow = cartTfoot.insertRow();
+    const totalHeader = document.createElement('th');
+    totalHeader.colSpan = 3;
+    totalHeader.textContent = 'Total du Ticket :';
+    totalRow.appendChild(totalHeader);
+
+    const totalCell = document.createElement('th');
+    totalCell.textContent = formatMoney(ticketTotal);
+    totalRow.appendChild(totalCell);
+    totalRow.appendChild(document.createElement('th'));
+};
+
+/** Total du ticket en cours */
+const getCartTotal = () => cart.reduce((sum, item) => sum + item.unitPrice * item.quantitySold, 0);
+
+/** Ajoute une ligne de règlement (moyen et montant remis ; montant vide = reste du ticket) */
+const appendSalePaymentRow = (method = 'cash', amount = '') => {
+    const container = document.getElementById('sale-payments');
+    const row = document.createElement('div');
+    row.className = 'sale-payment-row';
+
+    const select = document.createElement('select');
+    select.className = 'sale-payment-method';
+    PAYMENT_METHODS.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = PAYMENT_METHOD_LABELS[value];
+        select.appendChild(option);
+    });
+    select.value = method;
+    row.appendChild(select);
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'sale-payment-amount money-input';
+    input.min = '0';
+    input.step = String(1 / 10 ** shopSettings.currencyDigits);
+    input.placeholder = 'Reste du ticket';
+    input.value = amount;
+    row.appendChild(input);
+
+    // La première ligne reste : un ticket a toujours au moins un moyen de paiement
+    if (container.children.length > 0) {
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'btn btn-danger btn-small';
+        removeBtn.textContent = 'Retirer';
+        removeBtn.onclick = () => {
+            row.remove();
+            updateSalePaymentSummary();
+        };
+        row.appendChild(removeBtn);
+    }
+    container.appendChild(row);
+};
+
+/** Remet le règlement à une seule ligne en espèces, ou aux règlements [{ method, amount }] d'une vente à corriger */
+const resetSalePayments = (payments = []) => {
+    document.getElementById('sale-payments').innerHTML = '';
+    if (payments.length === 0) appendSalePaymentRow();
+    payments.forEach(payment => appendSalePaymentRow(payment.method, formatMoneyInput(payment.amount)));
+    updateSalePaymentSummary();
+};
+
+/**
+ * Règlements saisis [{ method, amount }] : la première ligne sans montant reçoit le reste du ticket,
+ * les suivantes sont ignorées. Null si un montant est invalide.
+ */
+const readSalePayments = (totalPrice) => {
+    const rows = Array.from(document.querySelectorAll('#sale-payments .sale-payment-row')).map(row => ({
+        method: row.querySelector('.sale-payment-method').value,
+        value: row.querySelector('.sale-payment-amount').value.trim()
+    }));
+    const payments = rows.filter(row => row.value !== '').map(row => ({ method: row.method, amount: parseMoneyInput(row.value) }));
+    if (payments.some(payment => !(payment.amount >= 0))) return null;
+
+    const remainderRow = rows.find(row => row.value === '');
+    if (remainderRow) {
+        const entered = payments.reduce((sum, payment) => sum + payment.amount, 0);
+        payments.push({ method: remainderRow.method, amount: Math.max(totalPrice - entered, 0) });
+    }
+    return payments;
+};
+
+/** Monnaie à rendre ou reste dû du ticket selon les montants remis */
+const updateSalePaymentSummary = () => {
+    const summary = document.getElementById('sale-payment-summary');
+    const totalPrice = getCartTotal();
+    const payments = readSalePayments(totalPrice);
+    if (cart.length === 0 || !payments) {
+        summary.textContent = '';
+        return;
+    }
+    const tendered = payments.reduce((sum, payment) => sum + payment.amount, 0);
+    if (tendered > totalPrice) {
+        summary.textContent = `Monnaie à rendre : ${formatMoney(tendered - totalPrice)}`;
+    } else if (tendered < totalPrice) {
+        summary.textContent = `Reste dû (vente à crédit) : ${formatMoney(totalPrice - tendered)}`;
+    } else {
+        summary.textContent = `Ticket réglé : ${formatMoney(totalPrice)}`;
+    }
+};
+
+/** Session de caisse du poste si elle encaisse à cet emplacement, sinon rien (vente hors session) */
+const cashSessionFields = (locationId) =>
+    terminalCashSession && terminalCashSession.locationId === locationId ? { cashSessionId: terminalCashSession._id } : {};
+
+/** Indique sur le formulaire de vente quelle caisse encaisse le ticket */
+const renderSaleCashSessionInfo = () => {
+    const info = document.getElementById('sale-cash-session-info');
+    if (!terminalCashSession) {
+        info.textContent = "Aucune caisse ouverte sur ce poste : la vente sera enregistrée hors session (menu Caisse pour l'ouvrir).";
+    } else if (terminalCashSession.locationId !== saleLocationSelect.value) {
+        info.textContent = `${terminalCashSession.register} est ouverte à ${terminalCashSession.locationName} : une vente d'un autre emplacement est enregistrée hors session.`;
+    } else {
+        info.textContent = `Encaissé sur ${terminalCashSession.register} (${terminalCashSession.locationName}).`;
+    }
+};
+
+/** Suggestion d'un prix de vente à partir du prix d'achat (par exemple, 50% de marge, soit x 1.5) */
+const suggestSalePrice = (purchasePrice) => Math.round(purchasePrice * 1.5);
+
+saleProductSelect.addEventListener('change', () => {
+    const selectedOption = saleProductSelect.options[saleProductSelect.selectedIndex];
+    // Récupère le prix d'achat
+    const purchasePrice = selectedOption && selectedOption.dataset.price ? parseInt(selectedOption.dataset.price) : 0;
+
+    saleUnitPriceInput.value = formatMoneyInput(suggestSalePrice(purchasePrice));
+    
+    calculateSalePrices();
+});
+
+/** Article scanné : ajouté directement au panier (une unité, au prix suggéré) */
+const addScannedProductToCart = async (code) => {
+    saleErrorDiv.style.display = 'none';
+    const product = await findProductByCode(code);
+    if (!product) {
+        saleErrorDiv.textContent = `Aucun produit ne correspond au code "${code}".`;
+        saleErrorDiv.style.display = 'block';
+        return;
+    }
+
+    const stock = getLocationQuantity(product, saleLocationSelect.value);
+    const alreadyInCart = cart
+        .filter(item => item.productId === product._id)
+        .reduce((sum, item) => sum + item.quantitySold, 0);
+    if (alreadyInCart + 1 > stock) {
+        saleErrorDiv.textContent = `Stock insuffisant pour ${product.name} : ${stock} en stock, dont ${alreadyInCart} déjà dans le panier.`;
+        saleErrorDiv.style.display = 'block';
+        return;
+    }
+
+    // Un même article scanné plusieurs fois s'ajoute à sa ligne
+    const unitPrice = suggestSalePrice(product.price);
+    const line = cart.find(item => item.productId === product._id && item.unitPrice === unitPrice);
+    if (line) {
+        line.quantitySold++;
+    } else {
+        cart.push({ productId: product._id, productName: product.name, unitPrice: unitPrice, quantitySold: 1 });
+    }
+    renderCart();
+};
+
+saleQuantityInput.addEventListener('input', calculateSalePrices);
+saleUnitPriceInput.addEventListener('input', calculateSalePrices); 
+
+// Le formulaire ajoute une ligne au panier ; la vente est enregistrée par "Finaliser la Vente"
+saleForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    saleErrorDiv.style.display = 'none';
+
+    const productId = saleProductSelect.value;
+    const quantitySold = parseInt(saleQuantityInput.value);
+    const unitPriceSold = parseMoneyInput(saleUnitPriceInput.value);
+
+    if (!productId || quantitySold <= 0 || isNaN(quantitySold) || unitPriceSold <= 0 || isNaN(unitPriceSold)) {
+        saleErrorDiv.textContent = "Veuillez vérifier les champs (produit, quantité, prix unitaire).";
+        saleErrorDiv.style.display = 'block';
+        return;
+    }
+
+    const selectedOption = saleProductSelect.options[saleProductSelect.selectedIndex];
+    const stock = parseInt(selectedOption.dataset.quantity);
+    const alreadyInCart = cart
+        .filter(item => item.productId === productId)
+        .reduce((sum, item) => sum + item.quantitySold, 0);
+
+    if (alreadyInCart + quantitySold > stock) {
+        saleErrorDiv.textContent = `Stock insuffisant : ${stock} en stock, dont ${alreadyInCart} déjà dans le panier.`;
+        saleErrorDiv.style.display = 'block';
+        return;
+    }
+
+    cart.push({
+        productId: productId,
+        productName: selectedOption.dataset.name,
+        unitPrice: unitPriceSold,
+        quantitySold: quantitySold
+    });
+
+    resetSaleLineInputs();
+    renderCart();
+});
+
+document.getElementById('checkout-btn').onclick = async () => {
+    saleErrorDiv.style.display = 'none';
+
+    if (cart.length === 0) {
+        saleErrorDiv.textContent = "Le panier est vide : ajoutez au moins un produit.";
+        saleErrorDiv.style.display = 'block';
+        return;
+    }
+
+    // Montant remis inférieur au total : vente à crédit, rattachée à un client ; supérieur : monnaie rendue en espèces
+    const customerId = document.getElementById('sale-customer').value;
+    const totalPrice = getCartTotal();
+    const payments = readSalePayments(totalPrice);
+    if (!payments) {
+        saleErrorDiv.textContent = "Montants de règlement invalides : indiquez des montants positifs ou laissez vide pour le reste du ticket.";
+        saleErrorDiv.style.display = 'block';
+        return;
+    }
+    const tendered = payments.reduce((sum, payment) => sum + payment.amount, 0);
+    const cashTendered = payments.filter(payment => payment.method === 'cash').reduce((sum, payment) => sum + payment.amount, 0);
+    if (tendered - totalPrice > cashTendered) {
+        saleErrorDiv.textContent = "Le montant remis dépasse le total : seule une part en espèces peut donner lieu à un rendu de monnaie.";
+        saleErrorDiv.style.display = 'block';
+        return;
+    }
+    if (tendered < totalPrice && !customerId) {
+        saleErrorDiv.textContent = "Une vente à crédit doit être rattachée à un client : choisissez-le ou créez-le.";
+        saleErrorDiv.style.display = 'block';
+        return;
+    }
+
+    const saleData = {
+        locationId: saleLocationSelect.value,
+        payments,
+        ...cashSessionFields(saleLocationSelect.value),
+        ...(customerId && { customerId }),
+        items: cart.map(item => ({
+            productId: item.productId,
+            productName: item.productName, // Affiché dans la file hors ligne
+            quantitySold: item.quantitySold,
+            unitPrice: item.unitPrice
+        }))
+    };
+
+    const saleResult = await saveSaleToDB(saleData);
+
+    if (saleResult) {
+        // Une vente conservée hors ligne n'a pas encore de numéro : son document s'imprime depuis le rapport
+        const printFormat = document.getElementById('sale-print-format').value;
+        if (printFormat && saleResult._id) {
+            await openInvoicePdf(saleResult._id, printFormat);
+        }
+        if (saleResult.changeGiven > 0) {
+            showNotification(`Monnaie à rendre : ${formatMoney(saleResult.changeGiven)}`, 'success', 8000);
+        }
+        cart = [];
+        resetSalePayments();
+        document.getElementById('sale-customer').value = '';
+        showView('list');
+    }
+};
+
+const calculatePurchasePrices = () => {
+    const unitPrice = parseMoneyInput(purchaseUnitPriceInput.value) || 0;
+    const quantity = parseFloat(purchaseQuantityInput.value) || 0;
+    purchaseTotalPriceInput.value = formatMoneyInput(Math.round(unitPrice * quantity));
+};
+
+const populatePurchaseProductSelect = async () => {
+    const [products] = await Promise.all([getProducts(), getLocations()]);
+    fillLocationSelect(purchaseLocationSelect);
+    purchaseProductSelect.innerHTML = '<option value="">-- Sélectionner un produit --</option>';
+
+    products.forEach(product => {
+        const option = document.createElement('option');
+        option.value = product._id;
+        option.textContent = `${product.name} (Stock: ${product.quantity})`;
+        // Le prix d'achat du produit sert de coût unitaire par défaut
+        option.dataset.price = product.price;
+        purchaseProductSelect.appendChild(option);
+    });
+
+    purchaseErrorDiv.style.display = 'none';
+    purchaseForm.reset();
+    purchaseUnitPriceInput.value = formatMoneyInput(0);
+    purchaseTotalPriceInput.value = formatMoneyInput(0);
+};
+
+purchaseProductSelect.addEventListener('change', () => {
+    const selectedOption = purchaseProductSelect.options[purchaseProductSelect.selectedIndex];
+    const purchasePrice = selectedOption && selectedOption.dataset.price ? parseInt(selectedOption.dataset.price) : 0;
+    purchaseUnitPriceInput.value = formatMoneyInput(purchasePrice);
+    calculatePurchasePrices();
+});
+
+/** Produit scanné à la réception : sélectionné avec une unité, puis +1 à chaque nouveau passage */
+const selectScannedPurchaseProduct = async (code) => {
+    purchaseErrorDiv.style.display = 'none';
+    const product = await findProductByCode(code);
+    if (!product) {
+        purchaseErrorDiv.textContent = `Aucun produit ne correspond au code "${code}".`;
+        purchaseErrorDiv.style.display = 'block';
+        return;
+    }
+
+    if (purchaseProductSelect.value === product._id) {
+        purchaseQuantityInput.value = (parseInt(purchaseQuantityInput.value) || 0) + 1;
+    } else {
+        // Produit créé depuis l'ouverture de la vue : la liste est rechargée
+        if (!Array.from(purchaseProductSelect.options).some(option => option.value === product._id)) {
+            const locationId = purchaseLocationSelect.value;
+            await populatePurchaseProductSelect();
+            purchaseLocationSelect.value = locationId;
+        }
+        purchaseProductSelect.value = product._id;
+        purchaseProductSelect.dispatchEvent(new Event('change'));
+        purchaseQuantityInput.value = 1;
+    }
+    calculatePurchasePrices();
+};
+
+purchaseQuantityInput.addEventListener('input', calculatePurchasePrices);
+purchaseUnitPriceInput.addEventListener('input', calculatePurchasePrices);
+
+purchaseForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    purchaseErrorDiv.style.display = 'none';
+
+    const productId = purchaseProductSelect.value;
+    const quantityPurchased = parseInt(purchaseQuantityInput.value);
+    const unitPrice = parseMoneyInput(purchaseUnitPriceInput.value);
+
+    if (!productId || quantityPurchased <= 0 || isNaN(quantityPurchased) || unitPrice <= 0 || isNaN(unitPrice)) {
+        purchaseErrorDiv.textContent = "Veuillez vérifier les champs (produit, quantité, coût unitaire).";
+        purchaseErrorDiv.style.display = 'block';
+        return;
+    }
+
+    const purchaseData = {
+        locationId: purchaseLocationSelect.value,
+        productId: productId,
+        quantityPurchased: quantityPurchased,
+        unitPrice: unitPrice,
+        lotNumber: document.getElementById('purchase-lot-number').value.trim() || undefined,
+        expiryDate: document.getElementById('purchase-expiry-date').value || undefined
+    };
+
+    const purchaseResult = await savePurchaseToDB(purchaseData);
+
+    if (purchaseResult) {
+        showView('list');
+    }
+});
+
+
+document.getElementById('add-supplier-product-btn').onclick = () => {
+    const errorDiv = document.getElementById('supplier-error');
+    const productId = document.getElementById('supplier-catalog-product').value;
+    const unitCost = parseMoneyInput(document.getElementById('supplier-catalog-cost').value);
+    errorDiv.style.display = 'none';
+
+    if (!productId || !(unitCost > 0)) {
+        errorDiv.textContent = "Choisissez un produit et indiquez un coût unitaire positif.";
+        errorDiv.style.display = 'block';
+        return;
+    }
+    // Un produit déjà au catalogue voit simplement son coût mis à jour
+    const existing = supplierCatalog.find(entry => entry.productId === productId);
+    if (existing) {
+        existing.unitCost = unitCost;
+    } else {
+        supplierCatalog.push({ productId, unitCost });
+    }
+    document.getElementById('supplier-catalog-cost').value = '';
+    renderSupplierCatalog();
+};
+
+document.getElementById('reset-supplier-btn').onclick = () => resetSupplierForm();
+
+document.getElementById('supplier-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const id = document.getElementById('supplier-id').value;
+    const leadTimeDays = document.getElementById('supplier-lead-time').value;
+
+    const supplierData = {
+        name: document.getElementById('supplier-name').value.trim(),
+        contactName: document.getElementById('supplier-contact').value.trim(),
+        email: document.getElementById('supplier-email').value.trim(),
+        phone: document.getElementById('supplier-phone').value.trim(),
+        leadTimeDays: leadTimeDays === '' ? null : parseInt(leadTimeDays),
+        products: supplierCatalog
+    };
+
+    if (await saveSupplierToDB(supplierData, id || null)) {
+        await renderSupplierList();
+    }
+});
+
+document.getElementById('purchase-order-supplier').addEventListener('change', suggestPurchaseOrderPrice);
+document.getElementById('purchase-order-product').addEventListener('change', suggestPurchaseOrderPrice);
+
+document.getElementById('add-purchase-order-line-btn').onclick = () => {
+    const errorDiv = document.getElementById('purchase-order-error');
+    const productSelect = document.getElementById('purchase-order-product');
+    const quantityOrdered = parseInt(document.getElementById('purchase-order-quantity').value);
+    const unitPrice = parseMoneyInput(document.getElementById('purchase-order-unit-price').value);
+    errorDiv.style.display = 'none';
+
+    if (!productSelect.value || !(quantityOrdered > 0) || !(unitPrice > 0)) {
+        errorDiv.textContent = "Veuillez vérifier la ligne (produit, quantité, coût unitaire).";
+        errorDiv.style.display = 'block';
+        return;
+    }
+    if (purchaseOrderLines.some(line => line.productId === productSelect.value)) {
+        errorDiv.textContent = "Ce produit est déjà dans la commande : retirez la ligne pour la modifier.";
+        errorDiv.style.display = 'block';
+        return;
+    }
+
+    purchaseOrderLines.push({
+        productId: productSelect.value,
+        productName: productSelect.selectedOptions[0].textContent,
+        quantityOrdered,
+        unitPrice
+    });
+    productSelect.value = '';
+    document.getElementById('purchase-order-quantity').value = '';
+    document.getElementById('purchase-order-unit-price').value = '';
+    renderPurchaseOrderLines();
+};
+
+document.getElementById('purchase-order-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const errorDiv = document.getElementById('purchase-order-error');
+    errorDiv.style.display = 'none';
+
+    if (purchaseOrderLines.length === 0) {
+        errorDiv.textContent = "Ajoutez au moins une ligne à la commande.";
+        errorDiv.style.display = 'block';
+        return;
+    }
+
+    const expectedDate = document.getElementById('purchase-order-expected-date').value;
+    const orderData = {
+        supplierId: document.getElementById('purchase-order-supplier').value,
+        items: purchaseOrderLines.map(({ productId, quantityOrdered, unitPrice }) => ({ productId, quantityOrdered, unitPrice })),
+        ...(expectedDate && { expectedDate }),
+        notes: document.getElementById('purchase-order-notes').value.trim()
+    };
+
+    if (await savePurchaseOrderToDB(orderData)) {
+        showView('purchaseOrders');
+    }
+});
+
+document.getElementById('purchase-order-receive-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const errorDiv = document.getElementById('purchase-order-receive-error');
+    errorDiv.style.display = 'none';
+
+    const items = Array.from(document.querySelectorAll('#purchase-order-receive-tbody tr'))
+        .map(row => {
+            const quantityInput = row.querySelector('.receive-quantity');
+            return {
+                lineIndex: parseInt(quantityInput.dataset.lineIndex),
+                quantity: parseInt(quantityInput.value) || 0,
+                max: parseInt(quantityInput.max),
+                unitPrice: parseMoneyInput(row.querySelector('.receive-unit-price').value),
+                lotNumber: row.querySelector('.receive-lot-number').value.trim() || undefined,
+                expiryDate: row.querySelector('.receive-expiry-date').value || undefined
+            };
+        })
+        .filter(item => item.quantity !== 0);
+
+    if (items.length === 0 || items.some(item => item.quantity < 0 || item.quantity > item.max || !(item.unitPrice > 0))) {
+        errorDiv.textContent = "Indiquez au moins une quantité reçue (sans dépasser le reste à livrer) et des coûts unitaires positifs.";
+        errorDiv.style.display = 'block';
+        return;
+    }
+
+    const receiptData = {
+        locationId: document.getElementById('purchase-order-receive-location').value,
+        items: items.map(({ lineIndex, quantity, unitPrice, lotNumber, expiryDate }) => ({ lineIndex, quantity, unitPrice, lotNumber, expiryDate }))
+    };
+    if (await receivePurchaseOrder(orderBeingReceived._id, receiptData)) {
+        showView('purchaseOrders');
+    }
+});
+
+
+document.getElementById('category-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const categoryData = { name: document.getElementById('category-name').value.trim() };
+    const vatRate = document.getElementById('category-vat-rate').value;
+    if (vatRate !== '') categoryData.vatRate = parseFloat(vatRate);
+    if (await saveCategoryToDB(categoryData)) {
+        document.getElementById('category-form').reset();
+        await renderCategories();
+    }
+});
+
+const renderSettingsForm = async () => {
+    const settings = await getSettings();
+    document.getElementById('settings-shop-name').value = settings.shopName || '';
+    document.getElementById('settings-address').value = (settings.address || []).join('\n');
+    document.getElementById('settings-phone').value = settings.phone || '';
+    document.getElementById('settings-tax-id').value = settings.taxId || '';
+    document.getElementById('settings-currency').value = settings.currency;
+    document.getElementById('settings-locale').value = settings.locale;
+    document.getElementById('settings-default-vat-rate').value = settings.defaultVatRate;
+};
+
+document.getElementById('settings-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const settingsData = {
+        shopName: document.getElementById('settings-shop-name').value.trim(),
+        address: document.getElementById('settings-address').value.split('\n').map(line => line.trim()).filter(Boolean),
+        phone: document.getElementById('settings-phone').value.trim(),
+        taxId: document.getElementById('settings-tax-id').value.trim(),
+        currency: document.getElementById('settings-currency').value.trim().toUpperCase(),
+        locale: document.getElementById('settings-locale').value.trim(),
+        defaultVatRate: parseFloat(document.getElementById('settings-default-vat-rate').value)
+    };
+    if (await saveSettingsToDB(settingsData)) {
+        await renderSettingsForm();
+    }
+});
+
+document.getElementById('location-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const locationData = {
+        name: document.getElementById('location-name').value.trim(),
+        type: document.getElementById('location-type').value
+    };
+    if (await saveLocationToDB(locationData)) {
+        document.getElementById('location-form').reset();
+        await renderLocations();
+    }
+});
 
-    emptyStockMessage.style.display = 'none';
+document.getElementById('transfer-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const errorDiv = document.getElementById('transfer-error');
+    errorDiv.style.display = 'none';
 
-    products.forEach(product => {
-        // Correction de la vérification de stock : price n'est pas utilisé pour la quantité
-        const isLowStock = product.quantity <= product.minStockLevel;
-        if (isLowStock) lowStockCount++;
+    const transferData = {
+        productId: document.getElementById('transfer-product').value,
+        fromLocationId: document.getElementById('transfer-from').value,
+        toLocationId: document.getElementById('transfer-to').value,
+        quantity: parseInt(document.getElementById('transfer-quantity').value),
+        reason: document.getElementById('transfer-reason').value.trim()
+    };
 
-        const row = productTbody.insertRow();
-        row.className = isLowStock ? 'low-stock' : '';
+    if (!transferData.productId || !(transferData.quantity > 0) || transferData.fromLocationId === transferData.toLocationId) {
+        errorDiv.textContent = "Choisissez un produit, une quantité positive et deux emplacements différents.";
+        errorDiv.style.display = 'block';
+        return;
+    }
 
-        row.insertCell().textContent = product.name;
-        row.insertCell().textContent = product.quantity;
-        row.insertCell().textContent = product.price.toFixed(2) + ' €'; // Prix d'achat
-        row.insertCell().textContent = product.minStockLevel;
+    if (await saveTransferToDB(transferData)) {
+        document.getElementById('transfer-quantity').value = '';
+        document.getElementById('transfer-reason').value = '';
+        transfersPage = 1;
+        await renderLocations();
+    }
+});
 
-        const actionCell = row.insertCell();
-        
-        const editBtn = document.createElement('button');
-        editBtn.className = 'btn btn-warning btn-small';
-        editBtn.textContent = 'Modifier';
-        editBtn.onclick = () => editProduct(product._id); 
-        actionCell.appendChild(editBtn);
-        
-        actionCell.appendChild(document.createTextNode(' ')); 
 
-        const deleteBtn = document.createElement('button');
-        deleteBtn.className = 'btn btn-danger btn-small';
-        deleteBtn.textContent = 'Supprimer';
-        deleteBtn.onclick = async () => { 
-            const success = await deleteProductFromDB(product._id, product.name);
-            if(success) await renderProductList();
+// -----------------------------------------------------------------
+// 6. Événements Globaux et Démarrage
+// -----------------------------------------------------------------
+
+document.getElementById('print-report-btn').onclick = () => {
+    window.print(); 
+};
+document.getElementById('print-report-btn-purchase').onclick = () => {
+    window.print();
+};
+document.getElementById('print-report-btn-profit').onclick = () => {
+    window.print();
+};
+document.getElementById('print-report-btn-reorder').onclick = () => {
+    window.print();
+};
+document.getElementById('print-report-btn-vat').onclick = () => {
+    window.print();
+};
+
+// Filtres, raccourcis de période et pagination des rapports
+const reportRenderers = {
+    'sale-report': () => renderSaleReport(),
+    'purchase-report': () => renderPurchaseReport(),
+    'profit-report': () => renderProfitReport(),
+    'vat-report': () => renderVatReport()
+};
+
+Object.entries(reportRenderers).forEach(([prefix, render]) => {
+    const refresh = () => {
+        if (prefix in reportPages) reportPages[prefix] = 1;
+        render();
+    };
+
+    ['from', 'to', 'product', 'rollup'].forEach(field => {
+        const input = document.getElementById(`${prefix}-${field}`);
+        if (input) input.addEventListener('change', refresh);
+    });
+
+    document.querySelectorAll(`.preset-buttons[data-report="${prefix}"] button`).forEach(button => {
+        button.onclick = () => {
+            applyReportPreset(prefix, button.dataset.preset);
+            refresh();
         };
-        actionCell.appendChild(deleteBtn);
     });
-    
-    if (lowStockCount > 0) {
-        alertContainer.innerHTML = `
-            <div class="alert alert-low-stock">
-                ⚠️ **ATTENTION !** ${lowStockCount} produit(s) sont en **stock faible** (sous le seuil minimum).
-            </div>
-        `;
-    } else {
-        alertContainer.innerHTML = '';
-    }
-};
 
-const renderSaleReport = async () => {
-    const sales = await getSales();
-    saleReportTbody.innerHTML = '';
-    saleReportTfoot.innerHTML = '';
-    
-    let totalRevenue = 0;
-    const reportActions = document.querySelector('.report-actions'); 
+    // Les rapports de synthèse (marges) ne sont pas paginés
+    if (!(prefix in reportPages)) return;
 
-    if (sales.length === 0) {
-        emptySalesMessage.style.display = 'block';
-        if (reportActions) reportActions.style.display = 'none';
-        return;
-    }
-    emptySalesMessage.style.display = 'none';
-    if (reportActions) reportActions.style.display = 'block';
+    document.getElementById(`${prefix}-prev`).onclick = () => {
+        reportPages[prefix]--;
+        render();
+    };
+    document.getElementById(`${prefix}-next`).onclick = () => {
+        reportPages[prefix]++;
+        render();
+    };
+});
 
-    sales.forEach(sale => {
-        totalRevenue += sale.totalPrice;
+document.getElementById('sale-report-group').addEventListener('change', () => renderSaleReport());
+document.getElementById('profit-report-group').addEventListener('change', () => renderProfitReport());
+document.getElementById('vat-report-group').addEventListener('change', () => renderVatReport());
+document.getElementById('reorder-days').addEventListener('change', () => renderReorderSuggestions());
+document.getElementById('reorder-cover-days').addEventListener('change', () => renderReorderSuggestions());
+document.getElementById('notify-low-stock-btn').onclick = () => sendLowStockAlert();
 
-        const row = saleReportTbody.insertRow();
-        const date = new Date(sale.saleDate);
-        const formattedDate = `${date.toLocaleDateString()} ${date.toLocaleTimeString()}`;
+document.getElementById('show-add-btn').onclick = () => editProduct(null);
+document.getElementById('show-sell-btn').onclick = () => showView('saleForm');
+document.getElementById('show-receive-btn').onclick = () => showView('purchaseForm');
+document.getElementById('show-report-btn').onclick = () => showView('saleReport');
+document.getElementById('show-purchase-report-btn').onclick = () => showView('purchaseReport');
+document.getElementById('show-profit-report-btn').onclick = () => showView('profitReport');
+document.getElementById('show-reorder-btn').onclick = () => showView('reorder');
+document.getElementById('show-users-btn').onclick = () => showView('users');
+document.getElementById('show-vat-report-btn').onclick = () => showView('vatReport');
+document.getElementById('show-settings-btn').onclick = () => showView('settings');
+document.getElementById('show-suppliers-btn').onclick = () => showView('suppliers');
+document.getElementById('show-locations-btn').onclick = () => showView('locations');
+document.getElementById('show-offline-queue-btn').onclick = () => showView('offlineQueue');
+document.getElementById('show-labels-btn').onclick = () => showView('labels');
+document.getElementById('print-labels-btn').onclick = printLabels;
+document.getElementById('generate-barcodes-btn').onclick = async () => {
+    if (await generateBarcodes()) await renderLabels();
+};
 
-        row.insertCell().textContent = formattedDate;
-        row.insertCell().textContent = sale.productName;
-        row.insertCell().textContent = sale.unitPrice.toFixed(2) + ' €';
-        row.insertCell().textContent = sale.quantitySold;
-        row.insertCell().textContent = sale.totalPrice.toFixed(2) + ' €';
+// Douchettes en mode clavier : le code arrive comme une frappe rapide terminée par Entrée
+const bindScanInput = (inputId, onScan) => {
+    const input = document.getElementById(inputId);
+    input.addEventListener('keydown', async (e) => {
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+        const code = input.value.trim();
+        input.value = '';
+        if (code) await onScan(code);
+        input.focus();
     });
+};
+bindScanInput('sale-scan', addScannedProductToCart);
+bindScanInput('purchase-scan', selectScannedPurchaseProduct);
+bindScanInput('purchase-order-receive-scan', receiveScannedProduct);
+bindScanInput('stock-count-scan', countScannedProduct);
+document.getElementById('sync-offline-queue-btn').onclick = () => syncQueuedSales();
+document.getElementById('show-categories-btn').onclick = () => showView('categories');
 
-    const totalRow = saleReportTfoot.insertRow();
-    const totalHeader = document.createElement('th');
-    totalHeader.colSpan = 4;
-    totalHeader.textContent = 'Revenu Total Généré :';
-    totalRow.appendChild(totalHeader);
-    
-    const revenueCell = document.createElement('th');
-    revenueCell.textContent = `${totalRevenue.toFixed(2)} €`;
-    totalRow.appendChild(revenueCell);
+// Inventaire : tout changement de filtre repart de la première page
+const refreshInventory = () => {
+    inventoryState.page = 1;
+    renderProductList();
+};
+inventoryLocationSelect.addEventListener('change', refreshInventory);
+inventoryCategorySelect.addEventListener('change', refreshInventory);
+inventoryStockSelect.addEventListener('change', refreshInventory);
+// La recherche part après une courte pause de frappe, pas à chaque touche
+let inventorySearchTimer = null;
+inventorySearchInput.addEventListener('input', () => {
+    clearTimeout(inventorySearchTimer);
+    inventorySearchTimer = setTimeout(refreshInventory, 300);
+});
+document.querySelectorAll('#product-sort-headers th[data-sort]').forEach(th => {
+    th.onclick = () => {
+        const sameColumn = inventoryState.sort === th.dataset.sort;
+        inventoryState.sort = th.dataset.sort;
+        // Premier clic : noms de A à Z, chiffres du plus grand au plus petit
+        inventoryState.order = sameColumn
+            ? (inventoryState.order === 'asc' ? 'desc' : 'asc')
+            : (th.dataset.sort === 'name' ? 'asc' : 'desc');
+        refreshInventory();
+    };
+});
+document.getElementById('products-prev').onclick = () => {
+    inventoryState.page--;
+    renderProductList();
 };
+document.getElementById('products-next').onclick = () => {
+    inventoryState.page++;
+    renderProductList();
+};
+saleLocationSelect.addEventListener('change', () => populateSaleProductSelect());
 
+// Règlement du ticket : monnaie à rendre ou reste dû recalculés à chaque saisie
+document.getElementById('add-sale-payment-btn').onclick = () => {
+    appendSalePaymentRow('card');
+    updateSalePaymentSummary();
+};
+document.getElementById('sale-payments').addEventListener('input', updateSalePaymentSummary);
+document.getElementById('sale-payments').addEventListener('change', updateSalePaymentSummary);
+resetSalePayments();
+productStockLocationSelect.addEventListener('change', showProductLocationQuantity);
 
-// -----------------------------------------------------------------
-// 5. Gestion des Formulaires
-// -----------------------------------------------------------------
+// Grille des variantes du formulaire produit
+document.getElementById('has-variants').addEventListener('change', (e) => {
+    document.getElementById('variants-section').style.display = e.target.checked ? 'block' : 'none';
+    // Chaque variante a son propre code-barres, saisi dans la grille
+    document.getElementById('barcode-group').style.display = e.target.checked ? 'none' : 'block';
+    if (e.target.checked) buildVariantMatrix();
+});
+document.getElementById('build-variant-matrix-btn').addEventListener('click', buildVariantMatrix);
+document.getElementById('add-variants-btn').addEventListener('click', async () => {
+    const variants = readVariantRows();
+    if (variants.length === 0) {
+        showNotification('Ajoutez des valeurs, générez la grille et cochez au moins une nouvelle combinaison.', 'error');
+        return;
+    }
+    const created = await saveVariantsToDB({ variants, locationId: productStockLocationSelect.value }, variantParent._id);
+    if (!created) return;
+    variantParent = await getParentProduct(variantParent._id) || variantParent;
+    buildVariantMatrix();
+});
+document.getElementById('transfers-prev').onclick = () => {
+    transfersPage--;
+    renderTransfers();
+};
+document.getElementById('transfers-next').onclick = () => {
+    transfersPage++;
+    renderTransfers();
+};
+document.getElementById('show-purchase-orders-btn').onclick = () => showView('purchaseOrders');
+document.getElementById('new-purchase-order-btn').onclick = () => showView('purchaseOrderForm');
+document.getElementById('cancel-purchase-order-btn').onclick = () => showView('purchaseOrders');
+document.getElementById('cancel-purchase-order-receive-btn').onclick = () => showView('purchaseOrders');
 
-const editProduct = async (id = null) => {
-    productForm.reset();
-    productIdInput.value = '';
-    
-    if (id !== null) {
-        const products = await getProducts();
-        const product = products.find(p => p._id === id); 
-        if (product) {
-            formTitle.textContent = `Modifier le Produit : ${product.name}`;
-            productIdInput.value = product._id;
-            document.getElementById('name').value = product.name;
-            document.getElementById('quantity').value = product.quantity;
-            document.getElementById('price').value = product.price; // prix d'achat
-            document.getElementById('minStockLevel').value = product.minStockLevel;
+document.getElementById('show-dashboard-btn').onclick = () => showView('dashboard');
+document.getElementById('dashboard-days').addEventListener('change', () => renderDashboard());
+document.getElementById('refresh-dashboard-btn').onclick = () => renderDashboard();
+document.getElementById('show-stock-counts-btn').onclick = () => showView('stockCounts');
+document.getElementById('show-lots-btn').onclick = () => showView('lots');
+document.getElementById('show-customers-btn').onclick = () => showView('customers');
+document.getElementById('show-receivables-btn').onclick = () => showView('receivables');
+document.getElementById('show-cash-register-btn').onclick = () => showView('cashRegister');
+document.getElementById('show-backups-btn').onclick = () => showView('backups');
+let customersSearchTimer = null;
+document.getElementById('customers-search').addEventListener('input', () => {
+    clearTimeout(customersSearchTimer);
+    customersSearchTimer = setTimeout(renderCustomerList, 300);
+});
+document.getElementById('customers-with-balance').addEventListener('change', () => renderCustomerList());
+document.getElementById('reset-customer-btn').onclick = resetCustomerForm;
+document.getElementById('customer-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const id = document.getElementById('customer-id').value;
+    const customerData = {
+        name: document.getElementById('customer-name').value.trim(),
+        phone: document.getElementById('customer-phone').value.trim(),
+        email: document.getElementById('customer-email').value.trim(),
+        address: document.getElementById('customer-address').value.trim(),
+        notes: document.getElementById('customer-notes').value.trim()
+    };
+    if (await saveCustomerToDB(customerData, id || null)) {
+        resetCustomerForm();
+        await renderCustomerList();
+    }
+});
+document.getElementById('customer-statement-from').addEventListener('change', () => renderCustomerStatement());
+document.getElementById('customer-statement-to').addEventListener('change', () => renderCustomerStatement());
+document.getElementById('back-to-customers-btn').onclick = () => showView('customers');
+document.getElementById('print-customer-statement-btn').onclick = () => window.print();
+document.getElementById('print-receivables-btn').onclick = () => window.print();
+document.getElementById('customer-payment-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const amount = parseMoneyInput(document.getElementById('customer-payment-amount').value);
+    if (!(amount > 0)) {
+        showNotification('Indiquez un montant positif.', 'error');
+        return;
+    }
+    const method = document.getElementById('customer-payment-method').value;
+    if (await recordPayment({ customerId: customerBeingViewed._id }, { amount, method })) {
+        await renderCustomerStatement();
+    }
+});
+document.getElementById('cash-session-open-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const openingFloat = parseMoneyInput(document.getElementById('cash-session-float').value);
+    if (!(openingFloat >= 0)) {
+        showNotification('Indiquez un fond de caisse positif ou nul.', 'error');
+        return;
+    }
+    const cashSession = await openCashSession({
+        locationId: document.getElementById('cash-session-location').value,
+        register: document.getElementById('cash-session-register').value.trim(),
+        openingFloat
+    });
+    if (cashSession) {
+        setTerminalCashSession(cashSession);
+        await renderCashRegister();
+    }
+});
+document.getElementById('cash-session-close-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const inputs = Array.from(document.querySelectorAll('#cash-session-counts-tbody input'));
+    const counted = {};
+    for (const input of inputs.filter(input => input.value.trim() !== '')) {
+        counted[input.dataset.method] = parseMoneyInput(input.value);
+        if (!(counted[input.dataset.method] >= 0)) {
+            showNotification('Montants comptés invalides : indiquez des montants positifs ou nuls.', 'error');
+            return;
         }
-    } else {
-        formTitle.textContent = "Ajouter un Nouveau Produit";
     }
-    
-    showView('productForm');
+    const cashInput = inputs.find(input => input.dataset.method === 'cash');
+    const difference = counted.cash - parseInt(cashInput.dataset.expected);
+    const confirmed = await showConfirmationModal(`Fermer ${terminalCashSession.register} ? Écart sur les espèces : ${formatCashDifference(difference)}.`);
+    if (!confirmed) return;
+    const notes = document.getElementById('cash-session-notes').value.trim();
+    if (await closeCashSession(terminalCashSession._id, { counted, ...(notes && { notes }) })) {
+        setTerminalCashSession(null);
+        document.getElementById('cash-session-close-form').reset();
+        await renderCashRegister();
+    }
+});
+document.getElementById('forget-cash-session-btn').onclick = async () => {
+    const confirmed = await showConfirmationModal(`Détacher ce poste de ${terminalCashSession.register} ? La caisse reste ouverte et pourra être reprise depuis la liste des sessions.`);
+    if (!confirmed) return;
+    setTerminalCashSession(null);
+    await renderCashRegister();
+};
+document.getElementById('day-closing-date').addEventListener('change', () => renderDayClosing());
+document.getElementById('day-closing-location').addEventListener('change', () => renderDayClosing());
+document.getElementById('close-day-btn').onclick = async () => {
+    const date = document.getElementById('day-closing-date').value;
+    const locationSelect = document.getElementById('day-closing-location');
+    const locationName = locationSelect.options[locationSelect.selectedIndex].textContent;
+    const confirmed = await showConfirmationModal(`Clôturer la journée du ${date} à ${locationName} ? Plus aucune vente, annulation, retour ni règlement ne pourra y être enregistré.`);
+    if (!confirmed) return;
+    const closing = await createDayClosing({
+        date,
+        locationId: locationSelect.value,
+        tz: Intl.DateTimeFormat().resolvedOptions().timeZone
+    });
+    if (closing) await Promise.all([renderDayClosing(), renderDayClosings()]);
 };
+document.getElementById('print-day-closing-btn').onclick = () => window.print();
+document.getElementById('download-backup-btn').onclick = () =>
+    downloadFile('/backups/export', `stocktrack-backup-${new Date().toISOString().slice(0, 10)}.json`, 'Sauvegarde');
+document.getElementById('run-backup-btn').onclick = async () => {
+    if (await runServerBackup()) await renderBackups();
+};
+// Restauration en deux temps, comme l'import CSV : vérification de l'archive, puis restauration confirmée
+document.getElementById('restore-file').addEventListener('change', () => {
+    document.getElementById('confirm-restore-btn').disabled = true;
+});
+document.getElementById('restore-mode').addEventListener('change', () => {
+    document.getElementById('confirm-restore-btn').disabled = true;
+});
+document.getElementById('restore-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const file = document.getElementById('restore-file').files[0];
+    if (!file) return;
 
-productForm.addEventListener('submit', async (e) => {
+    const result = await restoreBackupArchive(file, document.getElementById('restore-mode').value, true);
+    if (result) {
+        renderRestoreResult(result, true);
+        document.getElementById('confirm-restore-btn').disabled = !result.ok;
+    }
+});
+document.getElementById('confirm-restore-btn').onclick = async () => {
+    const file = document.getElementById('restore-file').files[0];
+    const mode = document.getElementById('restore-mode').value;
+    if (!file) return;
+    const confirmed = await showConfirmationModal(mode === 'replace'
+        ? "Remplacer les données actuelles par celles de l'archive ? Tout ce qui a été enregistré depuis sera perdu."
+        : "Fusionner l'archive avec les données actuelles ? Les documents de même identifiant reprennent leur version de l'archive, sauf les utilisateurs déjà présents, gardés tels quels.");
+    if (!confirmed) return;
+
+    const confirmBtn = document.getElementById('confirm-restore-btn');
+    confirmBtn.disabled = true;
+    const result = await restoreBackupArchive(file, mode, false);
+    if (result) {
+        renderRestoreResult(result, false);
+        if (result.ok) {
+            showNotification('Sauvegarde restaurée.', 'success', 5000);
+            await renderBackups();
+        }
+    }
+};
+// Création rapide depuis la caisse : le nouveau client est aussitôt sélectionné
+document.getElementById('new-sale-customer-btn').onclick = async () => {
+    const name = await showPromptModal('Nom du nouveau client :', 'Ex: Épicerie Durand');
+    if (!name) return;
+    const customer = await saveCustomerToDB({ name });
+    if (customer) await populateSaleCustomerSelect(customer._id);
+};
+document.getElementById('lots-days').addEventListener('change', () => renderLots());
+document.getElementById('lots-location').addEventListener('change', () => renderLots());
+document.getElementById('write-off-expired-btn').onclick = async () => {
+    const locationId = document.getElementById('lots-location').value;
+    const confirmed = await showConfirmationModal('Mettre au rebut tout le stock des lots périmés affichés ? Le stock sera diminué en conséquence.');
+    if (confirmed && await writeOffLots(null, locationId ? { locationId } : {})) {
+        await renderLots();
+    }
+};
+document.getElementById('back-stock-counts-btn').onclick = async () => {
+    if (getPendingStockCountLines().length > 0
+        && !await showConfirmationModal('Des comptages ne sont pas enregistrés. Quitter sans les enregistrer ?')) return;
+    showView('stockCounts');
+};
+document.getElementById('stock-counts-status').addEventListener('change', () => {
+    stockCountsPage = 1;
+    renderStockCounts();
+});
+document.getElementById('stock-counts-prev').onclick = () => {
+    stockCountsPage--;
+    renderStockCounts();
+};
+document.getElementById('stock-counts-next').onclick = () => {
+    stockCountsPage++;
+    renderStockCounts();
+};
+document.getElementById('stock-count-start-form').addEventListener('submit', async (e) => {
     e.preventDefault();
-    
-    const id = productIdInput.value;
-    
-    const productData = {
-        // Utilise l'opérateur spread pour inclure l'id uniquement si on édite
-        ...(id && { id }), 
-        name: document.getElementById('name').value,
-        quantity: parseInt(document.getElementById('quantity').value),
-        price: parseFloat(document.getElementById('price').value), // prix d'achat
-        minStockLevel: parseInt(document.getElementById('minStockLevel').value)
+    const countData = {
+        locationId: document.getElementById('stock-count-location').value,
+        categoryId: document.getElementById('stock-count-category').value || undefined,
+        notes: document.getElementById('stock-count-notes').value.trim()
     };
-    
-    const savedProduct = await saveProductToDB(productData);
-
-    if (savedProduct) {
-        showView('list'); 
+    const count = await startStockCount(countData);
+    if (count) {
+        document.getElementById('stock-count-notes').value = '';
+        stockCountBeingEdited = count;
+        showView('stockCount');
     }
 });
+document.getElementById('stock-count-filter').addEventListener('change', async () => {
+    // Les saisies en cours sont enregistrées avant de redessiner le tableau
+    if (!await saveStockCount()) return;
+    await renderStockCount();
+});
+document.getElementById('save-stock-count-btn').onclick = () => saveStockCount();
+document.getElementById('post-stock-count-btn').onclick = async () => {
+    if (!await saveStockCount()) return;
+    const { summary } = stockCountBeingEdited;
+    const confirmed = await showConfirmationModal(
+        `Valider l'inventaire ${formatTicketNumber(stockCountBeingEdited)} ? ${summary.varianceCount} produit(s) seront ajustés `
+        + `(écart net ${formatMoney(summary.netValue)}) ; ${summary.itemCount - summary.countedCount} ligne(s) non comptée(s) restent inchangées.`
+    );
+    if (confirmed && await changeStockCountStatus(stockCountBeingEdited._id, 'post')) await renderStockCount();
+};
+document.getElementById('cancel-stock-count-btn').onclick = async () => {
+    const confirmed = await showConfirmationModal(`Abandonner l'inventaire ${formatTicketNumber(stockCountBeingEdited)} ? Le stock ne sera pas modifié.`);
+    if (confirmed && await changeStockCountStatus(stockCountBeingEdited._id, 'cancel')) showView('stockCounts');
+};
+document.getElementById('print-report-btn-stock-count').onclick = () => {
+    window.print();
+};
 
-const calculateSalePrices = () => {
-    // Permet de gérer les virgules ou les points pour la saisie décimale
-    let unitPriceString = saleUnitPriceInput.value.replace(',', '.'); 
-    const unitPrice = parseFloat(unitPriceString) || 0;
-    const quantity = parseFloat(saleQuantityInput.value) || 0;
-    const totalPrice = unitPrice * quantity;
-    saleTotalPriceInput.value = totalPrice.toFixed(2);
+document.getElementById('purchase-orders-status').addEventListener('change', () => {
+    purchaseOrdersPage = 1;
+    renderPurchaseOrders();
+});
+document.getElementById('purchase-orders-prev').onclick = () => {
+    purchaseOrdersPage--;
+    renderPurchaseOrders();
+};
+document.getElementById('purchase-orders-next').onclick = () => {
+    purchaseOrdersPage++;
+    renderPurchaseOrders();
 };
 
-const populateSaleProductSelect = async () => {
-    const products = await getProducts();
-    saleProductSelect.innerHTML = '<option value="">-- Sélectionner un produit --</option>'; 
-    
-    products.forEach(product => {
-        const option = document.createElement('option');
-        option.value = product._id;
-        option.textContent = `${product.name} (Stock: ${product.quantity})`;
-        
-        // Stocker le prix d'achat (price) pour l'utiliser comme base pour la suggestion de prix de vente
-        option.dataset.price = product.price; 
-        option.dataset.quantity = product.quantity;
+// Exports CSV (les rapports exportent avec leurs filtres courants, sans pagination)
+document.getElementById('export-products-btn').onclick = () => downloadFile('/export/products', 'produits.csv');
+document.getElementById('export-sales-btn').onclick = () => downloadFile(`/export/sales?${buildReportQuery('sale-report')}`, 'ventes.csv');
+document.getElementById('export-purchases-btn').onclick = () => downloadFile(`/export/purchases?${buildReportQuery('purchase-report')}`, 'achats.csv');
 
-        if (product.quantity <= 0) {
-            option.disabled = true;
-            option.textContent += ' - Épuisé';
-        }
-        
-        saleProductSelect.appendChild(option);
-    });
-    
-    saleErrorDiv.style.display = 'none'; 
-    saleForm.reset(); 
-    saleUnitPriceInput.value = '0.00';
-    saleTotalPriceInput.value = '0.00';
+// Import CSV : aperçu (dry-run) obligatoire avant la confirmation
+const importForm = document.getElementById('import-form');
+const confirmImportBtn = document.getElementById('confirm-import-btn');
+
+const resetImportView = () => {
+    importForm.reset();
+    confirmImportBtn.disabled = true;
+    document.getElementById('import-result').style.display = 'none';
 };
 
-saleProductSelect.addEventListener('change', () => {
-    const selectedOption = saleProductSelect.options[saleProductSelect.selectedIndex];
-    // Récupère le prix d'achat
-    const purchasePrice = selectedOption && selectedOption.dataset.price ? parseFloat(selectedOption.dataset.price) : 0;
+document.getElementById('show-import-btn').onclick = () => {
+    resetImportView();
+    showView('productImport');
+};
+document.getElementById('cancel-import-btn').onclick = () => showView('list');
+document.getElementById('import-file').addEventListener('change', () => {
+    confirmImportBtn.disabled = true;
+});
 
-    // Suggestion d'un prix de vente (par exemple, 50% de marge, soit x 1.5)
-    saleUnitPriceInput.value = (purchasePrice * 1.5).toFixed(2);
-    
-    calculateSalePrices();
+importForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const file = document.getElementById('import-file').files[0];
+    if (!file) return;
+
+    const result = await importProductsCsv(await file.text(), true);
+    if (result) {
+        renderImportResult(result);
+        confirmImportBtn.disabled = result.created + result.updated === 0;
+    }
 });
 
-saleQuantityInput.addEventListener('input', calculateSalePrices);
-saleUnitPriceInput.addEventListener('input', calculateSalePrices); 
+confirmImportBtn.onclick = async () => {
+    const file = document.getElementById('import-file').files[0];
+    if (!file) return;
+
+    confirmImportBtn.disabled = true;
+    const result = await importProductsCsv(await file.text(), false);
+    if (result) {
+        renderImportResult(result);
+        showNotification(`${result.created + result.updated} produit(s) importé(s).`, 'success', 3000);
+    }
+};
+document.getElementById('show-about-btn').onclick = () => showView('about'); 
 
-saleForm.addEventListener('submit', async (e) => {
+document.getElementById('cancel-form-btn').onclick = () => showView('list');
+document.getElementById('cancel-sale-btn').onclick = () => {
+    cart = [];
+    resetSalePayments();
+    showView('list');
+};
+document.getElementById('cancel-purchase-btn').onclick = () => showView('list');
+document.getElementById('cancel-about-btn').onclick = () => showView('list'); 
+document.getElementById('cancel-history-btn').onclick = () => showView('list');
+document.getElementById('cancel-sale-return-btn').onclick = () => showView('saleReport');
+
+document.getElementById('sale-return-form').addEventListener('submit', async (e) => {
     e.preventDefault();
-    saleErrorDiv.style.display = 'none';
+    const errorDiv = document.getElementById('sale-return-error');
+    errorDiv.style.display = 'none';
 
-    const productId = saleProductSelect.value;
-    const quantitySold = parseInt(saleQuantityInput.value);
-    const unitPriceSold = parseFloat(saleUnitPriceInput.value.replace(',', '.'));
+    const items = Array.from(document.querySelectorAll('#sale-return-tbody input'))
+        .map(input => ({ lineIndex: parseInt(input.dataset.lineIndex), quantity: parseInt(input.value) || 0, max: parseInt(input.max) }))
+        .filter(item => item.quantity !== 0);
 
-    if (!productId || quantitySold <= 0 || isNaN(quantitySold) || unitPriceSold <= 0 || isNaN(unitPriceSold)) {
-        saleErrorDiv.textContent = "Veuillez vérifier les champs (produit, quantité, prix unitaire).";
-        saleErrorDiv.style.display = 'block';
+    if (items.length === 0 || items.some(item => item.quantity < 0 || item.quantity > item.max)) {
+        errorDiv.textContent = "Indiquez au moins une quantité à retourner, sans dépasser la quantité restante.";
+        errorDiv.style.display = 'block';
         return;
     }
-    
-    const saleData = {
-        productId: productId,
-        quantitySold: quantitySold,
-        unitPrice: unitPriceSold 
+
+    const refundMethod = document.getElementById('sale-return-refund-method').value;
+    const returnData = {
+        reason: document.getElementById('sale-return-reason').value.trim(),
+        ...(refundMethod && { refundMethod }),
+        ...cashSessionFields(saleBeingReturned.locationId),
+        items: items.map(({ lineIndex, quantity }) => ({ lineIndex, quantity }))
     };
 
-    const saleResult = await saveSaleToDB(saleData);
+    if (await saveSaleReturnToDB(saleBeingReturned._id, returnData)) {
+        showView('saleReport');
+    }
+});
 
-    if (saleResult) {
-        showView('list');
+document.getElementById('history-prev').onclick = () => {
+    historyState.page--;
+    renderProductHistory();
+};
+document.getElementById('history-next').onclick = () => {
+    historyState.page++;
+    renderProductHistory();
+};
+
+loginForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    loginErrorDiv.style.display = 'none';
+
+    try {
+        const user = await login(
+            document.getElementById('login-username').value,
+            document.getElementById('login-password').value
+        );
+        loginForm.reset();
+        startSession(user);
+    } catch (error) {
+        loginErrorDiv.textContent = error.message;
+        loginErrorDiv.style.display = 'block';
     }
 });
 
+userForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
 
-// -----------------------------------------------------------------
-// 6. Événements Globaux et Démarrage
-// -----------------------------------------------------------------
+    const userData = {
+        username: document.getElementById('user-username').value,
+        password: document.getElementById('user-password').value,
+        role: document.getElementById('user-role').value
+    };
 
-document.getElementById('print-report-btn').onclick = () => {
-    window.print(); 
+    if (await saveUserToDB(userData)) {
+        userForm.reset();
+        await renderUserList();
+    }
+});
+
+document.getElementById('logout-btn').onclick = async () => {
+    await logout();
+    showView('login');
 };
 
-document.getElementById('show-add-btn').onclick = () => editProduct(null);
-document.getElementById('show-sell-btn').onclick = () => showView('saleForm');
-document.getElementById('show-report-btn').onclick = () => showView('saleReport');
-document.getElementById('show-about-btn').onclick = () => showView('about'); 
+// Retour du réseau : envoi des ventes en attente ; nouvel essai régulier (serveur endormi sans coupure réseau)
+window.addEventListener('online', () => syncQueuedSales());
+window.addEventListener('offline', () => updateOfflineStatus());
+setInterval(() => syncQueuedSales(), 60000);
 
-document.getElementById('cancel-form-btn').onclick = () => showView('list');
-document.getElementById('cancel-sale-btn').onclick = () => showView('list');
-document.getElementById('cancel-about-btn').onclick = () => showView('list'); 
+document.addEventListener('DOMContentLoaded', async () => {
+    // Derniers réglages connus, en attendant ceux du serveur
+    applyCurrencySettings();
 
-document.addEventListener('DOMContentLoaded', () => {
-    showView('list');
+    // Interface en cache pour l'ouverture sans réseau (voir sw.js)
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js')
+            .catch(error => console.error("Erreur d'enregistrement du service worker:", error));
+    }
+
+    // Reprise de la session enregistrée, sinon écran de connexion
+    const user = authToken ? await getCurrentUser() : null;
+    if (user) {
+        startSession(user);
+    } else {
+        clearSession();
+        showView('login');
+    }
 });
@@ -4,6 +4,9 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors'); 
 const path = require('path'); // Nécessaire pour servir les fichiers statiques
+const fs = require('fs/promises'); // Sauvegardes automatiques sur disque
+const crypto = require('crypto'); // Hachage des mots de passe et jetons de session
+const { promisify } = require('util');
 
 const app = express();
 
@@ -11,205 +14,6265 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 const MONGO_URI = process.env.MONGO_URI; 
 
+// Compte administrateur créé au premier démarrage si aucun utilisateur n'existe
+const ADMIN_USERNAME = process.env.ADMIN_USERNAME;
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+// Durée de validité d'une session de connexion (en heures)
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 12;
+// Origines autorisées par CORS, séparées par des virgules (toutes si non définie)
+const CORS_ORIGINS = process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',').map(o => o.trim()) : null;
+// Alertes de stock faible : notificateur 'log' (console) ou 'webhook' (POST JSON vers LOW_STOCK_WEBHOOK_URL)
+const LOW_STOCK_WEBHOOK_URL = process.env.LOW_STOCK_WEBHOOK_URL;
+const LOW_STOCK_NOTIFIER = process.env.LOW_STOCK_NOTIFIER || (LOW_STOCK_WEBHOOK_URL ? 'webhook' : 'log');
+// Délai de réapprovisionnement (en jours) des produits qui n'en précisent pas
+const DEFAULT_LEAD_TIME_DAYS = parseInt(process.env.DEFAULT_LEAD_TIME_DAYS) || 7;
+// Valeurs initiales des réglages du magasin, modifiables ensuite depuis l'application (/api/settings)
+// Coordonnées imprimées sur les tickets et factures (adresse : lignes séparées par '|')
+const SHOP_NAME = process.env.SHOP_NAME || 'StockApp Melchisédech';
+const SHOP_ADDRESS = process.env.SHOP_ADDRESS ? process.env.SHOP_ADDRESS.split('|').map(line => line.trim()).filter(Boolean) : [];
+const SHOP_PHONE = process.env.SHOP_PHONE;
+const SHOP_TAX_ID = process.env.SHOP_TAX_ID; // SIRET ou numéro de TVA intracommunautaire
+// Devise (code ISO 4217) et langue de formatage des montants
+const SHOP_CURRENCY = process.env.SHOP_CURRENCY || 'EUR';
+const SHOP_LOCALE = process.env.SHOP_LOCALE || 'fr-FR';
+// Taux de TVA (en %) des produits sans taux propre ni catégorie taxée ; 0 = TVA non applicable (franchise en base)
+const DEFAULT_VAT_RATE = parseFloat(process.env.DEFAULT_VAT_RATE) || 0;
+// Sauvegardes automatiques : dossier local (désactivées s'il n'est pas défini), fréquence en heures et nombre d'archives gardées
+const BACKUP_DIR = process.env.BACKUP_DIR;
+// La fréquence est plafonnée à 596 h : setInterval n'accepte pas plus de 2^31-1 ms et, au-delà, se déclencherait sans arrêt
+const MAX_BACKUP_INTERVAL_HOURS = 596;
+const BACKUP_INTERVAL_SETTING = parseFloat(process.env.BACKUP_INTERVAL_HOURS);
+const BACKUP_INTERVAL_HOURS = BACKUP_INTERVAL_SETTING > 0 ? Math.min(BACKUP_INTERVAL_SETTING, MAX_BACKUP_INTERVAL_HOURS) : 24;
+const BACKUP_RETENTION = parseInt(process.env.BACKUP_RETENTION) || 7;
+// Taille maximale d'une archive envoyée pour restauration
+const BACKUP_MAX_SIZE = process.env.BACKUP_MAX_SIZE || '50mb';
+
 if (!MONGO_URI) {
     console.error("ERREUR: La variable d'environnement MONGO_URI n'est pas définie.");
 }
+if (process.env.BACKUP_INTERVAL_HOURS && BACKUP_INTERVAL_HOURS !== BACKUP_INTERVAL_SETTING) {
+    console.error(`ERREUR: BACKUP_INTERVAL_HOURS invalide (${process.env.BACKUP_INTERVAL_HOURS}) : sauvegardes toutes les ${BACKUP_INTERVAL_HOURS} h (plage : 0 à ${MAX_BACKUP_INTERVAL_HOURS} h).`);
+}
+
+// --- Middlewares ---
+app.use(cors(CORS_ORIGINS ? { origin: CORS_ORIGINS } : undefined)); 
+app.use(express.json()); 
+
+// --- Connexion à MongoDB Atlas ---
+// Connexion puis migrations et amorçage ; appelée au démarrage (voir la fin du fichier) ou par les tests avec leur propre base
+const connectDatabase = (uri = MONGO_URI) => mongoose.connect(uri)
+    .then(() => console.log('✅ MongoDB Atlas connecté avec succès.'))
+    .then(() => migrateLegacySales())
+    .then(() => migrateMoneyToMinorUnits())
+    .then(() => backfillSaleCosts())
+    .then(() => migrateStockLocations())
+    .then(() => migrateInvoiceNumbers())
+    .then(() => ensureAdminAccount())
+    .then(() => scheduleBackups());
+
+// ------------------------------------
+// 1. Définition des Modèles de Données
+// ------------------------------------
+
+// Montants en unités mineures de la devise du magasin (centimes pour l'euro) : des entiers, sans dérive d'arrondi
+const moneyValidator = [Number.isInteger, 'Montant invalide : entier en unités mineures (centimes) attendu.'];
+
+// Taux de TVA en pourcentage (ex: 20, 5.5)
+const vatRateField = { type: Number, min: 0, max: 100 };
+
+// Modèle Réglages du magasin (document unique 'shop') : coordonnées, devise, langue et TVA par défaut
+const SettingsSchema = new mongoose.Schema({
+    _id: { type: String, default: 'shop' },
+    shopName: { type: String, trim: true, default: SHOP_NAME },
+    address: { type: [String], default: SHOP_ADDRESS },
+    phone: { type: String, trim: true, default: SHOP_PHONE },
+    taxId: { type: String, trim: true, default: SHOP_TAX_ID },
+    currency: { type: String, uppercase: true, trim: true, default: SHOP_CURRENCY },
+    locale: { type: String, trim: true, default: SHOP_LOCALE },
+    defaultVatRate: { ...vatRateField, default: DEFAULT_VAT_RATE },
+    // Collections dont les montants ont déjà été convertis en unités mineures (migration unique)
+    minorUnitsMigrated: { type: [String], default: [] }
+}, { timestamps: true });
+
+const Settings = mongoose.model('Settings', SettingsSchema);
+
+// Types d'emplacements de stock
+const LOCATION_TYPES = ['shop', 'warehouse', 'shelf'];
+
+// Modèle Emplacement (magasin, réserve, rayon...)
+// L'emplacement par défaut reçoit les opérations qui n'en précisent pas (anciennes données, import CSV)
+const LocationSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true, trim: true },
+    type: { type: String, enum: LOCATION_TYPES, default: 'shop' },
+    isDefault: { type: Boolean, default: false }
+}, { timestamps: true });
+
+const Location = mongoose.model('Location', LocationSchema);
+
+// Modèle Catégorie de produits (filtres et valorisation de l'inventaire)
+const CategorySchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true, trim: true },
+    vatRate: vatRateField // Taux des produits de la catégorie qui n'en précisent pas
+}, { timestamps: true });
+
+const Category = mongoose.model('Category', CategorySchema);
+
+// Attribut de variante d'un produit parent et ses valeurs, dans l'ordre d'affichage (ex: Taille : S, M, L)
+const VariantAttributeSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    values: [{ type: String, trim: true }]
+}, { _id: false });
+
+// Nombre maximum d'attributs d'un produit parent (ex: taille × couleur × matière)
+const MAX_VARIANT_ATTRIBUTES = 3;
+
+// Modèle Produit parent : regroupe ses variantes (un Produit par combinaison d'attributs) sans stock propre.
+// Catégorie, marque, unité et TVA sont communes et recopiées sur chaque variante.
+const ParentProductSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true, trim: true },
+    attributes: {
+        type: [VariantAttributeSchema],
+        validate: [value => value.length >= 1 && value.length <= MAX_VARIANT_ATTRIBUTES, `De 1 à ${MAX_VARIANT_ATTRIBUTES} attributs de variante.`]
+    },
+    categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
+    brand: { type: String, trim: true },
+    unit: { type: String, trim: true },
+    vatRate: vatRateField
+}, { timestamps: true });
+
+const ParentProduct = mongoose.model('ParentProduct', ParentProductSchema);
+
+// Valeur d'un attribut pour une variante (ex: { name: 'Taille', value: 'M' })
+const VariantValueSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    value: { type: String, required: true }
+}, { _id: false });
+
+// Quantité d'un produit à un emplacement
+const ProductStockSchema = new mongoose.Schema({
+    locationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', required: true },
+    quantity: { type: Number, required: true, min: 0, default: 0 }
+}, { _id: false });
+
+// Modèle Produit
+const ProductSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true },
+    // Référence interne et code-barres (EAN/UPC du fabricant ou code interne généré) : uniques quand renseignés
+    sku: { type: String, trim: true, unique: true, sparse: true },
+    barcode: { type: String, trim: true, unique: true, sparse: true },
+    // Classement facultatif : catégorie, marque et unité de vente (ex: pièce, kg, carton de 12)
+    categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
+    brand: { type: String, trim: true },
+    unit: { type: String, trim: true },
+    quantity: { type: Number, required: true, min: 0 },
+    price: { type: Number, required: true, min: 1, validate: moneyValidator }, 
+    minStockLevel: { type: Number, required: true, min: 0 },
+    // Coût moyen pondéré, recalculé à chaque achat (à défaut, le prix d'achat `price` fait foi)
+    averageCost: { type: Number, min: 0, validate: moneyValidator },
+    // Taux de TVA du prix de vente (à défaut, celui de la catégorie puis le taux par défaut du magasin)
+    vatRate: vatRateField,
+    // Délai de livraison en jours (à défaut, celui des fournisseurs puis DEFAULT_LEAD_TIME_DAYS), pour les suggestions de commande
+    leadTimeDays: { type: Number, min: 0 },
+    // Repère de rangement libre (ex: allée 3, étagère B), indicatif
+    location: { type: String, trim: true },
+    // Stock par emplacement ; `quantity` en est toujours le total
+    stocks: [ProductStockSchema],
+    // Variante d'un produit parent : son nom (recopié pour les rapports) et ses valeurs d'attributs
+    parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'ParentProduct' },
+    parentName: { type: String },
+    variantAttributes: { type: [VariantValueSchema], default: undefined },
+}, { timestamps: true });
+
+ProductSchema.index({ parentId: 1 });
+
+// Recherche plein texte de l'inventaire (GET /products?search=) : le nom pèse plus que les codes
+ProductSchema.index(
+    { name: 'text', sku: 'text', barcode: 'text' },
+    { default_language: 'french', weights: { name: 10, sku: 5, barcode: 5 } }
+);
+
+const Product = mongoose.model('Product', ProductSchema);
+
+// Compteurs séquentiels nommés (ex: numéros des codes-barres internes)
+const CounterSchema = new mongoose.Schema({
+    _id: { type: String },
+    seq: { type: Number, default: 0 }
+});
+
+const Counter = mongoose.model('Counter', CounterSchema);
+
+// Modèle Client : clients réguliers, auxquels une vente peut être rattachée (ventes à crédit, relevé de compte)
+const CustomerSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    phone: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+    address: { type: String, trim: true },
+    notes: { type: String, trim: true }
+}, { timestamps: true });
+
+CustomerSchema.index({ name: 1 });
+
+const Customer = mongoose.model('Customer', CustomerSchema);
+
+// Quantité d'une ligne de vente prise dans un lot (ou rendue à ce lot)
+const SaleItemLotSchema = new mongoose.Schema({
+    lotId: { type: mongoose.Schema.Types.ObjectId, ref: 'StockLot', required: true },
+    lotNumber: { type: String, required: true },
+    expiryDate: { type: Date },
+    quantity: { type: Number, required: true, min: 1 }
+}, { _id: false });
+
+// Ligne de Vente (un produit dans un ticket)
+const SaleItemSchema = new mongoose.Schema({
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    productName: { type: String, required: true },
+    unitPrice: { type: Number, required: true, min: 1, validate: moneyValidator }, // Prix de vente TTC
+    // Négative sur un ticket de retour, pour que les totaux des rapports restent justes
+    quantitySold: {
+        type: Number,
+        required: true,
+        validate: [value => Number.isInteger(value) && value !== 0, 'La quantité doit être un entier non nul.']
+    },
+    // Montants TTC, HT et TVA de la ligne : HT + TVA = TTC au centime près
+    totalPrice: { type: Number, required: true, validate: moneyValidator },
+    vatRate: vatRateField,
+    netAmount: { type: Number, validate: moneyValidator },
+    taxAmount: { type: Number, validate: moneyValidator },
+    unitCost: { type: Number, min: 0, validate: moneyValidator }, // Coût unitaire figé au moment de la vente (calcul des marges)
+    quantityReturned: { type: Number, default: 0, min: 0 }, // Quantité déjà rendue par le client
+    // Produit parent de la variante vendue, figé au moment de la vente (cumul des variantes dans les rapports)
+    parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'ParentProduct' },
+    parentName: { type: String },
+    // Lots dont la ligne est sortie (vente) ou auxquels elle a été rendue (retour), dans l'ordre de sortie
+    lots: [SaleItemLotSchema]
+});
+
+// Moyens de paiement d'une vente
+const PAYMENT_METHODS = ['cash', 'card', 'mobile_money', 'cheque', 'transfer', 'other'];
+
+// État de paiement d'une vente : payée, partiellement payée ou impayée (vente à crédit)
+const PAYMENT_STATUSES = ['paid', 'partial', 'unpaid'];
+
+// Règlement reçu pour une vente (ou remboursé pour un retour, montant négatif).
+// 'credit_note' : part d'un retour imputée sur le reste dû de la vente au lieu d'être remboursée.
+const SalePaymentSchema = new mongoose.Schema({
+    amount: { type: Number, required: true, validate: moneyValidator },
+    method: { type: String, enum: [...PAYMENT_METHODS, 'credit_note'], required: true },
+    paidAt: { type: Date, default: Date.now },
+    returnId: { type: mongoose.Schema.Types.ObjectId, ref: 'Sale' }, // Avoirs uniquement
+    cashSessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'CashSession' }, // Caisse qui a encaissé ou remboursé
+    createdByName: { type: String }
+});
+
+// Modèle Vente (Ticket de caisse regroupant plusieurs lignes)
+// Un retour client est un ticket de type 'return' aux quantités négatives, lié à la vente d'origine.
+// Une vente annulée reste visible (status 'voided') mais sort des totaux.
+const SaleSchema = new mongoose.Schema({
+    type: { type: String, enum: ['sale', 'return'], default: 'sale' },
+    status: { type: String, enum: ['completed', 'voided'], default: 'completed' },
+    items: {
+        type: [SaleItemSchema],
+        validate: [items => items.length > 0, 'Une vente doit contenir au moins une ligne.']
+    },
+    totalPrice: { type: Number, required: true, validate: moneyValidator },
+    saleDate: { type: Date, default: Date.now },
+    locationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Location' }, // Emplacement dont le stock est sorti
+    locationName: { type: String },
+    originalSaleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Sale' }, // Retours uniquement
+    reason: { type: String, trim: true }, // Motif du retour
+    voidReason: { type: String, trim: true },
+    voidedAt: { type: Date },
+    voidedByName: { type: String },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdByName: { type: String }, // Nom de l'utilisateur figé au moment de la saisie
+    // Clé fournie par le client : un renvoi de la même vente (file hors ligne) ne l'enregistre jamais deux fois
+    idempotencyKey: { type: String, unique: true, sparse: true },
+    syncedAt: { type: Date }, // Ventes saisies hors ligne : date de réception par le serveur (saleDate = date de saisie)
+    // Moyen de paiement du ticket ('split' : paiement fractionné, détaillé dans `payments`)
+    paymentMethod: { type: String, enum: [...PAYMENT_METHODS, 'split'], default: 'cash' },
+    // Session de caisse de la vente ; montant remis par le client et monnaie rendue (en espèces)
+    cashSessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'CashSession' },
+    amountTendered: { type: Number, min: 0, validate: moneyValidator },
+    changeGiven: { type: Number, min: 0, validate: moneyValidator },
+    // Client et règlements : une vente sans client est payée comptant ; une vente ancienne sans ces champs est payée
+    customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+    customerName: { type: String },
+    amountPaid: { type: Number, validate: moneyValidator },
+    paymentStatus: { type: String, enum: PAYMENT_STATUSES, default: 'paid' },
+    payments: [SalePaymentSchema],
+    // Numéro de facture (ventes) ou d'avoir (retours) : séquence sans trou, jamais réattribué, même après annulation
+    invoiceNumber: { type: Number },
+    invoicedAt: { type: Date },
+    // Réservation pendant l'attribution du numéro (voir assignInvoiceNumber), retirée une fois numéroté
+    invoicingAt: { type: Date }
+});
+
+SaleSchema.index({ type: 1, invoiceNumber: 1 }, { unique: true, partialFilterExpression: { invoiceNumber: { $exists: true } } });
+SaleSchema.index({ customerId: 1, saleDate: 1 });
+SaleSchema.index({ 'payments.paidAt': 1 });
+SaleSchema.index({ 'payments.cashSessionId': 1 });
+
+const Sale = mongoose.model('Sale', SaleSchema);
+
+// Montant attendu d'après les encaissements et montant compté, pour un moyen de paiement
+// (sans `counted` : moyen non compté à la fermeture)
+const CashCountSchema = new mongoose.Schema({
+    method: { type: String, enum: PAYMENT_METHODS, required: true },
+    expected: { type: Number, required: true, validate: moneyValidator },
+    counted: { type: Number, min: 0, validate: moneyValidator },
+    difference: { type: Number, validate: moneyValidator } // Compté - attendu : négatif s'il manque de l'argent
+}, { _id: false });
+
+// Modèle Session de caisse : ouverte avec un fond de caisse, fermée avec les montants comptés.
+// Une seule session ouverte à la fois par caisse (`register`) et par emplacement.
+const CashSessionSchema = new mongoose.Schema({
+    register: { type: String, required: true, trim: true }, // Nom de la caisse (ex: Caisse 1)
+    locationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', required: true },
+    locationName: { type: String },
+    status: { type: String, enum: ['open', 'closed'], default: 'open' },
+    openingFloat: { type: Number, required: true, min: 0, validate: moneyValidator }, // Fond de caisse (espèces)
+    openedAt: { type: Date, default: Date.now },
+    openedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    openedByName: { type: String },
+    closedAt: { type: Date },
+    closedByName: { type: String },
+    counts: [CashCountSchema],
+    salesCount: { type: Number },
+    notes: { type: String, trim: true },
+    // Dernière opération encaissée, écrite dans sa transaction : une fermeture concurrente entre en conflit avec elle
+    lastOperationAt: { type: Date }
+}, { timestamps: true });
+
+CashSessionSchema.index({ locationId: 1, register: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+CashSessionSchema.index({ locationId: 1, openedAt: -1 });
+
+const CashSession = mongoose.model('CashSession', CashSessionSchema);
+
+// Modèle Clôture journalière (Z) d'un emplacement : rapport figé de la journée, qui n'accepte plus de modification
+const DayClosingSchema = new mongoose.Schema({
+    number: { type: Number, required: true, unique: true }, // Numéro de Z, séquentiel
+    locationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', required: true },
+    locationName: { type: String },
+    date: { type: String, required: true }, // Journée clôturée 'AAAA-MM-JJ' dans le fuseau `timezone`
+    timezone: { type: String, required: true },
+    from: { type: Date, required: true }, // Bornes de la journée (incluses)
+    to: { type: Date, required: true },
+    sessionIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'CashSession' }],
+    openingFloat: { type: Number, validate: moneyValidator },
+    counts: [CashCountSchema],
+    salesCount: { type: Number },
+    returnsCount: { type: Number },
+    voidedCount: { type: Number },
+    revenue: { type: Number, validate: moneyValidator }, // Ventes moins retours, annulations exclues
+    changeGiven: { type: Number, validate: moneyValidator },
+    closedAt: { type: Date, default: Date.now },
+    closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    closedByName: { type: String }
+});
+
+DayClosingSchema.index({ locationId: 1, date: 1 }, { unique: true });
+DayClosingSchema.index({ locationId: 1, from: 1, to: 1 });
+
+const DayClosing = mongoose.model('DayClosing', DayClosingSchema);
+
+// NOUVEAU: Modèle Achat (Entrée de Stock)
+const PurchaseSchema = new mongoose.Schema({
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    productName: { type: String, required: true },
+    unitPrice: { type: Number, required: true, min: 1, validate: moneyValidator }, // Prix d'achat unitaire HT
+    quantityPurchased: { type: Number, required: true, min: 1 },
+    totalPrice: { type: Number, required: true, validate: moneyValidator },
+    purchaseDate: { type: Date, default: Date.now },
+    locationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Location' }, // Emplacement où le stock est entré
+    locationName: { type: String },
+    // Renseignés quand l'achat provient de la réception d'une commande fournisseur
+    supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier' },
+    supplierName: { type: String },
+    purchaseOrderId: { type: mongoose.Schema.Types.ObjectId, ref: 'PurchaseOrder' },
+    // Produit parent de la variante achetée (cumul des variantes dans les rapports)
+    parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'ParentProduct' },
+    parentName: { type: String },
+    // Lot créé par cette entrée de stock
+    lotId: { type: mongoose.Schema.Types.ObjectId, ref: 'StockLot' },
+    lotNumber: { type: String },
+    expiryDate: { type: Date },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdByName: { type: String }
+});
+
+const Purchase = mongoose.model('Purchase', PurchaseSchema);
+
+// Produit proposé par un fournisseur, à son coût d'achat habituel
+const SupplierProductSchema = new mongoose.Schema({
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    unitCost: { type: Number, required: true, min: 1, validate: moneyValidator }
+}, { _id: false });
+
+// Modèle Fournisseur
+const SupplierSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true, trim: true },
+    contactName: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+    phone: { type: String, trim: true },
+    leadTimeDays: { type: Number, min: 0 }, // Délai de livraison habituel, en jours
+    products: [SupplierProductSchema]
+}, { timestamps: true });
+
+const Supplier = mongoose.model('Supplier', SupplierSchema);
+
+// Cycle de vie d'une commande : brouillon → envoyée → partiellement reçue → reçue ; annulable tant qu'elle n'est pas reçue
+const PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received', 'received', 'cancelled'];
+// Commandes encore attendues (filtre status=open)
+const OPEN_PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received'];
+
+// Ligne de Commande Fournisseur
+const PurchaseOrderItemSchema = new mongoose.Schema({
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    productName: { type: String, required: true },
+    unitPrice: { type: Number, required: true, min: 1, validate: moneyValidator }, // Coût unitaire convenu
+    quantityOrdered: {
+        type: Number,
+        required: true,
+        validate: [value => Number.isInteger(value) && value > 0, 'La quantité commandée doit être un entier positif.']
+    },
+    quantityReceived: { type: Number, default: 0, min: 0 }
+});
+
+// Modèle Commande Fournisseur (chaque réception crée les entrées de stock `Purchase` correspondantes)
+const PurchaseOrderSchema = new mongoose.Schema({
+    supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier', required: true, index: true },
+    supplierName: { type: String, required: true },
+    status: { type: String, enum: PURCHASE_ORDER_STATUSES, default: 'draft', index: true },
+    items: {
+        type: [PurchaseOrderItemSchema],
+        validate: [items => items.length > 0, 'Une commande doit contenir au moins une ligne.']
+    },
+    expectedDate: { type: Date },
+    notes: { type: String, trim: true },
+    sentAt: { type: Date },
+    receivedAt: { type: Date },
+    cancelledAt: { type: Date },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdByName: { type: String }
+}, { timestamps: true });
+
+const PurchaseOrder = mongoose.model('PurchaseOrder', PurchaseOrderSchema);
+
+// Types de mouvements de stock
+const MOVEMENT_TYPES = ['sale', 'purchase', 'adjustment', 'return', 'void', 'inventory', 'transfer'];
+
+// Modèle Mouvement de Stock (journal immuable de chaque variation de quantité)
+const StockMovementSchema = new mongoose.Schema({
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true, index: true },
+    productName: { type: String, required: true },
+    type: { type: String, required: true, enum: MOVEMENT_TYPES },
+    delta: { type: Number, required: true },
+    resultingQuantity: { type: Number, required: true }, // Stock du produit juste après le mouvement
+    locationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Location' },
+    locationName: { type: String },
+    locationQuantity: { type: Number }, // Stock du produit à cet emplacement juste après le mouvement
+    reason: { type: String, trim: true },
+    operationId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true }, // Vente, achat ou ajustement d'origine
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    userName: { type: String },
+    movementDate: { type: Date, default: Date.now }
+});
+
+// Le journal ne se corrige pas : toute modification d'un mouvement existant est refusée
+StockMovementSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function (next) {
+    next(new Error('Les mouvements de stock sont immuables.'));
+});
+
+const StockMovement = mongoose.model('StockMovement', StockMovementSchema);
+
+// Modèle Transfert de Stock entre deux emplacements (le total du produit ne change pas)
+const StockTransferSchema = new mongoose.Schema({
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true, index: true },
+    productName: { type: String, required: true },
+    fromLocationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', required: true },
+    fromLocationName: { type: String, required: true },
+    toLocationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', required: true },
+    toLocationName: { type: String, required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    reason: { type: String, trim: true },
+    transferDate: { type: Date, default: Date.now },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdByName: { type: String }
+});
+
+const StockTransfer = mongoose.model('StockTransfer', StockTransferSchema);
+
+// Modèle Lot de Stock : quantité d'un produit entrée à un emplacement par un même achat (ou transférée
+// depuis un lot d'un autre emplacement), avec son numéro, sa date de péremption et son coût d'achat.
+// Le stock d'un emplacement peut dépasser la somme de ses lots : cet excédent « hors lot » (stock antérieur
+// au suivi des lots, ajustements positifs) sort en premier, puis les lots qui périment le plus tôt (FEFO).
+const StockLotSchema = new mongoose.Schema({
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    productName: { type: String, required: true },
+    locationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', required: true },
+    locationName: { type: String },
+    lotNumber: { type: String, required: true, trim: true },
+    expiryDate: { type: Date },
+    unitCost: { type: Number, required: true, min: 0, validate: moneyValidator },
+    quantityReceived: { type: Number, required: true, min: 0 },
+    quantity: { type: Number, required: true, min: 0 }, // Reste en stock
+    purchaseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Purchase' },
+    receivedAt: { type: Date, default: Date.now }
+});
+
+StockLotSchema.index({ productId: 1, locationId: 1, quantity: 1 });
+StockLotSchema.index({ expiryDate: 1, quantity: 1 });
+
+const StockLot = mongoose.model('StockLot', StockLotSchema);
+
+// Statuts d'un inventaire physique : en cours de comptage, validé (stock ajusté) ou abandonné
+const STOCK_COUNT_STATUSES = ['open', 'posted', 'cancelled'];
+
+// Ligne d'inventaire : `systemQuantity` et `unitCost` sont relevés au moment du comptage,
+// l'écart (compté - système) est donc juste même si des ventes ont lieu pendant l'inventaire
+const StockCountItemSchema = new mongoose.Schema({
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    productName: { type: String, required: true },
+    sku: { type: String },
+    barcode: { type: String },
+    countedQuantity: { type: Number, min: 0 }, // Absente tant que la ligne n'est pas comptée
+    systemQuantity: { type: Number },
+    unitCost: { type: Number, validate: moneyValidator },
+    countedAt: { type: Date },
+    countedByName: { type: String }
+}, { _id: false });
+
+// Modèle Inventaire Physique d'un emplacement (éventuellement limité à une catégorie)
+// Sa validation applique les écarts au stock en une opération, inscrite au journal (type 'inventory')
+const StockCountSchema = new mongoose.Schema({
+    status: { type: String, enum: STOCK_COUNT_STATUSES, default: 'open', index: true },
+    locationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Location', required: true },
+    locationName: { type: String, required: true },
+    categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
+    categoryName: { type: String },
+    items: [StockCountItemSchema],
+    notes: { type: String, trim: true },
+    postedAt: { type: Date },
+    postedByName: { type: String },
+    cancelledAt: { type: Date },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdByName: { type: String }
+}, { timestamps: true });
+
+// Un seul inventaire en cours par emplacement : deux comptages ajusteraient deux fois le même stock
+StockCountSchema.index({ locationId: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+
+const StockCount = mongoose.model('StockCount', StockCountSchema);
+
+// Rôles : admin gère tout, cashier enregistre les ventes, viewer consulte les rapports
+const ROLES = ['admin', 'cashier', 'viewer'];
+
+// Modèle Utilisateur
+const UserSchema = new mongoose.Schema({
+    username: { type: String, required: true, unique: true, trim: true, lowercase: true },
+    passwordHash: { type: String, required: true },
+    role: { type: String, required: true, enum: ROLES, default: 'viewer' },
+    active: { type: Boolean, default: true }
+}, {
+    timestamps: true,
+    // Le hachage du mot de passe ne quitte jamais le serveur
+    toJSON: { transform: (doc, ret) => { delete ret.passwordHash; return ret; } }
+});
+
+const User = mongoose.model('User', UserSchema);
+
+// Modèle Session de connexion (seul le hachage du jeton est stocké ; expiration via index TTL)
+const AuthSessionSchema = new mongoose.Schema({
+    tokenHash: { type: String, required: true, unique: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    expiresAt: { type: Date, required: true, expires: 0 }
+});
+
+const AuthSession = mongoose.model('AuthSession', AuthSessionSchema);
+
+// Migration : les anciennes ventes mono-produit deviennent des tickets d'une seule ligne
+const migrateLegacySales = async () => {
+    const result = await Sale.collection.updateMany(
+        { items: { $exists: false }, productId: { $exists: true } },
+        [
+            { $set: { items: [{
+                productId: '$productId',
+                productName: '$productName',
+                unitPrice: '$unitPrice',
+                quantitySold: '$quantitySold',
+                totalPrice: '$totalPrice'
+            }] } },
+            { $unset: ['productId', 'productName', 'unitPrice', 'quantitySold'] }
+        ]
+    );
+    if (result.modifiedCount > 0) {
+        console.log(`🔄 ${result.modifiedCount} vente(s) migrée(s) au format ticket.`);
+    }
+};
+
+// Migration : les montants décimaux (euros) passent en unités mineures (centimes), une collection à la fois.
+// Les lignes de vente reçoivent au passage le taux de TVA par défaut et leur décomposition HT / TVA.
+const migrateMoneyToMinorUnits = async () => {
+    const settings = await getSettings();
+    const factor = 10 ** currencyDigits(settings.currency);
+    const toMinor = (path) => ({ $round: [{ $multiply: [path, factor] }, 0] });
+    // Champ facultatif : converti seulement s'il existe
+    const optionalToMinor = (path) => ({ $cond: [{ $eq: [{ $type: path }, 'missing'] }, '$$REMOVE', toMinor(path)] });
+    const mapLines = (field, values) => ({ $map: { input: `$${field}`, as: 'line', in: { $mergeObjects: ['$$line', values] } } });
+    const vatRate = settings.defaultVatRate;
+
+    const steps = {
+        products: () => Product.collection.updateMany({}, [
+            { $set: { price: toMinor('$price'), averageCost: optionalToMinor('$averageCost') } }
+        ]),
+        // Les totaux sont recalculés depuis les prix convertis : ligne = prix × quantité, ticket = somme des lignes
+        sales: () => Sale.collection.updateMany({}, [
+            { $set: { items: mapLines('items', { unitPrice: toMinor('$$line.unitPrice'), unitCost: optionalToMinor('$$line.unitCost') }) } },
+            { $set: { items: mapLines('items', { totalPrice: { $multiply: ['$$line.unitPrice', '$$line.quantitySold'] }, vatRate }) } },
+            { $set: { items: mapLines('items', { netAmount: { $multiply: [
+                { $cond: [{ $lt: ['$$line.totalPrice', 0] }, -1, 1] },
+                { $round: [{ $divide: [{ $multiply: [{ $abs: '$$line.totalPrice' }, 100] }, 100 + vatRate] }, 0] }
+            ] } }) } },
+            { $set: {
+                items: mapLines('items', { taxAmount: { $subtract: ['$$line.totalPrice', '$$line.netAmount'] } }),
+                totalPrice: { $sum: '$items.totalPrice' }
+            } }
+        ]),
+        purchases: () => Purchase.collection.updateMany({}, [
+            { $set: { unitPrice: toMinor('$unitPrice') } },
+            { $set: { totalPrice: { $multiply: ['$unitPrice', '$quantityPurchased'] } } }
+        ]),
+        suppliers: () => Supplier.collection.updateMany({}, [
+            { $set: { products: mapLines('products', { unitCost: toMinor('$$line.unitCost') }) } }
+        ]),
+        purchaseOrders: () => PurchaseOrder.collection.updateMany({}, [
+            { $set: { items: mapLines('items', { unitPrice: toMinor('$$line.unitPrice') }) } }
+        ])
+    };
+
+    for (const [name, migrate] of Object.entries(steps)) {
+        if (settings.minorUnitsMigrated.includes(name)) continue;
+        const result = await migrate();
+        await Settings.updateOne({ _id: settings._id }, { $addToSet: { minorUnitsMigrated: name } });
+        if (result.modifiedCount > 0) {
+            console.log(`🔄 ${result.modifiedCount} document(s) "${name}" : montants convertis en unités mineures.`);
+        }
+    }
+};
+
+// Migration : les lignes de vente enregistrées sans coût reçoivent le coût actuel du produit
+const backfillSaleCosts = async () => {
+    const productIds = await Sale.distinct('items.productId', { 'items.unitCost': { $exists: false } });
+    const products = await Product.find({ _id: { $in: productIds } });
+
+    for (const product of products) {
+        await Sale.updateMany(
+            { 'items.productId': product._id },
+            { $set: { 'items.$[line].unitCost': getUnitCost(product) } },
+            { arrayFilters: [{ 'line.productId': product._id, 'line.unitCost': { $exists: false } }] }
+        );
+    }
+};
+
+// Migration : crée l'emplacement par défaut et y range le stock des produits antérieurs au multi-emplacement
+const migrateStockLocations = async () => {
+    let defaultLocation = await Location.findOne({ isDefault: true });
+    if (!defaultLocation) {
+        defaultLocation = await Location.findOneAndUpdate({}, { $set: { isDefault: true } }, { sort: { createdAt: 1 }, new: true })
+            || await Location.create({ name: 'Magasin', type: 'shop', isDefault: true });
+    }
+
+    const result = await Product.collection.updateMany(
+        { stocks: { $exists: false } },
+        [{ $set: { stocks: [{ locationId: defaultLocation._id, quantity: '$quantity' }] } }]
+    );
+    if (result.modifiedCount > 0) {
+        console.log(`🔄 ${result.modifiedCount} produit(s) rangé(s) dans l'emplacement "${defaultLocation.name}".`);
+    }
+};
+
+// Migration : les ventes et retours antérieurs à la facturation sont numérotés dans l'ordre chronologique
+const migrateInvoiceNumbers = async () => {
+    const sales = await Sale.find({ invoiceNumber: { $exists: false } }).sort({ saleDate: 1, _id: 1 });
+    for (const sale of sales) {
+        // Réservation récente d'un processus arrêté en cours de numérotation : reprise au prochain démarrage ou à l'impression
+        await assignInvoiceNumber(sale).catch(err => {
+            if (err.status !== 409) throw err;
+        });
+    }
+    if (sales.length > 0) {
+        console.log(`🔄 ${sales.length} vente(s) et retour(s) numérotés pour la facturation.`);
+    }
+};
+
+// Amorçage : crée le premier administrateur à partir de ADMIN_USERNAME / ADMIN_PASSWORD
+const ensureAdminAccount = async () => {
+    if (await User.countDocuments() > 0) return;
+    if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+        console.error("ERREUR: Aucun utilisateur n'existe. Définissez ADMIN_USERNAME et ADMIN_PASSWORD pour créer l'administrateur.");
+        return;
+    }
+    await User.create({ username: ADMIN_USERNAME, passwordHash: await hashPassword(ADMIN_PASSWORD), role: 'admin' });
+    console.log(`👤 Administrateur "${ADMIN_USERNAME}" créé.`);
+};
+
+/** Coût unitaire courant d'un produit : coût moyen pondéré, ou prix d'achat à défaut */
+const getUnitCost = (product) => product.averageCost ?? product.price;
+
+
+// ------------------------------------
+// 2. Routes de l'API (Endpoints REST)
+// ------------------------------------
+
+const API_BASE_URL = '/api';
+
+// --- Utilitaires (Erreurs HTTP et Transactions) ---
+
+/** Crée une erreur portant un code HTTP, renvoyé tel quel par les routes */
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+/** Vrai si l'erreur indique que le serveur MongoDB (standalone) ne supporte pas les transactions */
+const isTransactionUnsupported = (err) =>
+    err.code === 20 || /Transaction numbers are only allowed/.test(err.message);
+
+/**
+ * Exécute `work(session)` dans une transaction MongoDB.
+ * Sur une instance sans replica set, `work(null)` est exécuté sans transaction :
+ * chaque écriture reste atomique et c'est à `work` de compenser en cas d'échec.
+ */
+const runInTransaction = async (work) => {
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            session.changedProductIds = new Set(); // Vidé à chaque nouvelle tentative de la transaction
+            result = await work(session);
+        });
+        // Les terminaux connectés ne sont prévenus qu'une fois les écritures validées
+        notifyProductsChanged([...session.changedProductIds]);
+        return result;
+    } catch (err) {
+        if (isTransactionUnsupported(err)) {
+            return work(null);
+        }
+        throw err;
+    } finally {
+        await session.endSession();
+    }
+};
+
+// --- Utilitaires (Mises à Jour en Temps Réel) ---
+
+// Terminaux connectés au flux d'événements (réponses Server-Sent Events ouvertes)
+const liveClients = new Set();
+// Délai de regroupement des changements de produits avant diffusion (ms) et intervalle du signal de maintien (ms)
+const LIVE_FLUSH_DELAY_MS = 200;
+const LIVE_HEARTBEAT_MS = 25000;
+
+const pendingProductIds = new Set();
+let productFlushTimer = null;
+
+/** Envoie un événement `{ event, data }` à tous les terminaux connectés */
+const broadcastEvent = (event, data) => {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const client of liveClients) {
+        client.write(message);
+    }
+};
+
+/**
+ * Diffuse l'état courant des produits modifiés, lu en base après regroupement : un produit supprimé
+ * est annoncé dans `removed`, et `lowStockCount` tient à jour le bandeau de stock faible.
+ */
+const flushProductChanges = async () => {
+    productFlushTimer = null;
+    const ids = [...pendingProductIds];
+    pendingProductIds.clear();
+    if (liveClients.size === 0 || ids.length === 0) return;
+    try {
+        const [products, lowStockCount] = await Promise.all([
+            Product.find({ _id: { $in: ids } }),
+            Product.countDocuments(LOW_STOCK_FILTER)
+        ]);
+        const found = new Set(products.map(product => product._id.toString()));
+        broadcastEvent('products', { products, removed: ids.filter(id => !found.has(id)), lowStockCount });
+    } catch (err) {
+        console.error('❌ Échec de la diffusion des produits modifiés :', err.message);
+    }
+};
+
+/** Annonce aux terminaux connectés que des produits ont changé (stock, prix, fiche, suppression) */
+const notifyProductsChanged = (productIds) => {
+    productIds.forEach(id => pendingProductIds.add(String(id)));
+    if (pendingProductIds.size > 0 && !productFlushTimer) {
+        productFlushTimer = setTimeout(flushProductChanges, LIVE_FLUSH_DELAY_MS);
+    }
+};
+
+/** Note un produit modifié : annoncé à la validation de la transaction `session`, ou tout de suite sans transaction */
+const trackProductChange = (productId, session) => {
+    if (session && session.changedProductIds) {
+        session.changedProductIds.add(String(productId));
+    } else {
+        notifyProductsChanged([productId]);
+    }
+};
+
+/** Annonce une vente, un retour ou une annulation (résumé du ticket, sans ses lignes) */
+const notifySaleChanged = (sale) => broadcastEvent('sale', {
+    _id: sale._id, type: sale.type, status: sale.status, totalPrice: sale.totalPrice, locationId: sale.locationId, saleDate: sale.saleDate
+});
+
+/** Annonce une entrée de stock (achat direct ou réception de commande) */
+const notifyPurchaseChanged = (purchase) => broadcastEvent('purchase', {
+    _id: purchase._id, productId: purchase.productId, quantityPurchased: purchase.quantityPurchased, locationId: purchase.locationId
+});
+
+/** Quantité d'un produit à un emplacement (0 s'il n'y a jamais eu de stock) */
+const getLocationQuantity = (product, locationId) => {
+    const entry = product.stocks.find(stock => stock.locationId.equals(locationId));
+    return entry ? entry.quantity : 0;
+};
+
+/** Construit l'entrée du journal de stock correspondant à une variation appliquée à `product` à `movement.location` */
+const buildMovement = (product, delta, movement) => new StockMovement({
+    productId: product._id,
+    productName: product.name,
+    type: movement.type,
+    delta: delta,
+    resultingQuantity: product.quantity,
+    locationId: movement.location._id,
+    locationName: movement.location.name,
+    locationQuantity: getLocationQuantity(product, movement.location._id),
+    reason: movement.reason,
+    operationId: movement.operationId,
+    userId: movement.user._id,
+    userName: movement.user.username
+});
+
+/** Ajoute au produit une ligne de stock à zéro pour l'emplacement s'il n'en a pas encore (idempotent) */
+const ensureStockEntry = (productId, locationId, session) => Product.updateOne(
+    { _id: productId, 'stocks.locationId': { $ne: locationId } },
+    { $push: { stocks: { locationId: locationId, quantity: 0 } } },
+    { session }
+);
+
+/**
+ * Applique des variations de stock `[{ productId, delta, expectedQuantity? }]` à l'emplacement
+ * `movement.location` et les inscrit au journal avec `movement` ({ type, reason, operationId, user, location }).
+ * Le total du produit et sa quantité à l'emplacement varient dans la même écriture. Un décrément n'est
+ * appliqué que si l'emplacement a assez de stock, et `expectedQuantity` exige que la quantité à
+ * l'emplacement n'ait pas changé (409 sinon).
+ * Les lots sont mis à jour avec le stock (voir applyLotChanges) : ceux touchés sont renseignés dans `change.appliedLots`.
+ * Sans transaction, les variations déjà appliquées sont annulées avant de propager l'erreur.
+ * Retourne les produits mis à jour, dans l'ordre.
+ */
+const applyStockChanges = async (changes, session, movement) => {
+    const locationId = movement.location._id;
+    const applied = [];
+    const products = [];
+    try {
+        for (const change of changes) {
+            await ensureStockEntry(change.productId, locationId, session);
+
+            const filter = { _id: change.productId };
+            if (change.expectedQuantity !== undefined) {
+                filter.stocks = { $elemMatch: { locationId: locationId, quantity: change.expectedQuantity } };
+            } else if (change.delta < 0) {
+                filter.stocks = { $elemMatch: { locationId: locationId, quantity: { $gte: -change.delta } } };
+            }
+            const { update, arrayFilters } = buildStockUpdate(change, locationId);
+            const product = await Product.findOneAndUpdate(filter, update, { new: true, session, arrayFilters });
+
+            if (!product) {
+                const current = await Product.findById(change.productId).session(session);
+                if (!current) {
+                    throw httpError(404, "Produit non trouvé dans l'inventaire.");
+                }
+                const available = getLocationQuantity(current, locationId);
+                if (change.expectedQuantity !== undefined) {
+                    throw httpError(409, `Le stock de ${current.name} (${movement.location.name}) a changé entre-temps. Stock actuel: ${available}.`);
+                }
+                throw httpError(409, `Stock insuffisant pour ${current.name} (${movement.location.name}). Stock actuel: ${available}.`);
+            }
+            applied.push(change);
+            products.push(product);
+            trackProductChange(product._id, session);
+
+            change.appliedLots = await applyLotChanges(product, change, movement.location, session);
+            await buildMovement(product, change.delta, movement).save({ session });
+        }
+        return products;
+    } catch (err) {
+        if (!session) {
+            await revertStockChanges(applied, movement.operationId, locationId);
+        }
+        throw err;
+    }
+};
+
+/**
+ * Mise à jour MongoDB `{ update, arrayFilters }` d'une variation de stock à un emplacement.
+ * Une entrée portant un `unitCost` recalcule aussi le coût moyen pondéré, arrondi à l'unité mineure :
+ * (stock × coût moyen + entrée × coût d'entrée) / nouveau stock.
+ */
+const buildStockUpdate = (change, locationId) => {
+    if (change.delta <= 0 || change.unitCost === undefined) {
+        return {
+            update: { $inc: { quantity: change.delta, 'stocks.$[entry].quantity': change.delta } },
+            arrayFilters: [{ 'entry.locationId': locationId }]
+        };
+    }
+    // Les pipelines d'agrégation n'acceptent pas arrayFilters : la ligne de l'emplacement est modifiée par $map
+    const currentStock = { $max: ['$quantity', 0] };
+    const currentCost = { $ifNull: ['$averageCost', '$price'] };
+    return { update: [{ $set: {
+        averageCost: { $round: [{ $divide: [
+            { $add: [{ $multiply: [currentStock, currentCost] }, change.delta * change.unitCost] },
+            { $add: [currentStock, change.delta] }
+        ] }, 0] },
+        quantity: { $add: ['$quantity', change.delta] },
+        stocks: { $map: {
+            input: '$stocks',
+            in: { $cond: [
+                { $eq: ['$$this.locationId', locationId] },
+                { locationId: '$$this.locationId', quantity: { $add: ['$$this.quantity', change.delta] } },
+                '$$this'
+            ] }
+        } }
+    } }] };
+};
+
+/** Annule des variations de stock appliquées sans transaction (compensation), leurs lots et leurs mouvements */
+const revertStockChanges = async (changes, operationId, locationId) => {
+    for (const change of changes) {
+        await Product.updateOne(
+            { _id: change.productId },
+            { $inc: { quantity: -change.delta, 'stocks.$[entry].quantity': -change.delta } },
+            { arrayFilters: [{ 'entry.locationId': locationId }] }
+        );
+        await revertLotChanges(change.appliedLots || []);
+        notifyProductsChanged([change.productId]);
+    }
+    await StockMovement.deleteMany({ operationId });
+};
+
+/**
+ * Transfère `quantity` d'un produit de l'emplacement `from` vers `to` en une seule écriture
+ * (le total ne change pas) et inscrit la sortie et l'entrée au journal. 409 si l'origine n'a pas assez de stock.
+ * Les lots suivent : prélevés à l'origine comme pour une sortie, ils sont ajoutés aux lots de même numéro à destination.
+ */
+const transferStock = async (productId, from, to, quantity, session, movement) => {
+    await ensureStockEntry(productId, to._id, session);
+    const product = await Product.findOneAndUpdate(
+        { _id: productId, stocks: { $elemMatch: { locationId: from._id, quantity: { $gte: quantity } } } },
+        { $inc: { 'stocks.$[source].quantity': -quantity, 'stocks.$[target].quantity': quantity } },
+        { new: true, session, arrayFilters: [{ 'source.locationId': from._id }, { 'target.locationId': to._id }] }
+    );
+    if (!product) {
+        const current = await Product.findById(productId).session(session);
+        if (!current) {
+            throw httpError(404, "Produit non trouvé dans l'inventaire.");
+        }
+        throw httpError(409, `Stock insuffisant pour ${current.name} (${from.name}). Stock actuel: ${getLocationQuantity(current, from._id)}.`);
+    }
+    trackProductChange(product._id, session);
+
+    const lots = [];
+    try {
+        lots.push(...await applyLotChanges(product, { delta: -quantity }, from, session));
+        lots.push(...await moveLots(product, lots, to, session));
+        await buildMovement(product, -quantity, { ...movement, location: from }).save({ session });
+        await buildMovement(product, quantity, { ...movement, location: to }).save({ session });
+    } catch (err) {
+        if (!session) {
+            await revertTransfer(productId, from, to, quantity, movement.operationId, lots);
+        }
+        throw err;
+    }
+    return product;
+};
+
+/** Annule un transfert appliqué sans transaction (compensation) : la quantité et ses lots reviennent à l'origine */
+const revertTransfer = async (productId, from, to, quantity, operationId, lots = []) => {
+    await Product.updateOne(
+        { _id: productId },
+        { $inc: { 'stocks.$[source].quantity': quantity, 'stocks.$[target].quantity': -quantity } },
+        { arrayFilters: [{ 'source.locationId': from._id }, { 'target.locationId': to._id }] }
+    );
+    await revertLotChanges(lots);
+    notifyProductsChanged([productId]);
+    await StockMovement.deleteMany({ operationId });
+};
+
+/** Emplacement par défaut (créé au démarrage) */
+const getDefaultLocation = async () => {
+    const location = await Location.findOne({ isDefault: true });
+    if (!location) {
+        throw httpError(500, "Aucun emplacement par défaut n'est défini.");
+    }
+    return location;
+};
+
+/** Emplacement demandé par le client (404 s'il n'existe pas), ou l'emplacement par défaut s'il est omis */
+const resolveLocation = async (locationId) => {
+    if (locationId === undefined || locationId === null || locationId === '') {
+        return getDefaultLocation();
+    }
+    const location = mongoose.isValidObjectId(locationId) ? await Location.findById(locationId) : null;
+    if (!location) {
+        throw httpError(404, "Emplacement non trouvé.");
+    }
+    return location;
+};
+
+/** Emplacement d'une opération enregistrée ; l'emplacement par défaut si elle n'en a pas ou s'il a été supprimé */
+const findRecordedLocation = async (locationId) =>
+    (locationId && await Location.findById(locationId)) || getDefaultLocation();
+
+// --- Utilitaires (Lots et Dates de Péremption) ---
+
+/** Ordre de sortie des lots (FEFO) : péremption la plus proche d'abord, lots sans date en dernier, puis le plus ancien */
+const compareLotsFefo = (a, b) =>
+    ((a.expiryDate ? a.expiryDate.getTime() : Infinity) - (b.expiryDate ? b.expiryDate.getTime() : Infinity))
+    || (a.receivedAt - b.receivedAt);
+
+/** Lot touché par une variation de stock, tel que renseigné dans `change.appliedLots` (quantité signée) */
+const describeAppliedLot = (lot, quantity, created = false) => ({
+    lotId: lot._id,
+    lotNumber: lot.lotNumber,
+    expiryDate: lot.expiryDate,
+    unitCost: lot.unitCost,
+    receivedAt: lot.receivedAt,
+    quantity,
+    ...(created && { created })
+});
+
+/** Numéro de lot attribué à une entrée qui n'en précise pas (LOT-000042) */
+const generateLotNumber = async (session) => `LOT-${String(await nextSequence('lot', session)).padStart(6, '0')}`;
+
+/**
+ * Répercute sur les lots une variation de stock déjà appliquée au produit à `location`,
+ * et renvoie les lots touchés avec leur quantité signée :
+ * - entrée avec `change.lot` ({ lotNumber?, expiryDate? }) : nouveau lot, au coût `change.unitCost` ;
+ * - entrée avec `change.lots` ([{ lotId, quantity }]) : quantités rendues à ces lots (retour, annulation),
+ *   s'ils sont toujours à cet emplacement ; le reste redevient du stock hors lot ;
+ * - sortie avec `change.lots` ([{ lotId, lotNumber, quantity }]) : prélèvement sur ces lots précisément (mise au rebut),
+ *   409 s'ils n'ont plus assez ;
+ * - autre sortie : d'abord le stock hors lot, puis les lots dans l'ordre FEFO ;
+ * - autre entrée (ajustement, stock initial) : stock hors lot.
+ * Sans transaction, les lots déjà modifiés sont rétablis avant de propager une erreur.
+ */
+const applyLotChanges = async (product, change, location, session) => {
+    const applied = [];
+    try {
+        if (change.delta > 0 && change.lot) {
+            const [lot] = await StockLot.create([{
+                productId: product._id,
+                productName: product.name,
+                locationId: location._id,
+                locationName: location.name,
+                lotNumber: change.lot.lotNumber || await generateLotNumber(session),
+                expiryDate: change.lot.expiryDate,
+                unitCost: change.unitCost ?? Math.round(getUnitCost(product)),
+                quantityReceived: change.delta,
+                quantity: change.delta,
+                purchaseId: change.lot.purchaseId
+            }], { session });
+            applied.push(describeAppliedLot(lot, change.delta, true));
+        } else if (change.delta > 0 && change.lots) {
+            for (const { lotId, quantity } of change.lots) {
+                const lot = await StockLot.findOneAndUpdate(
+                    { _id: lotId, locationId: location._id },
+                    { $inc: { quantity } },
+                    { new: true, session }
+                );
+                if (lot) applied.push(describeAppliedLot(lot, quantity));
+            }
+        } else if (change.delta < 0) {
+            let remaining = -change.delta;
+            let picks;
+            if (change.lots) {
+                picks = change.lots.map(({ lotId, lotNumber, quantity }) => ({ lot: { _id: lotId, lotNumber }, quantity }));
+            } else {
+                const lots = (await StockLot.find({ productId: product._id, locationId: location._id, quantity: { $gt: 0 } }).session(session))
+                    .sort(compareLotsFefo);
+                // Stock avant la sortie moins les lots : la part hors lot, prélevée en premier
+                const unlotted = getLocationQuantity(product, location._id) - change.delta - lots.reduce((sum, lot) => sum + lot.quantity, 0);
+                remaining -= Math.min(Math.max(unlotted, 0), remaining);
+                picks = [];
+                for (const lot of lots) {
+                    if (remaining === 0) break;
+                    const quantity = Math.min(lot.quantity, remaining);
+                    picks.push({ lot, quantity });
+                    remaining -= quantity;
+                }
+            }
+            for (const { lot, quantity } of picks) {
+                const updated = await StockLot.findOneAndUpdate(
+                    { _id: lot._id, locationId: location._id, quantity: { $gte: quantity } },
+                    { $inc: { quantity: -quantity } },
+                    { new: true, session }
+                );
+                if (!updated) {
+                    throw httpError(409, `Le lot ${lot.lotNumber} de ${product.name} n'a plus assez de stock à cet emplacement.`);
+                }
+                applied.push(describeAppliedLot(updated, -quantity));
+            }
+        }
+        return applied;
+    } catch (err) {
+        if (!session) {
+            await revertLotChanges(applied);
+        }
+        throw err;
+    }
+};
+
+/**
+ * Ajoute à `location` les quantités prélevées sur des lots (transfert) : au lot de même numéro, péremption et coût,
+ * créé au besoin. Sans transaction, les lots déjà modifiés sont rétablis avant de propager une erreur.
+ */
+const moveLots = async (product, takenLots, location, session) => {
+    const moved = [];
+    try {
+        for (const taken of takenLots) {
+            const quantity = -taken.quantity;
+            const existing = await StockLot.findOne({
+                productId: product._id, locationId: location._id, lotNumber: taken.lotNumber, expiryDate: taken.expiryDate ?? null, unitCost: taken.unitCost
+            }).session(session);
+            if (existing) {
+                const lot = await StockLot.findByIdAndUpdate(existing._id, { $inc: { quantity, quantityReceived: quantity } }, { new: true, session });
+                moved.push(describeAppliedLot(lot, quantity));
+            } else {
+                const [lot] = await StockLot.create([{
+                    productId: product._id,
+                    productName: product.name,
+                    locationId: location._id,
+                    locationName: location.name,
+                    lotNumber: taken.lotNumber,
+                    expiryDate: taken.expiryDate,
+                    unitCost: taken.unitCost,
+                    quantityReceived: quantity,
+                    quantity,
+                    receivedAt: taken.receivedAt // Garde son ancienneté pour l'ordre FEFO
+                }], { session });
+                moved.push(describeAppliedLot(lot, quantity, true));
+            }
+        }
+    } catch (err) {
+        if (!session) {
+            await revertLotChanges(moved);
+        }
+        throw err;
+    }
+    return moved;
+};
+
+/** Annule des modifications de lots appliquées sans transaction (compensation) : lots créés supprimés, quantités rétablies */
+const revertLotChanges = async (appliedLots) => {
+    for (const lot of appliedLots) {
+        if (lot.created) {
+            await StockLot.deleteOne({ _id: lot.lotId });
+        } else {
+            await StockLot.updateOne({ _id: lot.lotId }, { $inc: { quantity: -lot.quantity } });
+        }
+    }
+};
+
+/**
+ * Coût unitaire d'une sortie de `quantity` unités : coût de chaque lot prélevé,
+ * coût moyen du produit pour la part hors lot. Arrondi à l'unité mineure.
+ */
+const getConsumedUnitCost = (product, quantity, appliedLots) => {
+    const lotQuantity = appliedLots.reduce((sum, lot) => sum - lot.quantity, 0);
+    const lotCost = appliedLots.reduce((sum, lot) => sum - lot.quantity * lot.unitCost, 0);
+    return Math.round((lotCost + (quantity - lotQuantity) * getUnitCost(product)) / quantity);
+};
+
+/** Lots d'une ligne de vente au format du ticket (quantités positives) */
+const toSaleItemLots = (appliedLots) => appliedLots.map(lot => ({
+    lotId: lot.lotId,
+    lotNumber: lot.lotNumber,
+    expiryDate: lot.expiryDate,
+    quantity: Math.abs(lot.quantity)
+}));
+
+/**
+ * Lots auxquels rendre `quantity` unités d'une ligne de vente dont `alreadyReturned` ont déjà été rendues.
+ * Les retours remontent l'ordre de sortie : derniers lots prélevés d'abord, la part hors lot (sortie la première) en dernier.
+ */
+const splitReturnedLots = (itemLots, alreadyReturned, quantity) => {
+    const result = [];
+    let skip = alreadyReturned;
+    let remaining = quantity;
+    for (const lot of [...itemLots].reverse()) {
+        if (remaining === 0) break;
+        const available = Math.max(lot.quantity - skip, 0);
+        skip = Math.max(skip - lot.quantity, 0);
+        const taken = Math.min(available, remaining);
+        if (taken > 0) {
+            result.push({ lotId: lot.lotId, lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, quantity: taken });
+            remaining -= taken;
+        }
+    }
+    return result;
+};
+
+/** Rapport des lots à péremption : lots périmés et lots qui périment dans `days` jours, avec leur valeur au coût du lot */
+const describeExpiringLots = (lots, days, now) => {
+    const report = { days, asOf: now, expired: [], expiring: [], totals: { expiredQuantity: 0, expiredValue: 0, expiringQuantity: 0, expiringValue: 0 } };
+    for (const lot of lots) {
+        const row = { ...lot.toObject(), value: lot.quantity * lot.unitCost, daysLeft: Math.ceil((lot.expiryDate - now) / DAY_MS) };
+        const expired = lot.expiryDate < now;
+        (expired ? report.expired : report.expiring).push(row);
+        report.totals[expired ? 'expiredQuantity' : 'expiringQuantity'] += lot.quantity;
+        report.totals[expired ? 'expiredValue' : 'expiringValue'] += row.value;
+    }
+    return report;
+};
+
+/**
+ * Met au rebut des quantités de lots d'un même emplacement `[{ lot, quantity }]` : ajustement négatif
+ * prélevé sur ces lots précisément, inscrit au journal sous une même opération avec le numéro de lot pour motif.
+ */
+const writeOffLots = (picks, location, reason, user, session) => applyStockChanges(
+    picks.map(({ lot, quantity }) => ({
+        productId: lot.productId,
+        delta: -quantity,
+        lots: [{ lotId: lot._id, lotNumber: lot.lotNumber, quantity }]
+    })),
+    session,
+    {
+        type: 'adjustment',
+        reason: `Mise au rebut ${picks.length > 1 ? 'des lots' : 'du lot'} ${picks.map(({ lot }) => lot.lotNumber).join(', ')}` + (typeof reason === 'string' && reason.trim() ? ` : ${reason.trim()}` : ''),
+        operationId: new mongoose.Types.ObjectId(),
+        user,
+        location
+    }
+);
+
+/** Champs du lot créé par un achat, recopiés sur l'achat */
+const purchaseLotFields = ([lot]) => ({ lotId: lot.lotId, lotNumber: lot.lotNumber, expiryDate: lot.expiryDate });
+
+/** Lit un numéro de lot et une date de péremption facultatifs d'une entrée de stock (400 si invalides) */
+const parseLotFields = (body) => {
+    const lotNumber = typeof body.lotNumber === 'string' ? body.lotNumber.trim() : '';
+    if (lotNumber.length > 50) {
+        throw httpError(400, "Numéro de lot trop long (50 caractères au plus).");
+    }
+    const expiryDate = body.expiryDate ? parseDateParam(body.expiryDate, 'expiryDate') : undefined;
+    return { lotNumber: lotNumber || undefined, expiryDate };
+};
+
+// --- Utilitaires (Authentification et Autorisations) ---
+
+const scrypt = promisify(crypto.scrypt);
+const MIN_PASSWORD_LENGTH = 8;
+
+/** Hache un mot de passe avec scrypt et un sel aléatoire (format "sel:hachage") */
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, 64);
+    return `${salt}:${hash.toString('hex')}`;
+};
+
+/** Compare un mot de passe à son hachage en temps constant */
+const verifyPassword = async (password, passwordHash) => {
+    const [salt, hash] = passwordHash.split(':');
+    const candidate = await scrypt(password, salt, 64);
+    return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+};
+
+/** Hachage SHA-256 d'un jeton de session, seule forme stockée en base */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Middleware : identifie l'utilisateur à partir de l'en-tête `Authorization: Bearer <jeton>`
+ * et le place dans `req.user`. Répond 401 si le jeton est absent, inconnu ou expiré.
+ */
+const authenticate = async (req, res, next) => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ message: 'Authentification requise.' });
+    }
+
+    try {
+        const session = await AuthSession.findOne({ tokenHash: hashToken(token), expiresAt: { $gt: new Date() } });
+        const user = session && await User.findById(session.userId);
+        if (!user || !user.active) {
+            return res.status(401).json({ message: 'Session invalide ou expirée. Veuillez vous reconnecter.' });
+        }
+        req.user = user;
+        req.sessionId = session._id;
+        next();
+    } catch (err) {
+        res.status(500).json({ message: "Erreur serveur lors de l'authentification." });
+    }
+};
+
+/** Middleware : n'autorise la route qu'aux rôles listés (403 sinon) */
+const authorize = (...roles) => (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+        return res.status(403).json({ message: "Vous n'avez pas les droits nécessaires pour cette action." });
+    }
+    next();
+};
+
+/** Enregistre un produit déjà normalisé avec son stock initial à `location` ; un stock initial non nul est inscrit au journal comme ajustement */
+const insertProduct = async (fields, user, location, session) => {
+    const product = await new Product({ ...fields, stocks: [{ locationId: location._id, quantity: fields.quantity }] }).save({ session });
+    trackProductChange(product._id, session);
+    if (product.quantity > 0) {
+        await buildMovement(product, product.quantity, {
+            type: 'adjustment',
+            reason: 'Stock initial',
+            operationId: product._id,
+            user: user,
+            location: location
+        }).save({ session });
+    }
+    return product;
+};
+
+/** Crée un produit avec son stock initial à `location` (les variantes se créent depuis leur produit parent) */
+const createProduct = (data, user, location) => runInTransaction(async (session) => {
+    const { stocks, parentId, parentName, variantAttributes, ...rest } = data;
+    const { fields } = normalizeProductFields(rest);
+    if (fields.categoryId) await assertCategoryExists(fields.categoryId, session);
+    return insertProduct(fields, user, location, session);
+});
+
+/**
+ * Met à jour les champs d'un produit. Si `quantity` diffère du stock actuel du produit à `location`,
+ * l'écart est appliqué comme ajustement manuel, qui exige un motif (`reason`) et est inscrit au journal.
+ */
+const updateProduct = (id, fields, quantity, reason, user, location) => runInTransaction(async (session) => {
+    const current = await Product.findById(id).session(session);
+    if (!current) {
+        throw httpError(404, "Produit non trouvé.");
+    }
+    const currentQuantity = getLocationQuantity(current, location._id);
+    const quantityChanged = quantity !== undefined && quantity !== currentQuantity;
+    if (quantityChanged && (typeof reason !== 'string' || !reason.trim())) {
+        throw httpError(400, "Un motif est obligatoire pour modifier la quantité en stock.");
+    }
+
+    const { stocks, parentId, parentName, variantAttributes, ...rest } = fields;
+    const { fields: editableFields, unset } = normalizeProductFields(rest);
+    if (editableFields.categoryId) await assertCategoryExists(editableFields.categoryId, session);
+    const update = Object.keys(unset).length > 0 ? { ...editableFields, $unset: unset } : editableFields;
+    const product = await Product.findByIdAndUpdate(current._id, update, { new: true, runValidators: true, session });
+    trackProductChange(product._id, session);
+    if (!quantityChanged) {
+        return product;
+    }
+    const [adjusted] = await applyStockChanges(
+        [{ productId: product._id, delta: quantity - currentQuantity, expectedQuantity: currentQuantity }],
+        session,
+        { type: 'adjustment', reason: reason.trim(), operationId: new mongoose.Types.ObjectId(), user: user, location: location }
+    );
+    return adjusted;
+});
+
+// --- Utilitaires (Réglages, Montants et TVA) ---
+
+// Réglages modifiables par PUT /api/settings
+const SETTINGS_FIELDS = ['shopName', 'address', 'phone', 'taxId', 'currency', 'locale', 'defaultVatRate'];
+
+/** Réglages du magasin (créés au premier appel avec les valeurs d'environnement) */
+const getSettings = (session = null) => Settings.findOneAndUpdate(
+    { _id: 'shop' },
+    { $setOnInsert: { _id: 'shop' } },
+    { new: true, upsert: true, setDefaultsOnInsert: true, session }
+);
+
+/** Nombre de décimales d'une devise (2 pour l'euro, 0 pour le yen) ; lève une erreur si le code est inconnu */
+const currencyDigits = (currency) =>
+    new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+
+/** Nombre de décimales de la devise du magasin */
+const getCurrencyDigits = async () => currencyDigits((await getSettings()).currency);
+
+/** Convertit un montant décimal (ex: 12.5 €) en unités mineures (1250) */
+const toMinorUnits = (amount, digits) => Math.round(amount * 10 ** digits);
+
+/** Convertit un montant en unités mineures en montant décimal */
+const toMajorUnits = (amount, digits) => amount / 10 ** digits;
+
+/** Montant en unités mineures formaté dans la devise et la langue du magasin (« 1 234,50 € ») */
+const formatMoney = (amount, settings) => new Intl.NumberFormat(settings.locale, { style: 'currency', currency: settings.currency })
+    .format(toMajorUnits(amount, currencyDigits(settings.currency)));
+
+/**
+ * Décompose un montant TTC en HT et TVA (unités mineures). La TVA est la différence, si bien que
+ * HT + TVA retombe exactement sur le TTC ; l'arrondi est symétrique pour les retours (montants négatifs).
+ */
+const splitVat = (gross, vatRate) => {
+    const netAmount = Math.sign(gross) * Math.round(Math.abs(gross) * 100 / (100 + vatRate));
+    return { netAmount, taxAmount: gross - netAmount };
+};
+
+/** Taux de TVA de chaque produit : le sien, sinon celui de sa catégorie, sinon le taux par défaut du magasin */
+const getVatRates = async (products, session = null) => {
+    const settings = await getSettings(session);
+    const categoryIds = products.map(product => product.categoryId).filter(Boolean);
+    const categoryRates = new Map((await Category.find({ _id: { $in: categoryIds } }).session(session))
+        .map(category => [String(category._id), category.vatRate]));
+    return products.map(product => product.vatRate ?? categoryRates.get(String(product.categoryId)) ?? settings.defaultVatRate);
+};
+
+/** Vérifie un taux de TVA facultatif (pourcentage entre 0 et 100) */
+const isValidVatRate = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 100;
+
+// --- Utilitaires (Codes Produits : SKU et Code-barres) ---
+
+const PRODUCT_CODE_FIELDS = ['sku', 'barcode'];
+
+// Champs facultatifs uniques, références ou hérités (TVA) : vides, ils sont retirés du document plutôt qu'enregistrés vides
+const PRODUCT_CLEARABLE_FIELDS = [...PRODUCT_CODE_FIELDS, 'categoryId', 'vatRate'];
+
+// Préfixe EAN-13 réservé par GS1 à l'usage interne du magasin (20 à 29)
+const INTERNAL_BARCODE_PREFIX = '20';
+
+/**
+ * Nettoie les codes et la catégorie d'un produit : une valeur vide n'est pas enregistrée mais retirée
+ * du document (`unset`), sans quoi l'index unique refuserait un second produit sans code.
+ */
+const normalizeProductFields = (data) => {
+    const fields = { ...data };
+    const unset = {};
+    PRODUCT_CLEARABLE_FIELDS.filter(field => field in fields).forEach(field => {
+        const value = fields[field] === null || fields[field] === undefined ? '' : String(fields[field]).trim();
+        if (value) {
+            fields[field] = value;
+        } else {
+            delete fields[field];
+            unset[field] = 1;
+        }
+    });
+    return { fields, unset };
+};
+
+/** Vérifie qu'une catégorie existe ou lève une erreur 404 */
+const assertCategoryExists = async (categoryId, session = null) => {
+    const exists = mongoose.isValidObjectId(categoryId) && await Category.exists({ _id: categoryId }).session(session);
+    if (!exists) {
+        throw httpError(404, "Catégorie non trouvée.");
+    }
+};
+
+/** Message d'une violation d'index unique sur un produit (nom, SKU ou code-barres) */
+const duplicateProductMessage = (err) => {
+    const field = Object.keys(err.keyPattern || {})[0];
+    if (field === 'sku') return 'Ce SKU est déjà attribué à un autre produit.';
+    if (field === 'barcode') return 'Ce code-barres est déjà attribué à un autre produit.';
+    return 'Un produit avec ce nom existe déjà.';
+};
+
+/** Valeur suivante d'un compteur nommé (incrément atomique, créé au premier appel) */
+const nextSequence = async (name, session = null) => {
+    const counter = await Counter.findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { new: true, upsert: true, session });
+    return counter.seq;
+};
+
+/** Chiffre de contrôle EAN-13 des 12 premiers chiffres (pondération 1, 3, 1, 3...) */
+const ean13CheckDigit = (digits) => {
+    const sum = [...digits].reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+    return String((10 - sum % 10) % 10);
+};
+
+/** Nouveau code-barres interne EAN-13 : préfixe interne, numéro séquentiel sur 10 chiffres, contrôle */
+const generateInternalBarcode = async () => {
+    const digits = INTERNAL_BARCODE_PREFIX + String(await nextSequence('internalBarcode')).padStart(10, '0');
+    return digits + ean13CheckDigit(digits);
+};
+
+/** Vérifie qu'une ligne reçue (vente, retour, commande...) est un objet : `null` ou un tableau ne se lisent pas champ par champ */
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/** Vérifie qu'une quantité est un entier strictement positif */
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/** Vérifie qu'un prix unitaire est un montant strictement positif en unités mineures (entier) */
+const isPositivePrice = (value) => Number.isInteger(value) && value > 0;
+
+// --- Utilitaires (Produits à Variantes) ---
+
+// Champs communs d'un produit parent, recopiés sur chacune de ses variantes
+const PARENT_SHARED_FIELDS = ['categoryId', 'brand', 'unit', 'vatRate'];
+
+/** Nom unique d'une variante : nom du parent suivi des valeurs d'attributs (« T-shirt Coton - M / Noir ») */
+const buildVariantName = (parentName, variantAttributes) =>
+    `${parentName} - ${variantAttributes.map(attribute => attribute.value).join(' / ')}`;
+
+/** Produit parent d'une ligne de vente ou d'un achat, figé pour le cumul des variantes dans les rapports */
+const variantFields = (product) => product.parentId ? { parentId: product.parentId, parentName: product.parentName } : {};
+
+/** Vérifie et nettoie les attributs d'un produit parent ([{ name, values? }]) ou lève une erreur 400 */
+const parseVariantAttributes = (attributes) => {
+    if (!Array.isArray(attributes) || attributes.length === 0 || attributes.length > MAX_VARIANT_ATTRIBUTES) {
+        throw httpError(400, `Indiquez de 1 à ${MAX_VARIANT_ATTRIBUTES} attributs de variante (ex: Taille, Couleur).`);
+    }
+    const parsed = attributes.map(attribute => ({
+        name: typeof attribute?.name === 'string' ? attribute.name.trim() : '',
+        values: Array.isArray(attribute?.values) ? [...new Set(attribute.values.map(value => String(value).trim()).filter(Boolean))] : []
+    }));
+    if (parsed.some(attribute => !attribute.name)) {
+        throw httpError(400, "Chaque attribut de variante doit avoir un nom.");
+    }
+    if (new Set(parsed.map(attribute => attribute.name.toLowerCase())).size !== parsed.length) {
+        throw httpError(400, "Deux attributs de variante portent le même nom.");
+    }
+    return parsed;
+};
+
+/** Champs communs d'un produit parent présents dans `body` (vides : retirés, comme sur un produit) */
+const pickParentFields = (body) => {
+    const picked = Object.fromEntries(PARENT_SHARED_FIELDS.filter(field => field in body).map(field => [field, body[field]]));
+    const { fields, unset } = normalizeProductFields(picked);
+    if (typeof body.name === 'string' && body.name.trim()) fields.name = body.name.trim();
+    return { fields, unset };
+};
+
+/**
+ * Vérifie les lignes de la grille de variantes ([{ values, quantity, price, minStockLevel, sku?, barcode? }],
+ * `values` dans l'ordre des attributs du parent). Une combinaison déjà présente dans `existing` ou répétée
+ * est refusée (409). Les nouvelles valeurs sont ajoutées aux attributs du parent.
+ */
+const parseVariantRows = (parent, rows, existing = []) => {
+    if (!Array.isArray(rows) || rows.length === 0) {
+        throw httpError(400, "Indiquez au moins une variante à créer.");
+    }
+    const combinationKey = (variantAttributes) => variantAttributes.map(attribute => attribute.value.toLowerCase()).join('\u0000');
+    const taken = new Set(existing.map(product => combinationKey(product.variantAttributes || [])));
+
+    return rows.map(row => {
+        const values = Array.isArray(row?.values) ? row.values.map(value => String(value ?? '').trim()) : [];
+        if (values.length !== parent.attributes.length || values.some(value => !value)) {
+            throw httpError(400, `Chaque variante doit avoir une valeur pour : ${parent.attributes.map(attribute => attribute.name).join(', ')}.`);
+        }
+        const variantAttributes = parent.attributes.map((attribute, index) => ({ name: attribute.name, value: values[index] }));
+        const name = buildVariantName(parent.name, variantAttributes);
+        const key = combinationKey(variantAttributes);
+        if (taken.has(key)) {
+            throw httpError(409, `La variante ${name} existe déjà.`);
+        }
+        taken.add(key);
+        if (!Number.isInteger(row.quantity) || row.quantity < 0 || !isPositivePrice(row.price)
+            || !Number.isInteger(row.minStockLevel) || row.minStockLevel < 0) {
+            throw httpError(400, `${name} : quantité, prix d'achat (unités mineures) et seuil minimum sont obligatoires.`);
+        }
+        parent.attributes.forEach((attribute, index) => {
+            if (!attribute.values.includes(values[index])) attribute.values.push(values[index]);
+        });
+        const { fields } = normalizeProductFields({ sku: row.sku, barcode: row.barcode });
+        return { ...fields, name, quantity: row.quantity, price: row.price, minStockLevel: row.minStockLevel, variantAttributes };
+    });
+};
+
+/**
+ * Crée les variantes `rows` (déjà vérifiées) du produit parent enregistré, stock initial à `location`.
+ * Sans transaction, les variantes déjà créées sont retirées si l'une d'elles échoue.
+ */
+const createVariants = async (parent, rows, user, location, session) => {
+    const shared = Object.fromEntries(PARENT_SHARED_FIELDS.filter(field => parent[field] !== undefined).map(field => [field, parent[field]]));
+    const created = [];
+    try {
+        for (const row of rows) {
+            try {
+                created.push(await insertProduct({ ...shared, ...row, parentId: parent._id, parentName: parent.name }, user, location, session));
+            } catch (err) {
+                if (err.code === 11000) throw httpError(409, `${row.name} : ${duplicateProductMessage(err)}`);
+                if (err.name === 'ValidationError') throw httpError(400, `${row.name} : ${err.message}`);
+                throw err;
+            }
+        }
+    } catch (err) {
+        if (!session && created.length > 0) {
+            const ids = created.map(product => product._id);
+            await Product.deleteMany({ _id: { $in: ids } });
+            await StockMovement.deleteMany({ operationId: { $in: ids } });
+            notifyProductsChanged(ids);
+        }
+        throw err;
+    }
+    return created;
+};
+
+/** Variantes d'un produit parent, dans l'ordre de ses attributs (ex: S, M, L puis couleurs) */
+const findVariants = async (parent, session = null) => {
+    const variants = await Product.find({ parentId: parent._id }).session(session);
+    const rank = (variant) => parent.attributes.map((attribute, index) => {
+        const position = attribute.values.indexOf(variant.variantAttributes?.[index]?.value);
+        return position === -1 ? attribute.values.length : position;
+    });
+    return variants.sort((a, b) => {
+        const rankA = rank(a);
+        const rankB = rank(b);
+        const index = rankA.findIndex((value, i) => value !== rankB[i]);
+        return index === -1 ? a.name.localeCompare(b.name) : rankA[index] - rankB[index];
+    });
+};
+
+/** Produit parent par identifiant, ou erreur 404 */
+const findParentProduct = async (id, session = null) => {
+    const parent = mongoose.isValidObjectId(id) && await ParentProduct.findById(id).session(session);
+    if (!parent) {
+        throw httpError(404, "Produit parent non trouvé.");
+    }
+    return parent;
+};
+
+/** Mise à jour qui rend aux champs `keys` d'un document leurs valeurs d'avant modification (retirés s'ils étaient absents) */
+const restorePreviousValues = (doc, keys) => {
+    const previous = doc.toObject();
+    const $set = {};
+    const $unset = {};
+    keys.forEach(key => {
+        if (previous[key] === undefined) $unset[key] = '';
+        else $set[key] = previous[key];
+    });
+    return { $set, $unset };
+};
+
+// --- Utilitaires (Filtres, Pagination et Agrégation des Rapports) ---
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Format de regroupement par période pour $dateToString (semaine ISO : 2024-S07)
+const PERIOD_FORMATS = { day: '%Y-%m-%d', week: '%G-S%V', month: '%Y-%m' };
+
+/** Lit `page` et `limit` de la requête, bornés à des valeurs raisonnables */
+const parsePagination = (query) => {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+/** Convertit un paramètre de date (ISO 8601) ou lève une erreur 400 */
+const parseDateParam = (value, name) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw httpError(400, `Paramètre ${name} invalide (date ISO attendue).`);
+    }
+    return date;
+};
+
+/** Vérifie un fuseau horaire IANA (ex: Europe/Paris) ou lève une erreur 400 */
+const parseTimezoneParam = (value) => {
+    if (!value) return 'UTC';
+    try {
+        new Intl.DateTimeFormat('fr', { timeZone: value });
+        return value;
+    } catch (err) {
+        throw httpError(400, `Fuseau horaire invalide: ${value}.`);
+    }
+};
+
+/**
+ * Construit le filtre MongoDB d'un rapport à partir des paramètres `from` et `to`
+ * (bornes incluses), `productId` et `parentId` (toutes les variantes d'un produit parent, si le rapport
+ * a un champ `parentField`). Les identifiants sont convertis car l'agrégation ne caste pas.
+ */
+const buildReportFilter = (query, dateField, productField, parentField = null) => {
+    const filter = {};
+    const range = {};
+    if (query.from) range.$gte = parseDateParam(query.from, 'from');
+    if (query.to) range.$lte = parseDateParam(query.to, 'to');
+    if (Object.keys(range).length > 0) {
+        filter[dateField] = range;
+    }
+    if (query.productId) {
+        if (!mongoose.isValidObjectId(query.productId)) {
+            throw httpError(400, 'Paramètre productId invalide.');
+        }
+        filter[productField] = new mongoose.Types.ObjectId(query.productId);
+    }
+    if (query.parentId && parentField) {
+        if (!mongoose.isValidObjectId(query.parentId)) {
+            throw httpError(400, 'Paramètre parentId invalide.');
+        }
+        filter[parentField] = new mongoose.Types.ObjectId(query.parentId);
+    }
+    return filter;
+};
+
+/**
+ * Expressions du produit d'une synthèse (`prefix` : chemin de la ligne, ex: 'items.'). Avec `rollup=parent`,
+ * les variantes sont cumulées sous leur produit parent ; les produits sans variantes restent seuls.
+ */
+const summaryProductFields = (query, prefix = '') => {
+    if (!query.rollup) {
+        return { productId: `$${prefix}productId`, productName: `$${prefix}productName` };
+    }
+    if (query.rollup !== 'parent') {
+        throw httpError(400, 'Paramètre rollup invalide (parent).');
+    }
+    return {
+        productId: { $ifNull: [`$${prefix}parentId`, `$${prefix}productId`] },
+        productName: { $ifNull: [`$${prefix}parentName`, `$${prefix}productName`] }
+    };
+};
+
+/** Exécute une recherche paginée et renvoie { data, page, limit, total, pages } */
+const findPaginated = async (Model, filter, sort, query) => {
+    const { page, limit, skip } = parsePagination(query);
+    const [data, total] = await Promise.all([
+        Model.find(filter).sort(sort).skip(skip).limit(limit),
+        Model.countDocuments(filter)
+    ]);
+    return { data, page, limit, total, pages: Math.max(Math.ceil(total / limit), 1) };
+};
+
+/**
+ * Étape $facet d'un rapport de synthèse : totaux, ventilation par période et par produit.
+ * `fields` indique les expressions de date, montant, quantité, produit et comptage à utiliser.
+ */
+const buildSummaryFacet = (fields, groupBy, timezone) => {
+    const measures = {
+        amount: { $sum: fields.amount },
+        quantity: { $sum: fields.quantity },
+        count: { $sum: fields.count }
+    };
+    const output = { _id: 0, amount: 1, quantity: 1, count: 1 };
+    if (fields.cost) {
+        measures.cost = { $sum: fields.cost };
+        output.cost = 1;
+    }
+
+    return {
+        $facet: {
+            totals: [
+                { $group: { _id: null, ...measures } },
+                { $project: output }
+            ],
+            byPeriod: [
+                { $group: { _id: { $dateToString: { format: PERIOD_FORMATS[groupBy], date: fields.date, timezone } }, ...measures } },
+                { $sort: { _id: 1 } },
+                { $project: { period: '$_id', ...output } }
+            ],
+            byProduct: [
+                { $group: { _id: fields.productId, productName: { $last: fields.productName }, ...measures } },
+                { $sort: { amount: -1 } },
+                { $project: { productId: '$_id', productName: 1, ...output } }
+            ]
+        }
+    };
+};
+
+/** Ajoute la marge brute et le taux de marge (% du chiffre d'affaires) aux lignes ayant un coût */
+const addMargin = (row) => {
+    if (row.cost === undefined) return row;
+    const margin = row.amount - row.cost;
+    return { ...row, margin, marginRate: row.amount > 0 ? (margin / row.amount) * 100 : 0 };
+};
+
+/** Met en forme le résultat d'un $facet de synthèse */
+const formatSummary = ([facet], groupBy, emptyTotals = { amount: 0, quantity: 0, count: 0 }) => ({
+    groupBy,
+    totals: addMargin(facet.totals[0] || emptyTotals),
+    byPeriod: facet.byPeriod.map(addMargin),
+    byProduct: facet.byProduct.map(addMargin)
+});
+
+/** Lit et valide le paramètre `groupBy` (day, week ou month) */
+const parseGroupBy = (value) => {
+    const groupBy = value || 'day';
+    if (!PERIOD_FORMATS[groupBy]) {
+        throw httpError(400, 'Paramètre groupBy invalide (day, week ou month).');
+    }
+    return groupBy;
+};
+
+// --- Utilitaires (Alertes de Stock Faible et Réapprovisionnement) ---
+
+/**
+ * Notificateurs d'alerte de stock faible, choisis par LOW_STOCK_NOTIFIER. Chacun reçoit l'alerte
+ * { event, trigger, sentAt, products } et rejette sa promesse en cas d'échec d'envoi.
+ * 'log' sert en développement ; pour tester 'webhook', un simple serveur HTTP local suffit.
+ */
+const LOW_STOCK_NOTIFIERS = {
+    log: async (alert) => {
+        const list = alert.products.map(p => `${p.name} (${p.quantity}/${p.minStockLevel})`).join(', ');
+        console.warn(`⚠️ Stock faible [${alert.trigger}] : ${list}`);
+    },
+    webhook: async (alert) => {
+        if (!LOW_STOCK_WEBHOOK_URL) {
+            throw new Error("LOW_STOCK_WEBHOOK_URL n'est pas définie.");
+        }
+        const response = await fetch(LOW_STOCK_WEBHOOK_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(alert),
+            signal: AbortSignal.timeout(10000)
+        });
+        if (!response.ok) {
+            throw new Error(`Le webhook a répondu ${response.status}.`);
+        }
+    }
+};
+
+if (!LOW_STOCK_NOTIFIERS[LOW_STOCK_NOTIFIER]) {
+    console.error(`ERREUR: Notificateur de stock faible inconnu "${LOW_STOCK_NOTIFIER}" (attendu : ${Object.keys(LOW_STOCK_NOTIFIERS).join(', ')}).`);
+}
+
+/** Envoie une alerte de stock faible pour `products` via le notificateur configuré */
+const sendLowStockAlert = async (products, trigger) => {
+    const notifier = LOW_STOCK_NOTIFIERS[LOW_STOCK_NOTIFIER];
+    if (!notifier) {
+        throw new Error(`Notificateur de stock faible inconnu "${LOW_STOCK_NOTIFIER}".`);
+    }
+    await notifier({
+        event: 'low-stock',
+        trigger: trigger,
+        sentAt: new Date(),
+        products: products.map(p => ({ _id: p._id, name: p.name, quantity: p.quantity, minStockLevel: p.minStockLevel }))
+    });
+};
+
+/** Filtre MongoDB des produits dont le stock est au niveau ou sous le seuil minimum */
+const LOW_STOCK_FILTER = { $expr: { $lte: ['$quantity', '$minStockLevel'] } };
+
+/** Lit un paramètre entier borné de la requête (valeur par défaut si absent, 400 si invalide) */
+const parseIntegerParam = (value, name, min, max, defaultValue) => {
+    if (value === undefined || value === '') return defaultValue;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw httpError(400, `Paramètre ${name} invalide: entier entre ${min} et ${max} attendu.`);
+    }
+    return number;
+};
+
+/**
+ * Suggestions de réapprovisionnement de tous les produits. La vitesse de vente est la moyenne
+ * journalière des ventes nettes (retours déduits, annulations exclues) sur les `windowDays` derniers jours.
+ * Point de commande = ventes pendant le délai de livraison + seuil minimum (stock de sécurité) ;
+ * sous ce point, la quantité suggérée couvre le délai puis `coverDays` jours, au-dessus du seuil.
+ */
+const buildReorderSuggestions = async (windowDays, coverDays) => {
+    const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+    const sales = await Sale.aggregate([
+        { $match: { saleDate: { $gte: since }, status: { $ne: 'voided' } } },
+        { $unwind: '$items' },
+        { $group: { _id: '$items.productId', soldQuantity: { $sum: '$items.quantitySold' } } }
+    ]);
+    const soldByProduct = new Map(sales.map(row => [String(row._id), row.soldQuantity]));
+    const products = await Product.find().sort({ name: 1 });
+
+    // Sans délai propre au produit, on retient le plus court de ses fournisseurs
+    const supplierLeadTimes = new Map();
+    const suppliers = await Supplier.find({ leadTimeDays: { $ne: null } }, 'leadTimeDays products.productId');
+    suppliers.forEach(supplier => supplier.products.forEach(({ productId }) => {
+        const key = String(productId);
+        supplierLeadTimes.set(key, Math.min(supplierLeadTimes.get(key) ?? Infinity, supplier.leadTimeDays));
+    }));
+
+    const suggestions = products.map(product => {
+        const soldQuantity = Math.max(soldByProduct.get(String(product._id)) || 0, 0);
+        const averageDailySales = soldQuantity / windowDays;
+        const leadTimeDays = product.leadTimeDays ?? supplierLeadTimes.get(String(product._id)) ?? DEFAULT_LEAD_TIME_DAYS;
+        const reorderPoint = averageDailySales * leadTimeDays + product.minStockLevel;
+        const needsReorder = product.quantity <= reorderPoint;
+        const targetStock = averageDailySales * (leadTimeDays + coverDays) + product.minStockLevel;
+
+        return {
+            productId: product._id,
+            name: product.name,
+            quantity: product.quantity,
+            minStockLevel: product.minStockLevel,
+            leadTimeDays: leadTimeDays,
+            soldQuantity: soldQuantity,
+            averageDailySales: averageDailySales,
+            // Jours avant rupture au rythme actuel (null si le produit ne se vend pas)
+            daysOfStock: averageDailySales > 0 ? product.quantity / averageDailySales : null,
+            reorderPoint: Math.ceil(reorderPoint),
+            needsReorder: needsReorder,
+            suggestedQuantity: needsReorder ? Math.max(0, Math.ceil(targetStock - product.quantity)) : 0
+        };
+    });
+
+    // Les produits à commander d'abord, les plus proches de la rupture en tête
+    return suggestions.sort((a, b) =>
+        (b.needsReorder - a.needsReorder) || ((a.daysOfStock ?? Infinity) - (b.daysOfStock ?? Infinity)) || a.name.localeCompare(b.name));
+};
+
+// --- Utilitaires (Recherche et Valorisation de l'Inventaire) ---
+
+// Colonnes triables de l'inventaire (champs calculés par searchInventory)
+const INVENTORY_SORTS = { name: 'name', quantity: 'stockQuantity', value: 'stockValue', price: 'price' };
+
+// Filtres de niveau de stock : au niveau ou sous le seuil minimum, ou épuisé
+const INVENTORY_STOCK_FILTERS = { low: LOW_STOCK_FILTER, out: { quantity: { $lte: 0 } } };
+
+/**
+ * Page de l'inventaire filtrée et triée côté serveur, avec la valorisation (quantité × coût moyen)
+ * de toute la sélection, au total et par catégorie.
+ * Paramètres : search (texte : nom, SKU, code-barres), categoryId ('none' : sans catégorie),
+ * stock ('low' | 'out'), locationId (quantités à cet emplacement, produits qui y sont présents),
+ * sort (name | quantity | value | price), order (asc | desc), page, limit.
+ */
+const searchInventory = async (query) => {
+    const filter = {};
+    const search = typeof query.search === 'string' ? query.search.trim() : '';
+    if (search) {
+        // Le SKU et le code-barres sont aussi cherchés tels quels (un code n'est pas un mot du texte)
+        filter.$or = [{ $text: { $search: search } }, { sku: search }, { barcode: search }];
+    }
+    if (query.categoryId === 'none') {
+        filter.categoryId = { $exists: false };
+    } else if (query.categoryId) {
+        if (!mongoose.isValidObjectId(query.categoryId)) {
+            throw httpError(400, "Paramètre categoryId invalide.");
+        }
+        filter.categoryId = new mongoose.Types.ObjectId(query.categoryId);
+    }
+    if (query.stock) {
+        if (!INVENTORY_STOCK_FILTERS[query.stock]) {
+            throw httpError(400, "Paramètre stock invalide (low ou out).");
+        }
+        Object.assign(filter, INVENTORY_STOCK_FILTERS[query.stock]);
+    }
+
+    const sortField = INVENTORY_SORTS[query.sort || 'name'];
+    if (!sortField) {
+        throw httpError(400, "Paramètre sort invalide (name, quantity, value ou price).");
+    }
+    if (query.order && !['asc', 'desc'].includes(query.order)) {
+        throw httpError(400, "Paramètre order invalide (asc ou desc).");
+    }
+    const direction = query.order === 'desc' ? -1 : 1;
+    const sort = sortField === 'name' ? { name: direction, _id: 1 } : { [sortField]: direction, name: 1, _id: 1 };
+
+    const location = query.locationId ? await resolveLocation(query.locationId) : null;
+    const stockQuantity = location
+        ? { $sum: { $map: {
+            input: { $filter: { input: '$stocks', cond: { $eq: ['$$this.locationId', location._id] } } },
+            in: '$$this.quantity'
+        } } }
+        : '$quantity';
+    const { page, limit, skip } = parsePagination(query);
+
+    const [result] = await Product.aggregate([
+        { $match: filter },
+        { $addFields: {
+            stockQuantity,
+            // Même coût unitaire que le rapport des marges : coût moyen pondéré, à défaut prix d'achat
+            stockValue: { $multiply: [stockQuantity, { $ifNull: ['$averageCost', '$price'] }] }
+        } },
+        ...(location ? [{ $match: { stockQuantity: { $gt: 0 } } }] : []),
+        { $facet: {
+            data: [{ $sort: sort }, { $skip: skip }, { $limit: limit }],
+            total: [{ $count: 'count' }],
+            byCategory: [{ $group: {
+                _id: '$categoryId',
+                count: { $sum: 1 },
+                units: { $sum: '$stockQuantity' },
+                value: { $sum: '$stockValue' }
+            } }]
+        } }
+    ]);
+
+    const categoryIds = [...result.data.map(p => p.categoryId), ...result.byCategory.map(g => g._id)].filter(Boolean);
+    const categoryNames = new Map((await Category.find({ _id: { $in: categoryIds } }).lean()).map(c => [String(c._id), c.name]));
+    const nameOf = (categoryId) => (categoryId ? categoryNames.get(String(categoryId)) || '?' : null);
+
+    const byCategory = result.byCategory
+        .map(group => ({ categoryId: group._id, categoryName: nameOf(group._id), count: group.count, units: group.units, value: group.value }))
+        // Les produits sans catégorie ferment la liste
+        .sort((a, b) => (a.categoryName === null) - (b.categoryName === null) || (a.categoryName || '').localeCompare(b.categoryName || ''));
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    return {
+        data: result.data.map(product => ({ ...product, categoryName: nameOf(product.categoryId) })),
+        page,
+        limit,
+        total,
+        pages: Math.max(Math.ceil(total / limit), 1),
+        valuation: {
+            units: byCategory.reduce((sum, group) => sum + group.units, 0),
+            value: byCategory.reduce((sum, group) => sum + group.value, 0),
+            byCategory
+        },
+        // Bandeau d'alerte : compte sur tout l'inventaire, indépendamment des filtres
+        lowStockCount: await Product.countDocuments(LOW_STOCK_FILTER)
+    };
+};
+
+// --- Utilitaires (Tableau de Bord) ---
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Nombre de produits des classements (meilleures ventes, produits qui ne tournent pas)
+const DASHBOARD_TOP_SIZE = 10;
+
+/** Jour calendaire 'AAAA-MM-JJ' d'une date dans un fuseau horaire */
+const localDay = (date, timezone) =>
+    new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+
+/** Décale un jour 'AAAA-MM-JJ' de `days` jours (calcul sur le calendrier, sans heure ni fuseau) */
+const shiftDay = (day, days) => new Date(Date.parse(day) + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Périodes comparées par le tableau de bord, en jours inclus : aujourd'hui et hier, la semaine (du lundi)
+ * et le mois en cours jusqu'à aujourd'hui, face au même nombre de jours de la semaine et du mois précédents.
+ */
+const buildDashboardPeriods = (today) => {
+    const weekday = (new Date(Date.parse(today)).getUTCDay() + 6) % 7; // 0 = lundi
+    const monthStart = today.slice(0, 8) + '01';
+    const previousMonthStart = shiftDay(monthStart, -1).slice(0, 8) + '01';
+    const dayOfMonth = Number(today.slice(8));
+    const previousMonthEnd = shiftDay(previousMonthStart, Math.min(dayOfMonth, Number(shiftDay(monthStart, -1).slice(8))) - 1);
+    return {
+        day: { from: today, to: today, previousFrom: shiftDay(today, -1), previousTo: shiftDay(today, -1) },
+        week: { from: shiftDay(today, -weekday), to: today, previousFrom: shiftDay(today, -weekday - 7), previousTo: shiftDay(today, -7) },
+        month: { from: monthStart, to: today, previousFrom: previousMonthStart, previousTo: previousMonthEnd }
+    };
+};
+
+/**
+ * Indicateurs du tableau de bord : chiffre d'affaires des périodes comparées et des `windowDays` derniers
+ * jours (jour par jour), meilleures ventes et produits qui ne tournent pas sur cette fenêtre, valeur du stock.
+ * Comme les rapports, les retours sont déduits et les ventes annulées exclues.
+ */
+const buildDashboard = async (timezone, windowDays) => {
+    const now = new Date();
+    const today = localDay(now, timezone);
+    const periods = buildDashboardPeriods(today);
+    const firstDay = [periods.month.previousFrom, shiftDay(today, -(windowDays - 1))].sort()[0];
+    // Un jour de marge couvre tous les décalages horaires ; les jours sont ensuite filtrés dans le fuseau
+    const since = new Date(Date.parse(firstDay) - DAY_MS);
+    const windowStart = new Date(now.getTime() - windowDays * DAY_MS);
+
+    const [[sales], [stock], slowCandidates] = await Promise.all([
+        Sale.aggregate([
+            { $match: { saleDate: { $gte: since }, status: { $ne: 'voided' } } },
+            { $facet: {
+                byDay: [
+                    { $group: {
+                        _id: { $dateToString: { format: PERIOD_FORMATS.day, date: '$saleDate', timezone } },
+                        revenue: { $sum: '$totalPrice' },
+                        tickets: { $sum: { $cond: [{ $eq: ['$type', 'sale'] }, 1, 0] } }
+                    } }
+                ],
+                byProduct: [
+                    { $match: { saleDate: { $gte: windowStart } } },
+                    { $unwind: '$items' },
+                    { $group: {
+                        _id: '$items.productId',
+                        productName: { $last: '$items.productName' },
+                        quantity: { $sum: '$items.quantitySold' },
+                        revenue: { $sum: '$items.totalPrice' }
+                    } }
+                ]
+            } }
+        ]),
+        Product.aggregate([
+            { $group: {
+                _id: null,
+                productCount: { $sum: 1 },
+                units: { $sum: '$quantity' },
+                value: { $sum: { $multiply: ['$quantity', { $ifNull: ['$averageCost', '$price'] }] } },
+                outOfStockCount: { $sum: { $cond: [{ $lte: ['$quantity', 0] }, 1, 0] } },
+                lowStockCount: { $sum: { $cond: [{ $lte: ['$quantity', '$minStockLevel'] }, 1, 0] } }
+            } },
+            { $project: { _id: 0 } }
+        ]),
+        Product.find({ quantity: { $gt: 0 } }, 'name quantity price averageCost')
+    ]);
+
+    const byDay = new Map(sales.byDay.map(row => [row._id, row]));
+    const sumDays = (from, to, field) => sales.byDay
+        .filter(row => row._id >= from && row._id <= to)
+        .reduce((sum, row) => sum + row[field], 0);
+    const comparisons = Object.fromEntries(Object.entries(periods).map(([name, period]) => [name, {
+        ...period,
+        revenue: sumDays(period.from, period.to, 'revenue'),
+        previousRevenue: sumDays(period.previousFrom, period.previousTo, 'revenue'),
+        tickets: sumDays(period.from, period.to, 'tickets'),
+        previousTickets: sumDays(period.previousFrom, period.previousTo, 'tickets')
+    }]));
+
+    const revenueByDay = Array.from({ length: windowDays }, (_, index) => {
+        const day = shiftDay(today, index - windowDays + 1);
+        const row = byDay.get(day);
+        return { day, revenue: row ? row.revenue : 0, tickets: row ? row.tickets : 0 };
+    });
+
+    const soldByProduct = new Map(sales.byProduct.map(row => [String(row._id), row]));
+    const topProducts = sales.byProduct
+        .filter(row => row.quantity > 0)
+        .sort((a, b) => b.revenue - a.revenue)
+        .slice(0, DASHBOARD_TOP_SIZE)
+        .map(row => ({ productId: row._id, productName: row.productName, quantity: row.quantity, revenue: row.revenue }));
+    // Produits en stock les moins vendus sur la fenêtre ; à ventes égales, le plus de valeur immobilisée d'abord
+    const slowMovers = slowCandidates
+        .map(product => ({
+            productId: product._id,
+            productName: product.name,
+            quantity: product.quantity,
+            stockValue: product.quantity * getUnitCost(product),
+            soldQuantity: Math.max((soldByProduct.get(String(product._id)) || {}).quantity || 0, 0)
+        }))
+        .sort((a, b) => (a.soldQuantity - b.soldQuantity) || (b.stockValue - a.stockValue))
+        .slice(0, DASHBOARD_TOP_SIZE);
+
+    return {
+        today,
+        timezone,
+        days: windowDays,
+        periods: comparisons,
+        revenueByDay,
+        topProducts,
+        slowMovers,
+        stock: stock || { productCount: 0, units: 0, value: 0, outOfStockCount: 0, lowStockCount: 0 }
+    };
+};
+
+// --- Utilitaires (Fournisseurs et Commandes) ---
+
+/** Vérifie que tous les produits référencés existent dans l'inventaire (400 sinon) */
+const assertProductsExist = async (productIds) => {
+    const ids = [...new Set(productIds.map(String))];
+    if (ids.some(id => !mongoose.isValidObjectId(id))) {
+        throw httpError(400, "Identifiant de produit invalide.");
+    }
+    if (await Product.countDocuments({ _id: { $in: ids } }) !== ids.length) {
+        throw httpError(400, "Un des produits référencés n'existe pas dans l'inventaire.");
+    }
+};
+
+/** Champs modifiables d'un fournisseur ; le catalogue `products` est vérifié (produits existants, sans doublon) */
+const pickSupplierFields = async (body) => {
+    const fields = {};
+    ['name', 'contactName', 'email', 'phone', 'leadTimeDays'].forEach(key => {
+        if (body[key] !== undefined) fields[key] = body[key];
+    });
+    if (body.products !== undefined) {
+        if (!Array.isArray(body.products)) {
+            throw httpError(400, "Le catalogue du fournisseur doit être une liste de produits.");
+        }
+        const productIds = body.products.map(p => String(p.productId));
+        if (new Set(productIds).size !== productIds.length) {
+            throw httpError(400, "Un produit ne peut apparaître qu'une fois dans le catalogue du fournisseur.");
+        }
+        await assertProductsExist(productIds);
+        fields.products = body.products.map(({ productId, unitCost }) => ({ productId, unitCost }));
+    }
+    return fields;
+};
+
+/** Numéro court d'une commande pour les libellés (6 derniers caractères de l'identifiant) */
+const formatOrderNumber = (order) => '#' + String(order._id).slice(-6).toUpperCase();
+
+// --- Utilitaires (Inventaires Physiques) ---
+
+/**
+ * Rapport d'écarts d'un inventaire : chaque ligne comptée reçoit son écart (compté - système) et sa valeur
+ * au coût unitaire relevé ; `summary` totalise les excédents, les manquants et l'écart net.
+ */
+const describeStockCount = (count) => {
+    const summary = {
+        itemCount: count.items.length, countedCount: 0, varianceCount: 0,
+        surplusQuantity: 0, surplusValue: 0, shortageQuantity: 0, shortageValue: 0, netValue: 0
+    };
+    const items = count.items.map(item => {
+        const line = item.toObject ? item.toObject() : { ...item };
+        if (line.countedQuantity === undefined || line.countedQuantity === null) return line;
+
+        line.variance = line.countedQuantity - line.systemQuantity;
+        line.varianceValue = line.variance * line.unitCost;
+        summary.countedCount++;
+        if (line.variance > 0) {
+            summary.surplusQuantity += line.variance;
+            summary.surplusValue += line.varianceValue;
+        } else if (line.variance < 0) {
+            summary.shortageQuantity -= line.variance;
+            summary.shortageValue -= line.varianceValue;
+        }
+        if (line.variance !== 0) summary.varianceCount++;
+        summary.netValue += line.varianceValue;
+        return line;
+    });
+    return { ...(count.toObject ? count.toObject() : count), items, summary };
+};
+
+/**
+ * Enregistre la quantité comptée d'un produit dans un inventaire en cours (null efface le comptage).
+ * Le stock système et le coût unitaire sont relevés au même instant ; un produit absent de la liste
+ * (créé depuis le début de l'inventaire) y est ajouté s'il entre dans son périmètre.
+ * 409 si l'inventaire n'est plus en cours.
+ */
+const recordStockCount = async (count, product, countedQuantity, user) => {
+    if (count.categoryId && !count.categoryId.equals(product.categoryId)) {
+        throw httpError(400, `${product.name} n'appartient pas à la catégorie de cet inventaire.`);
+    }
+    const line = countedQuantity === null ? {} : {
+        countedQuantity: countedQuantity,
+        systemQuantity: getLocationQuantity(product, count.locationId),
+        unitCost: Math.round(getUnitCost(product)),
+        countedAt: new Date(),
+        countedByName: user.username
+    };
+
+    const setLine = () => StockCount.findOneAndUpdate(
+        { _id: count._id, status: 'open', 'items.productId': product._id },
+        countedQuantity === null
+            ? { $unset: { 'items.$.countedQuantity': 1, 'items.$.systemQuantity': 1, 'items.$.unitCost': 1, 'items.$.countedAt': 1, 'items.$.countedByName': 1 } }
+            : { $set: Object.fromEntries(Object.entries(line).map(([key, value]) => [`items.$.${key}`, value])) },
+        { new: true }
+    );
+    let updated = await setLine();
+    if (!updated && countedQuantity !== null) {
+        updated = await StockCount.findOneAndUpdate(
+            { _id: count._id, status: 'open', 'items.productId': { $ne: product._id } },
+            { $push: { items: { productId: product._id, productName: product.name, sku: product.sku, barcode: product.barcode, ...line } } },
+            { new: true }
+        ) || await setLine(); // Ligne ajoutée entre-temps par une autre saisie
+    }
+    if (!updated && !await StockCount.exists({ _id: count._id, status: 'open' })) {
+        throw httpError(409, "Cet inventaire est déjà validé ou abandonné.");
+    }
+    return updated;
+};
+
+// --- Utilitaires (Import / Export CSV) ---
+
+// Séparateur par défaut : point-virgule, attendu par Excel en configuration française
+const CSV_DELIMITERS = { ';': ';', ',': ',' };
+const PRODUCT_CSV_COLUMNS = ['name', 'quantity', 'price', 'minStockLevel'];
+
+/** Lit le paramètre `delimiter` (";" par défaut) ou lève une erreur 400 */
+const parseDelimiter = (value) => {
+    const delimiter = CSV_DELIMITERS[value || ';'];
+    if (!delimiter) {
+        throw httpError(400, 'Paramètre delimiter invalide (";" ou ",").');
+    }
+    return delimiter;
+};
+
+/**
+ * Produit un CSV à partir de colonnes `[{ header, value: (row) => ... }]`.
+ * Les cellules commençant par =, +, @ ou - (hors nombres) sont préfixées d'une apostrophe
+ * pour qu'un tableur ne les interprète pas comme des formules.
+ */
+const toCsv = (columns, rows, delimiter) => {
+    const escapeCell = (value) => {
+        if (value === null || value === undefined) return '';
+        let text = value instanceof Date ? value.toISOString() : String(value);
+        if (/^[=+@]/.test(text) || /^-(?!\d)/.test(text)) {
+            text = `'${text}`;
+        }
+        return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.map(column => column.header), ...rows.map(row => columns.map(column => column.value(row)))]
+        .map(cells => cells.map(escapeCell).join(delimiter))
+        .join('\r\n');
+};
+
+/** Montants des exports CSV : en décimales de la devise (12.5), vides si absents */
+const csvAmountFormatter = (digits) => (amount) => (typeof amount === 'number' ? toMajorUnits(amount, digits) : '');
+
+/** Envoie un fichier CSV (avec BOM UTF-8 pour les accents sous Excel) */
+const sendCsv = (res, filename, csv) => {
+    res.type('text/csv; charset=utf-8');
+    res.attachment(filename);
+    res.send('\uFEFF' + csv);
+};
+
+/**
+ * Découpe un texte CSV en enregistrements `{ line, cells }` (guillemets et retours à la ligne
+ * échappés gérés). Le séparateur est deviné sur la ligne d'en-tête. Les lignes vides sont ignorées.
+ */
+const parseCsv = (text) => {
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.split(';').length > firstLine.split(',').length) ? ';' : ',';
+
+    const records = [];
+    let cells = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endRecord = () => {
+        cells.push(field);
+        if (cells.some(cell => cell.trim() !== '')) {
+            records.push({ line: recordLine, cells });
+        }
+        cells = [];
+        field = '';
+        recordLine = line;
+    };
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            cells.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            line++;
+            endRecord();
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || cells.length > 0) {
+        endRecord();
+    }
+    return records;
+};
+
+/** Convertit une cellule numérique (virgule ou point décimal acceptés), NaN si invalide */
+const parseCsvNumber = (value) => {
+    const text = value.trim().replace(',', '.');
+    return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : NaN;
+};
+
+/**
+ * Analyse un CSV de produits et décide, pour chaque ligne, de l'action à mener :
+ * création, mise à jour (nom déjà existant) ou rejet avec la liste des erreurs.
+ * Les prix du fichier sont en décimales de la devise (12,50) et convertis en unités mineures.
+ */
+const planProductImport = async (text, digits) => {
+    const [header, ...records] = parseCsv(text);
+    if (!header) {
+        throw httpError(400, 'Le fichier CSV est vide.');
+    }
+
+    const columns = header.cells.map(cell => cell.trim());
+    const missing = PRODUCT_CSV_COLUMNS.filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+        throw httpError(400, `Colonnes manquantes dans l'en-tête: ${missing.join(', ')}.`);
+    }
+
+    // Colonne facultative `category` : nom d'une catégorie existante
+    const categoryIds = columns.includes('category')
+        ? new Map((await Category.find().lean()).map(category => [category.name, category._id]))
+        : null;
+
+    const rows = records.map(record => {
+        const value = (column) => (record.cells[columns.indexOf(column)] || '').trim();
+        const data = {
+            name: value('name'),
+            quantity: parseCsvNumber(value('quantity')),
+            price: toMinorUnits(parseCsvNumber(value('price')), digits),
+            minStockLevel: parseCsvNumber(value('minStockLevel'))
+        };
+        // Colonnes facultatives : présentes mais vides, elles retirent le code ou la catégorie du produit
+        PRODUCT_CODE_FIELDS.filter(column => columns.includes(column)).forEach(column => {
+            data[column] = value(column);
+        });
+        const errors = [];
+        // Colonne facultative `vatRate` : vide, le produit reprend le taux de sa catégorie
+        if (columns.includes('vatRate')) {
+            data.vatRate = value('vatRate') ? parseCsvNumber(value('vatRate')) : '';
+            if (data.vatRate !== '' && !isValidVatRate(data.vatRate)) errors.push('Taux de TVA invalide (entre 0 et 100).');
+        }
+        if (categoryIds) {
+            const categoryName = value('category');
+            if (categoryName && !categoryIds.has(categoryName)) {
+                errors.push(`Catégorie inconnue: "${categoryName}" (créez-la d'abord).`);
+            }
+            data.categoryId = categoryName ? categoryIds.get(categoryName) : '';
+        }
+        if (!data.name) errors.push('Nom manquant.');
+        if (!Number.isInteger(data.quantity) || data.quantity < 0) errors.push('Quantité invalide (entier positif ou nul attendu).');
+        if (!(data.price >= 1)) errors.push(`Prix invalide (${toMajorUnits(1, digits)} minimum).`);
+        if (!Number.isInteger(data.minStockLevel) || data.minStockLevel < 0) errors.push('Seuil minimum invalide (entier positif ou nul attendu).');
+        return { line: record.line, name: data.name, data, errors };
+    });
+
+    const existing = await Product.find({ name: { $in: rows.map(row => row.name) } });
+    const existingByName = new Map(existing.map(product => [product.name, product]));
+    const seen = new Set();
+
+    rows.forEach(row => {
+        // Deux lignes portant le même nom heurteraient l'index unique : seule la première est retenue
+        if (row.name && seen.has(row.name)) {
+            row.errors.push('Nom en double dans le fichier.');
+        }
+        seen.add(row.name);
+
+        const product = existingByName.get(row.name);
+        row.productId = product ? product._id : undefined;
+        row.action = row.errors.length > 0 ? 'reject' : (product ? 'update' : 'create');
+    });
+    return rows;
+};
+
+// --- Utilitaires (Clients et Créances) ---
+
+// Tranches d'ancienneté des créances (jours depuis la vente), la dernière sans limite
+const AGING_BUCKETS = [
+    { label: '0-30', maxDays: 30 },
+    { label: '31-60', maxDays: 60 },
+    { label: '61-90', maxDays: 90 },
+    { label: '90+', maxDays: Infinity }
+];
+
+// Montant réglé d'un ticket dans un pipeline : les ventes antérieures au suivi des règlements sont payées
+const AMOUNT_PAID_EXPR = { $ifNull: ['$amountPaid', '$totalPrice'] };
+
+/** Échappe un texte saisi pour le chercher tel quel dans une expression régulière */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** Champs modifiables d'un client ; `name` est obligatoire à la création */
+const pickCustomerFields = (body, creating) => {
+    const fields = {};
+    ['name', 'phone', 'email', 'address', 'notes'].forEach(key => {
+        if (body[key] !== undefined) fields[key] = typeof body[key] === 'string' ? body[key].trim() : body[key];
+    });
+    if ((creating || fields.name !== undefined) && (typeof fields.name !== 'string' || !fields.name)) {
+        throw httpError(400, "Le nom du client est obligatoire.");
+    }
+    return fields;
+};
+
+/** Client rattaché à une vente ; null si `customerId` est vide, 404 s'il n'existe pas */
+const findCustomer = async (customerId, session = null) => {
+    if (customerId === undefined || customerId === null || customerId === '') {
+        return null;
+    }
+    const customer = mongoose.isValidObjectId(customerId) ? await Customer.findById(customerId).session(session) : null;
+    if (!customer) {
+        throw httpError(404, "Client non trouvé.");
+    }
+    return customer;
+};
+
+/** État de paiement d'une vente selon le montant réglé */
+const getPaymentStatus = (amountPaid, totalPrice) =>
+    amountPaid >= totalPrice ? 'paid' : (amountPaid > 0 ? 'partial' : 'unpaid');
+
+/** Reste dû d'un ticket : seules les ventes non annulées en ont un */
+const getAmountDue = (sale) =>
+    sale.type === 'return' || sale.status === 'voided' ? 0 : sale.totalPrice - (sale.amountPaid ?? sale.totalPrice);
+
+/** Pipeline de mise à jour des règlements d'une vente : montant réglé, liste des règlements et état recalculé */
+const buildPaymentUpdate = (amount, payments) => [
+    { $set: { amountPaid: { $add: [AMOUNT_PAID_EXPR, amount] }, payments } },
+    { $set: { paymentStatus: { $switch: {
+        branches: [
+            { case: { $gte: ['$amountPaid', '$totalPrice'] }, then: 'paid' },
+            { case: { $gt: ['$amountPaid', 0] }, then: 'partial' }
+        ],
+        default: 'unpaid'
+    } } } }
+];
+
+/**
+ * Ajoute un règlement `{ amount, method, returnId? }` à une vente non annulée, sans jamais dépasser son reste dû.
+ * Retourne la vente mise à jour, ou null si elle n'existe pas, n'accepte pas de règlement ou si le montant est trop élevé.
+ */
+const addSalePayment = (saleId, payment, user, session) => {
+    const entry = { _id: new mongoose.Types.ObjectId(), paidAt: new Date(), createdByName: user.username, ...payment };
+    return Sale.findOneAndUpdate(
+        { _id: saleId, type: 'sale', status: 'completed', $expr: { $lte: [{ $add: [AMOUNT_PAID_EXPR, payment.amount] }, '$totalPrice'] } },
+        buildPaymentUpdate(payment.amount, { $concatArrays: [{ $ifNull: ['$payments', []] }, [{ $literal: entry }]] }),
+        { new: true, session }
+    );
+};
+
+/** Retire un règlement ajouté sans transaction (compensation) */
+const removeSalePayment = (saleId, payment) => Sale.updateOne(
+    { _id: saleId },
+    buildPaymentUpdate(-payment.amount, { $filter: { input: '$payments', cond: { $ne: ['$$this._id', payment._id] } } })
+);
+
+/** Dernier règlement d'une vente, tel qu'ajouté par addSalePayment */
+const lastPayment = (sale) => sale.payments[sale.payments.length - 1];
+
+/** Erreur expliquant pourquoi une vente n'accepte pas un règlement (404 ou 409) */
+const explainRefusedPayment = async (saleId, amount, session) => {
+    const sale = await Sale.findById(saleId).session(session);
+    if (!sale) return httpError(404, "Vente non trouvée.");
+    if (sale.type === 'return') return httpError(409, "Un ticket de retour ne reçoit pas de règlement.");
+    if (sale.status === 'voided') return httpError(409, "Cette vente est annulée.");
+    return httpError(409, `Montant supérieur au reste dû (${getAmountDue(sale)} en unités mineures).`);
+};
+
+/** Encours par client `Map(customerId → { balance, unpaidCount, oldestUnpaidDate })` (ventes non annulées) */
+const getCustomerBalances = async (customerIds) => {
+    const rows = await Sale.aggregate([
+        { $match: { customerId: { $in: customerIds }, type: 'sale', status: { $ne: 'voided' } } },
+        { $set: { amountDue: { $subtract: ['$totalPrice', AMOUNT_PAID_EXPR] } } },
+        { $group: {
+            _id: '$customerId',
+            balance: { $sum: '$amountDue' },
+            unpaidCount: { $sum: { $cond: [{ $gt: ['$amountDue', 0] }, 1, 0] } },
+            oldestUnpaidDate: { $min: { $cond: [{ $gt: ['$amountDue', 0] }, '$saleDate', null] } }
+        } }
+    ]);
+    return new Map(rows.map(({ _id, ...balance }) => [_id.toString(), balance]));
+};
+
+/** Référence d'un ticket dans un relevé : numéro de facture ou d'avoir, à défaut numéro court */
+const formatTicketReference = (sale) => sale.invoiceNumber ? formatInvoiceNumber(sale) : formatOrderNumber(sale);
+
+/**
+ * Relevé de compte d'un client : ventes et retours (débit / crédit du montant du ticket), règlements reçus
+ * et remboursements, par date, avec le solde courant. Les avoirs imputés sur une vente n'y figurent pas :
+ * le ticket de retour les porte déjà. Un solde positif est dû par le client.
+ * Avec `from` / `to`, le solde d'ouverture reprend les opérations antérieures à `from`.
+ */
+const buildCustomerStatement = async (customer, from, to) => {
+    const sales = await Sale.find({ customerId: customer._id, status: { $ne: 'voided' } }).sort({ saleDate: 1 });
+    const entries = [];
+    sales.forEach(sale => {
+        const reference = formatTicketReference(sale);
+        entries.push({ date: sale.saleDate, kind: sale.type, saleId: sale._id, reference, amount: sale.totalPrice });
+        sale.payments.filter(payment => payment.method !== 'credit_note').forEach(payment => entries.push({
+            date: payment.paidAt,
+            kind: payment.amount < 0 ? 'refund' : 'payment',
+            saleId: sale._id,
+            reference,
+            method: payment.method,
+            amount: -payment.amount
+        }));
+    });
+    entries.sort((a, b) => a.date - b.date);
+
+    let balance = 0;
+    let openingBalance = 0;
+    const shown = [];
+    for (const entry of entries) {
+        balance += entry.amount;
+        if (from && entry.date < from) {
+            openingBalance = balance;
+        } else if (!to || entry.date <= to) {
+            shown.push({ ...entry, balance });
+        }
+    }
+    const unpaidSales = sales.filter(sale => getAmountDue(sale) > 0).map(sale => ({
+        _id: sale._id,
+        reference: formatTicketReference(sale),
+        saleDate: sale.saleDate,
+        totalPrice: sale.totalPrice,
+        amountPaid: sale.amountPaid,
+        amountDue: getAmountDue(sale),
+        paymentStatus: sale.paymentStatus
+    }));
+    return {
+        customer,
+        from: from || null,
+        to: to || null,
+        openingBalance,
+        entries: shown,
+        closingBalance: shown.length > 0 ? shown[shown.length - 1].balance : openingBalance,
+        balance: unpaidSales.reduce((sum, sale) => sum + sale.amountDue, 0),
+        unpaidSales
+    };
+};
+
+/**
+ * Balance âgée des créances : reste dû des ventes non soldées, par client et par tranche d'ancienneté
+ * (jours écoulés depuis la vente), avec les totaux. Clients par encours décroissant.
+ */
+const buildAgedReceivables = async (now) => {
+    const sales = await Sale.find(
+        { type: 'sale', status: { $ne: 'voided' }, paymentStatus: { $in: ['unpaid', 'partial'] } },
+        { customerId: 1, customerName: 1, saleDate: 1, totalPrice: 1, amountPaid: 1 }
+    ).lean();
+    const emptyBuckets = () => AGING_BUCKETS.map(() => 0);
+    const byCustomer = new Map();
+    const totals = { total: 0, buckets: emptyBuckets() };
+
+    sales.forEach(sale => {
+        const amountDue = getAmountDue(sale);
+        if (amountDue <= 0) return;
+        const ageDays = Math.floor((now - sale.saleDate) / DAY_MS);
+        const bucket = AGING_BUCKETS.findIndex(({ maxDays }) => ageDays <= maxDays);
+        const key = String(sale.customerId);
+        if (!byCustomer.has(key)) {
+            byCustomer.set(key, { customerId: sale.customerId, customerName: sale.customerName, total: 0, buckets: emptyBuckets(), saleCount: 0, oldestSaleDate: sale.saleDate });
+        }
+        const row = byCustomer.get(key);
+        row.total += amountDue;
+        row.buckets[bucket] += amountDue;
+        row.saleCount += 1;
+        if (sale.saleDate < row.oldestSaleDate) row.oldestSaleDate = sale.saleDate;
+        totals.total += amountDue;
+        totals.buckets[bucket] += amountDue;
+    });
+
+    return {
+        asOf: now,
+        buckets: AGING_BUCKETS.map(({ label }) => label),
+        customers: [...byCustomer.values()].sort((a, b) => b.total - a.total),
+        totals
+    };
+};
+
+// --- Utilitaires (Caisse et Clôture Journalière) ---
+
+/** Numéro affiché d'une clôture journalière (Z000012) */
+const formatClosingNumber = (closing) => `Z${String(closing.number).padStart(6, '0')}`;
+
+/** Instant du début d'un jour 'AAAA-MM-JJ' dans un fuseau horaire (minuit local) */
+const startOfLocalDay = (day, timezone) => {
+    const utcMidnight = Date.parse(`${day}T00:00:00Z`);
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(new Date(utcMidnight)).map(part => [part.type, Number(part.value)]));
+    const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - utcMidnight;
+    return new Date(utcMidnight - offset);
+};
+
+/** Lit le paramètre `date` d'une journée ('AAAA-MM-JJ') et ses bornes dans le fuseau `tz`, ou lève une erreur 400 */
+const parseClosingDay = (query) => {
+    if (typeof query.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(query.date) || isNaN(Date.parse(query.date))) {
+        throw httpError(400, 'Paramètre date invalide (AAAA-MM-JJ attendu).');
+    }
+    const timezone = parseTimezoneParam(query.tz);
+    const from = startOfLocalDay(query.date, timezone);
+    const to = new Date(startOfLocalDay(shiftDay(query.date, 1), timezone).getTime() - 1);
+    return { date: query.date, timezone, from, to };
+};
+
+/**
+ * Verrou d'une journée (UTC) d'un emplacement : un compteur que toute opération datée de ce jour incrémente dans
+ * sa transaction, et la clôture (Z) aussi. Deux transactions qui écrivent le même document entrent en conflit :
+ * l'une recommence et voit ce que l'autre a validé (la clôture, ou la vente qu'elle doit compter).
+ */
+const lockClosingDay = (locationId, date, session) =>
+    nextSequence(`dayLock:${locationId}:${date.toISOString().slice(0, 10)}`, session);
+
+/**
+ * Lève une erreur 409 si la journée de `date` est clôturée (Z) pour l'emplacement : plus aucune modification.
+ * Dans une transaction, la journée est aussi verrouillée jusqu'à la validation (sans transaction, simple contrôle).
+ */
+const assertDayOpen = async (locationId, date = new Date(), session = null) => {
+    if (session) await lockClosingDay(locationId, date, session);
+    const closing = await DayClosing.findOne({ locationId, from: { $lte: date }, to: { $gte: date } }).session(session);
+    if (closing) {
+        throw httpError(409, `La journée du ${closing.date} est clôturée (${formatClosingNumber(closing)}) : elle ne peut plus être modifiée.`);
+    }
+};
+
+/** Session de caisse par identifiant, ou erreur 404 */
+const findCashSession = async (id, session = null) => {
+    const cashSession = mongoose.isValidObjectId(id) && await CashSession.findById(id).session(session);
+    if (!cashSession) {
+        throw httpError(404, "Session de caisse non trouvée.");
+    }
+    return cashSession;
+};
+
+/** Dans une transaction, inscrit l'opération sur sa session de caisse pour qu'une fermeture concurrente la voie ou attende */
+const touchCashSession = async (cashSession, session) => {
+    if (!session) return;
+    await CashSession.updateOne({ _id: cashSession._id }, { $set: { lastOperationAt: new Date() } }, { session });
+};
+
+/**
+ * Session de caisse qui encaisse une opération à `location` (aucune si `cashSessionId` est omis).
+ * Une session fermée est refusée, sauf pour une vente saisie hors ligne (`allowClosed`), alors enregistrée hors session.
+ */
+const resolveCashSession = async (cashSessionId, location, allowClosed = false, session = null) => {
+    if (!cashSessionId) return null;
+    const cashSession = await findCashSession(cashSessionId, session);
+    if (!cashSession.locationId.equals(location._id)) {
+        throw httpError(400, `La caisse ${cashSession.register} est ouverte à ${cashSession.locationName}, pas à ${location.name}.`);
+    }
+    if (cashSession.status !== 'open') {
+        if (allowClosed) return null;
+        throw httpError(409, `La caisse ${cashSession.register} est fermée : ouvrez une nouvelle session.`);
+    }
+    await touchCashSession(cashSession, session);
+    return cashSession;
+};
+
+/** Une vente rejouée avec sa clé d'idempotence reprend les mêmes lignes ; sinon, la clé a été réutilisée pour une autre vente */
+const matchesSaleRequest = (sale, items) => sale.items.length === items.length && sale.items.every((line, index) =>
+    String(line.productId) === String(items[index].productId)
+    && line.quantitySold === items[index].quantitySold
+    && line.unitPrice === items[index].unitPrice);
+
+/**
+ * Règlement d'une nouvelle vente : `payments: [{ method, amount }]` (montants remis, plusieurs moyens possibles)
+ * ou, à défaut, `paymentMethod` et `amountPaid` (tout le ticket si omis). Le surplus remis est rendu en espèces
+ * et ne peut donc pas dépasser la part payée en espèces. Renvoie les règlements nets de la monnaie rendue.
+ */
+const parseSalePayments = (body, totalPrice) => {
+    if (body.payments === undefined) {
+        const method = body.paymentMethod || 'cash';
+        if (!PAYMENT_METHODS.includes(method)) {
+            throw httpError(400, `Moyen de paiement invalide (attendu: ${PAYMENT_METHODS.join(', ')}).`);
+        }
+        const { amountPaid } = body;
+        if (amountPaid !== undefined && (!Number.isInteger(amountPaid) || amountPaid < 0)) {
+            throw httpError(400, "Montant réglé invalide: entier positif ou nul attendu (en unités mineures).");
+        }
+        if (amountPaid > totalPrice) {
+            throw httpError(400, "Le montant réglé ne peut pas dépasser le total de la vente.");
+        }
+        const paid = amountPaid ?? totalPrice;
+        return { paymentMethod: method, payments: paid > 0 ? [{ method, amount: paid }] : [], amountPaid: paid };
+    }
+
+    if (!Array.isArray(body.payments) || body.payments.some(payment =>
+        !PAYMENT_METHODS.includes(payment?.method) || !Number.isInteger(payment.amount) || payment.amount < 0)) {
+        throw httpError(400, `Règlements invalides: chacun doit avoir un moyen (${PAYMENT_METHODS.join(', ')}) et un montant entier positif ou nul.`);
+    }
+    const byMethod = new Map();
+    body.payments.filter(payment => payment.amount > 0)
+        .forEach(payment => byMethod.set(payment.method, (byMethod.get(payment.method) || 0) + payment.amount));
+    const amountTendered = [...byMethod.values()].reduce((sum, amount) => sum + amount, 0);
+    const changeGiven = Math.max(amountTendered - totalPrice, 0);
+    if (changeGiven > (byMethod.get('cash') || 0)) {
+        throw httpError(400, "Le montant remis dépasse le total : seule une part en espèces peut donner lieu à un rendu de monnaie.");
+    }
+    if (changeGiven > 0) byMethod.set('cash', byMethod.get('cash') - changeGiven);
+
+    const payments = [...byMethod].filter(([, amount]) => amount > 0).map(([method, amount]) => ({ method, amount }));
+    return {
+        paymentMethod: payments.length > 1 ? 'split' : (payments[0] || body.payments[0] || { method: 'cash' }).method,
+        payments,
+        amountPaid: amountTendered - changeGiven,
+        amountTendered,
+        changeGiven
+    };
+};
+
+/** Caisse ouverte qui encaisse un règlement de vente à crédit (aucune si `cashSessionId` est omis) */
+const resolvePaymentCashSession = async (cashSessionId, session = null) => {
+    if (!cashSessionId) return null;
+    const cashSession = await findCashSession(cashSessionId, session);
+    if (cashSession.status !== 'open') {
+        throw httpError(409, `La caisse ${cashSession.register} est fermée : ouvrez une nouvelle session.`);
+    }
+    await touchCashSession(cashSession, session);
+    return cashSession;
+};
+
+/** Un règlement compte dans la journée de sa caisse, à défaut dans celle de l'emplacement de chaque vente réglée */
+const assertPaymentDayOpen = async (cashSession, sales, session = null) => {
+    const locationIds = cashSession ? [cashSession.locationId] : sales.map(sale => sale.locationId).filter(Boolean);
+    for (const locationId of locationIds) {
+        await assertDayOpen(locationId, new Date(), session);
+    }
+};
+
+/** Montants comptés d'une fermeture de caisse { cash, card, ... } : espèces obligatoires, ou erreur 400 */
+const parseCountedAmounts = (counted) => {
+    if (!counted || typeof counted !== 'object' || Array.isArray(counted)) {
+        throw httpError(400, "Indiquez les montants comptés par moyen de paiement (au moins les espèces).");
+    }
+    const entries = Object.entries(counted).filter(([, amount]) => amount !== null && amount !== undefined && amount !== '');
+    if (entries.some(([method, amount]) => !PAYMENT_METHODS.includes(method) || !Number.isInteger(amount) || amount < 0)) {
+        throw httpError(400, "Montants comptés invalides: entiers positifs ou nuls (unités mineures) par moyen de paiement.");
+    }
+    const amounts = new Map(entries);
+    if (!amounts.has('cash')) {
+        throw httpError(400, "Le montant des espèces comptées est obligatoire.");
+    }
+    return amounts;
+};
+
+/**
+ * Encaissements nets par moyen de paiement `Map(method → amount)` (remboursements déduits, avoirs et ventes
+ * annulées exclus) : ceux des sessions `sessionIds` et, si `location` est donné, ceux faits hors session
+ * sur les ventes de cet emplacement, entre `from` et `to`.
+ */
+const getCollectedByMethod = async ({ sessionIds, locationId = null, from = null, to = null }, session = null) => {
+    const scope = [{ 'payments.cashSessionId': { $in: sessionIds } }];
+    if (locationId) scope.push({ 'payments.cashSessionId': null, locationId });
+    // Présélection des ventes par index (période ou sessions), puis filtre exact de chaque règlement
+    const preselect = from ? { 'payments.paidAt': { $gte: from, $lte: to } } : { 'payments.cashSessionId': { $in: sessionIds } };
+    const rows = await Sale.aggregate([
+        { $match: { status: { $ne: 'voided' }, ...preselect } },
+        { $unwind: '$payments' },
+        { $match: { ...preselect, 'payments.method': { $ne: 'credit_note' }, $or: scope } },
+        { $group: { _id: '$payments.method', amount: { $sum: '$payments.amount' } } }
+    ]).session(session);
+    return new Map(rows.map(row => [row._id, row.amount]));
+};
+
+/**
+ * Lignes attendu / compté / écart par moyen de paiement. Les espèces attendues comprennent le fond de caisse ;
+ * un moyen apparaît dès qu'il a été encaissé ou compté (les espèces toujours). Sans montant compté, pas d'écart.
+ */
+const buildCashCounts = (collected, openingFloat, counted = new Map()) => PAYMENT_METHODS
+    .filter(method => method === 'cash' || collected.get(method) || counted.has(method))
+    .map(method => {
+        const expected = (collected.get(method) || 0) + (method === 'cash' ? openingFloat : 0);
+        if (!counted.has(method)) return { method, expected };
+        return { method, expected, counted: counted.get(method), difference: counted.get(method) - expected };
+    });
+
+/** État d'une session de caisse : montants attendus (à jour tant qu'elle est ouverte) et nombre de ventes */
+const describeCashSession = async (cashSession) => {
+    if (cashSession.status === 'closed') return cashSession.toObject();
+    const [collected, salesCount] = await Promise.all([
+        getCollectedByMethod({ sessionIds: [cashSession._id] }),
+        Sale.countDocuments({ cashSessionId: cashSession._id, type: 'sale', status: 'completed' })
+    ]);
+    return { ...cashSession.toObject(), counts: buildCashCounts(collected, cashSession.openingFloat), salesCount };
+};
+
+/**
+ * Rapport de clôture (Z) d'une journée à un emplacement : sessions de caisse ouvertes ce jour-là, attendu
+ * (encaissements + fonds de caisse) face au compté des sessions fermées, écarts, nombre de ventes, retours
+ * et annulations, chiffre d'affaires et monnaie rendue. Lectures successives : une transaction n'en admet pas en parallèle.
+ */
+const buildDayClosingReport = async (location, { date, timezone, from, to }, session = null) => {
+    const sessions = await CashSession.find({ locationId: location._id, openedAt: { $gte: from, $lte: to } }).sort({ openedAt: 1 }).session(session);
+    const sessionIds = sessions.map(cashSession => cashSession._id);
+    const collected = await getCollectedByMethod({ sessionIds, locationId: location._id, from, to }, session);
+    const [activity] = await Sale.aggregate([
+        { $match: { locationId: location._id, saleDate: { $gte: from, $lte: to } } },
+        { $group: {
+            _id: null,
+            salesCount: { $sum: { $cond: [{ $and: [{ $ne: ['$type', 'return'] }, { $ne: ['$status', 'voided'] }] }, 1, 0] } },
+            returnsCount: { $sum: { $cond: [{ $eq: ['$type', 'return'] }, 1, 0] } },
+            voidedCount: { $sum: { $cond: [{ $eq: ['$status', 'voided'] }, 1, 0] } },
+            revenue: { $sum: { $cond: [{ $ne: ['$status', 'voided'] }, '$totalPrice', 0] } },
+            changeGiven: { $sum: { $cond: [{ $ne: ['$status', 'voided'] }, { $ifNull: ['$changeGiven', 0] }, 0] } }
+        } }
+    ]).session(session);
+
+    // Compté : somme des comptages des sessions fermées, pour les moyens qu'au moins l'une a comptés
+    const counted = new Map();
+    sessions.filter(cashSession => cashSession.status === 'closed').forEach(cashSession => cashSession.counts
+        .filter(count => count.counted !== undefined && count.counted !== null)
+        .forEach(count => counted.set(count.method, (counted.get(count.method) || 0) + count.counted)));
+    const openingFloat = sessions.reduce((sum, cashSession) => sum + cashSession.openingFloat, 0);
+
+    return {
+        locationId: location._id,
+        locationName: location.name,
+        date, timezone, from, to,
+        sessions: sessions.map(cashSession => cashSession.toObject()),
+        openSessionCount: sessions.filter(cashSession => cashSession.status === 'open').length,
+        openingFloat,
+        counts: buildCashCounts(collected, openingFloat, counted),
+        salesCount: activity ? activity.salesCount : 0,
+        returnsCount: activity ? activity.returnsCount : 0,
+        voidedCount: activity ? activity.voidedCount : 0,
+        revenue: activity ? activity.revenue : 0,
+        changeGiven: activity ? activity.changeGiven : 0
+    };
+};
+
+// --- Utilitaires (Sauvegarde et Restauration) ---
+
+// Format des archives : une archive d'une version plus récente que celle que lit le serveur est refusée
+const BACKUP_FORMAT = 'stocktrack-backup';
+const BACKUP_VERSION = 1;
+// Fichiers du dossier de sauvegarde : sauvegardes (planifiées ou demandées) et instantanés pris avant une restauration
+const BACKUP_FILE_PREFIX = 'stocktrack-backup';
+const PRE_RESTORE_FILE_PREFIX = 'stocktrack-pre-restore';
+const BACKUP_FILE_PATTERN = /^stocktrack-(backup|pre-restore)-[\dT-]+Z\.json$/;
+// Nombre d'erreurs de validation détaillées dans le compte rendu d'une restauration
+const MAX_RESTORE_ERRORS = 20;
+
+// Collections sauvegardées, dans l'ordre de restauration. Les sessions de connexion n'en font pas partie ;
+// les comptes utilisateurs y figurent avec le hachage de leur mot de passe : une archive se garde en lieu sûr.
+const BACKUP_COLLECTIONS = [
+    { name: 'settings', label: 'Réglages', Model: Settings },
+    { name: 'counters', label: 'Compteurs', Model: Counter },
+    { name: 'users', label: 'Utilisateurs', Model: User },
+    { name: 'locations', label: 'Emplacements', Model: Location },
+    { name: 'categories', label: 'Catégories', Model: Category },
+    { name: 'parentProducts', label: 'Produits parents', Model: ParentProduct },
+    { name: 'products', label: 'Produits', Model: Product },
+    { name: 'suppliers', label: 'Fournisseurs', Model: Supplier },
+    { name: 'customers', label: 'Clients', Model: Customer },
+    { name: 'purchaseOrders', label: 'Commandes fournisseurs', Model: PurchaseOrder },
+    { name: 'purchases', label: 'Achats', Model: Purchase },
+    { name: 'cashSessions', label: 'Sessions de caisse', Model: CashSession },
+    { name: 'sales', label: 'Ventes et retours', Model: Sale },
+    { name: 'dayClosings', label: 'Clôtures journalières', Model: DayClosing },
+    { name: 'stockLots', label: 'Lots', Model: StockLot },
+    { name: 'stockCounts', label: 'Inventaires', Model: StockCount },
+    { name: 'stockTransfers', label: 'Transferts', Model: StockTransfer },
+    { name: 'stockMovements', label: 'Mouvements de stock', Model: StockMovement }
+];
+
+// Références vérifiées avant une restauration. Une référence bloquante manquante rendrait les données incohérentes ;
+// les autres sont permises par l'application (produit, client ou fournisseur supprimé depuis, l'historique gardant
+// son nom) et donnent seulement un avertissement.
+const BACKUP_REFERENCES = [
+    { from: 'products', path: 'parentId', to: 'parentProducts', label: 'Variantes dont le produit parent est introuvable', blocking: true },
+    { from: 'products', path: 'stocks.locationId', to: 'locations', label: 'Stocks à un emplacement introuvable', blocking: true },
+    { from: 'stockLots', path: 'productId', to: 'products', label: "Lots d'un produit introuvable", blocking: true },
+    { from: 'sales', path: 'originalSaleId', to: 'sales', label: "Retours dont la vente d'origine est introuvable", blocking: true },
+    { from: 'sales', path: 'cashSessionId', to: 'cashSessions', label: "Ventes d'une session de caisse introuvable", blocking: true },
+    { from: 'sales', path: 'items.productId', to: 'products', label: "Lignes de vente d'un produit supprimé", blocking: false },
+    { from: 'sales', path: 'customerId', to: 'customers', label: "Ventes d'un client supprimé", blocking: false },
+    { from: 'purchases', path: 'productId', to: 'products', label: "Achats d'un produit supprimé", blocking: false },
+    { from: 'purchaseOrders', path: 'supplierId', to: 'suppliers', label: "Commandes d'un fournisseur supprimé", blocking: false }
+];
+
+/** Horodatage d'un nom d'archive (2024-05-01T18-30-00Z) : l'ordre alphabétique est l'ordre chronologique */
+const backupTimestamp = (date) => date.toISOString().replace(/\.\d{3}Z$/, 'Z').replace(/:/g, '-');
+
+/** Archive de sauvegarde complète : chaque collection telle qu'enregistrée en base */
+const buildBackupArchive = async (createdByName) => {
+    const collections = {};
+    for (const { name, Model } of BACKUP_COLLECTIONS) {
+        collections[name] = await Model.find().lean();
+    }
+    return { format: BACKUP_FORMAT, version: BACKUP_VERSION, createdAt: new Date(), createdByName, collections };
+};
+
+/** Enregistre une archive dans BACKUP_DIR, puis ne garde que les BACKUP_RETENTION plus récentes du même préfixe */
+const writeBackupFile = async (archive, prefix = BACKUP_FILE_PREFIX) => {
+    await fs.mkdir(BACKUP_DIR, { recursive: true });
+    const name = `${prefix}-${backupTimestamp(archive.createdAt)}.json`;
+    const file = path.join(BACKUP_DIR, name);
+    // Écriture sous un nom temporaire : une sauvegarde interrompue ne passe jamais pour une archive complète
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(archive));
+    await fs.rename(`${file}.tmp`, file);
+
+    const names = (await fs.readdir(BACKUP_DIR)).filter(other => other.startsWith(`${prefix}-`) && other.endsWith('.json')).sort();
+    const expired = names.slice(0, Math.max(names.length - BACKUP_RETENTION, 0));
+    await Promise.all(expired.map(old => fs.unlink(path.join(BACKUP_DIR, old))));
+    return name;
+};
+
+/** Archives du dossier de sauvegarde { name, size, createdAt }, les plus récentes d'abord */
+const listBackupFiles = async () => {
+    let names;
+    try {
+        names = await fs.readdir(BACKUP_DIR);
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+    const files = await Promise.all(names.filter(name => BACKUP_FILE_PATTERN.test(name)).map(async (name) => {
+        const stats = await fs.stat(path.join(BACKUP_DIR, name));
+        return { name, size: stats.size, createdAt: stats.mtime };
+    }));
+    return files.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+/** Sauvegarde planifiée : un échec est journalisé sans arrêter le serveur */
+const runScheduledBackup = async () => {
+    try {
+        const name = await writeBackupFile(await buildBackupArchive('Sauvegarde automatique'));
+        console.log(`💾 Sauvegarde automatique enregistrée : ${name}`);
+    } catch (err) {
+        console.error('❌ Échec de la sauvegarde automatique :', err.message);
+    }
+};
+
+/**
+ * Planifie une sauvegarde toutes les BACKUP_INTERVAL_HOURS heures (si BACKUP_DIR est défini). Au démarrage, elle est
+ * faite tout de suite si la dernière est plus ancienne : un serveur souvent mis en veille est quand même sauvegardé.
+ */
+const scheduleBackups = async () => {
+    if (!BACKUP_DIR) return;
+    const intervalMs = BACKUP_INTERVAL_HOURS * 3600 * 1000;
+    const files = await listBackupFiles().catch(() => []);
+    const latest = files.find(file => file.name.startsWith(`${BACKUP_FILE_PREFIX}-`));
+    if (!latest || Date.now() - latest.createdAt >= intervalMs) {
+        await runScheduledBackup();
+    }
+    setInterval(runScheduledBackup, intervalMs);
+    console.log(`💾 Sauvegardes automatiques toutes les ${BACKUP_INTERVAL_HOURS} h dans ${BACKUP_DIR} (${BACKUP_RETENTION} conservées).`);
+};
+
+/** Valeurs (en texte) d'un chemin pointé d'un document, à travers ses tableaux (ex: 'items.productId') */
+const valuesAtPath = (value, keys) => {
+    if (value === undefined || value === null) return [];
+    if (Array.isArray(value)) return value.flatMap(item => valuesAtPath(item, keys));
+    if (keys.length === 0) return [String(value)];
+    return valuesAtPath(value[keys[0]], keys.slice(1));
+};
+
+/**
+ * Vérifie une archive et prépare sa restauration. En mode 'replace', chaque collection de l'archive remplace
+ * celle de la base ; en mode 'merge', ses documents sont ajoutés et remplacent ceux de même identifiant.
+ * Renvoie le compte rendu (effet par collection, erreurs bloquantes, avertissements) et, par collection,
+ * les documents convertis selon leur schéma, prêts à être écrits.
+ */
+const planRestore = async (archive, mode) => {
+    if (!archive || typeof archive !== 'object' || archive.format !== BACKUP_FORMAT) {
+        throw httpError(400, "Ce fichier n'est pas une sauvegarde StockApp.");
+    }
+    if (!Number.isInteger(archive.version) || archive.version < 1 || archive.version > BACKUP_VERSION) {
+        throw httpError(400, `Version d'archive non prise en charge (${archive.version}) : ce serveur lit jusqu'à la version ${BACKUP_VERSION}.`);
+    }
+    if (!archive.collections || typeof archive.collections !== 'object' || Array.isArray(archive.collections)) {
+        throw httpError(400, "Archive invalide : aucune collection.");
+    }
+    const unknown = Object.keys(archive.collections).filter(name => !BACKUP_COLLECTIONS.some(collection => collection.name === name));
+    if (unknown.length > 0) {
+        throw httpError(400, `Collections inconnues dans l'archive : ${unknown.join(', ')}.`);
+    }
+
+    const errors = [];
+    const warnings = [];
+    let errorCount = 0;
+    const addError = (message) => {
+        errorCount++;
+        if (errors.length < MAX_RESTORE_ERRORS) errors.push(message);
+    };
+    const docs = new Map();
+    const collections = [];
+
+    for (const { name, label, Model } of BACKUP_COLLECTIONS) {
+        const documents = archive.collections[name];
+        if (documents === undefined) {
+            warnings.push(`${label} : absents de l'archive, laissés tels quels.`);
+            continue;
+        }
+        if (!Array.isArray(documents)) {
+            addError(`${label} : liste de documents attendue.`);
+            continue;
+        }
+
+        // Conversion selon le schéma (identifiants, dates), sans valeurs par défaut : le document reste celui sauvegardé
+        let cast = [];
+        const ids = new Set();
+        documents.forEach((document, index) => {
+            if (!document || typeof document !== 'object' || document._id === undefined || document._id === null) {
+                addError(`${label} n°${index + 1} : document sans identifiant.`);
+                return;
+            }
+            const doc = new Model(document, null, { defaults: false });
+            const invalid = doc.validateSync();
+            if (invalid) {
+                addError(`${label} ${document._id} : ${Object.values(invalid.errors).map(error => error.message).join(' ; ')}`);
+                return;
+            }
+            if (ids.has(String(doc._id))) {
+                addError(`${label} ${doc._id} : identifiant en double.`);
+                return;
+            }
+            ids.add(String(doc._id));
+            cast.push(doc.toObject({ depopulate: true }));
+        });
+        // Fusion : un compte déjà présent (même identifiant ou même nom) garde son mot de passe, son rôle et son état
+        if (mode === 'merge' && name === 'users') {
+            const present = await User.find({ $or: [{ _id: { $in: cast.map(doc => doc._id) } }, { username: { $in: cast.map(doc => doc.username) } }] }, { username: 1 });
+            const presentIds = new Set(present.map(user => String(user._id)));
+            const presentNames = new Set(present.map(user => user.username));
+            const kept = cast.filter(doc => presentIds.has(String(doc._id)) || presentNames.has(doc.username));
+            if (kept.length > 0) {
+                warnings.push(`Fusion : ${kept.length} utilisateur(s) déjà présent(s) gardé(s) tel(s) quel(s) (mot de passe, rôle et état inchangés) ; seuls les nouveaux comptes sont ajoutés.`);
+                cast = cast.filter(doc => !kept.includes(doc));
+            }
+        }
+        docs.set(name, cast);
+
+        const existing = await Model.countDocuments();
+        if (mode === 'replace') {
+            collections.push({ name, label, archived: documents.length, existing, deleted: existing, inserted: cast.length, updated: 0 });
+        } else {
+            const updated = await Model.countDocuments({ _id: { $in: cast.map(doc => doc._id) } });
+            collections.push({ name, label, archived: documents.length, existing, deleted: 0, inserted: cast.length - updated, updated });
+        }
+    }
+
+    // Cibles disponibles : les documents de l'archive, plus ceux de la base quand ils sont gardés (fusion, collection absente)
+    for (const reference of BACKUP_REFERENCES) {
+        if (!docs.has(reference.from)) continue;
+        const targetIds = new Set((docs.get(reference.to) || []).map(doc => String(doc._id)));
+        const values = new Set(docs.get(reference.from).flatMap(doc => valuesAtPath(doc, reference.path.split('.'))));
+        let missing = [...values].filter(id => !targetIds.has(id));
+        if (missing.length > 0 && (mode === 'merge' || !docs.has(reference.to))) {
+            const Target = BACKUP_COLLECTIONS.find(collection => collection.name === reference.to).Model;
+            const existing = new Set((await Target.distinct('_id', { _id: { $in: missing } })).map(String));
+            missing = missing.filter(id => !existing.has(id));
+        }
+        if (missing.length === 0) continue;
+        const message = `${reference.label} : ${missing.length} identifiant(s), ex: ${missing.slice(0, 3).join(', ')}.`;
+        if (reference.blocking) {
+            addError(message);
+        } else {
+            warnings.push(message);
+        }
+    }
+
+    if (mode === 'replace' && docs.has('users') && !docs.get('users').some(user => user.role === 'admin' && user.active !== false)) {
+        addError("L'archive ne contient aucun administrateur actif : plus personne ne pourrait gérer l'application.");
+    }
+    if (mode === 'merge' && collections.some(collection => collection.name === 'products' && collection.updated > 0)) {
+        warnings.push("Fusion : les produits déjà présents reprennent la fiche et le stock de l'archive ; les ventes et achats enregistrés depuis ne sont pas rejoués.");
+    }
+    if (errorCount > errors.length) {
+        errors.push(`... et ${errorCount - errors.length} autre(s) erreur(s).`);
+    }
+
+    return {
+        summary: {
+            version: archive.version,
+            createdAt: archive.createdAt,
+            createdByName: archive.createdByName,
+            mode,
+            collections,
+            errors,
+            warnings
+        },
+        docs
+    };
+};
+
+/** Écrit les documents préparés par planRestore ; en fusion, un compteur ne recule jamais */
+const writeRestoredDocuments = async (docs, mode, session) => {
+    const options = session ? { session } : {};
+    for (const { name, Model } of BACKUP_COLLECTIONS.filter(collection => docs.has(collection.name))) {
+        const documents = docs.get(name);
+        if (mode === 'replace') {
+            await Model.collection.deleteMany({}, options);
+            if (documents.length > 0) await Model.collection.insertMany(documents, options);
+        } else if (documents.length > 0) {
+            // Une séquence ramenée en arrière redonnerait des numéros de facture ou de clôture déjà attribués ;
+            // un utilisateur n'est qu'ajouté : un compte existant ne reprend jamais un ancien mot de passe ou rôle
+            await Model.collection.bulkWrite(documents.map(({ _id, ...fields }) => {
+                if (name === 'counters') return { updateOne: { filter: { _id }, update: { $max: { seq: fields.seq } }, upsert: true } };
+                if (name === 'users') return { updateOne: { filter: { _id }, update: { $setOnInsert: fields }, upsert: true } };
+                return { replaceOne: { filter: { _id }, replacement: { _id, ...fields }, upsert: true } };
+            }), options);
+        }
+    }
+};
+
+/**
+ * Restaure les documents préparés par planRestore. Un instantané de la base est pris juste avant (enregistré dans
+ * BACKUP_DIR s'il est défini) ; sans transaction, il est réécrit si la restauration échoue en cours de route.
+ * Renvoie le nom du fichier de l'instantané.
+ */
+const restoreBackup = async (docs, mode, user) => {
+    const snapshot = await buildBackupArchive(`Avant restauration (${user.username})`);
+    const snapshotFile = BACKUP_DIR ? await writeBackupFile(snapshot, PRE_RESTORE_FILE_PREFIX) : null;
+
+    await runInTransaction(async (session) => {
+        if (session) return writeRestoredDocuments(docs, mode, session);
+        try {
+            await writeRestoredDocuments(docs, mode, null);
+        } catch (err) {
+            // Compensation : les collections touchées retrouvent leur contenu d'avant la restauration
+            const previous = new Map([...docs.keys()].map(name => [name, snapshot.collections[name]]));
+            await writeRestoredDocuments(previous, 'replace', null);
+            throw err;
+        }
+    });
+
+    // Les terminaux connectés rechargent les produits restaurés (et, en remplacement, ceux qui ont disparu)
+    const restoredProducts = docs.get('products') || [];
+    const previousProducts = mode === 'replace' && docs.has('products') ? snapshot.collections.products : [];
+    notifyProductsChanged([...previousProducts, ...restoredProducts].map(product => product._id));
+    return snapshotFile;
+};
+
+// --- Utilitaires (Factures et Documents PDF) ---
+
+const PAYMENT_METHOD_LABELS = {
+    cash: 'Espèces', card: 'Carte bancaire', mobile_money: 'Mobile money', cheque: 'Chèque', transfer: 'Virement', other: 'Autre',
+    split: 'Paiement fractionné'
+};
+
+// Formats d'impression en points PDF (72 par pouce) : ticket thermique 80 mm, dont la hauteur suit le contenu, et A4
+const INVOICE_FORMATS = {
+    receipt: { width: 226.77, margin: 12, fontSize: 8, lineHeight: 11 },
+    a4: { width: 595.28, height: 841.89, margin: 50, fontSize: 10, lineHeight: 15 }
+};
+
+// Largeurs des glyphes Helvetica (millièmes de la taille de police), pour aligner les montants à droite
+const HELVETICA_WIDTHS = Object.fromEntries([
+    ["ijl'", 222], [' ,.:;!/ftI[]', 278], ['r-()"*', 333], ['ckvsxyzJ', 500],
+    ['0123456789abdeghnopquL€$?#_', 556], ['+=<>', 584], ['FTZ', 611], ['ABEKPSVXY&', 667],
+    ['CDHNRUw', 722], ['GOQ', 778], ['Mm', 833], ['%', 889], ['W', 944]
+].flatMap(([chars, width]) => [...chars].map(char => [char, width])));
+
+// Caractères hors Latin-1 présents dans le jeu WinAnsi des polices PDF standard
+const WIN_ANSI_EXTRAS = { '€': 0x80, '…': 0x85, 'Œ': 0x8C, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '–': 0x96, '—': 0x97, 'œ': 0x9C };
+
+/** Numéro affiché d'une facture (F000042) ou d'un avoir (A000007) */
+const formatInvoiceNumber = (sale) => `${sale.type === 'return' ? 'A' : 'F'}${String(sale.invoiceNumber).padStart(6, '0')}`;
+
+// Délai au-delà duquel une réservation de numérotation est tenue pour abandonnée (processus arrêté en cours de route)
+const INVOICE_CLAIM_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Attribue son numéro à une vente (facture) ou à un retour (avoir). Le compteur n'avance qu'ici, une fois le
+ * ticket enregistré et réservé (`invoicingAt`) : une requête concurrente est refusée avant de prendre un numéro,
+ * si bien que même sans transaction la séquence ne garde pas de trou. Dans une transaction, un échec annule tout.
+ */
+const assignInvoiceNumber = async (sale, session = null) => {
+    if (sale.invoiceNumber) return sale;
+    const claimedAt = new Date();
+    const claimed = await Sale.findOneAndUpdate(
+        {
+            _id: sale._id,
+            invoiceNumber: { $exists: false },
+            $or: [{ invoicingAt: { $exists: false } }, { invoicingAt: { $lt: new Date(claimedAt.getTime() - INVOICE_CLAIM_TIMEOUT_MS) } }]
+        },
+        { $set: { invoicingAt: claimedAt } },
+        { session }
+    );
+    if (!claimed) {
+        // Numéroté entre-temps par une requête concurrente (impression simultanée) : c'est ce numéro qui vaut
+        const current = await Sale.findById(sale._id).session(session);
+        if (current && current.invoiceNumber) return current;
+        throw httpError(409, "Ce ticket est numéroté par une autre requête : veuillez réessayer.");
+    }
+
+    let invoiceNumber;
+    try {
+        invoiceNumber = await nextSequence(sale.type === 'return' ? 'creditNote' : 'invoice', session);
+    } catch (err) {
+        // Aucun numéro pris : la réservation est levée pour qu'une nouvelle tentative puisse numéroter
+        if (!session) await Sale.updateOne({ _id: sale._id, invoicingAt: claimedAt }, { $unset: { invoicingAt: '' } });
+        throw err;
+    }
+    const numbered = await Sale.findOneAndUpdate(
+        { _id: sale._id, invoicingAt: claimedAt },
+        { $set: { invoiceNumber, invoicedAt: claimedAt }, $unset: { invoicingAt: '' } },
+        { new: true, session }
+    );
+    if (!numbered) {
+        throw httpError(409, "Ce ticket a été numéroté par une autre requête : veuillez réessayer.");
+    }
+    return numbered;
+};
+
+/** Convertit un texte en chaîne PDF littérale (encodage WinAnsi, caractères inconnus remplacés par « ? ») */
+const pdfString = (text) => {
+    const encoded = [...String(text)].map(char => {
+        if (char === '\u202F' || char === '\u00A0') return ' ';
+        if (WIN_ANSI_EXTRAS[char]) return String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+        return char.charCodeAt(0) <= 0xFF ? char : '?';
+    }).join('');
+    return `(${encoded.replace(/[\\()]/g, '\\$&').replace(/[\r\n]/g, ' ')})`;
+};
+
+/** Largeur approximative d'un texte en Helvetica (les lettres accentuées prennent la largeur de leur base) */
+const textWidth = (text, size, bold = false) => {
+    const units = [...String(text)].reduce((sum, char) =>
+        sum + (HELVETICA_WIDTHS[char] ?? HELVETICA_WIDTHS[char.normalize('NFD')[0]] ?? 556), 0);
+    return units * size / 1000 * (bold ? 1.05 : 1);
+};
+
+/** Découpe un texte en lignes d'au plus `maxWidth` points (un mot trop long est coupé) */
+const wrapText = (text, maxWidth, size, bold = false) => {
+    const lines = [];
+    let current = '';
+    String(text).split(/\s+/).filter(Boolean).forEach(word => {
+        const candidate = current ? `${current} ${word}` : word;
+        if (textWidth(candidate, size, bold) <= maxWidth) {
+            current = candidate;
+            return;
+        }
+        if (current) lines.push(current);
+        current = word;
+        while (textWidth(current, size, bold) > maxWidth && current.length > 1) {
+            let cut = current.length - 1;
+            while (cut > 1 && textWidth(current.slice(0, cut), size, bold) > maxWidth) cut--;
+            lines.push(current.slice(0, cut));
+            current = current.slice(cut);
+        }
+    });
+    if (current) lines.push(current);
+    return lines.length > 0 ? lines : [''];
+};
+
+/** Nombre écrit dans le flux PDF (deux décimales au plus) */
+const formatPdfNumber = (value) => Number(value.toFixed(2)).toString();
+
+/**
+ * Page PDF dessinée avec des ordonnées comptées depuis le haut. La conversion vers le repère PDF
+ * (origine en bas) se fait à la génération : la hauteur d'un ticket peut être fixée après coup.
+ */
+const createPdfPage = (width, height = 0) => {
+    const operations = [];
+    const page = {
+        width,
+        height,
+        text: (x, y, value, { size = 10, bold = false, align = 'left' } = {}) => {
+            const valueWidth = textWidth(value, size, bold);
+            const left = align === 'right' ? x - valueWidth : align === 'center' ? x - valueWidth / 2 : x;
+            operations.push(pageHeight => `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${formatPdfNumber(left)} ${formatPdfNumber(pageHeight - y)} Td ${pdfString(value)} Tj ET`);
+        },
+        line: (x1, y1, x2, y2, thickness = 0.5) => {
+            operations.push(pageHeight => `${thickness} w ${formatPdfNumber(x1)} ${formatPdfNumber(pageHeight - y1)} m ${formatPdfNumber(x2)} ${formatPdfNumber(pageHeight - y2)} l S`);
+        },
+        content: () => operations.map(operation => operation(page.height)).join('\n')
+    };
+    return page;
+};
+
+/** Assemble les pages en un fichier PDF 1.4 (polices standard Helvetica, sans dépendance) */
+const buildPdf = (pages, title, author) => {
+    const objects = [];
+    const addObject = (body) => objects.push(body);
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const infoId = addObject(`<< /Title ${pdfString(title)} /Author ${pdfString(author)} >>`);
+    const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    const pageIds = pages.map(page => {
+        const stream = page.content();
+        const contentId = addObject(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+        return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${formatPdfNumber(page.width)} ${formatPdfNumber(page.height)}] `
+            + `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+    });
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+        const offset = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+    const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+        + offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')
+        + `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+};
+
+/**
+ * Contenu commun du ticket et de la facture A4 : en-tête du magasin, références, lignes et totaux.
+ * Les prix de vente sont TTC ; le récapitulatif reprend le HT et la TVA enregistrés sur chaque ligne, par taux.
+ */
+const describeInvoice = (sale, originalSale, settings, timezone) => {
+    const formatDate = (date) => new Date(date).toLocaleString(settings.locale, { timeZone: timezone, dateStyle: 'short', timeStyle: 'short' });
+    const money = (amount) => formatMoney(amount, settings);
+
+    const byRate = new Map();
+    sale.items.forEach(item => {
+        const rate = item.vatRate || 0;
+        const { netAmount, taxAmount } = typeof item.netAmount === 'number' ? item : splitVat(item.totalPrice, rate);
+        const group = byRate.get(rate) || { net: 0, tax: 0 };
+        byRate.set(rate, { net: group.net + netAmount, tax: group.tax + taxAmount });
+    });
+    const rates = [...byRate.keys()].sort((a, b) => a - b);
+    const totalNet = rates.reduce((sum, rate) => sum + byRate.get(rate).net, 0);
+
+    return {
+        shopName: settings.shopName,
+        title: `${sale.type === 'return' ? 'AVOIR' : 'FACTURE'} N° ${formatInvoiceNumber(sale)}`,
+        details: [
+            `Date : ${formatDate(sale.saleDate)}`,
+            `Ticket : #${sale._id.toString().slice(-6).toUpperCase()}`,
+            ...(originalSale ? [`Sur facture : ${originalSale.invoiceNumber ? formatInvoiceNumber(originalSale) : `#${originalSale._id.toString().slice(-6).toUpperCase()}`}`] : []),
+            ...(sale.reason ? [`Motif : ${sale.reason}`] : []),
+            ...(sale.locationName ? [`Point de vente : ${sale.locationName}`] : []),
+            ...(sale.customerName ? [`Client : ${sale.customerName}`] : []),
+            `Vendeur : ${sale.createdByName || '—'}`
+        ],
+        shopLines: [
+            ...settings.address,
+            ...(settings.phone ? [`Tél. : ${settings.phone}`] : []),
+            ...(settings.taxId ? [settings.taxId] : [])
+        ],
+        lines: sale.items.map(item => ({
+            name: item.productName,
+            quantity: item.quantitySold,
+            unitPrice: money(item.unitPrice),
+            total: money(item.totalPrice)
+        })),
+        totals: [
+            { label: 'Total HT', value: money(totalNet) },
+            ...rates.filter(rate => rate > 0).map(rate => ({
+                label: `TVA ${rate.toLocaleString(settings.locale)} % sur ${money(byRate.get(rate).net)}`,
+                value: money(byRate.get(rate).tax)
+            })),
+            { label: 'Total TTC', value: money(sale.totalPrice), bold: true }
+        ],
+        payment: `${sale.type === 'return' ? 'Remboursement' : 'Paiement'} : ${sale.paymentMethod === 'split'
+            ? sale.payments.filter(payment => payment.method !== 'credit_note')
+                .map(payment => `${PAYMENT_METHOD_LABELS[payment.method]} ${money(payment.amount)}`).join(' + ')
+            : PAYMENT_METHOD_LABELS[sale.paymentMethod] || PAYMENT_METHOD_LABELS.cash}`,
+        notes: [
+            ...(sale.changeGiven > 0 ? [{ text: `Remis : ${money(sale.amountTendered)} — Rendu : ${money(sale.changeGiven)}` }] : []),
+            ...(rates.every(rate => rate === 0) ? [{ text: 'TVA non applicable, art. 293 B du CGI' }] : []),
+            ...(getAmountDue(sale) > 0 ? [{ text: `Réglé : ${money(sale.amountPaid)} — Reste dû : ${money(getAmountDue(sale))}`, bold: true }] : []),
+            ...(sale.status === 'voided' ? [{ text: `ANNULÉE le ${formatDate(sale.voidedAt)} : ${sale.voidReason}`, bold: true }] : [])
+        ]
+    };
+};
+
+/** Ticket de caisse 80 mm : une seule page dont la hauteur s'adapte au nombre de lignes */
+const renderReceiptPdf = (invoice) => {
+    const { width, margin, fontSize, lineHeight } = INVOICE_FORMATS.receipt;
+    const page = createPdfPage(width);
+    const right = width - margin;
+    const center = width / 2;
+    let y = margin + lineHeight;
+
+    const separator = () => {
+        page.line(margin, y - lineHeight / 2, right, y - lineHeight / 2);
+        y += lineHeight / 2;
+    };
+    const centered = (text, options = {}) => {
+        wrapText(text, right - margin, options.size || fontSize, options.bold).forEach(line => {
+            page.text(center, y, line, { size: fontSize, ...options, align: 'center' });
+            y += lineHeight;
+        });
+    };
+    const amountRow = (label, value, bold = false) => {
+        page.text(margin, y, label, { size: fontSize, bold });
+        page.text(right, y, value, { size: fontSize, bold, align: 'right' });
+        y += lineHeight;
+    };
+
+    centered(invoice.shopName, { size: 11, bold: true });
+    invoice.shopLines.forEach(line => centered(line));
+    separator();
+    centered(invoice.title, { bold: true });
+    invoice.details.forEach(line => centered(line));
+    separator();
+    invoice.lines.forEach(line => {
+        wrapText(line.name, right - margin, fontSize).forEach(nameLine => {
+            page.text(margin, y, nameLine, { size: fontSize });
+            y += lineHeight;
+        });
+        amountRow(`  ${line.quantity} x ${line.unitPrice}`, line.total);
+    });
+    separator();
+    invoice.totals.forEach(total => amountRow(total.label, total.value, total.bold));
+    centered(invoice.payment);
+    separator();
+    invoice.notes.forEach(note => centered(note.text, { bold: note.bold }));
+    centered('Merci de votre visite !');
+
+    page.height = y + margin - lineHeight / 2;
+    return [page];
+};
+
+/** Facture A4 : tableau des lignes réparti sur autant de pages que nécessaire, numérotées */
+const renderA4InvoicePdf = (invoice) => {
+    const { width, height, margin, fontSize, lineHeight } = INVOICE_FORMATS.a4;
+    const right = width - margin;
+    // Colonnes : désignation à gauche, quantité et montants alignés à droite
+    const columns = { name: margin, quantity: 360, unitPrice: 455, total: right };
+    const pages = [];
+    let page;
+    let y;
+
+    const tableHeader = () => {
+        page.text(columns.name, y, 'Désignation', { size: fontSize, bold: true });
+        page.text(columns.quantity, y, 'Qté', { size: fontSize, bold: true, align: 'right' });
+        page.text(columns.unitPrice, y, 'PU TTC', { size: fontSize, bold: true, align: 'right' });
+        page.text(columns.total, y, 'Total TTC', { size: fontSize, bold: true, align: 'right' });
+        page.line(margin, y + 5, right, y + 5);
+        y += lineHeight + 3;
+    };
+    const newPage = () => {
+        page = createPdfPage(width, height);
+        pages.push(page);
+        y = margin + lineHeight;
+    };
+    // Saut de page si la hauteur demandée dépasse la marge basse (réservée au numéro de page)
+    const ensureSpace = (needed, withTableHeader) => {
+        if (y + needed <= height - margin - lineHeight) return;
+        newPage();
+        if (withTableHeader) tableHeader();
+    };
+
+    newPage();
+    page.text(margin, y, invoice.shopName, { size: 16, bold: true });
+    page.text(right, y, invoice.title, { size: 14, bold: true, align: 'right' });
+    const headerTop = y;
+    y += lineHeight + 4;
+    invoice.shopLines.forEach(line => {
+        page.text(margin, y, line, { size: fontSize });
+        y += lineHeight;
+    });
+    let detailsY = headerTop + lineHeight + 4;
+    invoice.details.forEach(line => {
+        page.text(right, detailsY, line, { size: fontSize, align: 'right' });
+        detailsY += lineHeight;
+    });
+    y = Math.max(y, detailsY) + lineHeight;
+
+    tableHeader();
+    invoice.lines.forEach(line => {
+        const nameLines = wrapText(line.name, columns.quantity - columns.name - 40, fontSize);
+        ensureSpace(nameLines.length * lineHeight, true);
+        page.text(columns.quantity, y, String(line.quantity), { size: fontSize, align: 'right' });
+        page.text(columns.unitPrice, y, line.unitPrice, { size: fontSize, align: 'right' });
+        page.text(columns.total, y, line.total, { size: fontSize, align: 'right' });
+        nameLines.forEach(nameLine => {
+            page.text(columns.name, y, nameLine, { size: fontSize });
+            y += lineHeight;
+        });
+    });
+    page.line(margin, y - lineHeight + 5, right, y - lineHeight + 5);
+    y += lineHeight / 2;
+
+    ensureSpace((invoice.totals.length + 2 + invoice.notes.length) * lineHeight, false);
+    invoice.totals.forEach(total => {
+        page.text(columns.unitPrice, y, total.label, { size: fontSize, bold: total.bold, align: 'right' });
+        page.text(columns.total, y, total.value, { size: fontSize, bold: total.bold, align: 'right' });
+        y += lineHeight;
+    });
+    y += lineHeight;
+    page.text(margin, y, invoice.payment, { size: fontSize });
+    y += lineHeight;
+    invoice.notes.forEach(note => {
+        wrapText(note.text, right - margin, fontSize, note.bold).forEach(noteLine => {
+            page.text(margin, y, noteLine, { size: fontSize, bold: note.bold });
+            y += lineHeight;
+        });
+    });
+
+    pages.forEach((pdfPage, index) => {
+        pdfPage.text(width / 2, height - margin / 2, `Page ${index + 1} / ${pages.length}`, { size: 8, align: 'center' });
+    });
+    return pages;
+};
+
+/** Génère le PDF d'une vente ou d'un retour au format 'receipt' (ticket 80 mm) ou 'a4' */
+const buildInvoicePdf = (sale, originalSale, settings, format, timezone) => {
+    const invoice = describeInvoice(sale, originalSale, settings, timezone);
+    const pages = format === 'a4' ? renderA4InvoicePdf(invoice) : renderReceiptPdf(invoice);
+    return buildPdf(pages, invoice.title, invoice.shopName);
+};
+
+// --- Authentification (/api/auth) ---
+
+// POST: Connexion (renvoie un jeton de session à transmettre en en-tête Authorization)
+app.post(`${API_BASE_URL}/auth/login`, async (req, res) => {
+    const { username, password } = req.body;
+    if (typeof username !== 'string' || typeof password !== 'string') {
+        return res.status(400).json({ message: "Nom d'utilisateur et mot de passe requis." });
+    }
+
+    try {
+        const user = await User.findOne({ username: username.trim().toLowerCase() });
+        if (!user || !user.active || !(await verifyPassword(password, user.passwordHash))) {
+            return res.status(401).json({ message: 'Identifiants incorrects.' });
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        await AuthSession.create({
+            tokenHash: hashToken(token),
+            userId: user._id,
+            expiresAt: new Date(Date.now() + SESSION_TTL_HOURS * 3600 * 1000)
+        });
+        res.json({ token, user });
+    } catch (err) {
+        res.status(500).json({ message: 'Erreur serveur lors de la connexion.' });
+    }
+});
+
+// Toutes les routes suivantes exigent une session valide
+app.use(API_BASE_URL, authenticate);
+
+// GET: Utilisateur connecté
+app.get(`${API_BASE_URL}/auth/me`, (req, res) => {
+    res.json(req.user);
+});
+
+// POST: Déconnexion (invalide la session courante)
+app.post(`${API_BASE_URL}/auth/logout`, async (req, res) => {
+    try {
+        await AuthSession.deleteOne({ _id: req.sessionId });
+        res.status(204).send();
+    } catch (err) {
+        res.status(500).json({ message: 'Erreur serveur lors de la déconnexion.' });
+    }
+});
+
+// --- A. Produits (/api/products) ---
+
+// GET: Récupérer tous (liste complète triée par nom : listes de sélection, copie hors ligne)
+// Avec `page` : page de l'inventaire avec recherche, filtres, tri et valorisation (voir searchInventory)
+app.get(`${API_BASE_URL}/products`, authorize('admin', 'cashier', 'viewer'), async (req, res) => {
+    try {
+        if (req.query.page !== undefined) {
+            return res.json(await searchInventory(req.query));
+        }
+        const products = await Product.find().sort({ name: 1 });
+        res.json(products);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des produits.' });
+    }
+});
+
+// GET: Produits en stock faible (quantité au niveau ou sous le seuil minimum)
+app.get(`${API_BASE_URL}/products/low-stock`, authorize('admin', 'cashier', 'viewer'), async (req, res) => {
+    try {
+        const products = await Product.find(LOW_STOCK_FILTER).sort({ quantity: 1, name: 1 });
+        res.json(products);
+    } catch (err) {
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des produits en stock faible.' });
+    }
+});
+
+// POST: Envoyer maintenant l'alerte des produits en stock faible (vérifie la configuration du notificateur)
+app.post(`${API_BASE_URL}/products/low-stock/notify`, authorize('admin'), async (req, res) => {
+    try {
+        const products = await Product.find(LOW_STOCK_FILTER).sort({ quantity: 1, name: 1 });
+        if (products.length > 0) {
+            await sendLowStockAlert(products, 'manual');
+        }
+        res.json({ notifier: LOW_STOCK_NOTIFIER, count: products.length });
+    } catch (err) {
+        res.status(502).json({ message: "Échec de l'envoi de l'alerte de stock faible: " + err.message });
+    }
+});
+
+// GET: Suggestions de réapprovisionnement
+// Paramètres : days (fenêtre de calcul des ventes, 30 par défaut), coverDays (jours à couvrir après livraison, 14 par défaut)
+app.get(`${API_BASE_URL}/products/reorder-suggestions`, authorize('admin', 'viewer'), async (req, res) => {
+    try {
+        const windowDays = parseIntegerParam(req.query.days, 'days', 1, 365, 30);
+        const coverDays = parseIntegerParam(req.query.coverDays, 'coverDays', 0, 365, 14);
+        const suggestions = await buildReorderSuggestions(windowDays, coverDays);
+        res.json({ days: windowDays, coverDays: coverDays, defaultLeadTimeDays: DEFAULT_LEAD_TIME_DAYS, data: suggestions });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Erreur serveur lors du calcul des suggestions de réapprovisionnement.' });
+    }
+});
+
+// GET: Retrouver un produit par son code-barres ou son SKU (saisie à la douchette)
+app.get(`${API_BASE_URL}/products/lookup/:code`, authorize('admin', 'cashier', 'viewer'), async (req, res) => {
+    const code = req.params.code.trim();
+    try {
+        const product = await Product.findOne({ $or: [{ barcode: code }, { sku: code }] });
+        if (!product) {
+            return res.status(404).json({ message: `Aucun produit ne correspond au code "${code}".` });
+        }
+        res.json(product);
+    } catch (err) {
+        res.status(500).json({ message: 'Erreur serveur lors de la recherche du produit.' });
+    }
+});
+
+// POST: Attribuer un code-barres interne aux produits qui n'en ont pas (tous, ou ceux de `productIds`)
+app.post(`${API_BASE_URL}/products/barcodes/generate`, authorize('admin'), async (req, res) => {
+    const { productIds } = req.body;
+    if (productIds !== undefined && (!Array.isArray(productIds) || !productIds.every(id => mongoose.isValidObjectId(id)))) {
+        return res.status(400).json({ message: "productIds doit être une liste d'identifiants de produits." });
+    }
+
+    try {
+        const filter = { barcode: { $exists: false }, ...(productIds && { _id: { $in: productIds } }) };
+        const products = await Product.find(filter).sort({ name: 1 });
+        const updated = [];
+        for (const product of products) {
+            // Condition sur l'absence de code : un code saisi entre-temps n'est jamais écrasé
+            const result = await Product.findOneAndUpdate(
+                { _id: product._id, barcode: { $exists: false } },
+                { $set: { barcode: await generateInternalBarcode() } },
+                { new: true }
+            );
+            if (result) updated.push(result);
+        }
+        res.json({ count: updated.length, data: updated });
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({ message: "Un code interne généré est déjà utilisé (saisi à la main ?) : relancez la génération." });
+        }
+        res.status(500).json({ message: 'Erreur serveur lors de la génération des codes-barres.' });
+    }
+});
+
+// POST: Créer un produit (le stock initial, rangé à `locationId` ou à l'emplacement par défaut, est inscrit au journal comme ajustement)
+app.post(`${API_BASE_URL}/products`, authorize('admin'), async (req, res) => {
+    const { locationId, ...data } = req.body;
+    try {
+        const location = await resolveLocation(locationId);
+        const savedProduct = await createProduct(data, req.user, location);
+        res.status(201).json(savedProduct);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        if (err.code === 11000) {
+            return res.status(409).json({ message: duplicateProductMessage(err) });
+        }
+        res.status(400).json({ message: "Données de produit invalides: " + err.message });
+    }
+});
+
+// PUT: Mettre à jour un produit
+// `quantity` est le stock à l'emplacement `locationId` (par défaut si omis) : le changer est un ajustement
+// manuel, qui exige un motif et est inscrit au journal
+app.put(`${API_BASE_URL}/products/:id`, authorize('admin'), async (req, res) => {
+    const { quantity, reason, locationId, averageCost, ...fields } = req.body;
+
+    if (quantity !== undefined && (!Number.isInteger(quantity) || quantity < 0)) {
+        return res.status(400).json({ message: "La quantité doit être un entier positif ou nul." });
+    }
+
+    try {
+        const location = await resolveLocation(locationId);
+        const updatedProduct = await updateProduct(req.params.id, fields, quantity, reason, req.user, location);
+        res.json(updatedProduct);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        if (err.code === 11000) {
+             return res.status(409).json({ message: duplicateProductMessage(err) });
+        }
+        res.status(400).json({ message: "Erreur de mise à jour: " + err.message });
+    }
+});
+
+// GET: Historique des mouvements de stock d'un produit (paginé, du plus récent au plus ancien)
+app.get(`${API_BASE_URL}/products/:id/movements`, authorize('admin', 'viewer'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "Produit non trouvé." });
+    }
+
+    try {
+        const result = await findPaginated(StockMovement, { productId: req.params.id }, { movementDate: -1, _id: -1 }, req.query);
+        res.json(result);
+    } catch (err) {
+        res.status(500).json({ message: "Erreur serveur lors de la récupération de l'historique." });
+    }
+});
+
+// DELETE: Supprimer un produit, seulement sans stock : il est d'abord ramené à zéro par un ajustement motivé,
+// inscrit au journal. Un produit compté dans un inventaire en cours est gardé jusqu'à sa validation ou son abandon
+app.delete(`${API_BASE_URL}/products/:id`, authorize('admin'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "Produit non trouvé." });
+    }
+
+    try {
+        await runInTransaction(async (session) => {
+            const product = await Product.findById(req.params.id).session(session);
+            if (!product) {
+                throw httpError(404, "Produit non trouvé.");
+            }
+            if (product.quantity > 0) {
+                throw httpError(409, `Ce produit a encore ${product.quantity} unité(s) en stock : ramenez-le à zéro par un ajustement motivé avant de le supprimer.`);
+            }
+            const count = await StockCount.findOne({ status: 'open', 'items.productId': product._id }, { locationName: 1 }).session(session);
+            if (count) {
+                throw httpError(409, `Ce produit figure dans l'inventaire en cours à ${count.locationName} : validez-le ou abandonnez-le d'abord.`);
+            }
+
+            // Suppression conditionnelle : un achat enregistré entre-temps garde le produit
+            const deleted = await Product.findOneAndDelete({ _id: product._id, quantity: 0 }, { session });
+            if (!deleted) {
+                throw httpError(409, "Le stock de ce produit vient de changer : vérifiez-le avant de le supprimer.");
+            }
+            try {
+                await StockLot.deleteMany({ productId: product._id }, { session });
+            } catch (err) {
+                // Sans transaction, le produit est remis tel qu'il était
+                if (!session) await Product.collection.insertOne(deleted.toObject());
+                throw err;
+            }
+            trackProductChange(product._id, session);
+        });
+        res.status(204).send(); 
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Erreur serveur lors de la suppression.' });
+    }
+});
+
+// --- B. Ventes (/api/sales) ---
+
+// GET: Récupérer les ventes (Rapport, un document par ticket avec ses lignes)
+// Filtres : from, to (dates ISO), productId ; pagination : page, limit
+app.get(`${API_BASE_URL}/sales`, authorize('admin', 'viewer'), async (req, res) => {
+    try {
+        const filter = buildReportFilter(req.query, 'saleDate', 'items.productId', 'items.parentId');
+        const result = await findPaginated(Sale, filter, { saleDate: -1 }, req.query);
+        res.json(result);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des ventes.' });
+    }
+});
+
+// GET: Synthèse des ventes (revenu, quantité, nombre de ventes, coût et marge) par période et par produit
+// Paramètres : from, to, productId, parentId, rollup (parent : variantes cumulées), groupBy (day|week|month),
+// tz (fuseau IANA du regroupement)
+app.get(`${API_BASE_URL}/sales/summary`, authorize('admin', 'viewer'), async (req, res) => {
+    try {
+        const filter = buildReportFilter(req.query, 'saleDate', 'items.productId', 'items.parentId');
+        const groupBy = parseGroupBy(req.query.groupBy);
+        const timezone = parseTimezoneParam(req.query.tz);
+        const product = summaryProductFields(req.query, 'items.');
+
+        // Les ventes annulées sortent des totaux ; les retours (lignes négatives) s'y soustraient
+        const pipeline = [{ $match: { ...filter, status: { $ne: 'voided' } } }];
+        // Ne garder que les lignes du produit (ou des variantes du parent) demandé dans chaque ticket
+        const lineConditions = ['productId', 'parentId']
+            .filter(field => filter[`items.${field}`])
+            .map(field => ({ $eq: [`$$this.${field}`, filter[`items.${field}`]] }));
+        if (lineConditions.length > 0) {
+            pipeline.push({ $set: { items: { $filter: { input: '$items', cond: { $and: lineConditions } } } } });
+        }
+        // lineIndex permet de compter chaque ticket une seule fois (les retours ne sont pas des ventes)
+        pipeline.push({ $unwind: { path: '$items', includeArrayIndex: 'lineIndex' } });
+        pipeline.push(buildSummaryFacet({
+            date: '$saleDate',
+            amount: '$items.totalPrice',
+            quantity: '$items.quantitySold',
+            ...product,
+            count: { $cond: [{ $and: [{ $eq: ['$lineIndex', 0] }, { $ne: ['$type', 'return'] }] }, 1, 0] },
+            cost: { $multiply: [{ $ifNull: ['$items.unitCost', 0] }, '$items.quantitySold'] }
+        }, groupBy, timezone));
+
+        const emptyTotals = { amount: 0, quantity: 0, count: 0, cost: 0 };
+        res.json(formatSummary(await Sale.aggregate(pipeline), groupBy, emptyTotals));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Erreur serveur lors du calcul de la synthèse des ventes.' });
+    }
+});
+
+// GET: Récapitulatif de TVA collectée (déclarations) : HT, TVA et TTC par période et par taux
+// Les retours viennent en déduction, les ventes annulées sont exclues.
+// Paramètres : from, to, groupBy (day|week|month, mois par défaut), tz (fuseau IANA du regroupement)
+app.get(`${API_BASE_URL}/sales/vat-summary`, authorize('admin', 'viewer'), async (req, res) => {
+    try {
+        const filter = buildReportFilter({ from: req.query.from, to: req.query.to }, 'saleDate');
+        const groupBy = parseGroupBy(req.query.groupBy || 'month');
+        const timezone = parseTimezoneParam(req.query.tz);
+        const measures = {
+            net: { $sum: { $ifNull: ['$items.netAmount', '$items.totalPrice'] } },
+            tax: { $sum: { $ifNull: ['$items.taxAmount', 0] } },
+            gross: { $sum: '$items.totalPrice' }
+        };
+
+        const [facet] = await Sale.aggregate([
+            { $match: { ...filter, status: { $ne: 'voided' } } },
+            { $unwind: '$items' },
+            { $set: { vatRate: { $ifNull: ['$items.vatRate', 0] } } },
+            { $facet: {
+                totals: [{ $group: { _id: null, ...measures } }, { $project: { _id: 0 } }],
+                byRate: [
+                    { $group: { _id: '$vatRate', ...measures } },
+                    { $sort: { _id: 1 } },
+                    { $project: { _id: 0, vatRate: '$_id', net: 1, tax: 1, gross: 1 } }
+                ],
+                byPeriod: [
+                    { $group: {
+                        _id: { period: { $dateToString: { format: PERIOD_FORMATS[groupBy], date: '$saleDate', timezone } }, vatRate: '$vatRate' },
+                        ...measures
+                    } },
+                    { $sort: { '_id.period': 1, '_id.vatRate': 1 } },
+                    { $project: { _id: 0, period: '$_id.period', vatRate: '$_id.vatRate', net: 1, tax: 1, gross: 1 } }
+                ]
+            } }
+        ]);
+
+        res.json({
+            groupBy,
+            totals: facet.totals[0] || { net: 0, tax: 0, gross: 0 },
+            byRate: facet.byRate,
+            byPeriod: facet.byPeriod
+        });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Erreur serveur lors du calcul du récapitulatif de TVA.' });
+    }
+});
+
+// POST: Enregistrer une nouvelle vente (ticket multi-lignes, décrémente le stock)
+// Règlement : payments [{ method, amount }] (fractionné, rendu de monnaie sur les espèces) ou paymentMethod + amountPaid ;
+// cashSessionId rattache la vente à la session de caisse ouverte du terminal
+app.post(`${API_BASE_URL}/sales`, authorize('admin', 'cashier'), async (req, res) => {
+    // Compatibilité : une vente mono-produit { productId, quantitySold, unitPrice } est un ticket d'une ligne
+    const items = Array.isArray(req.body.items) ? req.body.items : [req.body];
+
+    if (items.length === 0 || items.some(item => !isPlainObject(item) || !isPositiveInteger(item.quantitySold) || !isPositivePrice(item.unitPrice))) {
+        return res.status(400).json({ message: "Données de vente invalides: chaque ligne doit avoir une quantité entière et un prix unitaire positifs (en unités mineures, ex: centimes)." });
+    }
+
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (idempotencyKey !== undefined && (idempotencyKey === '' || idempotencyKey.length > 100)) {
+        return res.status(400).json({ message: "Clé d'idempotence invalide." });
+    }
+    const totalPrice = items.reduce((sum, item) => sum + item.unitPrice * item.quantitySold, 0);
+    let payment;
+    try {
+        payment = parseSalePayments(req.body, totalPrice);
+    } catch (err) {
+        return res.status(err.status).json({ message: err.message });
+    }
+    // Vente à crédit : réglé inférieur au total (0 si rien n'est réglé), réservé aux ventes rattachées à un client
+    if (payment.amountPaid < totalPrice && !req.body.customerId) {
+        return res.status(400).json({ message: "Une vente à crédit doit être rattachée à un client." });
+    }
+    // Une vente saisie hors ligne garde sa date de saisie (jamais dans le futur)
+    const offlineCreatedAt = idempotencyKey && req.body.offlineCreatedAt ? new Date(req.body.offlineCreatedAt) : null;
+    if (offlineCreatedAt && isNaN(offlineCreatedAt.getTime())) {
+        return res.status(400).json({ message: "Date de saisie hors ligne invalide." });
+    }
+
+    const changes = items.map(item => ({ productId: item.productId, delta: -item.quantitySold }));
+    const saleId = new mongoose.Types.ObjectId();
+    // Réponse à une clé déjà reçue : la vente d'origine, ou un refus si la clé accompagne un autre ticket
+    const replySaleReplay = (existing) => (matchesSaleRequest(existing, items)
+        ? res.status(200).json(existing)
+        : res.status(409).json({ message: "Cette clé d'idempotence a déjà servi pour une autre vente." }));
+    let crossedThreshold = [];
+
+    try {
+        // Vente déjà reçue avec cette clé (réponse perdue, file rejouée) : on renvoie l'originale sans toucher au stock
+        if (idempotencyKey) {
+            const existing = await Sale.findOne({ idempotencyKey });
+            if (existing) {
+                return replySaleReplay(existing);
+            }
+        }
+
+        // Le stock sort de l'emplacement de vente (l'emplacement par défaut si non précisé)
+        const location = await resolveLocation(req.body.locationId);
+        const customer = await findCustomer(req.body.customerId);
+        const saleDate = offlineCreatedAt ? new Date(Math.min(offlineCreatedAt.getTime(), Date.now())) : new Date();
+        const newSale = await runInTransaction(async (session) => {
+            // Contrôles dans la transaction : une clôture (Z) ou une fermeture de caisse concurrente est vue ou attend
+            await assertDayOpen(location._id, saleDate, session);
+            // Vente hors ligne synchronisée après la fermeture de sa caisse : enregistrée hors session
+            const cashSession = await resolveCashSession(req.body.cashSessionId, location, Boolean(offlineCreatedAt), session);
+
+            // 1. Décrément conditionnel de toutes les lignes : tout ou rien
+            const products = await applyStockChanges(changes, session, { type: 'sale', operationId: saleId, user: req.user, location });
+            // Produits que cette vente fait passer au niveau ou sous le seuil minimum
+            crossedThreshold = products.filter((product, index) =>
+                product.quantity <= product.minStockLevel && product.quantity + items[index].quantitySold > product.minStockLevel);
+
+            // 2. Création du ticket de Vente : prix TTC, décomposés en HT et TVA au taux du produit
+            const vatRates = await getVatRates(products, session);
+            const lines = items.map((item, index) => ({
+                productId: products[index]._id,
+                productName: products[index].name,
+                ...variantFields(products[index]),
+                unitPrice: item.unitPrice,
+                quantitySold: item.quantitySold,
+                totalPrice: item.unitPrice * item.quantitySold,
+                vatRate: vatRates[index],
+                ...splitVat(item.unitPrice * item.quantitySold, vatRates[index]),
+                // Coût réel des lots prélevés (FEFO), à défaut le coût moyen
+                unitCost: getConsumedUnitCost(products[index], item.quantitySold, changes[index].appliedLots),
+                lots: toSaleItemLots(changes[index].appliedLots)
+            }));
+            let sale;
+            try {
+                sale = await new Sale({
+                    _id: saleId,
+                    items: lines,
+                    totalPrice: totalPrice,
+                    locationId: location._id,
+                    locationName: location.name,
+                    paymentMethod: payment.paymentMethod,
+                    ...(customer && { customerId: customer._id, customerName: customer.name }),
+                    amountPaid: payment.amountPaid,
+                    paymentStatus: getPaymentStatus(payment.amountPaid, totalPrice),
+                    payments: payment.payments.map(entry => ({
+                        ...entry,
+                        paidAt: saleDate,
+                        ...(cashSession && { cashSessionId: cashSession._id }),
+                        createdByName: req.user.username
+                    })),
+                    ...(cashSession && { cashSessionId: cashSession._id }),
+                    amountTendered: payment.amountTendered,
+                    changeGiven: payment.changeGiven,
+                    createdBy: req.user._id,
+                    createdByName: req.user.username,
+                    idempotencyKey,
+                    saleDate,
+                    ...(offlineCreatedAt && { syncedAt: new Date() })
+                }).save({ session });
+            } catch (err) {
+                // Sans transaction, on rend le stock pour ne pas laisser d'écart
+                if (!session) {
+                    await revertStockChanges(changes, saleId, location._id);
+                }
+                throw err;
+            }
+            // 3. Numéro de facture, pris seulement une fois la vente enregistrée
+            return assignInvoiceNumber(sale, session);
+        });
+
+        res.status(201).json(newSale); 
+        notifySaleChanged(newSale);
+
+        // L'alerte part après la réponse : un notificateur lent ou en panne ne bloque pas la caisse
+        if (crossedThreshold.length > 0) {
+            sendLowStockAlert(crossedThreshold, 'sale')
+                .catch(err => console.error("❌ Échec de l'alerte de stock faible :", err.message));
+        }
+    } catch (err) {
+        // Deux envois simultanés de la même clé : le second a été annulé (clé en double, ou stock déjà pris par
+        // le premier), on renvoie la vente du premier
+        if (idempotencyKey && (err.code === 11000 || err.status === 409)) {
+            const existing = await Sale.findOne({ idempotencyKey }).catch(() => null);
+            if (existing) {
+                return replySaleReplay(existing);
+            }
+        }
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        if (err.name === 'CastError') {
+            return res.status(404).json({ message: "Produit non trouvé dans l'inventaire." });
+        }
+        res.status(500).json({ message: "Erreur lors de l'enregistrement de la vente: " + err.message });
+    }
+});
+
+// POST: Annuler une vente (motif obligatoire) : le stock est restitué, la vente reste visible mais marquée
+app.post(`${API_BASE_URL}/sales/:id/void`, authorize('admin'), async (req, res) => {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+        return res.status(400).json({ message: "Un motif est obligatoire pour annuler une vente." });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "Vente non trouvée." });
+    }
+
+    try {
+        const voidedSale = await runInTransaction(async (session) => {
+            // Une vente d'une journée clôturée (Z) ne s'annule plus, ni aucune vente une fois la journée en cours clôturée
+            const recorded = await Sale.findById(req.params.id, { saleDate: 1, locationId: 1 }).session(session);
+            if (recorded && recorded.locationId) {
+                await assertDayOpen(recorded.locationId, recorded.saleDate, session);
+                await assertDayOpen(recorded.locationId, new Date(), session);
+            }
+
+            // Passage conditionnel à 'voided' : une vente ne s'annule qu'une fois, et jamais après un retour
+            const sale = await Sale.findOneAndUpdate(
+                { _id: req.params.id, type: { $ne: 'return' }, status: { $ne: 'voided' }, 'items.quantityReturned': { $not: { $gt: 0 } } },
+                { $set: { status: 'voided', voidReason: reason, voidedAt: new Date(), voidedByName: req.user.username } },
+                { new: true, session }
+            );
+            if (!sale) {
+                const current = await Sale.findById(req.params.id).session(session);
+                if (!current) throw httpError(404, "Vente non trouvée.");
+                if (current.type === 'return') throw httpError(409, "Un ticket de retour ne peut pas être annulé.");
+                if (current.status === 'voided') throw httpError(409, "Cette vente est déjà annulée.");
+                throw httpError(409, "Cette vente a déjà fait l'objet d'un retour : enregistrez un retour pour le reste.");
+            }
+
+            // Le stock retourne à l'emplacement d'où il est sorti, dans les lots d'où il venait
+            const changes = sale.items.map(item => ({
+                productId: item.productId,
+                delta: item.quantitySold,
+                lots: item.lots.map(lot => ({ lotId: lot.lotId, quantity: lot.quantity }))
+            }));
+            try {
+                const location = await findRecordedLocation(sale.locationId);
+                await applyStockChanges(changes, session, { type: 'void', reason, operationId: sale._id, user: req.user, location });
+            } catch (err) {
+                if (!session) {
+                    await Sale.updateOne({ _id: sale._id }, { $set: { status: 'completed' }, $unset: { voidReason: '', voidedAt: '', voidedByName: '' } });
+                }
+                throw err;
+            }
+            return sale;
+        });
+        res.json(voidedSale);
+        notifySaleChanged(voidedSale);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: "Erreur lors de l'annulation de la vente: " + err.message });
+    }
+});
+
+// POST: Enregistrer un retour client partiel { items: [{ lineIndex, quantity }], reason, refundMethod?, cashSessionId? }
+// Le stock des quantités rendues est restitué et un ticket de retour (lignes négatives) est créé
+app.post(`${API_BASE_URL}/sales/:id/returns`, authorize('admin'), async (req, res) => {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    const items = Array.isArray(req.body.items) ? req.body.items : [];
+
+    if (!reason) {
+        return res.status(400).json({ message: "Un motif est obligatoire pour enregistrer un retour." });
+    }
+    if (items.length === 0 || items.some(item => !isPlainObject(item) || !Number.isInteger(item.lineIndex) || item.lineIndex < 0 || !isPositiveInteger(item.quantity))) {
+        return res.status(400).json({ message: "Données de retour invalides: chaque ligne doit indiquer lineIndex et une quantité entière positive." });
+    }
+    if (new Set(items.map(item => item.lineIndex)).size !== items.length) {
+        return res.status(400).json({ message: "Une même ligne de vente ne peut apparaître qu'une fois dans un retour." });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "Vente non trouvée." });
+    }
+
+    const returnId = new mongoose.Types.ObjectId();
+    const refundMethod = req.body.refundMethod;
+    if (refundMethod !== undefined && !PAYMENT_METHODS.includes(refundMethod)) {
+        return res.status(400).json({ message: `Moyen de remboursement invalide (attendu: ${PAYMENT_METHODS.join(', ')}).` });
+    }
+
+    try {
+        const saleReturn = await runInTransaction(async (session) => {
+            // Le retour est une opération du jour, à l'emplacement de la vente
+            const recorded = await Sale.findById(req.params.id, { locationId: 1 }).session(session);
+            let cashSession = null;
+            if (recorded && recorded.locationId) {
+                const saleLocation = await findRecordedLocation(recorded.locationId);
+                await assertDayOpen(saleLocation._id, new Date(), session);
+                cashSession = await resolveCashSession(req.body.cashSessionId, saleLocation, false, session);
+            }
+
+            // 1. Incrément conditionnel des quantités rendues : jamais plus que la quantité vendue
+            const conditions = items.map(item => ({ $lte: [
+                { $add: [{ $ifNull: [{ $arrayElemAt: ['$items.quantityReturned', item.lineIndex] }, 0] }, item.quantity] },
+                { $ifNull: [{ $arrayElemAt: ['$items.quantitySold', item.lineIndex] }, 0] }
+            ] }));
+            const increments = Object.fromEntries(items.map(item => [`items.${item.lineIndex}.quantityReturned`, item.quantity]));
+
+            const sale = await Sale.findOneAndUpdate(
+                { _id: req.params.id, type: { $ne: 'return' }, status: { $ne: 'voided' }, $expr: { $and: conditions } },
+                { $inc: increments },
+                { new: true, session }
+            );
+            if (!sale) {
+                const current = await Sale.findById(req.params.id).session(session);
+                if (!current) throw httpError(404, "Vente non trouvée.");
+                if (current.type === 'return') throw httpError(409, "Un ticket de retour ne peut pas faire l'objet d'un retour.");
+                if (current.status === 'voided') throw httpError(409, "Cette vente est annulée.");
+                throw httpError(409, "Quantité à retourner supérieure à la quantité vendue restante.");
+            }
+
+            // 2. Restitution du stock à l'emplacement de la vente, dans les lots d'où il venait
+            const returnedLots = items.map(item => {
+                const line = sale.items[item.lineIndex];
+                return splitReturnedLots(line.lots, line.quantityReturned - item.quantity, item.quantity);
+            });
+            const changes = items.map((item, index) => ({
+                productId: sale.items[item.lineIndex].productId,
+                delta: item.quantity,
+                lots: returnedLots[index].map(lot => ({ lotId: lot.lotId, quantity: lot.quantity }))
+            }));
+            const location = await findRecordedLocation(sale.locationId);
+            const undoReturnedQuantities = () => Sale.updateOne(
+                { _id: sale._id },
+                { $inc: Object.fromEntries(Object.entries(increments).map(([path, quantity]) => [path, -quantity])) }
+            );
+            try {
+                await applyStockChanges(changes, session, { type: 'return', reason, operationId: returnId, user: req.user, location });
+            } catch (err) {
+                if (!session) await undoReturnedQuantities();
+                throw err;
+            }
+
+            // 3. Ticket de retour : mêmes prix, taux de TVA et coûts que la vente, quantités négatives
+            const lines = items.map((item, index) => {
+                const line = sale.items[item.lineIndex];
+                return {
+                    productId: line.productId,
+                    productName: line.productName,
+                    parentId: line.parentId,
+                    parentName: line.parentName,
+                    unitPrice: line.unitPrice,
+                    quantitySold: -item.quantity,
+                    totalPrice: -line.unitPrice * item.quantity,
+                    vatRate: line.vatRate,
+                    ...splitVat(-line.unitPrice * item.quantity, line.vatRate || 0),
+                    unitCost: line.unitCost,
+                    lots: returnedLots[index]
+                };
+            });
+            const returnTotal = lines.reduce((sum, line) => sum + line.totalPrice, 0);
+
+            // 4. Vente à crédit : le retour est d'abord imputé sur son reste dû, seul le surplus est remboursé
+            const credit = Math.min(-returnTotal, getAmountDue(sale));
+            const refund = -returnTotal - credit;
+            // Remboursé par le moyen choisi, à défaut celui de la vente (en espèces si elle était fractionnée)
+            const method = refundMethod || (sale.paymentMethod === 'split' ? 'cash' : sale.paymentMethod);
+            let creditNote = null;
+            let returnTicket;
+            try {
+                if (credit > 0) {
+                    const credited = await addSalePayment(sale._id, { amount: credit, method: 'credit_note', returnId }, req.user, session);
+                    if (!credited) throw httpError(409, "La vente a reçu un règlement entre-temps : recommencez le retour.");
+                    creditNote = lastPayment(credited);
+                }
+                returnTicket = await new Sale({
+                    _id: returnId,
+                    type: 'return',
+                    originalSaleId: sale._id,
+                    reason: reason,
+                    items: lines,
+                    totalPrice: returnTotal,
+                    locationId: location._id,
+                    locationName: location.name,
+                    paymentMethod: method,
+                    ...(sale.customerId && { customerId: sale.customerId, customerName: sale.customerName }),
+                    amountPaid: -refund,
+                    paymentStatus: 'paid',
+                    payments: refund > 0 ? [{
+                        amount: -refund,
+                        method,
+                        ...(cashSession && { cashSessionId: cashSession._id }),
+                        createdByName: req.user.username
+                    }] : [],
+                    ...(cashSession && { cashSessionId: cashSession._id }),
+                    createdBy: req.user._id,
+                    createdByName: req.user.username
+                }).save({ session });
+            } catch (err) {
+                if (!session) {
+                    if (creditNote) await removeSalePayment(sale._id, creditNote);
+                    await revertStockChanges(changes, returnId, location._id);
+                    await undoReturnedQuantities();
+                }
+                throw err;
+            }
+            // 5. Numéro d'avoir
+            return assignInvoiceNumber(returnTicket, session);
+        });
+        res.status(201).json(saleReturn);
+        notifySaleChanged(saleReturn);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: "Erreur lors de l'enregistrement du retour: " + err.message });
+    }
+});
+
+// POST: Enregistrer un règlement sur une vente à crédit { amount, method, cashSessionId? } (jamais plus que le reste dû)
+app.post(`${API_BASE_URL}/sales/:id/payments`, authorize('admin', 'cashier'), async (req, res) => {
+    const { amount } = req.body;
+    const method = req.body.method || 'cash';
+    if (!isPositiveInteger(amount)) {
+        return res.status(400).json({ message: "Montant du règlement invalide: entier positif attendu (en unités mineures)." });
+    }
+    if (!PAYMENT_METHODS.includes(method)) {
+        return res.status(400).json({ message: `Moyen de paiement invalide (attendu: ${PAYMENT_METHODS.join(', ')}).` });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "Vente non trouvée." });
+    }
+
+    try {
+        const sale = await runInTransaction(async (session) => {
+            const cashSession = await resolvePaymentCashSession(req.body.cashSessionId, session);
+            const recorded = await Sale.findById(req.params.id, { locationId: 1 }).session(session);
+            if (recorded) await assertPaymentDayOpen(cashSession, [recorded], session);
+            const paid = await addSalePayment(req.params.id, { amount, method, ...(cashSession && { cashSessionId: cashSession._id }) }, req.user, session);
+            if (!paid) {
+                throw await explainRefusedPayment(req.params.id, amount, session);
+            }
+            return paid;
+        });
+        res.status(201).json(sale);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: "Erreur lors de l'enregistrement du règlement: " + err.message });
+    }
+});
+
+// GET: Ticket de caisse ou facture PDF d'une vente (avoir pour un retour)
+// Paramètres : format (receipt = ticket 80 mm, a4), tz (fuseau IANA des dates imprimées)
+app.get(`${API_BASE_URL}/sales/:id/invoice.pdf`, authorize('admin', 'cashier', 'viewer'), async (req, res) => {
+    const format = req.query.format || 'receipt';
+    if (!INVOICE_FORMATS[format]) {
+        return res.status(400).json({ message: "Format invalide (attendu: receipt ou a4)." });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "Vente non trouvée." });
+    }
+
+    try {
+        const timezone = parseTimezoneParam(req.query.tz);
+        const found = await Sale.findById(req.params.id);
+        if (!found) {
+            return res.status(404).json({ message: "Vente non trouvée." });
+        }
+        // Ticket resté sans numéro (échec après l'enregistrement) : numéroté à sa première impression
+        const sale = found.invoiceNumber ? found : await runInTransaction(session => assignInvoiceNumber(found, session));
+        const originalSale = sale.originalSaleId ? await Sale.findById(sale.originalSaleId) : null;
+        const settings = await getSettings();
+
+        res.type('application/pdf');
+        res.set('Content-Disposition', `inline; filename="${formatInvoiceNumber(sale)}-${format}.pdf"`);
+        res.send(buildInvoicePdf(sale, originalSale, settings, format, timezone));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: "Erreur lors de la génération du document: " + err.message });
+    }
+});
+
+// --- C. Achats (/api/purchases) ---
+
+// GET: Récupérer les achats (Rapport)
+// Filtres : from, to (dates ISO), productId ; pagination : page, limit
+app.get(`${API_BASE_URL}/purchases`, authorize('admin', 'viewer'), async (req, res) => {
+    try {
+        const filter = buildReportFilter(req.query, 'purchaseDate', 'productId', 'parentId');
+        const result = await findPaginated(Purchase, filter, { purchaseDate: -1 }, req.query);
+        res.json(result);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des achats.' });
+    }
+});
+
+// GET: Synthèse des achats (dépense, quantité, nombre d'achats) par période et par produit
+// Mêmes paramètres que la synthèse des ventes, dont parentId et rollup=parent
+app.get(`${API_BASE_URL}/purchases/summary`, authorize('admin', 'viewer'), async (req, res) => {
+    try {
+        const filter = buildReportFilter(req.query, 'purchaseDate', 'productId', 'parentId');
+        const groupBy = parseGroupBy(req.query.groupBy);
+        const timezone = parseTimezoneParam(req.query.tz);
+
+        const pipeline = [
+            { $match: filter },
+            buildSummaryFacet({
+                date: '$purchaseDate',
+                amount: '$totalPrice',
+                quantity: '$quantityPurchased',
+                ...summaryProductFields(req.query),
+                count: 1
+            }, groupBy, timezone)
+        ];
+
+        res.json(formatSummary(await Purchase.aggregate(pipeline), groupBy));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Erreur serveur lors du calcul de la synthèse des achats.' });
+    }
+});
+
+// POST: Enregistrer un nouvel achat (incrémente le stock de l'emplacement `locationId`, par défaut si omis)
+// { productId, quantityPurchased, unitPrice, locationId?, lotNumber?, expiryDate? } : l'entrée forme un lot
+app.post(`${API_BASE_URL}/purchases`, authorize('admin'), async (req, res) => {
+    const { productId, quantityPurchased, unitPrice, locationId } = req.body;
+
+    if (!isPositiveInteger(quantityPurchased) || !isPositivePrice(unitPrice)) {
+        return res.status(400).json({ message: "Données d'achat invalides: quantité entière et prix unitaire positifs (en unités mineures) requis." });
+    }
+
+    try {
+        const purchaseId = new mongoose.Types.ObjectId();
+        // L'entrée crée un lot : numéro du fournisseur (ou attribué) et date de péremption facultative
+        const changes = [{ productId, delta: quantityPurchased, unitCost: unitPrice, lot: { ...parseLotFields(req.body), purchaseId } }];
+        const location = await resolveLocation(locationId);
+        const newPurchase = await runInTransaction(async (session) => {
+            // 1. Incrément atomique du stock et du coût moyen pondéré
+            const [product] = await applyStockChanges(changes, session, { type: 'purchase', operationId: purchaseId, user: req.user, location });
+
+            // 2. Création de l'objet Achat
+            try {
+                return await new Purchase({
+                    _id: purchaseId,
+                    productId: product._id,
+                    productName: product.name,
+                    ...variantFields(product),
+                    unitPrice: unitPrice,
+                    quantityPurchased: quantityPurchased,
+                    totalPrice: unitPrice * quantityPurchased,
+                    locationId: location._id,
+                    locationName: location.name,
+                    ...purchaseLotFields(changes[0].appliedLots),
+                    createdBy: req.user._id,
+                    createdByName: req.user.username
+                }).save({ session });
+            } catch (err) {
+                // Sans transaction, on retire le stock ajouté pour ne pas laisser d'écart
+                if (!session) {
+                    await revertStockChanges(changes, purchaseId, location._id);
+                }
+                throw err;
+            }
+        });
+
+        res.status(201).json(newPurchase); 
+        notifyPurchaseChanged(newPurchase);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        if (err.name === 'CastError') {
+            return res.status(404).json({ message: "Produit non trouvé dans l'inventaire." });
+        }
+        res.status(500).json({ message: "Erreur lors de l'enregistrement de l'achat: " + err.message });
+    }
+});
+
+
+// --- D. Utilisateurs (/api/users, administrateurs uniquement) ---
+
+// GET: Récupérer tous les utilisateurs
+app.get(`${API_BASE_URL}/users`, authorize('admin'), async (req, res) => {
+    try {
+        const users = await User.find().sort({ username: 1 });
+        res.json(users);
+    } catch (err) {
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des utilisateurs.' });
+    }
+});
+
+// POST: Créer un utilisateur
+app.post(`${API_BASE_URL}/users`, authorize('admin'), async (req, res) => {
+    const { username, password, role } = req.body;
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ message: `Le mot de passe doit contenir au moins ${MIN_PASSWORD_LENGTH} caractères.` });
+    }
+
+    try {
+        const user = await User.create({ username, role, passwordHash: await hashPassword(password) });
+        res.status(201).json(user);
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({ message: "Ce nom d'utilisateur est déjà utilisé." });
+        }
+        res.status(400).json({ message: "Données d'utilisateur invalides: " + err.message });
+    }
+});
+
+// PUT: Modifier le rôle, l'état ou le mot de passe d'un utilisateur
+app.put(`${API_BASE_URL}/users/:id`, authorize('admin'), async (req, res) => {
+    const { role, active, password } = req.body;
+    const isSelf = req.params.id === String(req.user._id);
+
+    // Un texte comme "false" serait lu comme vrai et réactiverait le compte : seul un booléen est accepté
+    if (active !== undefined && typeof active !== 'boolean') {
+        return res.status(400).json({ message: "L'état du compte (active) doit être true ou false." });
+    }
+    if (isSelf && ((role !== undefined && role !== 'admin') || active === false)) {
+        return res.status(400).json({ message: 'Vous ne pouvez pas retirer vos propres droits administrateur.' });
+    }
+    if (password !== undefined && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+        return res.status(400).json({ message: `Le mot de passe doit contenir au moins ${MIN_PASSWORD_LENGTH} caractères.` });
+    }
+
+    try {
+        const update = {};
+        if (role !== undefined) update.role = role;
+        if (active !== undefined) update.active = active;
+        if (password !== undefined) update.passwordHash = await hashPassword(password);
+
+        const user = await User.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true });
+        if (!user) {
+            return res.status(404).json({ message: "Utilisateur non trouvé." });
+        }
+        // Un compte désactivé ou un mot de passe changé ferme les sessions ouvertes
+        if (active === false || password !== undefined) {
+            await AuthSession.deleteMany({ userId: user._id });
+        }
+        res.json(user);
+    } catch (err) {
+        res.status(400).json({ message: "Erreur de mise à jour: " + err.message });
+    }
+});
+
+// DELETE: Supprimer un utilisateur (les ventes et achats gardent son nom)
+app.delete(`${API_BASE_URL}/users/:id`, authorize('admin'), async (req, res) => {
+    if (req.params.id === String(req.user._id)) {
+        return res.status(400).json({ message: 'Vous ne pouvez pas supprimer votre propre compte.' });
+    }
+
+    try {
+        const user = await User.findByIdAndDelete(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: "Utilisateur non trouvé." });
+        }
+        await AuthSession.deleteMany({ userId: user._id });
+        res.status(204).send();
+    } catch (err) {
+        res.status(500).json({ message: 'Erreur serveur lors de la suppression.' });
+    }
+});
+
+
+// --- E. Import / Export CSV (/api/export, /api/import) ---
+
+// GET: Exporter l'inventaire en CSV
+app.get(`${API_BASE_URL}/export/products`, authorize('admin', 'viewer'), async (req, res) => {
+    try {
+        const delimiter = parseDelimiter(req.query.delimiter);
+        const products = await Product.find().sort({ name: 1 }).lean();
+        const locationNames = new Map((await Location.find().lean()).map(l => [String(l._id), l.name]));
+        const categoryNames = new Map((await Category.find().lean()).map(c => [String(c._id), c.name]));
+        const csvAmount = csvAmountFormatter(await getCurrencyDigits());
+        sendCsv(res, 'produits.csv', toCsv([
+            { header: 'name', value: p => p.name },
+            { header: 'sku', value: p => p.sku },
+            { header: 'barcode', value: p => p.barcode },
+            { header: 'category', value: p => categoryNames.get(String(p.categoryId)) },
+            { header: 'quantity', value: p => p.quantity },
+            // Répartition informative (ex: "Magasin: 3 | Réserve: 12"), ignorée à l'import
+            { header: 'stockByLocation', value: p => (p.stocks || [])
+                .filter(stock => stock.quantity > 0)
+                .map(stock => `${locationNames.get(String(stock.locationId)) || '?'}: ${stock.quantity}`)
+                .join(' | ') },
+            { header: 'price', value: p => csvAmount(p.price) },
+            { header: 'vatRate', value: p => p.vatRate },
+            { header: 'minStockLevel', value: p => p.minStockLevel },
+            { header: 'averageCost', value: p => csvAmount(p.averageCost) },
+            { header: 'updatedAt', value: p => p.updatedAt }
+        ], products, delimiter));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: "Erreur serveur lors de l'export des produits." });
+    }
+});
+
+// GET: Exporter les ventes en CSV (une ligne par ligne de ticket ; mêmes filtres que le rapport)
+app.get(`${API_BASE_URL}/export/sales`, authorize('admin', 'viewer'), async (req, res) => {
+    try {
+        const delimiter = parseDelimiter(req.query.delimiter);
+        const filter = buildReportFilter(req.query, 'saleDate', 'items.productId', 'items.parentId');
+        const sales = await Sale.find(filter).sort({ saleDate: -1 }).lean();
+        const csvAmount = csvAmountFormatter(await getCurrencyDigits());
+
+        const lines = sales.flatMap(sale => sale.items
+            .filter(item => !filter['items.productId'] || item.productId.equals(filter['items.productId']))
+            .filter(item => !filter['items.parentId'] || (item.parentId && item.parentId.equals(filter['items.parentId'])))
+            .map(item => ({ sale, item })));
+
+        sendCsv(res, 'ventes.csv', toCsv([
+            { header: 'saleId', value: l => l.sale._id },
+            { header: 'saleDate', value: l => l.sale.saleDate },
+            { header: 'type', value: l => l.sale.type || 'sale' },
+            { header: 'status', value: l => l.sale.status || 'completed' },
+            { header: 'originalSaleId', value: l => l.sale.originalSaleId },
+            { header: 'productName', value: l => l.item.productName },
+            { header: 'parentName', value: l => l.item.parentName },
+            { header: 'quantitySold', value: l => l.item.quantitySold },
+            { header: 'unitPrice', value: l => csvAmount(l.item.unitPrice) },
+            { header: 'totalPrice', value: l => csvAmount(l.item.totalPrice) },
+            { header: 'vatRate', value: l => l.item.vatRate },
+            { header: 'netAmount', value: l => csvAmount(l.item.netAmount) },
+            { header: 'taxAmount', value: l => csvAmount(l.item.taxAmount) },
+            { header: 'unitCost', value: l => csvAmount(l.item.unitCost) },
+            { header: 'paymentMethod', value: l => l.sale.paymentMethod },
+            { header: 'paymentStatus', value: l => l.sale.paymentStatus || 'paid' },
+            { header: 'customerName', value: l => l.sale.customerName },
+            { header: 'createdBy', value: l => l.sale.createdByName }
+        ], lines, delimiter));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: "Erreur serveur lors de l'export des ventes." });
+    }
+});
+
+// GET: Exporter les achats en CSV (mêmes filtres que le rapport)
+app.get(`${API_BASE_URL}/export/purchases`, authorize('admin', 'viewer'), async (req, res) => {
+    try {
+        const delimiter = parseDelimiter(req.query.delimiter);
+        const filter = buildReportFilter(req.query, 'purchaseDate', 'productId', 'parentId');
+        const purchases = await Purchase.find(filter).sort({ purchaseDate: -1 }).lean();
+        const csvAmount = csvAmountFormatter(await getCurrencyDigits());
+
+        sendCsv(res, 'achats.csv', toCsv([
+            { header: 'purchaseId', value: p => p._id },
+            { header: 'purchaseDate', value: p => p.purchaseDate },
+            { header: 'productName', value: p => p.productName },
+            { header: 'parentName', value: p => p.parentName },
+            { header: 'supplierName', value: p => p.supplierName },
+            { header: 'purchaseOrderId', value: p => p.purchaseOrderId },
+            { header: 'lotNumber', value: p => p.lotNumber },
+            { header: 'expiryDate', value: p => p.expiryDate },
+            { header: 'quantityPurchased', value: p => p.quantityPurchased },
+            { header: 'unitPrice', value: p => csvAmount(p.unitPrice) },
+            { header: 'totalPrice', value: p => csvAmount(p.totalPrice) },
+            { header: 'createdBy', value: p => p.createdByName }
+        ], purchases, delimiter));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: "Erreur serveur lors de l'export des achats." });
+    }
+});
+
+// POST: Importer des produits depuis un CSV (corps text/csv ; colonnes name, quantity, price, minStockLevel)
+// Les écarts de stock sont rangés à l'emplacement ?locationId= (par défaut si omis)
+// ?dryRun=1 renvoie seulement l'aperçu : lignes à créer, à mettre à jour ou rejetées, avec leurs erreurs
+app.post(`${API_BASE_URL}/import/products`, authorize('admin'), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+    if (typeof req.body !== 'string') {
+        return res.status(400).json({ message: 'Le corps de la requête doit être un fichier CSV (Content-Type: text/csv).' });
+    }
+    const dryRun = req.query.dryRun === '1' || req.query.dryRun === 'true';
+
+    try {
+        const rows = await planProductImport(req.body, await getCurrencyDigits());
+        const location = await resolveLocation(req.query.locationId);
+
+        if (!dryRun) {
+            // Chaque ligne est appliquée séparément : une ligne en échec n'empêche pas les autres
+            for (const row of rows.filter(r => r.action !== 'reject')) {
+                try {
+                    if (row.action === 'create') {
+                        await createProduct(row.data, req.user, location);
+                    } else {
+                        // La quantité du fichier est le stock total : l'écart est ajusté à l'emplacement d'import
+                        const { quantity, ...fields } = row.data;
+                        const product = await Product.findById(row.productId);
+                        const locationQuantity = getLocationQuantity(product, location._id) + quantity - product.quantity;
+                        if (locationQuantity < 0) {
+                            throw httpError(409, `Le stock hors de l'emplacement "${location.name}" dépasse la quantité indiquée.`);
+                        }
+                        await updateProduct(row.productId, fields, locationQuantity, 'Import CSV', req.user, location);
+                    }
+                } catch (err) {
+                    row.action = 'reject';
+                    row.errors.push(err.code === 11000 ? duplicateProductMessage(err) : err.message);
+                }
+            }
+        }
+
+        const count = (action) => rows.filter(row => row.action === action).length;
+        res.json({
+            dryRun,
+            created: count('create'),
+            updated: count('update'),
+            rejected: count('reject'),
+            rows: rows.map(({ line, name, action, errors }) => ({ line, name, action, errors }))
+        });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: "Erreur serveur lors de l'import des produits." });
+    }
+});
+
+
+// --- F. Fournisseurs (/api/suppliers) ---
+
+// GET: Récupérer tous les fournisseurs
+app.get(`${API_BASE_URL}/suppliers`, authorize('admin', 'viewer'), async (req, res) => {
+    try {
+        const suppliers = await Supplier.find().sort({ name: 1 });
+        res.json(suppliers);
+    } catch (err) {
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des fournisseurs.' });
+    }
+});
+
+// POST: Créer un fournisseur { name, contactName, email, phone, leadTimeDays, products: [{ productId, unitCost }] }
+app.post(`${API_BASE_URL}/suppliers`, authorize('admin'), async (req, res) => {
+    try {
+        const supplier = await Supplier.create(await pickSupplierFields(req.body));
+        res.status(201).json(supplier);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        if (err.code === 11000) {
+            return res.status(409).json({ message: "Un fournisseur avec ce nom existe déjà." });
+        }
+        res.status(400).json({ message: "Données de fournisseur invalides: " + err.message });
+    }
+});
+
+// PUT: Mettre à jour un fournisseur (coordonnées, délai, catalogue)
+app.put(`${API_BASE_URL}/suppliers/:id`, authorize('admin'), async (req, res) => {
+    try {
+        const supplier = await Supplier.findByIdAndUpdate(req.params.id, await pickSupplierFields(req.body), { new: true, runValidators: true });
+        if (!supplier) {
+            return res.status(404).json({ message: "Fournisseur non trouvé." });
+        }
+        res.json(supplier);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        if (err.code === 11000) {
+            return res.status(409).json({ message: "Ce nom de fournisseur est déjà utilisé." });
+        }
+        res.status(400).json({ message: "Erreur de mise à jour: " + err.message });
+    }
+});
+
+// DELETE: Supprimer un fournisseur (refusé tant qu'il a des commandes en cours ; les achats gardent son nom)
+app.delete(`${API_BASE_URL}/suppliers/:id`, authorize('admin'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "Fournisseur non trouvé." });
+    }
+
+    try {
+        const openOrders = await PurchaseOrder.countDocuments({ supplierId: req.params.id, status: { $in: OPEN_PURCHASE_ORDER_STATUSES } });
+        if (openOrders > 0) {
+            return res.status(409).json({ message: `Ce fournisseur a ${openOrders} commande(s) en cours : réceptionnez-les ou annulez-les d'abord.` });
+        }
+        const supplier = await Supplier.findByIdAndDelete(req.params.id);
+        if (!supplier) {
+            return res.status(404).json({ message: "Fournisseur non trouvé." });
+        }
+        res.status(204).send();
+    } catch (err) {
+        res.status(500).json({ message: 'Erreur serveur lors de la suppression.' });
+    }
+});
+
+
+// --- G. Commandes Fournisseurs (/api/purchase-orders) ---
+
+// GET: Récupérer les commandes (les plus récentes d'abord)
+// Filtres : status (un statut, ou 'open' pour les commandes en cours), supplierId ; pagination : page, limit
+app.get(`${API_BASE_URL}/purchase-orders`, authorize('admin', 'viewer'), async (req, res) => {
+    const { status, supplierId } = req.query;
+    const filter = {};
+
+    if (status === 'open') {
+        filter.status = { $in: OPEN_PURCHASE_ORDER_STATUSES };
+    } else if (status) {
+        if (!PURCHASE_ORDER_STATUSES.includes(status)) {
+            return res.status(400).json({ message: `Paramètre status invalide (attendu : open, ${PURCHASE_ORDER_STATUSES.join(', ')}).` });
+        }
+        filter.status = status;
+    }
+    if (supplierId) {
+        if (!mongoose.isValidObjectId(supplierId)) {
+            return res.status(400).json({ message: "Paramètre supplierId invalide." });
+        }
+        filter.supplierId = supplierId;
+    }
+
+    try {
+        const result = await findPaginated(PurchaseOrder, filter, { createdAt: -1 }, req.query);
+        res.json(result);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des commandes.' });
+    }
+});
+
+// POST: Créer une commande en brouillon { supplierId, items: [{ productId, quantityOrdered, unitPrice? }], expectedDate?, notes? }
+// Sans unitPrice, la ligne reprend le coût du catalogue fournisseur, puis le coût moyen du produit
+app.post(`${API_BASE_URL}/purchase-orders`, authorize('admin'), async (req, res) => {
+    const { supplierId, expectedDate, notes } = req.body;
+    const items = Array.isArray(req.body.items) ? req.body.items : [];
+
+    if (items.length === 0 || items.some(item => !isPlainObject(item) || !isPositiveInteger(item.quantityOrdered) || (item.unitPrice !== undefined && !isPositivePrice(item.unitPrice)))) {
+        return res.status(400).json({ message: "Données de commande invalides: chaque ligne doit avoir une quantité entière positive et, si indiqué, un prix unitaire positif (en unités mineures)." });
+    }
+    if (!mongoose.isValidObjectId(supplierId)) {
+        return res.status(404).json({ message: "Fournisseur non trouvé." });
+    }
+
+    try {
+        const supplier = await Supplier.findById(supplierId);
+        if (!supplier) {
+            return res.status(404).json({ message: "Fournisseur non trouvé." });
+        }
+        await assertProductsExist(items.map(item => item.productId));
+        const products = new Map((await Product.find({ _id: { $in: items.map(item => item.productId) } })).map(p => [String(p._id), p]));
+        const catalogCosts = new Map(supplier.products.map(p => [String(p.productId), p.unitCost]));
+
+        const order = await PurchaseOrder.create({
+            supplierId: supplier._id,
+            supplierName: supplier.name,
+            items: items.map(item => {
+                const product = products.get(String(item.productId));
+                return {
+                    productId: product._id,
+                    productName: product.name,
+                    unitPrice: item.unitPrice ?? catalogCosts.get(String(product._id)) ?? getUnitCost(product),
+                    quantityOrdered: item.quantityOrdered
+                };
+            }),
+            expectedDate: expectedDate ? parseDateParam(expectedDate, 'expectedDate') : undefined,
+            notes: notes,
+            createdBy: req.user._id,
+            createdByName: req.user.username
+        });
+        res.status(201).json(order);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(400).json({ message: "Données de commande invalides: " + err.message });
+    }
+});
+
+// POST: Marquer une commande en brouillon comme envoyée au fournisseur
+app.post(`${API_BASE_URL}/purchase-orders/:id/send`, authorize('admin'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "Commande non trouvée." });
+    }
+
+    try {
+        const order = await PurchaseOrder.findOneAndUpdate(
+            { _id: req.params.id, status: 'draft' },
+            { $set: { status: 'sent', sentAt: new Date() } },
+            { new: true }
+        );
+        if (!order) {
+            const exists = await PurchaseOrder.exists({ _id: req.params.id });
+            return exists
+                ? res.status(409).json({ message: "Seule une commande en brouillon peut être envoyée." })
+                : res.status(404).json({ message: "Commande non trouvée." });
+        }
+        res.json(order);
+    } catch (err) {
+        res.status(500).json({ message: "Erreur lors de l'envoi de la commande: " + err.message });
+    }
+});
+
+// POST: Annuler une commande en cours (les quantités déjà reçues restent en stock)
+app.post(`${API_BASE_URL}/purchase-orders/:id/cancel`, authorize('admin'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "Commande non trouvée." });
+    }
+
+    try {
+        const order = await PurchaseOrder.findOneAndUpdate(
+            { _id: req.params.id, status: { $in: OPEN_PURCHASE_ORDER_STATUSES } },
+            { $set: { status: 'cancelled', cancelledAt: new Date() } },
+            { new: true }
+        );
+        if (!order) {
+            const exists = await PurchaseOrder.exists({ _id: req.params.id });
+            return exists
+                ? res.status(409).json({ message: "Cette commande est déjà reçue ou annulée." })
+                : res.status(404).json({ message: "Commande non trouvée." });
+        }
+        res.json(order);
+    } catch (err) {
+        res.status(500).json({ message: "Erreur lors de l'annulation de la commande: " + err.message });
+    }
+});
+
+// POST: Réceptionner une commande envoyée { items: [{ lineIndex, quantity, unitPrice?, lotNumber?, expiryDate? }], locationId? }
+// Chaque ligne reçue crée un achat (entrée de stock au coût convenu, ou au coût facturé `unitPrice`) ;
+// la commande passe à 'partially_received' ou 'received' selon les quantités restant à livrer
+app.post(`${API_BASE_URL}/purchase-orders/:id/receive`, authorize('admin'), async (req, res) => {
+    const items = Array.isArray(req.body.items) ? req.body.items : [];
+
+    if (items.length === 0 || items.some(item => !isPlainObject(item) || !Number.isInteger(item.lineIndex) || item.lineIndex < 0 || !isPositiveInteger(item.quantity)
+        || (item.unitPrice !== undefined && !isPositivePrice(item.unitPrice)))) {
+        return res.status(400).json({ message: "Données de réception invalides: chaque ligne doit indiquer lineIndex et une quantité entière positive." });
+    }
+    if (new Set(items.map(item => item.lineIndex)).size !== items.length) {
+        return res.status(400).json({ message: "Une même ligne de commande ne peut apparaître qu'une fois dans une réception." });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "Commande non trouvée." });
+    }
+
+    try {
+        // Chaque ligne reçue crée un lot (numéro et péremption facultatifs)
+        items.forEach(item => { item.lot = parseLotFields(item); });
+        const location = await resolveLocation(req.body.locationId);
+        const receipt = await runInTransaction(async (session) => {
+            // 1. Incrément conditionnel des quantités reçues : jamais plus que la quantité commandée
+            const conditions = items.map(item => ({ $lte: [
+                { $add: [{ $ifNull: [{ $arrayElemAt: ['$items.quantityReceived', item.lineIndex] }, 0] }, item.quantity] },
+                { $ifNull: [{ $arrayElemAt: ['$items.quantityOrdered', item.lineIndex] }, 0] }
+            ] }));
+            const increments = Object.fromEntries(items.map(item => [`items.${item.lineIndex}.quantityReceived`, item.quantity]));
+
+            const order = await PurchaseOrder.findOneAndUpdate(
+                { _id: req.params.id, status: { $in: ['sent', 'partially_received'] }, $expr: { $and: conditions } },
+                { $inc: increments },
+                { new: true, session }
+            );
+            if (!order) {
+                const current = await PurchaseOrder.findById(req.params.id).session(session);
+                if (!current) throw httpError(404, "Commande non trouvée.");
+                if (current.status === 'draft') throw httpError(409, "La commande doit être envoyée avant d'être réceptionnée.");
+                if (!OPEN_PURCHASE_ORDER_STATUSES.includes(current.status)) throw httpError(409, "Cette commande est déjà reçue ou annulée.");
+                throw httpError(409, "Quantité reçue supérieure à la quantité restant à livrer.");
+            }
+
+            const previousStatus = order.status;
+            const status = order.items.every(line => line.quantityReceived >= line.quantityOrdered) ? 'received' : 'partially_received';
+            const undoReceivedQuantities = () => PurchaseOrder.updateOne(
+                { _id: order._id },
+                {
+                    $inc: Object.fromEntries(Object.entries(increments).map(([path, quantity]) => [path, -quantity])),
+                    $set: { status: previousStatus },
+                    $unset: { receivedAt: '' }
+                }
+            );
+
+            // 2. Une entrée de stock (achat) par ligne reçue, avec son propre mouvement au journal
+            const applied = [];
+            const purchases = [];
+            try {
+                for (const item of items) {
+                    const line = order.items[item.lineIndex];
+                    const unitPrice = item.unitPrice ?? line.unitPrice;
+                    const purchaseId = new mongoose.Types.ObjectId();
+                    const changes = [{ productId: line.productId, delta: item.quantity, unitCost: unitPrice, lot: { ...item.lot, purchaseId } }];
+                    const [product] = await applyStockChanges(changes, session, {
+                        type: 'purchase',
+                        reason: `Réception commande ${formatOrderNumber(order)} (${order.supplierName})`,
+                        operationId: purchaseId,
+                        user: req.user,
+                        location: location
+                    });
+                    applied.push({ changes, purchaseId });
+
+                    purchases.push(await new Purchase({
+                        _id: purchaseId,
+                        productId: product._id,
+                        productName: product.name,
+                        ...variantFields(product),
+                        unitPrice: unitPrice,
+                        quantityPurchased: item.quantity,
+                        totalPrice: unitPrice * item.quantity,
+                        locationId: location._id,
+                        locationName: location.name,
+                        supplierId: order.supplierId,
+                        supplierName: order.supplierName,
+                        purchaseOrderId: order._id,
+                        ...purchaseLotFields(changes[0].appliedLots),
+                        createdBy: req.user._id,
+                        createdByName: req.user.username
+                    }).save({ session }));
+                }
+
+                // 3. Statut de la commande selon ce qui reste à livrer
+                const update = { status };
+                if (status === 'received') update.receivedAt = new Date();
+                const updatedOrder = await PurchaseOrder.findByIdAndUpdate(order._id, { $set: update }, { new: true, session });
+                return { order: updatedOrder, purchases };
+            } catch (err) {
+                // Sans transaction, on retire le stock ajouté et on rétablit la commande
+                if (!session) {
+                    for (const { changes, purchaseId } of applied) {
+                        await revertStockChanges(changes, purchaseId, location._id);
+                    }
+                    await Purchase.deleteMany({ _id: { $in: purchases.map(p => p._id) } });
+                    await undoReceivedQuantities();
+                }
+                throw err;
+            }
+        });
+        res.status(201).json(receipt);
+        receipt.purchases.forEach(notifyPurchaseChanged);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: "Erreur lors de la réception de la commande: " + err.message });
+    }
+});
+
+
+// --- H. Emplacements (/api/locations) ---
+
+// GET: Récupérer tous les emplacements (l'emplacement par défaut en premier)
+app.get(`${API_BASE_URL}/locations`, authorize('admin', 'cashier', 'viewer'), async (req, res) => {
+    try {
+        const locations = await Location.find().sort({ isDefault: -1, name: 1 });
+        res.json(locations);
+    } catch (err) {
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des emplacements.' });
+    }
+});
+
+// POST: Créer un emplacement { name, type }
+app.post(`${API_BASE_URL}/locations`, authorize('admin'), async (req, res) => {
+    const { name, type } = req.body;
+    try {
+        const location = await Location.create({ name, type });
+        res.status(201).json(location);
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({ message: "Un emplacement avec ce nom existe déjà." });
+        }
+        res.status(400).json({ message: "Données d'emplacement invalides: " + err.message });
+    }
+});
+
+// PUT: Renommer un emplacement, changer son type ou en faire l'emplacement par défaut (isDefault: true)
+app.put(`${API_BASE_URL}/locations/:id`, authorize('admin'), async (req, res) => {
+    const { name, type, isDefault } = req.body;
+    if (isDefault === false) {
+        return res.status(400).json({ message: "Désignez un autre emplacement par défaut plutôt que de retirer celui-ci." });
+    }
+
+    try {
+        const update = {};
+        if (name !== undefined) update.name = name;
+        if (type !== undefined) update.type = type;
+        if (isDefault === true) update.isDefault = true;
+
+        const location = await Location.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true });
+        if (!location) {
+            return res.status(404).json({ message: "Emplacement non trouvé." });
+        }
+        // Un seul emplacement par défaut à la fois
+        if (isDefault === true) {
+            await Location.updateMany({ _id: { $ne: location._id }, isDefault: true }, { $set: { isDefault: false } });
+        }
+        res.json(location);
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({ message: "Ce nom d'emplacement est déjà utilisé." });
+        }
+        res.status(400).json({ message: "Erreur de mise à jour: " + err.message });
+    }
+});
+
+// DELETE: Supprimer un emplacement vide (refusé pour l'emplacement par défaut ou s'il reste du stock)
+app.delete(`${API_BASE_URL}/locations/:id`, authorize('admin'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "Emplacement non trouvé." });
+    }
+
+    try {
+        await runInTransaction(async (session) => {
+            const location = await Location.findById(req.params.id).session(session);
+            if (!location) {
+                throw httpError(404, "Emplacement non trouvé.");
+            }
+            if (location.isDefault) {
+                throw httpError(409, "L'emplacement par défaut ne peut pas être supprimé.");
+            }
+            if (await StockCount.exists({ locationId: location._id, status: 'open' }).session(session)) {
+                throw httpError(409, "Un inventaire est en cours à cet emplacement : validez-le ou abandonnez-le d'abord.");
+            }
+            const stocked = await Product.countDocuments({ stocks: { $elemMatch: { locationId: location._id, quantity: { $gt: 0 } } } }).session(session);
+            if (stocked > 0) {
+                throw httpError(409, `${stocked} produit(s) ont encore du stock à cet emplacement : transférez-le d'abord.`);
+            }
+
+            // Seules les lignes vides sont retirées, avant l'emplacement : sans transaction, un échec ne laisse
+            // aucune ligne vers un emplacement supprimé (une ligne vide retirée se recrée au prochain mouvement)
+            await Product.updateMany(
+                { 'stocks.locationId': location._id },
+                { $pull: { stocks: { locationId: location._id, quantity: 0 } } },
+                { session }
+            );
+            if (await Product.exists({ 'stocks.locationId': location._id }).session(session)) {
+                throw httpError(409, "Du stock vient d'entrer à cet emplacement : transférez-le d'abord.");
+            }
+            await Location.deleteOne({ _id: location._id }, { session });
+        });
+        res.status(204).send();
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Erreur serveur lors de la suppression.' });
+    }
+});
+
+
+// --- I. Transferts de Stock (/api/transfers) ---
+
+// GET: Récupérer les transferts (les plus récents d'abord) ; filtre productId ; pagination : page, limit
+app.get(`${API_BASE_URL}/transfers`, authorize('admin', 'viewer'), async (req, res) => {
+    const filter = {};
+    if (req.query.productId) {
+        if (!mongoose.isValidObjectId(req.query.productId)) {
+            return res.status(400).json({ message: "Paramètre productId invalide." });
+        }
+        filter.productId = req.query.productId;
+    }
+
+    try {
+        const result = await findPaginated(StockTransfer, filter, { transferDate: -1 }, req.query);
+        res.json(result);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des transferts.' });
+    }
+});
+
+// POST: Transférer du stock entre deux emplacements { productId, fromLocationId, toLocationId, quantity, reason? }
+app.post(`${API_BASE_URL}/transfers`, authorize('admin'), async (req, res) => {
+    const { productId, fromLocationId, toLocationId, quantity } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!isPositiveInteger(quantity)) {
+        return res.status(400).json({ message: "La quantité à transférer doit être un entier positif." });
+    }
+    if (!mongoose.isValidObjectId(productId)) {
+        return res.status(404).json({ message: "Produit non trouvé dans l'inventaire." });
+    }
+
+    const transferId = new mongoose.Types.ObjectId();
+
+    try {
+        const from = await resolveLocation(fromLocationId);
+        const to = await resolveLocation(toLocationId);
+        // Comparés une fois résolus : un identifiant omis désigne l'emplacement par défaut
+        if (from._id.equals(to._id)) {
+            return res.status(400).json({ message: "Les emplacements d'origine et de destination doivent être différents." });
+        }
+
+        const transfer = await runInTransaction(async (session) => {
+            const product = await transferStock(productId, from, to, quantity, session, {
+                type: 'transfer',
+                reason: reason || `Transfert ${from.name} → ${to.name}`,
+                operationId: transferId,
+                user: req.user
+            });
+            try {
+                return await new StockTransfer({
+                    _id: transferId,
+                    productId: product._id,
+                    productName: product.name,
+                    fromLocationId: from._id,
+                    fromLocationName: from.name,
+                    toLocationId: to._id,
+                    toLocationName: to.name,
+                    quantity: quantity,
+                    reason: reason,
+                    createdBy: req.user._id,
+                    createdByName: req.user.username
+                }).save({ session });
+            } catch (err) {
+                if (!session) {
+                    await revertTransfer(product._id, from, to, quantity, transferId);
+                }
+                throw err;
+            }
+        });
+        res.status(201).json(transfer);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: "Erreur lors du transfert de stock: " + err.message });
+    }
+});
+
+
+// --- J. Catégories de Produits (/api/categories) ---
+
+// GET: Récupérer toutes les catégories, avec le nombre de produits classés dans chacune
+app.get(`${API_BASE_URL}/categories`, authorize('admin', 'cashier', 'viewer'), async (req, res) => {
+    try {
+        const [categories, counts] = await Promise.all([
+            Category.find().sort({ name: 1 }).lean(),
+            Product.aggregate([{ $group: { _id: '$categoryId', count: { $sum: 1 } } }])
+        ]);
+        const countById = new Map(counts.map(group => [String(group._id), group.count]));
+        res.json(categories.map(category => ({ ...category, productCount: countById.get(String(category._id)) || 0 })));
+    } catch (err) {
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des catégories.' });
+    }
+});
+
+// POST: Créer une catégorie { name, vatRate? }
+app.post(`${API_BASE_URL}/categories`, authorize('admin'), async (req, res) => {
+    const { name, vatRate } = req.body;
+    if (vatRate !== undefined && vatRate !== null && !isValidVatRate(vatRate)) {
+        return res.status(400).json({ message: "Taux de TVA invalide (pourcentage entre 0 et 100)." });
+    }
+
+    try {
+        const category = await Category.create({ name, ...(isValidVatRate(vatRate) && { vatRate }) });
+        res.status(201).json(category);
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({ message: "Une catégorie avec ce nom existe déjà." });
+        }
+        res.status(400).json({ message: "Données de catégorie invalides: " + err.message });
+    }
+});
+
+// PUT: Renommer une catégorie ou changer son taux de TVA { name?, vatRate? } (vatRate null : taux par défaut)
+app.put(`${API_BASE_URL}/categories/:id`, authorize('admin'), async (req, res) => {
+    const update = {};
+    if (req.body.name !== undefined) {
+        update.name = req.body.name;
+    }
+    if (req.body.vatRate === null) {
+        update.$unset = { vatRate: 1 };
+    } else if (req.body.vatRate !== undefined) {
+        if (!isValidVatRate(req.body.vatRate)) {
+            return res.status(400).json({ message: "Taux de TVA invalide (pourcentage entre 0 et 100)." });
+        }
+        update.vatRate = req.body.vatRate;
+    }
+
+    try {
+        const category = await Category.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true });
+        if (!category) {
+            return res.status(404).json({ message: "Catégorie non trouvée." });
+        }
+        res.json(category);
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({ message: "Ce nom de catégorie est déjà utilisé." });
+        }
+        res.status(400).json({ message: "Erreur de mise à jour: " + err.message });
+    }
+});
+
+// DELETE: Supprimer une catégorie (refusé tant que des produits y sont classés)
+app.delete(`${API_BASE_URL}/categories/:id`, authorize('admin'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "Catégorie non trouvée." });
+    }
+
+    try {
+        const products = await Product.countDocuments({ categoryId: req.params.id });
+        if (products > 0) {
+            return res.status(409).json({ message: `${products} produit(s) sont classés dans cette catégorie : reclassez-les d'abord.` });
+        }
+        const category = await Category.findByIdAndDelete(req.params.id);
+        if (!category) {
+            return res.status(404).json({ message: "Catégorie non trouvée." });
+        }
+        // Un produit parent sans variante peut encore la référencer
+        await ParentProduct.updateMany({ categoryId: category._id }, { $unset: { categoryId: 1 } });
+        res.status(204).send();
+    } catch (err) {
+        res.status(500).json({ message: 'Erreur serveur lors de la suppression.' });
+    }
+});
+
+// --- K. Réglages du Magasin (/api/settings) ---
+
+// GET: Réglages du magasin (devise et langue servent à afficher les montants sur tous les postes)
+app.get(`${API_BASE_URL}/settings`, authorize('admin', 'cashier', 'viewer'), async (req, res) => {
+    try {
+        const { minorUnitsMigrated, ...settings } = (await getSettings()).toObject();
+        res.json({ ...settings, currencyDigits: currencyDigits(settings.currency) });
+    } catch (err) {
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des réglages.' });
+    }
+});
+
+// PUT: Modifier les réglages { shopName, address (lignes), phone, taxId, currency, locale, defaultVatRate }
+// Les montants enregistrés ne sont pas convertis : une devise au nombre de décimales différent
+// n'est acceptée que tant qu'aucun prix n'a été saisi.
+app.put(`${API_BASE_URL}/settings`, authorize('admin'), async (req, res) => {
+    const update = Object.fromEntries(SETTINGS_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]]));
+    if (typeof update.address === 'string') {
+        update.address = update.address.split('\n').map(line => line.trim()).filter(Boolean);
+    }
+    if (update.defaultVatRate !== undefined && !isValidVatRate(update.defaultVatRate)) {
+        return res.status(400).json({ message: "Taux de TVA invalide (pourcentage entre 0 et 100)." });
+    }
+    try {
+        if (update.currency !== undefined) {
+            update.currency = String(update.currency).trim().toUpperCase();
+            currencyDigits(update.currency);
+        }
+        if (update.locale !== undefined) {
+            new Intl.NumberFormat(update.locale);
+        }
+    } catch (err) {
+        return res.status(400).json({ message: "Devise (code ISO 4217, ex: EUR) ou langue (ex: fr-FR) invalide." });
+    }
+
+    try {
+        const current = await getSettings();
+        if (update.currency && currencyDigits(update.currency) !== currencyDigits(current.currency)
+            && (await Product.exists({}) || await Sale.exists({}))) {
+            return res.status(409).json({ message: `Impossible de passer en ${update.currency} : ses montants n'ont pas le même nombre de décimales que ceux déjà enregistrés.` });
+        }
+        const settings = await Settings.findByIdAndUpdate(current._id, update, { new: true, runValidators: true });
+        const { minorUnitsMigrated, ...result } = settings.toObject();
+        res.json({ ...result, currencyDigits: currencyDigits(result.currency) });
+    } catch (err) {
+        res.status(400).json({ message: "Réglages invalides: " + err.message });
+    }
+});
+
+
+// --- L. Inventaires Physiques (/api/stock-counts) ---
+
+// GET: Récupérer les inventaires (les plus récents d'abord), sans leurs lignes mais avec leur avancement
+// Filtre : status ; pagination : page, limit
+app.get(`${API_BASE_URL}/stock-counts`, authorize('admin', 'cashier', 'viewer'), async (req, res) => {
+    const filter = {};
+    if (req.query.status) {
+        if (!STOCK_COUNT_STATUSES.includes(req.query.status)) {
+            return res.status(400).json({ message: `Paramètre status invalide (attendu : ${STOCK_COUNT_STATUSES.join(', ')}).` });
+        }
+        filter.status = req.query.status;
+    }
+
+    try {
+        const { page, limit, skip } = parsePagination(req.query);
+        const [data, total] = await Promise.all([
+            StockCount.aggregate([
+                { $match: filter },
+                { $sort: { createdAt: -1 } },
+                { $skip: skip },
+                { $limit: limit },
+                { $set: {
+                    itemCount: { $size: '$items' },
+                    countedCount: { $size: { $filter: { input: '$items', cond: { $ne: [{ $type: '$$this.countedQuantity' }, 'missing'] } } } }
+                } },
+                { $project: { items: 0 } }
+            ]),
+            StockCount.countDocuments(filter)
+        ]);
+        res.json({ data, page, limit, total, pages: Math.max(Math.ceil(total / limit), 1) });
+    } catch (err) {
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des inventaires.' });
+    }
+});
+
+// POST: Commencer un inventaire { locationId?, categoryId?, notes? } : la liste à compter reprend
+// tous les produits (de la catégorie choisie), y compris ceux sans stock à l'emplacement
+app.post(`${API_BASE_URL}/stock-counts`, authorize('admin'), async (req, res) => {
+    const { locationId, categoryId, notes } = req.body;
+
+    try {
+        const location = await resolveLocation(locationId);
+        let category = null;
+        if (categoryId) {
+            await assertCategoryExists(categoryId);
+            category = await Category.findById(categoryId);
+        }
+        const products = await Product.find(category ? { categoryId: category._id } : {}).sort({ name: 1 });
+        if (products.length === 0) {
+            return res.status(400).json({ message: "Aucun produit à compter dans ce périmètre." });
+        }
+
+        const count = await StockCount.create({
+            locationId: location._id,
+            locationName: location.name,
+            categoryId: category ? category._id : undefined,
+            categoryName: category ? category.name : undefined,
+            items: products.map(product => ({ productId: product._id, productName: product.name, sku: product.sku, barcode: product.barcode })),
+            notes: notes,
+            createdBy: req.user._id,
+            createdByName: req.user.username
+        });
+        res.status(201).json(describeStockCount(count));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        if (err.code === 11000) {
+            return res.status(409).json({ message: "Un inventaire est déjà en cours à cet emplacement." });
+        }
+        res.status(400).json({ message: "Données d'inventaire invalides: " + err.message });
+    }
+});
+
+// GET: Détail d'un inventaire avec son rapport d'écarts (quantités et valeurs)
+app.get(`${API_BASE_URL}/stock-counts/:id`, authorize('admin', 'cashier', 'viewer'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "Inventaire non trouvé." });
+    }
+
+    try {
+        const count = await StockCount.findById(req.params.id);
+        if (!count) {
+            return res.status(404).json({ message: "Inventaire non trouvé." });
+        }
+        res.json(describeStockCount(count));
+    } catch (err) {
+        res.status(500).json({ message: "Erreur serveur lors de la récupération de l'inventaire." });
+    }
+});
+
+// PUT: Saisir des quantités comptées { counts: [{ productId, countedQuantity }] } (null efface une saisie)
+// La quantité est le total compté pour le produit à l'emplacement, elle remplace la saisie précédente
+app.put(`${API_BASE_URL}/stock-counts/:id/counts`, authorize('admin', 'cashier'), async (req, res) => {
+    const counts = Array.isArray(req.body.counts) ? req.body.counts : [];
+
+    if (counts.length === 0 || counts.some(line => !isPlainObject(line) || line.countedQuantity !== null && (!Number.isInteger(line.countedQuantity) || line.countedQuantity < 0))) {
+        return res.status(400).json({ message: "Données de comptage invalides: chaque ligne doit indiquer une quantité entière positive ou nulle." });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "Inventaire non trouvé." });
+    }
+
+    try {
+        const count = await StockCount.findById(req.params.id);
+        if (!count) {
+            return res.status(404).json({ message: "Inventaire non trouvé." });
+        }
+        if (count.status !== 'open') {
+            return res.status(409).json({ message: "Cet inventaire est déjà validé ou abandonné." });
+        }
+        await assertProductsExist(counts.map(line => line.productId));
+        const products = new Map((await Product.find({ _id: { $in: counts.map(line => line.productId) } })).map(p => [String(p._id), p]));
+
+        for (const line of counts) {
+            await recordStockCount(count, products.get(String(line.productId)), line.countedQuantity, req.user);
+        }
+        res.json(describeStockCount(await StockCount.findById(count._id)));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(400).json({ message: "Données de comptage invalides: " + err.message });
+    }
+});
+
+// POST: Valider un inventaire : le stock de chaque produit compté est corrigé de son écart en une opération,
+// inscrite au journal comme mouvements 'inventory' ; les lignes non comptées ne sont pas modifiées
+app.post(`${API_BASE_URL}/stock-counts/:id/post`, authorize('admin'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "Inventaire non trouvé." });
+    }
 
-// --- Middlewares ---
-app.use(cors()); 
-app.use(express.json()); 
+    try {
+        const current = await StockCount.findById(req.params.id);
+        if (!current) {
+            return res.status(404).json({ message: "Inventaire non trouvé." });
+        }
+        if (!current.items.some(item => item.countedQuantity !== undefined)) {
+            return res.status(400).json({ message: "Aucune ligne n'a été comptée dans cet inventaire." });
+        }
+        const location = await Location.findById(current.locationId);
+        if (!location) {
+            return res.status(409).json({ message: "L'emplacement de cet inventaire n'existe plus." });
+        }
 
-// --- Connexion à MongoDB Atlas ---
-mongoose.connect(MONGO_URI)
-    .then(() => console.log('✅ MongoDB Atlas connecté avec succès.'))
-    .catch(err => console.error('❌ Erreur de connexion MongoDB Atlas :', err.message));
+        const posted = await runInTransaction(async (session) => {
+            // 1. Passage conditionnel à 'posted' : une seule validation, même en cas de double envoi
+            const count = await StockCount.findOneAndUpdate(
+                { _id: current._id, status: 'open' },
+                { $set: { status: 'posted', postedAt: new Date(), postedByName: req.user.username } },
+                { new: true, session }
+            );
+            if (!count) {
+                throw httpError(409, "Cet inventaire est déjà validé ou abandonné.");
+            }
 
-// ------------------------------------
-// 1. Définition des Modèles de Données
-// ------------------------------------
+            // 2. Correction du stock de chaque écart, relevé au moment du comptage
+            const changes = count.items
+                .filter(item => item.countedQuantity !== undefined && item.countedQuantity !== item.systemQuantity)
+                .map(item => ({ productId: item.productId, delta: item.countedQuantity - item.systemQuantity }));
+            try {
+                await applyStockChanges(changes, session, {
+                    type: 'inventory',
+                    reason: `Inventaire ${formatOrderNumber(count)}`,
+                    operationId: count._id,
+                    user: req.user,
+                    location: location
+                });
+            } catch (err) {
+                if (!session) {
+                    await StockCount.updateOne({ _id: count._id }, { $set: { status: 'open' }, $unset: { postedAt: '', postedByName: '' } });
+                }
+                throw err;
+            }
+            return count;
+        });
+        res.json(describeStockCount(posted));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: "Erreur lors de la validation de l'inventaire: " + err.message });
+    }
+});
 
-// Modèle Produit
-const ProductSchema = new mongoose.Schema({
-    name: { type: String, required: true, unique: true },
-    quantity: { type: Number, required: true, min: 0 },
-    price: { type: Number, required: true, min: 0.01 }, 
-    minStockLevel: { type: Number, required: true, min: 0 },
-}, { timestamps: true });
+// POST: Abandonner un inventaire en cours (le stock n'est pas modifié)
+app.post(`${API_BASE_URL}/stock-counts/:id/cancel`, authorize('admin'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "Inventaire non trouvé." });
+    }
 
-const Product = mongoose.model('Product', ProductSchema);
+    try {
+        const count = await StockCount.findOneAndUpdate(
+            { _id: req.params.id, status: 'open' },
+            { $set: { status: 'cancelled', cancelledAt: new Date() } },
+            { new: true }
+        );
+        if (!count) {
+            const exists = await StockCount.exists({ _id: req.params.id });
+            return exists
+                ? res.status(409).json({ message: "Cet inventaire est déjà validé ou abandonné." })
+                : res.status(404).json({ message: "Inventaire non trouvé." });
+        }
+        res.json(describeStockCount(count));
+    } catch (err) {
+        res.status(500).json({ message: "Erreur lors de l'abandon de l'inventaire: " + err.message });
+    }
+});
 
-// Modèle Vente
-const SaleSchema = new mongoose.Schema({
-    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
-    productName: { type: String, required: true },
-    unitPrice: { type: Number, required: true, min: 0.01 }, 
-    quantitySold: { type: Number, required: true, min: 1 },
-    totalPrice: { type: Number, required: true },
-    saleDate: { type: Date, default: Date.now }
+
+// --- M. Tableau de Bord (/api/dashboard) ---
+
+// GET: Indicateurs du tableau de bord ; tz (fuseau des jours, semaines et mois), days (fenêtre du graphique et des classements)
+app.get(`${API_BASE_URL}/dashboard`, authorize('admin', 'viewer'), async (req, res) => {
+    try {
+        const timezone = parseTimezoneParam(req.query.tz);
+        const windowDays = parseIntegerParam(req.query.days, 'days', 7, 365, 30);
+        res.json(await buildDashboard(timezone, windowDays));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Erreur serveur lors du calcul du tableau de bord.' });
+    }
 });
 
-const Sale = mongoose.model('Sale', SaleSchema);
 
-// NOUVEAU: Modèle Achat (Entrée de Stock)
-const PurchaseSchema = new mongoose.Schema({
-    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
-    productName: { type: String, required: true },
-    unitPrice: { type: Number, required: true, min: 0.01 }, // Prix d'achat unitaire
-    quantityPurchased: { type: Number, required: true, min: 1 },
-    totalPrice: { type: Number, required: true },
-    purchaseDate: { type: Date, default: Date.now }
+// --- N. Lots et Péremptions (/api/lots) ---
+
+// GET: Lots en stock périmés ou qui périment dans les `days` jours (30 par défaut), éventuellement d'un emplacement
+app.get(`${API_BASE_URL}/lots/expiring`, authorize('admin', 'viewer'), async (req, res) => {
+    try {
+        const days = parseIntegerParam(req.query.days, 'days', 0, 365, 30);
+        const now = new Date();
+        const filter = { quantity: { $gt: 0 }, expiryDate: { $ne: null, $lte: new Date(now.getTime() + days * DAY_MS) } };
+        if (req.query.locationId) {
+            if (!mongoose.isValidObjectId(req.query.locationId)) {
+                return res.status(400).json({ message: "Paramètre locationId invalide." });
+            }
+            filter.locationId = req.query.locationId;
+        }
+        const lots = await StockLot.find(filter).sort({ expiryDate: 1, productName: 1 });
+        res.json(describeExpiringLots(lots, days, now));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des lots à péremption.' });
+    }
 });
 
-const Purchase = mongoose.model('Purchase', PurchaseSchema);
+// POST: Mettre au rebut tout ou partie d'un lot { quantity?, reason? } (ajustement de stock négatif, au journal)
+app.post(`${API_BASE_URL}/lots/:id/write-off`, authorize('admin'), async (req, res) => {
+    const { quantity, reason } = req.body;
+    if (quantity !== undefined && !isPositiveInteger(quantity)) {
+        return res.status(400).json({ message: "Quantité à mettre au rebut invalide: entier positif requis." });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "Lot non trouvé." });
+    }
 
+    try {
+        const lot = await StockLot.findById(req.params.id);
+        if (!lot) {
+            return res.status(404).json({ message: "Lot non trouvé." });
+        }
+        const writtenOff = quantity ?? lot.quantity;
+        if (writtenOff === 0 || writtenOff > lot.quantity) {
+            return res.status(409).json({ message: `Le lot ${lot.lotNumber} n'a que ${lot.quantity} unité(s) en stock.` });
+        }
+        const location = await resolveLocation(lot.locationId);
+        await runInTransaction(session => writeOffLots([{ lot, quantity: writtenOff }], location, reason, req.user, session));
+        res.json(await StockLot.findById(lot._id));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: "Erreur lors de la mise au rebut du lot: " + err.message });
+    }
+});
 
-// ------------------------------------
-// 2. Routes de l'API (Endpoints REST)
-// ------------------------------------
+// POST: Mettre au rebut tous les lots périmés encore en stock { locationId? } ; une opération par emplacement
+app.post(`${API_BASE_URL}/lots/write-off-expired`, authorize('admin'), async (req, res) => {
+    try {
+        const filter = { quantity: { $gt: 0 }, expiryDate: { $ne: null, $lt: new Date() } };
+        if (req.body.locationId) {
+            filter.locationId = (await resolveLocation(req.body.locationId))._id;
+        }
+        const lots = await StockLot.find(filter).sort({ locationId: 1, expiryDate: 1 });
+        const byLocation = new Map();
+        for (const lot of lots) {
+            const key = lot.locationId.toString();
+            if (!byLocation.has(key)) byLocation.set(key, []);
+            byLocation.get(key).push({ lot, quantity: lot.quantity });
+        }
 
-const API_BASE_URL = '/api';
+        let quantity = 0;
+        let value = 0;
+        for (const picks of byLocation.values()) {
+            const location = await resolveLocation(picks[0].lot.locationId);
+            await runInTransaction(session => writeOffLots(picks, location, 'Lot périmé', req.user, session));
+            quantity += picks.reduce((sum, pick) => sum + pick.quantity, 0);
+            value += picks.reduce((sum, pick) => sum + pick.quantity * pick.lot.unitCost, 0);
+        }
+        res.json({ lotCount: lots.length, quantity, value });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: "Erreur lors de la mise au rebut des lots périmés: " + err.message });
+    }
+});
 
-// --- A. Produits (/api/products) ---
 
-// GET: Récupérer tous
-app.get(`${API_BASE_URL}/products`, async (req, res) => {
+// --- O. Clients et Créances (/api/customers) ---
+
+// GET: Récupérer les clients (par nom) avec leur encours ; search filtre sur le nom ou le téléphone
+app.get(`${API_BASE_URL}/customers`, authorize('admin', 'cashier', 'viewer'), async (req, res) => {
     try {
-        const products = await Product.find().sort({ name: 1 });
-        res.json(products);
+        const filter = {};
+        if (typeof req.query.search === 'string' && req.query.search.trim()) {
+            const pattern = new RegExp(escapeRegExp(req.query.search.trim()), 'i');
+            filter.$or = [{ name: pattern }, { phone: pattern }];
+        }
+        const customers = await Customer.find(filter).sort({ name: 1 }).lean();
+        const balances = await getCustomerBalances(customers.map(customer => customer._id));
+        res.json(customers.map(customer => ({
+            ...customer,
+            ...(balances.get(customer._id.toString()) || { balance: 0, unpaidCount: 0, oldestUnpaidDate: null })
+        })));
     } catch (err) {
-        res.status(500).json({ message: 'Erreur serveur lors de la récupération des produits.' });
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des clients.' });
     }
 });
 
-// POST: Créer un produit
-app.post(`${API_BASE_URL}/products`, async (req, res) => {
+// GET: Balance âgée des créances clients (reste dû par tranche d'ancienneté : 0-30, 31-60, 61-90, 90+ jours)
+app.get(`${API_BASE_URL}/customers/receivables`, authorize('admin', 'viewer'), async (req, res) => {
     try {
-        const newProduct = new Product(req.body);
-        const savedProduct = await newProduct.save();
-        res.status(201).json(savedProduct);
+        res.json(await buildAgedReceivables(new Date()));
+    } catch (err) {
+        res.status(500).json({ message: 'Erreur serveur lors du calcul de la balance âgée.' });
+    }
+});
+
+// POST: Créer un client { name, phone, email, address, notes } (aussi depuis la caisse, création rapide)
+app.post(`${API_BASE_URL}/customers`, authorize('admin', 'cashier'), async (req, res) => {
+    try {
+        const customer = await Customer.create(pickCustomerFields(req.body, true));
+        res.status(201).json(customer);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(400).json({ message: "Données de client invalides: " + err.message });
+    }
+});
+
+// PUT: Mettre à jour les coordonnées d'un client (les ventes passées gardent le nom enregistré)
+app.put(`${API_BASE_URL}/customers/:id`, authorize('admin'), async (req, res) => {
+    try {
+        const customer = await Customer.findByIdAndUpdate(req.params.id, pickCustomerFields(req.body, false), { new: true, runValidators: true });
+        if (!customer) {
+            return res.status(404).json({ message: "Client non trouvé." });
+        }
+        res.json(customer);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(400).json({ message: "Erreur de mise à jour: " + err.message });
+    }
+});
+
+// DELETE: Supprimer un client (refusé tant qu'il doit encore de l'argent ; ses ventes gardent son nom)
+app.delete(`${API_BASE_URL}/customers/:id`, authorize('admin'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "Client non trouvé." });
+    }
+
+    try {
+        const balance = (await getCustomerBalances([new mongoose.Types.ObjectId(req.params.id)])).get(req.params.id);
+        if (balance && balance.balance > 0) {
+            return res.status(409).json({ message: `Ce client a ${balance.unpaidCount} vente(s) non soldée(s) : encaissez-les d'abord.` });
+        }
+        const customer = await Customer.findByIdAndDelete(req.params.id);
+        if (!customer) {
+            return res.status(404).json({ message: "Client non trouvé." });
+        }
+        res.status(204).send();
+    } catch (err) {
+        res.status(500).json({ message: 'Erreur serveur lors de la suppression.' });
+    }
+});
+
+// GET: Relevé de compte d'un client (ventes, retours, règlements et solde) ; from, to (dates ISO) facultatifs
+app.get(`${API_BASE_URL}/customers/:id/statement`, authorize('admin', 'cashier', 'viewer'), async (req, res) => {
+    try {
+        const customer = await findCustomer(req.params.id);
+        const from = req.query.from ? parseDateParam(req.query.from, 'from') : null;
+        const to = req.query.to ? parseDateParam(req.query.to, 'to') : null;
+        res.json(await buildCustomerStatement(customer, from, to));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Erreur serveur lors du calcul du relevé de compte.' });
+    }
+});
+
+// POST: Encaisser un règlement d'un client { amount, method, cashSessionId? } : imputé sur ses ventes non soldées, la plus ancienne d'abord
+app.post(`${API_BASE_URL}/customers/:id/payments`, authorize('admin', 'cashier'), async (req, res) => {
+    const { amount } = req.body;
+    const method = req.body.method || 'cash';
+    if (!isPositiveInteger(amount)) {
+        return res.status(400).json({ message: "Montant du règlement invalide: entier positif attendu (en unités mineures)." });
+    }
+    if (!PAYMENT_METHODS.includes(method)) {
+        return res.status(400).json({ message: `Moyen de paiement invalide (attendu: ${PAYMENT_METHODS.join(', ')}).` });
+    }
+
+    try {
+        const customer = await findCustomer(req.params.id);
+        const allocations = await runInTransaction(async (session) => {
+            const cashSession = await resolvePaymentCashSession(req.body.cashSessionId, session);
+            const unpaid = (await Sale.find({ customerId: customer._id, type: 'sale', status: 'completed', paymentStatus: { $in: ['unpaid', 'partial'] } })
+                .sort({ saleDate: 1 }).session(session)).filter(sale => getAmountDue(sale) > 0);
+            await assertPaymentDayOpen(cashSession, unpaid, session);
+            const totalDue = unpaid.reduce((sum, sale) => sum + getAmountDue(sale), 0);
+            if (amount > totalDue) {
+                throw httpError(409, `Montant supérieur à l'encours du client (${totalDue} en unités mineures).`);
+            }
+
+            const applied = [];
+            try {
+                let remaining = amount;
+                for (const sale of unpaid) {
+                    if (remaining === 0) break;
+                    const share = Math.min(remaining, getAmountDue(sale));
+                    const updated = await addSalePayment(sale._id, { amount: share, method, ...(cashSession && { cashSessionId: cashSession._id }) }, req.user, session);
+                    if (!updated) throw httpError(409, "Les ventes du client ont changé entre-temps : recommencez l'encaissement.");
+                    applied.push({ sale: updated, payment: lastPayment(updated) });
+                    remaining -= share;
+                }
+            } catch (err) {
+                // Sans transaction, on retire les règlements déjà imputés
+                if (!session) {
+                    for (const { sale, payment } of applied) {
+                        await removeSalePayment(sale._id, payment);
+                    }
+                }
+                throw err;
+            }
+            return applied.map(({ sale, payment }) => ({
+                saleId: sale._id,
+                reference: formatTicketReference(sale),
+                amount: payment.amount,
+                amountDue: getAmountDue(sale),
+                paymentStatus: sale.paymentStatus
+            }));
+        });
+        const balance = (await getCustomerBalances([customer._id])).get(customer._id.toString());
+        res.status(201).json({ allocations, balance: balance ? balance.balance : 0 });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: "Erreur lors de l'encaissement du règlement: " + err.message });
+    }
+});
+
+
+// --- P. Mises à Jour en Temps Réel (/api/events) ---
+
+// GET: Flux Server-Sent Events des changements : 'products' (état des produits modifiés et nombre en stock faible),
+// 'sale' (vente, retour, annulation) et 'purchase' (entrée de stock). Le terminal se reconnecte s'il est coupé.
+app.get(`${API_BASE_URL}/events`, authorize('admin', 'cashier', 'viewer'), (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Pas de mise en tampon par un proxy (Nginx, hébergeur)
+    });
+    res.flushHeaders();
+    res.write(`event: ready\ndata: ${JSON.stringify({ connectedAt: new Date() })}\n\n`);
+    liveClients.add(res);
+
+    // Un commentaire régulier empêche les proxys de couper une connexion inactive
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), LIVE_HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        liveClients.delete(res);
+    });
+});
+
+
+// --- Q. Produits à Variantes (/api/parent-products) ---
+
+// GET: Produits parents avec leur nombre de variantes et leur stock total
+app.get(`${API_BASE_URL}/parent-products`, authorize('admin', 'cashier', 'viewer'), async (req, res) => {
+    try {
+        const parents = await ParentProduct.find().sort({ name: 1 }).lean();
+        const totals = new Map((await Product.aggregate([
+            { $match: { parentId: { $in: parents.map(parent => parent._id) } } },
+            { $group: { _id: '$parentId', variantCount: { $sum: 1 }, quantity: { $sum: '$quantity' } } }
+        ])).map(row => [String(row._id), row]));
+        res.json(parents.map(parent => {
+            const total = totals.get(String(parent._id));
+            return { ...parent, variantCount: total ? total.variantCount : 0, quantity: total ? total.quantity : 0 };
+        }));
+    } catch (err) {
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des produits parents.' });
+    }
+});
+
+// GET: Un produit parent et ses variantes (grille dans l'ordre des attributs)
+app.get(`${API_BASE_URL}/parent-products/:id`, authorize('admin', 'cashier', 'viewer'), async (req, res) => {
+    try {
+        const parent = await findParentProduct(req.params.id);
+        res.json({ ...parent.toObject(), variants: await findVariants(parent) });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération du produit parent.' });
+    }
+});
+
+// POST: Créer un produit parent et sa grille de variantes en une opération
+// { name, attributes: [{ name, values? }], categoryId?, brand?, unit?, vatRate?, locationId?,
+//   variants: [{ values, quantity, price, minStockLevel, sku?, barcode? }] } : stock initial rangé à `locationId`
+app.post(`${API_BASE_URL}/parent-products`, authorize('admin'), async (req, res) => {
+    try {
+        const { fields } = pickParentFields(req.body);
+        if (!fields.name) {
+            return res.status(400).json({ message: "Le nom du produit parent est obligatoire." });
+        }
+        const location = await resolveLocation(req.body.locationId);
+        const result = await runInTransaction(async (session) => {
+            if (fields.categoryId) await assertCategoryExists(fields.categoryId, session);
+            const parent = new ParentProduct({ ...fields, attributes: parseVariantAttributes(req.body.attributes) });
+            const rows = parseVariantRows(parent, req.body.variants);
+            await parent.save({ session });
+            try {
+                const variants = await createVariants(parent, rows, req.user, location, session);
+                return { ...parent.toObject(), variants };
+            } catch (err) {
+                if (!session) await ParentProduct.deleteOne({ _id: parent._id });
+                throw err;
+            }
+        });
+        res.status(201).json(result);
     } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
         if (err.code === 11000) {
-            return res.status(409).json({ message: "Un produit avec ce nom existe déjà." });
+            return res.status(409).json({ message: 'Un produit parent avec ce nom existe déjà.' });
         }
-        res.status(400).json({ message: "Données de produit invalides: " + err.message });
+        res.status(400).json({ message: "Données de produit parent invalides: " + err.message });
     }
 });
 
-// PUT: Mettre à jour un produit
-app.put(`${API_BASE_URL}/products/:id`, async (req, res) => {
+// POST: Ajouter des variantes (nouvelles combinaisons de la grille) à un produit parent
+// { variants: [...], locationId? } : mêmes lignes qu'à la création ; une combinaison existante est refusée (409)
+app.post(`${API_BASE_URL}/parent-products/:id/variants`, authorize('admin'), async (req, res) => {
     try {
-        const updatedProduct = await Product.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
-        if (!updatedProduct) {
-            return res.status(404).json({ message: "Produit non trouvé." });
+        const location = await resolveLocation(req.body.locationId);
+        const variants = await runInTransaction(async (session) => {
+            const parent = await findParentProduct(req.params.id, session);
+            const previousAttributes = parent.toObject().attributes;
+            const rows = parseVariantRows(parent, req.body.variants, await Product.find({ parentId: parent._id }).session(session));
+            await parent.save({ session }); // Nouvelles valeurs d'attributs
+            try {
+                return await createVariants(parent, rows, req.user, location, session);
+            } catch (err) {
+                if (!session) await ParentProduct.updateOne({ _id: parent._id }, { $set: { attributes: previousAttributes } });
+                throw err;
+            }
+        });
+        res.status(201).json(variants);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
         }
-        res.json(updatedProduct);
+        res.status(400).json({ message: "Données de variante invalides: " + err.message });
+    }
+});
+
+// PUT: Modifier un produit parent { name?, categoryId?, brand?, unit?, vatRate? }
+// Les champs communs sont recopiés sur toutes les variantes ; un nouveau nom les renomme
+app.put(`${API_BASE_URL}/parent-products/:id`, authorize('admin'), async (req, res) => {
+    try {
+        const { fields, unset } = pickParentFields(req.body);
+        const updated = await runInTransaction(async (session) => {
+            const parent = await findParentProduct(req.params.id, session);
+            if (fields.categoryId) await assertCategoryExists(fields.categoryId, session);
+            const variants = await Product.find({ parentId: parent._id }).session(session);
+
+            // Un renommage est vérifié avant toute écriture : un nom déjà pris ne laisse rien à défaire
+            if (fields.name && fields.name !== parent.name) {
+                if (await ParentProduct.exists({ name: fields.name, _id: { $ne: parent._id } }).session(session)) {
+                    throw httpError(409, 'Un autre produit parent porte déjà ce nom.');
+                }
+                const variantNames = variants.map(variant => buildVariantName(fields.name, variant.variantAttributes || []));
+                const taken = await Product.findOne({ name: { $in: variantNames }, parentId: { $ne: parent._id } }, { name: 1 }).session(session);
+                if (taken) {
+                    throw httpError(409, `Le produit "${taken.name}" existe déjà : choisissez un autre nom.`);
+                }
+            }
+
+            const update = Object.keys(unset).length > 0 ? { ...fields, $unset: unset } : fields;
+            const saved = await ParentProduct.findByIdAndUpdate(parent._id, update, { new: true, runValidators: true, session });
+
+            const { name, ...shared } = fields;
+            const changedKeys = [...Object.keys(fields), ...Object.keys(unset)];
+            const updatedVariants = [];
+            try {
+                for (const variant of variants) {
+                    const variantUpdate = { ...shared, parentName: saved.name, name: buildVariantName(saved.name, variant.variantAttributes || []) };
+                    if (Object.keys(unset).length > 0) variantUpdate.$unset = unset;
+                    await Product.updateOne({ _id: variant._id }, variantUpdate, { runValidators: true, session });
+                    updatedVariants.push(variant);
+                    trackProductChange(variant._id, session);
+                }
+            } catch (err) {
+                // Sans transaction, le parent et les variantes déjà modifiées reprennent leurs valeurs d'avant
+                if (!session) {
+                    await ParentProduct.updateOne({ _id: parent._id }, restorePreviousValues(parent, changedKeys));
+                    for (const variant of updatedVariants) {
+                        await Product.updateOne({ _id: variant._id }, restorePreviousValues(variant, [...changedKeys, 'name', 'parentName']));
+                    }
+                }
+                throw err;
+            }
+            return saved;
+        });
+        res.json(updated);
     } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
         if (err.code === 11000) {
-             return res.status(409).json({ message: "Ce nom de produit est déjà utilisé." });
+            return res.status(409).json({ message: 'Ce nom est déjà pris par un autre produit parent ou une autre variante.' });
         }
         res.status(400).json({ message: "Erreur de mise à jour: " + err.message });
     }
 });
 
-// DELETE: Supprimer un produit
-app.delete(`${API_BASE_URL}/products/:id`, async (req, res) => {
+// DELETE: Supprimer un produit parent (seulement sans variante : elles portent le stock et l'historique)
+app.delete(`${API_BASE_URL}/parent-products/:id`, authorize('admin'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "Produit parent non trouvé." });
+    }
+
     try {
-        const product = await Product.findByIdAndDelete(req.params.id);
-        if (!product) {
-            return res.status(404).json({ message: "Produit non trouvé." });
+        const variants = await Product.countDocuments({ parentId: req.params.id });
+        if (variants > 0) {
+            return res.status(409).json({ message: `Ce produit a encore ${variants} variante(s) : supprimez-les d'abord.` });
         }
-        res.status(204).send(); 
+        const parent = await ParentProduct.findByIdAndDelete(req.params.id);
+        if (!parent) {
+            return res.status(404).json({ message: "Produit parent non trouvé." });
+        }
+        res.status(204).send();
     } catch (err) {
         res.status(500).json({ message: 'Erreur serveur lors de la suppression.' });
     }
 });
 
-// --- B. Ventes (/api/sales) ---
 
-// GET: Récupérer toutes les ventes (Rapport)
-app.get(`${API_BASE_URL}/sales`, async (req, res) => {
+// --- R. Caisse et Clôture Journalière (/api/cash-sessions, /api/day-closings) ---
+
+// GET: Sessions de caisse, les plus récentes d'abord (filtres : status, locationId ; pagination : page, limit)
+app.get(`${API_BASE_URL}/cash-sessions`, authorize('admin', 'cashier', 'viewer'), async (req, res) => {
     try {
-        const sales = await Sale.find().sort({ saleDate: -1 }); 
-        res.json(sales);
+        const filter = {};
+        if (req.query.status) {
+            if (!['open', 'closed'].includes(req.query.status)) {
+                return res.status(400).json({ message: 'Paramètre status invalide (open ou closed).' });
+            }
+            filter.status = req.query.status;
+        }
+        if (req.query.locationId) {
+            filter.locationId = (await resolveLocation(req.query.locationId))._id;
+        }
+        res.json(await findPaginated(CashSession, filter, { openedAt: -1 }, req.query));
     } catch (err) {
-        res.status(500).json({ message: 'Erreur serveur lors de la récupération des ventes.' });
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des sessions de caisse.' });
+    }
+});
+
+// GET: Une session de caisse et ses montants attendus par moyen de paiement (en cours tant qu'elle est ouverte)
+app.get(`${API_BASE_URL}/cash-sessions/:id`, authorize('admin', 'cashier', 'viewer'), async (req, res) => {
+    try {
+        res.json(await describeCashSession(await findCashSession(req.params.id)));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération de la session de caisse.' });
     }
 });
 
-// POST: Enregistrer une nouvelle vente (décrémente le stock)
-app.post(`${API_BASE_URL}/sales`, async (req, res) => {
-    const { productId, quantitySold, unitPrice } = req.body;
+// POST: Ouvrir une session de caisse { register, openingFloat, locationId? } (fond de caisse en unités mineures)
+app.post(`${API_BASE_URL}/cash-sessions`, authorize('admin', 'cashier'), async (req, res) => {
+    const register = typeof req.body.register === 'string' ? req.body.register.trim() : '';
+    const { openingFloat } = req.body;
+    if (!register) {
+        return res.status(400).json({ message: "Le nom de la caisse est obligatoire." });
+    }
+    if (!Number.isInteger(openingFloat) || openingFloat < 0) {
+        return res.status(400).json({ message: "Fond de caisse invalide: entier positif ou nul attendu (en unités mineures)." });
+    }
 
     try {
-        const product = await Product.findById(productId);
+        const location = await resolveLocation(req.body.locationId);
+        const cashSession = await runInTransaction(async (session) => {
+            await assertDayOpen(location._id, new Date(), session);
+            return new CashSession({
+                register,
+                locationId: location._id,
+                locationName: location.name,
+                openingFloat,
+                openedBy: req.user._id,
+                openedByName: req.user.username
+            }).save({ session });
+        });
+        res.status(201).json(await describeCashSession(cashSession));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        if (err.code === 11000) {
+            return res.status(409).json({ message: `La caisse ${register} a déjà une session ouverte : fermez-la d'abord.` });
+        }
+        res.status(400).json({ message: "Données de session de caisse invalides: " + err.message });
+    }
+});
 
-        if (!product) {
-            return res.status(404).json({ message: "Produit non trouvé dans l'inventaire." });
+// POST: Fermer une session de caisse { counted: { cash, card?, mobile_money?, ... }, notes? }
+// Les montants attendus sont figés avec le compté et l'écart de chaque moyen de paiement
+app.post(`${API_BASE_URL}/cash-sessions/:id/close`, authorize('admin', 'cashier'), async (req, res) => {
+    try {
+        const counted = parseCountedAmounts(req.body.counted);
+        // Dans une transaction : une opération encaissée en même temps est comptée, ou bien refusée après la fermeture
+        const closed = await runInTransaction(async (session) => {
+            const cashSession = await findCashSession(req.params.id, session);
+            if (cashSession.status !== 'open') {
+                throw httpError(409, "Cette session de caisse est déjà fermée.");
+            }
+            const collected = await getCollectedByMethod({ sessionIds: [cashSession._id] }, session);
+            const salesCount = await Sale.countDocuments({ cashSessionId: cashSession._id, type: 'sale', status: 'completed' }).session(session);
+            const updated = await CashSession.findOneAndUpdate(
+                { _id: cashSession._id, status: 'open' },
+                { $set: {
+                    status: 'closed',
+                    closedAt: new Date(),
+                    closedByName: req.user.username,
+                    counts: buildCashCounts(collected, cashSession.openingFloat, counted),
+                    salesCount,
+                    ...(typeof req.body.notes === 'string' && req.body.notes.trim() && { notes: req.body.notes.trim() })
+                } },
+                { new: true, runValidators: true, session }
+            );
+            if (!updated) {
+                throw httpError(409, "Cette session de caisse vient d'être fermée.");
+            }
+            return updated;
+        });
+        res.json(closed);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
         }
-        if (product.quantity < quantitySold) {
-            return res.status(400).json({ message: `Stock insuffisant pour ${product.name}. Stock actuel: ${product.quantity}.` });
+        res.status(500).json({ message: 'Erreur serveur lors de la fermeture de la caisse.' });
+    }
+});
+
+// GET: Clôtures journalières (Z), les plus récentes d'abord (filtre : locationId ; pagination : page, limit)
+app.get(`${API_BASE_URL}/day-closings`, authorize('admin', 'cashier', 'viewer'), async (req, res) => {
+    try {
+        const filter = req.query.locationId ? { locationId: (await resolveLocation(req.query.locationId))._id } : {};
+        res.json(await findPaginated(DayClosing, filter, { from: -1 }, req.query));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
         }
-        
-        // 1. Création de l'objet Vente
-        const newSale = new Sale({
-            productId: product._id,
-            productName: product.name,
-            unitPrice: unitPrice,
-            quantitySold: quantitySold,
-            totalPrice: unitPrice * quantitySold
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération des clôtures.' });
+    }
+});
+
+// GET: Aperçu du Z d'une journée avant clôture (paramètres : date AAAA-MM-JJ, tz, locationId)
+app.get(`${API_BASE_URL}/day-closings/preview`, authorize('admin', 'cashier', 'viewer'), async (req, res) => {
+    try {
+        const day = parseClosingDay(req.query);
+        const location = await resolveLocation(req.query.locationId);
+        const closing = await DayClosing.findOne({ locationId: location._id, date: day.date });
+        res.json({ ...(await buildDayClosingReport(location, day)), closing });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        res.status(500).json({ message: 'Erreur serveur lors du calcul de la clôture.' });
+    }
+});
+
+// POST: Clôturer une journée (Z) { date, tz, locationId? } : toutes ses caisses doivent être fermées.
+// Le rapport est figé et la journée verrouillée : ventes, annulations, retours et règlements y sont refusés
+app.post(`${API_BASE_URL}/day-closings`, authorize('admin'), async (req, res) => {
+    try {
+        const day = parseClosingDay(req.body);
+        const location = await resolveLocation(req.body.locationId);
+        const closing = await runInTransaction(async (session) => {
+            // Verrou de chaque journée UTC couverte, pris avant le rapport : une vente concurrente y est comptée,
+            // ou bien recommence après la clôture et est refusée
+            for (let date = new Date(day.from); date <= day.to; date = new Date(date.getTime() + 24 * 3600 * 1000)) {
+                await lockClosingDay(location._id, date, session);
+            }
+            await lockClosingDay(location._id, day.to, session);
+            const report = await buildDayClosingReport(location, day, session);
+            if (report.openSessionCount > 0) {
+                throw httpError(409, `${report.openSessionCount} caisse(s) encore ouverte(s) ce jour-là : fermez-les avant la clôture.`);
+            }
+            return new DayClosing({
+                number: await nextSequence('dayClosing', session),
+                locationId: location._id,
+                locationName: location.name,
+                date: day.date,
+                timezone: day.timezone,
+                from: day.from,
+                to: day.to,
+                sessionIds: report.sessions.map(cashSession => cashSession._id),
+                openingFloat: report.openingFloat,
+                counts: report.counts,
+                salesCount: report.salesCount,
+                returnsCount: report.returnsCount,
+                voidedCount: report.voidedCount,
+                revenue: report.revenue,
+                changeGiven: report.changeGiven,
+                closedBy: req.user._id,
+                closedByName: req.user.username
+            }).save({ session });
         });
-        await newSale.save();
+        res.status(201).json(closing);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        if (err.code === 11000) {
+            return res.status(409).json({ message: "Cette journée est déjà clôturée pour cet emplacement." });
+        }
+        res.status(500).json({ message: 'Erreur serveur lors de la clôture de la journée.' });
+    }
+});
 
-        // 2. Mise à jour du Stock
-        product.quantity -= quantitySold;
-        await product.save();
+// GET: Une clôture journalière (Z) avec le détail de ses sessions de caisse
+app.get(`${API_BASE_URL}/day-closings/:id`, authorize('admin', 'cashier', 'viewer'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: "Clôture non trouvée." });
+    }
 
-        res.status(201).json(newSale); 
+    try {
+        const closing = await DayClosing.findById(req.params.id).lean();
+        if (!closing) {
+            return res.status(404).json({ message: "Clôture non trouvée." });
+        }
+        const sessions = await CashSession.find({ _id: { $in: closing.sessionIds } }).sort({ openedAt: 1 });
+        res.json({ ...closing, sessions });
     } catch (err) {
-        res.status(500).json({ message: "Erreur lors de l'enregistrement de la vente: " + err.message });
+        res.status(500).json({ message: 'Erreur serveur lors de la récupération de la clôture.' });
     }
 });
 
-// --- C. Achats (/api/purchases) ---
 
-// GET: Récupérer tous les achats (Rapport)
-app.get(`${API_BASE_URL}/purchases`, async (req, res) => {
+// --- S. Sauvegarde et Restauration (/api/backups, administrateurs uniquement) ---
+
+// GET: Télécharger une sauvegarde complète (archive JSON versionnée de toutes les collections)
+app.get(`${API_BASE_URL}/backups/export`, authorize('admin'), async (req, res) => {
     try {
-        const purchases = await Purchase.find().sort({ purchaseDate: -1 }); 
-        res.json(purchases);
+        const archive = await buildBackupArchive(req.user.username);
+        res.attachment(`${BACKUP_FILE_PREFIX}-${backupTimestamp(archive.createdAt)}.json`);
+        res.json(archive);
     } catch (err) {
-        res.status(500).json({ message: 'Erreur serveur lors de la récupération des achats.' });
+        res.status(500).json({ message: 'Erreur serveur lors de la sauvegarde.' });
+    }
+});
+
+// GET: Sauvegardes automatiques : réglages (BACKUP_DIR, BACKUP_INTERVAL_HOURS, BACKUP_RETENTION) et archives enregistrées
+app.get(`${API_BASE_URL}/backups`, authorize('admin'), async (req, res) => {
+    try {
+        res.json({
+            enabled: Boolean(BACKUP_DIR),
+            intervalHours: BACKUP_INTERVAL_HOURS,
+            retention: BACKUP_RETENTION,
+            files: BACKUP_DIR ? await listBackupFiles() : []
+        });
+    } catch (err) {
+        res.status(500).json({ message: 'Erreur serveur lors de la lecture du dossier de sauvegarde.' });
     }
 });
 
-// POST: Enregistrer un nouvel achat (incrémente le stock)
-app.post(`${API_BASE_URL}/purchases`, async (req, res) => {
-    const { productId, quantityPurchased, unitPrice } = req.body;
+// POST: Enregistrer tout de suite une sauvegarde dans le dossier de sauvegarde
+app.post(`${API_BASE_URL}/backups`, authorize('admin'), async (req, res) => {
+    if (!BACKUP_DIR) {
+        return res.status(409).json({ message: "Aucun dossier de sauvegarde configuré (variable d'environnement BACKUP_DIR)." });
+    }
 
     try {
-        const product = await Product.findById(productId);
+        const name = await writeBackupFile(await buildBackupArchive(req.user.username));
+        res.status(201).json({ name });
+    } catch (err) {
+        res.status(500).json({ message: "Erreur serveur lors de l'enregistrement de la sauvegarde: " + err.message });
+    }
+});
 
-        if (!product) {
-            return res.status(404).json({ message: "Produit non trouvé dans l'inventaire." });
+// GET: Télécharger une archive du dossier de sauvegarde
+app.get(`${API_BASE_URL}/backups/files/:name`, authorize('admin'), (req, res) => {
+    // Seuls les noms d'archives sont acceptés : aucun chemin ne sort du dossier de sauvegarde
+    if (!BACKUP_DIR || !BACKUP_FILE_PATTERN.test(req.params.name)) {
+        return res.status(404).json({ message: "Sauvegarde non trouvée." });
+    }
+    res.download(path.join(BACKUP_DIR, req.params.name), req.params.name, (err) => {
+        if (err && !res.headersSent) {
+            res.status(404).json({ message: "Sauvegarde non trouvée." });
         }
-        
-        // 1. Création de l'objet Achat
-        const newPurchase = new Purchase({
-            productId: product._id,
-            productName: product.name,
-            unitPrice: unitPrice,
-            quantityPurchased: quantityPurchased,
-            totalPrice: unitPrice * quantityPurchased
-        });
-        await newPurchase.save();
+    });
+});
 
-        // 2. Mise à jour du Stock (ajout)
-        product.quantity += quantityPurchased;
-        await product.save();
+// POST: Restaurer une archive (corps : le fichier, Content-Type application/octet-stream ; paramètres : mode, dryRun).
+// mode=merge (défaut) ajoute et met à jour, mode=replace remplace les collections de l'archive. L'archive est d'abord
+// vérifiée (format, schémas, références) ; en dryRun, seul le compte rendu est renvoyé, sans rien modifier.
+app.post(`${API_BASE_URL}/backups/restore`, authorize('admin'), express.text({ type: ['application/octet-stream', 'text/plain'], limit: BACKUP_MAX_SIZE }), async (req, res) => {
+    const mode = req.query.mode || 'merge';
+    if (!['replace', 'merge'].includes(mode)) {
+        return res.status(400).json({ message: 'Paramètre mode invalide (replace ou merge).' });
+    }
+    const dryRun = req.query.dryRun === '1' || req.query.dryRun === 'true';
 
-        res.status(201).json(newPurchase); 
+    let archive = req.body;
+    if (typeof archive === 'string') {
+        try {
+            archive = JSON.parse(archive);
+        } catch (err) {
+            return res.status(400).json({ message: 'Archive illisible : fichier JSON attendu.' });
+        }
+    }
+
+    try {
+        const { summary, docs } = await planRestore(archive, mode);
+        if (summary.errors.length > 0) {
+            return res.status(400).json({ message: "Cette archive ne peut pas être restaurée : voir les erreurs signalées.", ...summary });
+        }
+        if (dryRun) {
+            return res.json(summary);
+        }
+        const snapshotFile = await restoreBackup(docs, mode, req.user);
+        res.json({ ...summary, restoredAt: new Date(), snapshotFile });
     } catch (err) {
-        res.status(500).json({ message: "Erreur lors de l'enregistrement de l'achat: " + err.message });
+        if (err.status) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        if (err.code === 11000) {
+            return res.status(409).json({ message: "Restauration annulée : un document de l'archive reprend une valeur unique (nom, SKU, code-barres...) déjà utilisée par un autre document." });
+        }
+        res.status(500).json({ message: 'Erreur serveur lors de la restauration: ' + err.message });
     }
 });
 
@@ -232,7 +6295,13 @@ app.get('/*', (req, res) => {
 });
 
 
-// Démarrage du Serveur
-app.listen(PORT, () => {
-    console.log(`🚀 Serveur StockApp Melchisédech démarré. Écoute sur le port ${PORT}`);
-});
+// Démarrage du Serveur (seulement lancé directement : les tests importent l'application et la démarrent eux-mêmes)
+if (require.main === module) {
+    connectDatabase().catch(err => console.error('❌ Erreur de connexion MongoDB Atlas :', err.message));
+
+    app.listen(PORT, () => {
+        console.log(`🚀 Serveur StockApp Melchisédech démarré. Écoute sur le port ${PORT}`);
+    });
+}
+
+module.exports = { app, connectDatabase };
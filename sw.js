@@ -0,0 +1,58 @@
+// -----------------------------------------------------------------
+// Service Worker StockTrack : garde l'interface en cache pour qu'elle s'ouvre sans réseau.
+// Les appels à l'API ne passent jamais par ce cache : la copie locale des produits
+// et la file des ventes hors ligne sont gérées par script.js dans IndexedDB.
+// -----------------------------------------------------------------
+
+// Changer la version pour forcer le remplacement du cache lors d'une mise à jour
+const CACHE_NAME = 'stocktrack-shell-v2';
+
+// Fichiers de l'interface (mêmes chemins que dans index.html)
+const SHELL_FILES = ['./', 'index.html', 'script.js', 'style.css', 'manifest.json', 'icon.svg'];
+
+// Ressources externes (polices, icônes) mises en cache au premier chargement
+const CACHED_DESTINATIONS = ['document', 'script', 'style', 'font', 'image', 'manifest'];
+
+self.addEventListener('install', (event) => {
+    // Un fichier manquant ne doit pas empêcher l'installation du reste
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => Promise.allSettled(SHELL_FILES.map(file => cache.add(file))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.pathname.startsWith('/api/') || !CACHED_DESTINATIONS.includes(request.destination)) {
+        return;
+    }
+
+    // Cache d'abord (ouverture immédiate, même quand le serveur dort), puis mise à jour en arrière-plan
+    event.respondWith(caches.open(CACHE_NAME).then(async (cache) => {
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' })
+            || (request.mode === 'navigate' ? await cache.match('index.html') : undefined);
+        const network = fetch(request)
+            .then(response => {
+                if (response.ok || response.type === 'opaque') {
+                    cache.put(request, response.clone());
+                }
+                return response;
+            })
+            .catch(() => cached);
+        if (cached) {
+            event.waitUntil(network);
+            return cached;
+        }
+        return network;
+    }));
+});
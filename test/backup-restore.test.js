@@ -0,0 +1,139 @@
+// test/backup-restore.test.js - Restauration d'une sauvegarde : archive vérifiée, essai sans écriture, fusion, remplacement
+
+const assert = require('assert');
+const mongoose = require('mongoose');
+const { request, createTestProduct, createTestUser } = require('./setup');
+
+/** Envoie une archive à restaurer, comme le fichier choisi dans l'application */
+const restore = (archive, query) =>
+    request('POST', `/backups/restore?${query}`, typeof archive === 'string' ? archive : JSON.stringify(archive));
+
+const exportArchive = async () => {
+    const { status, body } = await request('GET', '/backups/export');
+    assert.strictEqual(status, 200);
+    return body;
+};
+
+const login = async (username, password) =>
+    (await request('POST', '/auth/login', { username, password }, { token: null })).status;
+
+/** Archive réduite à quelques collections, au format de l'export */
+const partialArchive = (collections) => ({ format: 'stocktrack-backup', version: 1, createdAt: new Date(), collections });
+
+/** Produit au format de l'archive, rangé à l'emplacement par défaut */
+const archivedProduct = async (fields = {}) => {
+    const { body: locations } = await request('GET', '/locations');
+    const location = locations.find(entry => entry.isDefault);
+    return {
+        _id: String(new mongoose.Types.ObjectId()),
+        name: `Produit archivé ${new mongoose.Types.ObjectId()}`,
+        quantity: 4,
+        price: 1200,
+        minStockLevel: 1,
+        stocks: [{ locationId: location._id, quantity: 4 }],
+        ...fields
+    };
+};
+
+describe('Restauration des sauvegardes', () => {
+    describe("vérification de l'archive", () => {
+        it('refuse un fichier illisible, un autre format, une version future ou une collection inconnue', async () => {
+            const responses = await Promise.all([
+                restore('pas du JSON', 'mode=merge'),
+                restore({ format: 'autre-chose', version: 1, collections: {} }, 'mode=merge'),
+                restore({ format: 'stocktrack-backup', version: 99, collections: {} }, 'mode=merge'),
+                restore(partialArchive({ inconnue: [] }), 'mode=merge'),
+                restore(partialArchive({}), 'mode=tout')
+            ]);
+
+            responses.forEach(({ status, body }) => {
+                assert.strictEqual(status, 400);
+                assert.ok(body.message);
+            });
+        });
+
+        it('signale les documents invalides et les références bloquantes, sans rien écrire', async () => {
+            const invalid = { _id: String(new mongoose.Types.ObjectId()), name: 'Produit incomplet' };
+            const orphanLot = {
+                _id: String(new mongoose.Types.ObjectId()),
+                productId: String(new mongoose.Types.ObjectId()),
+                productName: 'Produit disparu',
+                locationId: String(new mongoose.Types.ObjectId()),
+                lotNumber: 'LOT-1',
+                unitCost: 500,
+                quantityReceived: 2,
+                quantity: 2
+            };
+
+            const { status, body } = await restore(partialArchive({ products: [invalid], stockLots: [orphanLot] }), 'mode=merge');
+
+            assert.strictEqual(status, 400);
+            assert.ok(body.errors.some(error => error.includes(invalid._id)), body.errors.join('\n'));
+            assert.ok(body.errors.some(error => error.startsWith("Lots d'un produit introuvable")), body.errors.join('\n'));
+            assert.strictEqual(await mongoose.model('Product').exists({ _id: invalid._id }), null);
+            assert.strictEqual(await mongoose.model('StockLot').exists({ _id: orphanLot._id }), null);
+        });
+
+        it('refuse de remplacer les utilisateurs par une liste sans administrateur actif', async () => {
+            const { status, body } = await restore(partialArchive({ users: [] }), 'mode=replace');
+
+            assert.strictEqual(status, 400);
+            assert.ok(body.errors.some(error => error.includes('administrateur')));
+            assert.ok(await mongoose.model('User').exists({ role: 'admin' }));
+        });
+    });
+
+    it("n'écrit rien en essai (dryRun) et rend le compte rendu", async () => {
+        await createTestProduct({ quantity: 2 });
+        const product = await archivedProduct();
+        const usersBefore = await mongoose.model('User').countDocuments();
+
+        const merge = await restore(partialArchive({ products: [product] }), 'mode=merge&dryRun=1');
+        const replace = await restore(partialArchive({ products: [product] }), 'mode=replace&dryRun=true');
+
+        assert.strictEqual(merge.status, 200);
+        assert.strictEqual(replace.status, 200);
+        const products = merge.body.collections.find(collection => collection.name === 'products');
+        assert.deepStrictEqual({ inserted: products.inserted, updated: products.updated, deleted: products.deleted }, { inserted: 1, updated: 0, deleted: 0 });
+        assert.ok(replace.body.collections.find(collection => collection.name === 'products').deleted > 0);
+        assert.strictEqual(await mongoose.model('Product').exists({ _id: product._id }), null);
+        assert.ok(await mongoose.model('Product').countDocuments() > 0, 'le remplacement à blanc a supprimé les produits');
+        assert.strictEqual(await mongoose.model('User').countDocuments(), usersBefore);
+    });
+
+    it("ne reprend pas le mot de passe ni le rôle d'un utilisateur existant lors d'une fusion", async () => {
+        const kept = await createTestUser('cashier');
+        const removed = await createTestUser('cashier');
+        const archive = await exportArchive();
+        // Depuis la sauvegarde : un mot de passe et un rôle changés, un compte supprimé
+        await request('PUT', `/users/${kept.user._id}`, { password: 'nouveau-mot-de-passe', role: 'viewer' });
+        await request('DELETE', `/users/${removed.user._id}`);
+
+        const dryRun = await restore(archive, 'mode=merge&dryRun=1');
+        assert.strictEqual(dryRun.status, 200);
+        assert.ok(dryRun.body.warnings.some(warning => warning.includes('utilisateur')), dryRun.body.warnings.join('\n'));
+        const users = dryRun.body.collections.find(collection => collection.name === 'users');
+        assert.deepStrictEqual({ inserted: users.inserted, updated: users.updated }, { inserted: 1, updated: 0 });
+
+        const merged = await restore(archive, 'mode=merge');
+        assert.strictEqual(merged.status, 200, merged.body.message);
+
+        assert.strictEqual(await login(kept.user.username, 'nouveau-mot-de-passe'), 200);
+        assert.strictEqual(await login(kept.user.username, kept.password), 401);
+        assert.strictEqual((await mongoose.model('User').findById(kept.user._id).lean()).role, 'viewer');
+        // Un compte absent de la base est bien rajouté, avec son mot de passe de l'archive
+        assert.strictEqual(await login(removed.user.username, removed.password), 200);
+    });
+
+    it("remet la base dans l'état exact de l'archive en mode remplacement", async () => {
+        const archive = await exportArchive();
+        const added = await createTestProduct({ quantity: 3 });
+
+        const restored = await restore(archive, 'mode=replace');
+        assert.strictEqual(restored.status, 200, restored.body.message);
+
+        assert.strictEqual(await mongoose.model('Product').exists({ _id: added._id }), null);
+        const roundTrip = await exportArchive();
+        assert.deepStrictEqual(roundTrip.collections, archive.collections);
+    });
+});
@@ -0,0 +1,91 @@
+// test/day-closing.test.js - Clôture journalière (Z) : une journée clôturée n'accepte plus d'opération, même concurrente
+
+const assert = require('assert');
+const mongoose = require('mongoose');
+const { request, createTestProduct } = require('./setup');
+
+const PARALLEL_REQUESTS = 10;
+
+// Chaque test clôture la journée d'un emplacement qui lui est propre : l'emplacement par défaut reste ouvert
+const createTestLocation = async () => {
+    const { status, body } = await request('POST', '/locations', { name: `Emplacement test ${new mongoose.Types.ObjectId()}` });
+    assert.strictEqual(status, 201);
+    return body;
+};
+
+const closeDay = (location) =>
+    request('POST', '/day-closings', { date: new Date().toISOString().slice(0, 10), tz: 'UTC', locationId: location._id });
+
+const sell = (product, location, fields = {}) => request('POST', '/sales', {
+    items: [{ productId: product._id, quantitySold: 1, unitPrice: 1500 }],
+    locationId: location._id,
+    ...fields
+});
+
+const quantityOf = async (product) => (await mongoose.model('Product').findById(product._id).lean()).quantity;
+
+describe('Clôture journalière (Z)', () => {
+    it('refuse ventes, annulations, retours et règlements sur une journée clôturée', async () => {
+        const location = await createTestLocation();
+        const product = await createTestProduct({ quantity: 10, locationId: location._id });
+        const { body: customer } = await request('POST', '/customers', { name: `Client test ${new mongoose.Types.ObjectId()}` });
+        const toVoid = await sell(product, location);
+        const toReturn = await sell(product, location);
+        const onCredit = await sell(product, location, { customerId: customer._id, amountPaid: 0 });
+        [toVoid, toReturn, onCredit].forEach(({ status }) => assert.strictEqual(status, 201));
+
+        const closing = await closeDay(location);
+        assert.strictEqual(closing.status, 201, closing.body.message);
+        assert.strictEqual(closing.body.salesCount, 3);
+
+        const refused = await Promise.all([
+            sell(product, location),
+            request('POST', `/sales/${toVoid.body._id}/void`, { reason: 'Erreur de saisie' }),
+            request('POST', `/sales/${toReturn.body._id}/returns`, { reason: 'Article défectueux', items: [{ lineIndex: 0, quantity: 1 }] }),
+            request('POST', `/sales/${onCredit.body._id}/payments`, { amount: 500 }),
+            request('POST', `/customers/${customer._id}/payments`, { amount: 500 })
+        ]);
+        refused.forEach(({ status }) => assert.strictEqual(status, 409));
+        assert.strictEqual(await quantityOf(product), 7);
+        const sale = await mongoose.model('Sale').findById(onCredit.body._id).lean();
+        assert.strictEqual(sale.amountPaid, 0);
+
+        // Les autres emplacements restent ouverts
+        const elsewhere = await createTestProduct({ quantity: 1 });
+        assert.strictEqual((await request('POST', '/sales', { items: [{ productId: elsewhere._id, quantitySold: 1, unitPrice: 1500 }] })).status, 201);
+    });
+
+    it('refuse la clôture tant qu\'une caisse est ouverte ce jour-là', async () => {
+        const location = await createTestLocation();
+        const opened = await request('POST', '/cash-sessions', { register: 'Caisse 1', openingFloat: 5000, locationId: location._id });
+        assert.strictEqual(opened.status, 201);
+
+        assert.strictEqual((await closeDay(location)).status, 409);
+
+        const closed = await request('POST', `/cash-sessions/${opened.body._id}/close`, { counted: { cash: 5000 } });
+        assert.strictEqual(closed.status, 200);
+        const closing = await closeDay(location);
+        assert.strictEqual(closing.status, 201, closing.body.message);
+        assert.deepStrictEqual(closing.body.sessionIds, [opened.body._id]);
+        // Plus de caisse à ouvrir sur une journée clôturée
+        assert.strictEqual((await request('POST', '/cash-sessions', { register: 'Caisse 2', openingFloat: 0, locationId: location._id })).status, 409);
+    });
+
+    it('compte dans la clôture chaque vente concurrente acceptée, et refuse les autres', async () => {
+        const location = await createTestLocation();
+        const product = await createTestProduct({ quantity: 100, locationId: location._id });
+
+        const [closing, ...sales] = await Promise.all([
+            closeDay(location),
+            ...Array.from({ length: PARALLEL_REQUESTS }, () => sell(product, location))
+        ]);
+
+        assert.strictEqual(closing.status, 201, closing.body.message);
+        sales.forEach(({ status }) => assert.ok(status === 201 || status === 409, `statut inattendu : ${status}`));
+        const accepted = sales.filter(({ status }) => status === 201).length;
+        assert.strictEqual(closing.body.salesCount, accepted);
+        assert.strictEqual(closing.body.revenue, accepted * 1500);
+        assert.strictEqual(await quantityOf(product), 100 - accepted);
+        assert.strictEqual(await mongoose.model('Sale').countDocuments({ locationId: location._id }), accepted);
+    });
+});
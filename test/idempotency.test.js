@@ -0,0 +1,65 @@
+// test/idempotency.test.js - Ventes rejouées par la file hors ligne : une clé d'idempotence n'enregistre qu'une vente
+
+const assert = require('assert');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { request, createTestProduct } = require('./setup');
+
+const PARALLEL_REQUESTS = 10;
+
+/** Envoie une vente avec sa clé d'idempotence, comme la file hors ligne du terminal */
+const postSale = (sale, key) => request('POST', '/sales', sale, { headers: { 'Idempotency-Key': key } });
+
+/** Stock enregistré et nombre de sorties de stock inscrites au journal pour le produit */
+const loadStock = async (productId) => ({
+    quantity: (await mongoose.model('Product').findById(productId).lean()).quantity,
+    saleMovements: await mongoose.model('StockMovement').countDocuments({ productId, type: 'sale' })
+});
+
+describe("Ventes rejouées avec une clé d'idempotence", () => {
+    it("renvoie la vente d'origine sans sortir le stock une seconde fois", async () => {
+        const product = await createTestProduct({ quantity: 5 });
+        const key = crypto.randomUUID();
+        const sale = { items: [{ productId: product._id, quantitySold: 2, unitPrice: 1500 }] };
+
+        const first = await postSale(sale, key);
+        const replay = await postSale(sale, key);
+
+        assert.strictEqual(first.status, 201);
+        assert.strictEqual(replay.status, 200);
+        assert.strictEqual(replay.body._id, first.body._id);
+        assert.strictEqual(replay.body.invoiceNumber, first.body.invoiceNumber);
+        assert.deepStrictEqual(await loadStock(product._id), { quantity: 3, saleMovements: 1 });
+        assert.strictEqual(await mongoose.model('Sale').countDocuments({ idempotencyKey: key }), 1);
+    });
+
+    it('refuse (409) une clé déjà utilisée pour un autre ticket, sans toucher au stock', async () => {
+        const product = await createTestProduct({ quantity: 5 });
+        const other = await createTestProduct({ quantity: 5 });
+        const key = crypto.randomUUID();
+
+        const first = await postSale({ items: [{ productId: product._id, quantitySold: 2, unitPrice: 1500 }] }, key);
+        const otherQuantity = await postSale({ items: [{ productId: product._id, quantitySold: 1, unitPrice: 1500 }] }, key);
+        const otherProduct = await postSale({ items: [{ productId: other._id, quantitySold: 2, unitPrice: 1500 }] }, key);
+
+        assert.strictEqual(first.status, 201);
+        assert.strictEqual(otherQuantity.status, 409);
+        assert.strictEqual(otherProduct.status, 409);
+        assert.deepStrictEqual(await loadStock(product._id), { quantity: 3, saleMovements: 1 });
+        assert.deepStrictEqual(await loadStock(other._id), { quantity: 5, saleMovements: 0 });
+    });
+
+    it("n'enregistre qu'une vente pour des envois simultanés de la même clé, même sur le dernier stock", async () => {
+        // Juste assez de stock pour une vente : les envois perdants ne doivent pas répondre « stock insuffisant »
+        const product = await createTestProduct({ quantity: 2 });
+        const key = crypto.randomUUID();
+        const sale = { items: [{ productId: product._id, quantitySold: 2, unitPrice: 1500 }] };
+
+        const responses = await Promise.all(Array.from({ length: PARALLEL_REQUESTS }, () => postSale(sale, key)));
+
+        assert.strictEqual(responses.filter(({ status }) => status === 201).length, 1);
+        responses.forEach(({ status }) => assert.ok(status === 201 || status === 200, `statut inattendu : ${status}`));
+        assert.strictEqual(new Set(responses.map(({ body }) => body._id)).size, 1);
+        assert.deepStrictEqual(await loadStock(product._id), { quantity: 0, saleMovements: 1 });
+    });
+});
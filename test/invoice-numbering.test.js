@@ -0,0 +1,66 @@
+// test/invoice-numbering.test.js - Numéros de facture : séquence sans trou ni doublon, même sous requêtes simultanées
+
+const assert = require('assert');
+const mongoose = require('mongoose');
+const { request, createTestProduct } = require('./setup');
+
+const PARALLEL_REQUESTS = 10;
+
+/** Dernier numéro de facture attribué (0 si aucun) */
+const lastInvoiceNumber = async () => {
+    const counter = await mongoose.model('Counter').findById('invoice').lean();
+    return counter ? counter.seq : 0;
+};
+
+const sell = (product, quantitySold = 1) =>
+    request('POST', '/sales', { items: [{ productId: product._id, quantitySold, unitPrice: 1500 }] });
+
+describe('Numérotation des factures', () => {
+    it('attribue des numéros consécutifs et uniques aux ventes simultanées', async () => {
+        const product = await createTestProduct({ quantity: 100 });
+        const before = await lastInvoiceNumber();
+
+        const responses = await Promise.all(Array.from({ length: PARALLEL_REQUESTS }, () => sell(product)));
+
+        responses.forEach(({ status, body }) => assert.strictEqual(status, 201, body && body.message));
+        const numbers = responses.map(({ body }) => body.invoiceNumber).sort((a, b) => a - b);
+        assert.deepStrictEqual(numbers, Array.from({ length: PARALLEL_REQUESTS }, (_, index) => before + index + 1));
+        assert.strictEqual(await lastInvoiceNumber(), before + PARALLEL_REQUESTS);
+        assert.strictEqual(await mongoose.model('Sale').countDocuments({ invoicingAt: { $exists: true } }), 0);
+    });
+
+    it("ne prend aucun numéro pour une vente refusée", async () => {
+        const product = await createTestProduct({ quantity: 1 });
+
+        const first = await sell(product);
+        const refused = await Promise.all([
+            sell(product), // Stock épuisé
+            request('POST', '/sales', { items: [{ productId: new mongoose.Types.ObjectId(), quantitySold: 1, unitPrice: 1500 }] })
+        ]);
+        const restocked = await request('POST', '/purchases', { productId: product._id, quantityPurchased: 1, unitPrice: 800 });
+        const second = await sell(product);
+
+        assert.strictEqual(first.status, 201);
+        assert.deepStrictEqual(refused.map(({ status }) => status), [409, 404]);
+        assert.strictEqual(restocked.status, 201);
+        assert.strictEqual(second.status, 201);
+        assert.strictEqual(second.body.invoiceNumber, first.body.invoiceNumber + 1);
+        assert.strictEqual(await lastInvoiceNumber(), second.body.invoiceNumber);
+    });
+
+    it("numérote une seule fois un ticket resté sans numéro, imprimé plusieurs fois en même temps", async () => {
+        const product = await createTestProduct({ quantity: 1 });
+        const sale = await sell(product);
+        // Ticket resté sans numéro (échec après l'enregistrement) : il est numéroté à sa première impression
+        await mongoose.model('Sale').updateOne({ _id: sale.body._id }, { $unset: { invoiceNumber: '', invoicedAt: '' } });
+        const before = await lastInvoiceNumber();
+
+        const prints = await Promise.all(Array.from({ length: 5 }, () => request('GET', `/sales/${sale.body._id}/invoice.pdf`)));
+
+        prints.forEach(({ status }) => assert.strictEqual(status, 200));
+        const numbered = await mongoose.model('Sale').findById(sale.body._id).lean();
+        assert.strictEqual(numbered.invoiceNumber, before + 1);
+        assert.strictEqual(numbered.invoicingAt, undefined);
+        assert.strictEqual(await lastInvoiceNumber(), before + 1);
+    });
+});
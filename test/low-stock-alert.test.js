@@ -0,0 +1,48 @@
+// test/low-stock-alert.test.js - Alerte de stock faible envoyée au webhook quand une vente franchit le seuil minimum
+
+const assert = require('assert');
+const { context, request, createTestProduct } = require('./setup');
+
+// L'alerte part après la réponse à la vente : délai laissé au webhook pour la recevoir
+const ALERT_DELAY_MS = 500;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/** Alertes reçues par le webhook qui concernent le produit */
+const alertsFor = (product) => context.alerts.filter(alert =>
+    alert.products.some(alerted => alerted._id === String(product._id)));
+
+const sell = async (product, quantitySold) => {
+    const { status, body } = await request('POST', '/sales', { items: [{ productId: product._id, quantitySold, unitPrice: 1500 }] });
+    assert.strictEqual(status, 201, body && body.message);
+};
+
+describe('Alerte de stock faible (webhook)', () => {
+    it("n'envoie rien tant que le stock reste au-dessus du seuil", async () => {
+        const product = await createTestProduct({ quantity: 10, minStockLevel: 3 });
+
+        await sell(product, 2);
+        await sell(product, 4);
+        await wait(ALERT_DELAY_MS);
+
+        assert.strictEqual(alertsFor(product).length, 0);
+    });
+
+    it('envoie une seule alerte quand une vente franchit le seuil, puis plus rien sous le seuil', async () => {
+        const product = await createTestProduct({ quantity: 5, minStockLevel: 3 });
+
+        await sell(product, 3);
+        await wait(ALERT_DELAY_MS);
+
+        const alerts = alertsFor(product);
+        assert.strictEqual(alerts.length, 1);
+        assert.strictEqual(alerts[0].event, 'low-stock');
+        assert.strictEqual(alerts[0].trigger, 'sale');
+        assert.deepStrictEqual(alerts[0].products, [{ _id: String(product._id), name: product.name, quantity: 2, minStockLevel: 3 }]);
+
+        // Déjà sous le seuil : une nouvelle vente ne relance pas l'alerte
+        await sell(product, 1);
+        await wait(ALERT_DELAY_MS);
+        assert.strictEqual(alertsFor(product).length, 1);
+    });
+});
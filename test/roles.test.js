@@ -0,0 +1,61 @@
+// test/roles.test.js - Rôles et sessions : les routes d'administration sont refusées aux autres rôles
+
+const assert = require('assert');
+const mongoose = require('mongoose');
+const { request, createTestProduct, createTestUser } = require('./setup');
+
+describe('Rôles et authentification', () => {
+    let product;
+    let target;
+
+    before(async () => {
+        product = await createTestProduct({ quantity: 1 });
+        target = await createTestUser('viewer');
+    });
+
+    /** Appels réservés à l'administrateur, rejoués avec le jeton d'un autre rôle */
+    const adminOnlyCalls = (token) => Promise.all([
+        request('POST', '/purchases', { productId: product._id, quantityPurchased: 5, unitPrice: 800 }, { token }),
+        request('PUT', `/users/${target.user._id}`, { role: 'admin' }, { token }),
+        request('GET', '/backups', undefined, { token }),
+        request('POST', '/backups', undefined, { token }),
+        request('GET', '/backups/export', undefined, { token })
+    ]);
+
+    for (const role of ['viewer', 'cashier']) {
+        it(`refuse (403) les routes d'administration au rôle ${role}, sans rien modifier`, async () => {
+            const { token } = await createTestUser(role);
+
+            const responses = await adminOnlyCalls(token);
+
+            responses.forEach(({ status }) => assert.strictEqual(status, 403));
+            assert.strictEqual((await mongoose.model('Product').findById(product._id).lean()).quantity, 1);
+            assert.strictEqual((await mongoose.model('User').findById(target.user._id).lean()).role, 'viewer');
+        });
+    }
+
+    it('refuse (401) une requête sans jeton ou avec un jeton invalide', async () => {
+        const responses = await Promise.all([
+            request('GET', '/products', undefined, { token: null }),
+            request('GET', '/products', undefined, { token: 'jeton-inconnu' }),
+            request('GET', '/products', undefined, { token: null, headers: { Authorization: 'Basic YWRtaW46YWRtaW4=' } }),
+            request('POST', '/purchases', { productId: product._id, quantityPurchased: 5, unitPrice: 800 }, { token: 'jeton-inconnu' })
+        ]);
+
+        responses.forEach(({ status }) => assert.strictEqual(status, 401));
+        assert.strictEqual((await mongoose.model('Product').findById(product._id).lean()).quantity, 1);
+    });
+
+    it("refuse (400) un état de compte qui n'est pas un booléen, et ferme les sessions d'un compte désactivé", async () => {
+        const cashier = await createTestUser('cashier');
+
+        const invalid = await request('PUT', `/users/${cashier.user._id}`, { active: 'false' });
+        assert.strictEqual(invalid.status, 400);
+        assert.strictEqual((await mongoose.model('User').findById(cashier.user._id).lean()).active, true);
+        assert.strictEqual((await request('GET', '/auth/me', undefined, { token: cashier.token })).status, 200);
+
+        const deactivated = await request('PUT', `/users/${cashier.user._id}`, { active: false });
+        assert.strictEqual(deactivated.status, 200);
+        assert.strictEqual((await request('GET', '/auth/me', undefined, { token: cashier.token })).status, 401);
+    });
+});
@@ -0,0 +1,106 @@
+// test/setup.js - Serveur de test partagé par tous les fichiers : MongoDB en mémoire, client HTTP authentifié
+// et faux webhook d'alertes de stock faible
+
+const http = require('http');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const mongoose = require('mongoose');
+
+const ADMIN = { username: 'admin', password: 'admin-de-test' };
+
+// Rempli par beforeAll, utilisé par les tests via require('./setup').context ; `alerts` reçoit chaque alerte du webhook
+const context = { alerts: [] };
+let replSet;
+let httpServer;
+let webhookServer;
+
+/** Serveur HTTP local qui tient lieu de webhook : il garde chaque alerte reçue et répond 204 */
+const startWebhookStandIn = () => new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            context.alerts.push(JSON.parse(body));
+            res.writeHead(204).end();
+        });
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+/**
+ * Appel JSON à l'API, authentifié par défaut comme l'administrateur de test ; renvoie { status, body } sans lever
+ * d'erreur sur les statuts 4xx/5xx. Options : `token` (null : sans en-tête Authorization), `headers` en plus,
+ * un `body` texte est envoyé tel quel.
+ */
+const request = async (method, path, body, { token = context.token, headers = {} } = {}) => {
+    const response = await fetch(`${context.baseUrl}${path}`, {
+        method,
+        headers: {
+            'Content-Type': typeof body === 'string' ? 'text/plain' : 'application/json',
+            ...(token && { Authorization: `Bearer ${token}` }),
+            ...headers
+        },
+        body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    // Réponses JSON décodées ; les autres (PDF, CSV) gardées en texte
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, body: text ? (isJson ? JSON.parse(text) : text) : null };
+};
+
+/** Crée un produit de test (nom unique) avec `quantity` unités à l'emplacement par défaut */
+const createTestProduct = async (fields = {}) => {
+    const { status, body } = await request('POST', '/products', {
+        name: `Produit test ${new mongoose.Types.ObjectId()}`,
+        quantity: 0,
+        price: 1000,
+        minStockLevel: 0,
+        ...fields
+    });
+    if (status !== 201) throw new Error(`Création du produit de test refusée (${status}) : ${body && body.message}`);
+    return body;
+};
+
+/** Crée un utilisateur de test du rôle donné (nom unique) et ouvre sa session ; renvoie { user, password, token } */
+const createTestUser = async (role, fields = {}) => {
+    const password = 'mot-de-passe-test';
+    const created = await request('POST', '/users', { username: `test-${role}-${new mongoose.Types.ObjectId()}`, password, role, ...fields });
+    if (created.status !== 201) throw new Error(`Création de l'utilisateur de test refusée (${created.status}) : ${created.body && created.body.message}`);
+    const login = await request('POST', '/auth/login', { username: created.body.username, password }, { token: null });
+    return { user: created.body, password, token: login.body.token };
+};
+
+exports.mochaHooks = {
+    async beforeAll() {
+        // Un jeu de réplicas à un nœud : les ventes et achats passent par de vraies transactions
+        replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+        webhookServer = await startWebhookStandIn();
+        // Lues au chargement de server.js : à définir avant de le charger
+        process.env.MONGO_URI = replSet.getUri();
+        process.env.LOW_STOCK_WEBHOOK_URL = `http://127.0.0.1:${webhookServer.address().port}/low-stock`;
+        process.env.ADMIN_USERNAME = ADMIN.username;
+        process.env.ADMIN_PASSWORD = ADMIN.password;
+
+        const { app, connectDatabase } = require('../server');
+        await connectDatabase();
+        httpServer = await new Promise(resolve => {
+            const server = app.listen(0, '127.0.0.1', () => resolve(server));
+        });
+        context.baseUrl = `http://127.0.0.1:${httpServer.address().port}/api`;
+
+        const login = await request('POST', '/auth/login', ADMIN);
+        if (login.status !== 200) throw new Error(`Connexion de l'administrateur de test refusée (${login.status}).`);
+        context.token = login.body.token;
+    },
+
+    async afterAll() {
+        if (httpServer) await new Promise(resolve => httpServer.close(resolve));
+        if (webhookServer) await new Promise(resolve => webhookServer.close(resolve));
+        await mongoose.disconnect();
+        if (replSet) await replSet.stop();
+    }
+};
+
+exports.context = context;
+exports.request = request;
+exports.createTestProduct = createTestProduct;
+exports.createTestUser = createTestUser;
@@ -0,0 +1,98 @@
+// test/stock-concurrency.test.js - Ventes et achats simultanés sur les mêmes produits : ni survente, ni stock perdu
+
+const assert = require('assert');
+const mongoose = require('mongoose');
+const { request, createTestProduct } = require('./setup');
+
+const PARALLEL_REQUESTS = 10;
+
+/** Produit tel qu'enregistré en base, avec ses lots restants */
+const loadStock = async (productId) => {
+    const product = await mongoose.model('Product').findById(productId).lean();
+    const lots = await mongoose.model('StockLot').find({ productId }).lean();
+    return { product, lots, lotQuantity: lots.reduce((sum, lot) => sum + lot.quantity, 0) };
+};
+
+/**
+ * Vérifie qu'aucun compteur de stock du produit n'est négatif et que total et emplacements concordent. Le stock
+ * initial n'a pas de lot : les lots n'en couvrent qu'une partie.
+ */
+const assertStockConsistent = ({ product, lots, lotQuantity }, expectedQuantity) => {
+    assert.strictEqual(product.quantity, expectedQuantity);
+    assert.ok(product.quantity >= 0, `stock négatif : ${product.quantity}`);
+    product.stocks.forEach(stock => assert.ok(stock.quantity >= 0, `stock négatif à un emplacement : ${stock.quantity}`));
+    assert.strictEqual(product.stocks.reduce((sum, stock) => sum + stock.quantity, 0), expectedQuantity);
+    lots.forEach(lot => assert.ok(lot.quantity >= 0, `lot négatif : ${lot.quantity}`));
+    assert.ok(lotQuantity <= expectedQuantity, `lots (${lotQuantity}) au-delà du stock (${expectedQuantity})`);
+};
+
+const countStatuses = (responses) => responses.reduce((counts, { status }) => {
+    counts[status] = (counts[status] || 0) + 1;
+    return counts;
+}, {});
+
+describe('Ventes et achats simultanés', () => {
+    it('ne vend que les dernières unités disponibles et refuse les autres ventes (409)', async () => {
+        const product = await createTestProduct({ quantity: 4 });
+
+        const responses = await Promise.all(Array.from({ length: PARALLEL_REQUESTS }, () =>
+            request('POST', '/sales', { items: [{ productId: product._id, quantitySold: 1, unitPrice: 1500 }] })
+        ));
+
+        assert.deepStrictEqual(countStatuses(responses), { 201: 4, 409: PARALLEL_REQUESTS - 4 });
+        assertStockConsistent(await loadStock(product._id), 0);
+        const sales = await mongoose.model('Sale').countDocuments({ 'items.productId': product._id });
+        assert.strictEqual(sales, 4);
+    });
+
+    it('refuse un ticket entier quand une de ses lignes ne peut plus être servie', async () => {
+        const first = await createTestProduct({ quantity: 5 });
+        const second = await createTestProduct({ quantity: 3 });
+
+        // Chaque ticket prend 2 unités de chaque produit : le second produit n'en sert qu'un
+        const responses = await Promise.all(Array.from({ length: PARALLEL_REQUESTS }, () =>
+            request('POST', '/sales', {
+                items: [
+                    { productId: first._id, quantitySold: 2, unitPrice: 1000 },
+                    { productId: second._id, quantitySold: 2, unitPrice: 1000 }
+                ]
+            })
+        ));
+
+        assert.deepStrictEqual(countStatuses(responses), { 201: 1, 409: PARALLEL_REQUESTS - 1 });
+        assertStockConsistent(await loadStock(first._id), 3);
+        assertStockConsistent(await loadStock(second._id), 1);
+    });
+
+    it('ajoute toutes les quantités achetées en parallèle, sans en perdre', async () => {
+        const product = await createTestProduct({ quantity: 0, price: 800 });
+
+        const responses = await Promise.all(Array.from({ length: PARALLEL_REQUESTS }, () =>
+            request('POST', '/purchases', { productId: product._id, quantityPurchased: 3, unitPrice: 800 })
+        ));
+
+        assert.deepStrictEqual(countStatuses(responses), { 201: PARALLEL_REQUESTS });
+        const stock = await loadStock(product._id);
+        assertStockConsistent(stock, 3 * PARALLEL_REQUESTS);
+        assert.strictEqual(stock.lotQuantity, 3 * PARALLEL_REQUESTS);
+        assert.strictEqual(stock.product.averageCost, 800);
+        const movements = await mongoose.model('StockMovement').countDocuments({ productId: product._id, type: 'purchase' });
+        assert.strictEqual(movements, PARALLEL_REQUESTS);
+    });
+
+    it('garde un stock exact et jamais négatif quand achats et ventes se croisent', async () => {
+        const product = await createTestProduct({ quantity: 2 });
+
+        const responses = await Promise.all(Array.from({ length: PARALLEL_REQUESTS }, (_, index) => index % 2 === 0
+            ? request('POST', '/purchases', { productId: product._id, quantityPurchased: 1, unitPrice: 1000 })
+            : request('POST', '/sales', { items: [{ productId: product._id, quantitySold: 2, unitPrice: 1500 }] })
+        ));
+
+        const purchases = responses.filter((_, index) => index % 2 === 0);
+        const sales = responses.filter((_, index) => index % 2 === 1);
+        purchases.forEach(({ status }) => assert.strictEqual(status, 201));
+        sales.forEach(({ status }) => assert.ok(status === 201 || status === 409, `statut inattendu : ${status}`));
+        const sold = sales.filter(({ status }) => status === 201).length * 2;
+        assertStockConsistent(await loadStock(product._id), 2 + purchases.length - sold);
+    });
+});
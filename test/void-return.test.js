@@ -0,0 +1,78 @@
+// test/void-return.test.js - Annulations et retours : le stock revient à son emplacement et dans ses lots, jamais au-delà du vendu
+
+const assert = require('assert');
+const mongoose = require('mongoose');
+const { request, createTestProduct } = require('./setup');
+
+/** Produit sans stock réapprovisionné d'un lot de `quantity` unités, à l'emplacement par défaut */
+const createProductWithLot = async (quantity) => {
+    const product = await createTestProduct();
+    const { status } = await request('POST', '/purchases', { productId: product._id, quantityPurchased: quantity, unitPrice: 800, lotNumber: `LOT-${product._id}` });
+    assert.strictEqual(status, 201);
+    return product;
+};
+
+const sell = (product, quantitySold) =>
+    request('POST', '/sales', { items: [{ productId: product._id, quantitySold, unitPrice: 1500 }] });
+
+const returnItems = (sale, quantity) =>
+    request('POST', `/sales/${sale._id}/returns`, { reason: 'Article rapporté', items: [{ lineIndex: 0, quantity }] });
+
+/** Stock total, stock de l'emplacement et reste du lot du produit */
+const loadStock = async (product) => {
+    const recorded = await mongoose.model('Product').findById(product._id).lean();
+    const lot = await mongoose.model('StockLot').findOne({ productId: product._id }).lean();
+    return { quantity: recorded.quantity, located: recorded.stocks.map(entry => entry.quantity), lot: lot.quantity };
+};
+
+const movementsOf = (operationId, type) => mongoose.model('StockMovement').find({ operationId, type }).lean();
+
+describe('Annulations et retours de vente', () => {
+    it("remet en stock, dans son lot, tout ce qu'une vente annulée avait sorti", async () => {
+        const product = await createProductWithLot(5);
+        const sale = await sell(product, 3);
+        assert.strictEqual(sale.status, 201);
+        assert.deepStrictEqual(await loadStock(product), { quantity: 2, located: [2], lot: 2 });
+
+        const voided = await request('POST', `/sales/${sale.body._id}/void`, { reason: 'Erreur de saisie' });
+        const again = await request('POST', `/sales/${sale.body._id}/void`, { reason: 'Erreur de saisie' });
+
+        assert.strictEqual(voided.status, 200);
+        assert.strictEqual(voided.body.status, 'voided');
+        assert.strictEqual(again.status, 409);
+        assert.deepStrictEqual(await loadStock(product), { quantity: 5, located: [5], lot: 5 });
+        const movements = await movementsOf(sale.body._id, 'void');
+        assert.deepStrictEqual(movements.map(movement => movement.delta), [3]);
+        assert.strictEqual(movements[0].resultingQuantity, 5);
+        // Une vente annulée ne fait plus l'objet d'un retour
+        assert.strictEqual((await returnItems(sale.body, 1)).status, 409);
+    });
+
+    it('remet en stock les quantités rendues et refuse (409) de rendre plus que le vendu', async () => {
+        const product = await createProductWithLot(5);
+        const { body: sale } = await sell(product, 4);
+
+        const beyondSold = await returnItems(sale, 5);
+        assert.strictEqual(beyondSold.status, 409);
+        assert.deepStrictEqual(await loadStock(product), { quantity: 1, located: [1], lot: 1 });
+
+        const first = await returnItems(sale, 1);
+        assert.strictEqual(first.status, 201, first.body.message);
+        assert.strictEqual(first.body.type, 'return');
+        assert.strictEqual(first.body.totalPrice, -1500);
+        assert.deepStrictEqual(await loadStock(product), { quantity: 2, located: [2], lot: 2 });
+        assert.deepStrictEqual((await movementsOf(first.body._id, 'return')).map(movement => movement.delta), [1]);
+
+        // Reste 3 à rendre : 4 de plus dépasserait la quantité vendue
+        assert.strictEqual((await returnItems(sale, 4)).status, 409);
+        assert.strictEqual((await returnItems(sale, 3)).status, 201);
+        assert.strictEqual((await returnItems(sale, 1)).status, 409);
+
+        assert.deepStrictEqual(await loadStock(product), { quantity: 5, located: [5], lot: 5 });
+        const recorded = await mongoose.model('Sale').findById(sale._id).lean();
+        assert.strictEqual(recorded.items[0].quantityReturned, 4);
+        assert.strictEqual(await mongoose.model('Sale').countDocuments({ originalSaleId: sale._id }), 2);
+        // Une vente ayant fait l'objet d'un retour ne s'annule plus
+        assert.strictEqual((await request('POST', `/sales/${sale._id}/void`, { reason: 'Erreur de saisie' })).status, 409);
+    });
+});